@@ -0,0 +1,150 @@
+import crypto from "node:crypto";
+import { matchEndpointGroupRule, resolveEndpointGroupRules } from "./endpoint-groups.mjs";
+
+// Provider API facts extracted from structured gateway log records (`openclaw logs --json`). A record is a
+// provider call when it (or one of its positional JSON args) carries a method and a URL or host + path,
+// plus a status or an error. Each call is mapped to provider / endpoint_group / path_template by the
+// endpoint group rules (endpoint-groups.mjs); the raw path, query, headers and bodies never leave the
+// extractor, so a token embedded in a URL (e.g. /bot<token>/...) is not carried into the fact.
+// Calls no rule maps are kept as provider/endpoint_group "unknown", so they count in api_unknown_rate_24h.
+//
+// Incremental cursor (api-cursor.json): { version, last_ts_ms, recent_keys }; records older than
+// CURSOR_OVERLAP_MS behind the cursor or with a recent key are skipped, as in error-store.mjs.
+
+export const API_LOG_CURSOR_VERSION = 1;
+
+const CURSOR_OVERLAP_MS = 5 * 60 * 1000;
+const POSITIONAL_ARGS = ["0", "1", "2", "3"];
+
+function asObject(value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value.trim().startsWith("{")) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function firstNumber(...values) {
+  for (const value of values) {
+    const n = typeof value === "string" && value.trim() ? Number(value) : value;
+    if (typeof n === "number" && Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+// The request/response fields of one log record, or null when it is not a provider call.
+function readCall(record) {
+  const candidates = [record, ...POSITIONAL_ARGS.map((key) => asObject(record?.[key]))].filter(Boolean);
+  for (const c of candidates) {
+    const request = asObject(c.request) ?? {};
+    const response = asObject(c.response) ?? {};
+    const method = String(c.method ?? request.method ?? "").trim().toUpperCase();
+    const rawUrl = c.url ?? request.url ?? null;
+    let host = String(c.host ?? request.host ?? "").trim().toLowerCase();
+    let pathname = String(c.path ?? request.path ?? "").trim();
+    if (typeof rawUrl === "string" && rawUrl) {
+      try {
+        const url = new URL(rawUrl);
+        host = url.hostname.toLowerCase();
+        pathname = url.pathname;
+      } catch {
+        continue;
+      }
+    }
+    pathname = pathname.split(/[?#]/)[0];
+    if (!/^[A-Z]+$/.test(method) || !host || !pathname.startsWith("/")) continue;
+
+    const status = firstNumber(c.status, c.statusCode, c.status_code, response.status, response.statusCode);
+    const failed = c.error != null || response.error != null;
+    if (status == null && !failed) continue;
+
+    return {
+      method,
+      host,
+      path: pathname,
+      status_code: status != null && status >= 100 && status <= 599 ? status : null,
+      failed,
+      latency_ms: firstNumber(c.durationMs, c.duration_ms, c.latencyMs, c.latency_ms, c.elapsedMs, response.durationMs),
+      request_id: String(c.requestId ?? c.request_id ?? response.requestId ?? "").trim(),
+    };
+  }
+  return null;
+}
+
+function emptyCursor() {
+  return { version: API_LOG_CURSOR_VERSION, last_ts_ms: null, recent_keys: {} };
+}
+
+function normalizeCursor(cursor) {
+  if (!cursor || typeof cursor !== "object" || cursor.version !== API_LOG_CURSOR_VERSION) return emptyCursor();
+  const lastTs = Number(cursor.last_ts_ms);
+  return {
+    version: API_LOG_CURSOR_VERSION,
+    last_ts_ms: cursor.last_ts_ms != null && Number.isFinite(lastTs) ? lastTs : null,
+    recent_keys: cursor.recent_keys && typeof cursor.recent_keys === "object" ? { ...cursor.recent_keys } : {},
+  };
+}
+
+// Turns new log records into raw fact events (the api-facts.jsonl shape, still to be run through the
+// probe's normalizeApiFactEvent). Returns { facts, cursor, matched, unmapped, duplicates, unmapped_hosts }.
+export function extractApiFactsFromLogs(records, cursor, { rules = resolveEndpointGroupRules(null).rules } = {}) {
+  const next = normalizeCursor(cursor);
+  const facts = [];
+  const unmappedHosts = {};
+  const stats = { matched: 0, unmapped: 0, duplicates: 0 };
+  let maxTs = next.last_ts_ms;
+
+  for (const record of Array.isArray(records) ? records : []) {
+    const tsMs = Date.parse(String(record?.time || ""));
+    if (!Number.isFinite(tsMs)) continue;
+    const call = readCall(record);
+    if (!call) continue;
+
+    const dedupeKey = crypto
+      .createHash("sha1")
+      .update(`${tsMs}|${call.method}|${call.host}|${call.path}|${call.status_code ?? ""}|${call.request_id}`)
+      .digest("hex")
+      .slice(0, 24);
+    if ((next.last_ts_ms != null && tsMs < next.last_ts_ms - CURSOR_OVERLAP_MS) || next.recent_keys[dedupeKey] != null) {
+      stats.duplicates += 1;
+      continue;
+    }
+    next.recent_keys[dedupeKey] = tsMs;
+    if (maxTs == null || tsMs > maxTs) maxTs = tsMs;
+
+    const rule = matchEndpointGroupRule(rules, call);
+    const provider = rule?.provider ?? "unknown";
+    if (provider !== "unknown") {
+      stats.matched += 1;
+    } else {
+      stats.unmapped += 1;
+      unmappedHosts[call.host] = (unmappedHosts[call.host] || 0) + 1;
+    }
+    facts.push({
+      ts: new Date(tsMs).toISOString(),
+      provider,
+      endpoint_group: rule?.endpoint_group ?? "unknown",
+      method: call.method,
+      host: call.host,
+      path_template: rule?.path_template ?? "/*",
+      status_code: call.status_code,
+      latency_ms: call.latency_ms,
+      is_429: call.status_code === 429,
+      is_failure: call.failed || call.status_code == null || call.status_code >= 400,
+      dedupe_key: `log:${dedupeKey}`,
+      ...(call.request_id ? { request_id: call.request_id } : {}),
+    });
+  }
+
+  next.last_ts_ms = maxTs;
+  if (maxTs != null) {
+    for (const [key, ts] of Object.entries(next.recent_keys)) {
+      if (ts < maxTs - CURSOR_OVERLAP_MS) delete next.recent_keys[key];
+    }
+  }
+
+  return { facts, cursor: next, ...stats, unmapped_hosts: unmappedHosts };
+}
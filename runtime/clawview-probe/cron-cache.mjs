@@ -0,0 +1,101 @@
+// Per-job cache of `openclaw cron runs` entries, so a probe only re-fetches the jobs that ran since the
+// previous probe. A job is refreshed when:
+//   - it has no cache entry yet
+//   - its `lastRunAtMs` from `openclaw cron list` differs from the one the cache was filled at
+//   - `lastRunAtMs` is unknown, or the cached last run is still `running`
+//   - the cache entry is older than MAX_CACHE_AGE_MS (safety net for missed changes)
+// Entries are kept for ENTRY_RETENTION_MS (enough for the 24h and today windows) plus the latest run,
+// merged by run key so a refresh with a small `--limit` does not drop older runs still in the window.
+
+export const CRON_CACHE_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+const ENTRY_RETENTION_MS = 26 * HOUR_MS;
+const MAX_CACHE_AGE_MS = 6 * HOUR_MS;
+const MAX_ENTRIES_PER_JOB = 2000;
+
+export function emptyCronCache() {
+  return { version: CRON_CACHE_VERSION, jobs: {} };
+}
+
+function normalizeCache(cache) {
+  if (!cache || typeof cache !== "object" || cache.version !== CRON_CACHE_VERSION) return emptyCronCache();
+  return { version: CRON_CACHE_VERSION, jobs: cache.jobs && typeof cache.jobs === "object" ? { ...cache.jobs } : {} };
+}
+
+function entryTs(entry) {
+  const ts = Number(entry?.runAtMs ?? entry?.ts ?? 0);
+  return Number.isFinite(ts) && ts > 0 ? ts : null;
+}
+
+function entryKey(entry) {
+  return `${entryTs(entry)}|${entry?.runId ?? entry?.id ?? ""}`;
+}
+
+export function jobLastRunAtMs(job) {
+  const ts = Number(job?.state?.lastRunAtMs ?? job?.lastRunAtMs);
+  return Number.isFinite(ts) && ts > 0 ? ts : null;
+}
+
+function lastEntry(entries) {
+  let last = null;
+  for (const entry of entries) {
+    const ts = entryTs(entry);
+    if (ts != null && (!last || ts > entryTs(last))) last = entry;
+  }
+  return last;
+}
+
+// Returns `{ refresh: [job], cached: [job] }`; jobs without an id and disabled jobs are left out, so
+// disabled jobs are never fetched and their detail rows keep whatever the cache already holds.
+export function planCronRefresh(cache, jobs, nowMs) {
+  const { jobs: cached } = normalizeCache(cache);
+  const refresh = [];
+  const reuse = [];
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    if (!job?.id || job.enabled === false) continue;
+    const entry = cached[String(job.id)];
+    const lastRunAtMs = jobLastRunAtMs(job);
+    const stale =
+      !entry ||
+      lastRunAtMs == null ||
+      entry.last_run_at_ms !== lastRunAtMs ||
+      !(nowMs - Number(entry.fetched_at_ms) < MAX_CACHE_AGE_MS) ||
+      String(lastEntry(entry.entries || [])?.status || "").toLowerCase() === "running";
+    (stale ? refresh : reuse).push(job);
+  }
+  return { refresh, cached: reuse };
+}
+
+// `fetched` maps job id -> freshly fetched run entries; jobs missing from `jobs` are dropped.
+export function updateCronCache(cache, jobs, fetched, nowMs) {
+  const prev = normalizeCache(cache);
+  const cutoff = nowMs - ENTRY_RETENTION_MS;
+  const next = emptyCronCache();
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    if (!job?.id) continue;
+    const id = String(job.id);
+    const old = prev.jobs[id];
+    if (!Object.hasOwn(fetched, id)) {
+      if (old) next.jobs[id] = old;
+      continue;
+    }
+
+    const merged = new Map();
+    for (const entry of [...(old?.entries || []), ...(Array.isArray(fetched[id]) ? fetched[id] : [])]) {
+      if (entryTs(entry) != null) merged.set(entryKey(entry), entry);
+    }
+    const all = [...merged.values()];
+    const latest = lastEntry(all);
+    const entries = all
+      .filter((entry) => entry === latest || entryTs(entry) >= cutoff)
+      .sort((a, b) => entryTs(a) - entryTs(b))
+      .slice(-MAX_ENTRIES_PER_JOB);
+    next.jobs[id] = { last_run_at_ms: jobLastRunAtMs(job), fetched_at_ms: nowMs, entries };
+  }
+  return next;
+}
+
+export function cachedCronEntries(cache, jobId) {
+  return normalizeCache(cache).jobs[String(jobId)]?.entries || [];
+}
@@ -0,0 +1,207 @@
+// Provider / endpoint_group mapping rules, shared by the probe (log extraction, normalizeApiFactEvent) and
+// the dashboard function (normalizeApiEventRow), so an API call lands in the same group wherever it is read.
+//
+// A rule: { provider, endpoint_group, host | host_regex, path? | path_regex?, method?, path_template? }.
+//   host  glob, `*` matches any run of characters ("*.openai.azure.com")
+//   path  glob against the path (template), `:name` matches one segment and `*` any run of characters
+//         (including "/"); no path matches every path of the host
+//   path_template  what log extraction records for a matched raw path (defaults to `path`, else "/*")
+// Matching is case-insensitive and the first matching rule wins. Explicit provider / endpoint_group labels
+// on a fact are kept; missing ones and `other` / `others` / `unknown` are derived, and stay `unknown` when
+// no rule matches.
+//
+// Overrides are a JSON array of rules tried before the defaults. Probe: CLAWVIEW_ENDPOINT_GROUPS env or
+// <out-dir>/endpoint-groups.json. Dashboard: CLAWVIEW_ENDPOINT_GROUPS env.
+
+const UNKNOWN_LABELS = new Set(["", "other", "others", "unknown"]);
+
+// Common LLM providers first, then the chat channels the gateway talks to. Each host ends with a
+// host-only rule, so a known provider with an unlisted path keeps its provider and an `unknown` group.
+export const DEFAULT_ENDPOINT_GROUP_RULES = [
+  { host: "api.openai.com", path: "/v1/chat/completions", provider: "openai", endpoint_group: "chat" },
+  { host: "api.openai.com", path: "/v1/responses*", provider: "openai", endpoint_group: "responses" },
+  { host: "api.openai.com", path: "/v1/completions", provider: "openai", endpoint_group: "completions" },
+  { host: "api.openai.com", path: "/v1/embeddings", provider: "openai", endpoint_group: "embeddings" },
+  { host: "api.openai.com", path: "/v1/models*", provider: "openai", endpoint_group: "models" },
+  { host: "api.openai.com", path: "/v1/audio/*", provider: "openai", endpoint_group: "audio" },
+  { host: "api.openai.com", path: "/v1/images/*", provider: "openai", endpoint_group: "images" },
+  { host: "api.openai.com", provider: "openai", endpoint_group: "unknown" },
+  { host: "*.openai.azure.com", path: "/openai/deployments/:deployment/chat/completions", provider: "azure-openai", endpoint_group: "chat" },
+  { host: "*.openai.azure.com", path: "/openai/deployments/:deployment/embeddings", provider: "azure-openai", endpoint_group: "embeddings" },
+  { host: "*.openai.azure.com", provider: "azure-openai", endpoint_group: "unknown" },
+  { host: "api.anthropic.com", path: "/v1/messages", provider: "anthropic", endpoint_group: "messages" },
+  { host: "api.anthropic.com", path: "/v1/messages/count_tokens", provider: "anthropic", endpoint_group: "count_tokens" },
+  { host: "api.anthropic.com", path: "/v1/messages/batches*", provider: "anthropic", endpoint_group: "batches" },
+  { host: "api.anthropic.com", path: "/v1/models*", provider: "anthropic", endpoint_group: "models" },
+  { host: "api.anthropic.com", provider: "anthropic", endpoint_group: "unknown" },
+  { host: "generativelanguage.googleapis.com", path_regex: "^/[^/]+/models/[^/]+:(stream)?generatecontent$", path_template: "/:version/models/:model:generatecontent", provider: "google", endpoint_group: "generate" },
+  { host: "generativelanguage.googleapis.com", path_regex: "^/[^/]+/models/[^/]+:(batch)?embedcontents?$", path_template: "/:version/models/:model:embedcontent", provider: "google", endpoint_group: "embeddings" },
+  { host: "generativelanguage.googleapis.com", provider: "google", endpoint_group: "unknown" },
+  { host_regex: "^([a-z0-9-]+-)?aiplatform\\.googleapis\\.com$", path: "/v1*/projects/*/models/*", path_template: "/:version/projects/:project/models/:model", provider: "vertex-ai", endpoint_group: "generate" },
+  { host_regex: "^([a-z0-9-]+-)?aiplatform\\.googleapis\\.com$", provider: "vertex-ai", endpoint_group: "unknown" },
+  { host: "openrouter.ai", path: "/api/v1/chat/completions", provider: "openrouter", endpoint_group: "chat" },
+  { host: "openrouter.ai", provider: "openrouter", endpoint_group: "unknown" },
+  { host: "api.mistral.ai", path: "/v1/chat/completions", provider: "mistral", endpoint_group: "chat" },
+  { host: "api.mistral.ai", path: "/v1/embeddings", provider: "mistral", endpoint_group: "embeddings" },
+  { host: "api.mistral.ai", provider: "mistral", endpoint_group: "unknown" },
+  { host: "api.groq.com", path: "/openai/v1/chat/completions", provider: "groq", endpoint_group: "chat" },
+  { host: "api.groq.com", provider: "groq", endpoint_group: "unknown" },
+  { host: "api.deepseek.com", path: "*/chat/completions", path_template: "/chat/completions", provider: "deepseek", endpoint_group: "chat" },
+  { host: "api.deepseek.com", provider: "deepseek", endpoint_group: "unknown" },
+  { host: "api.x.ai", path: "/v1/chat/completions", provider: "xai", endpoint_group: "chat" },
+  { host: "api.x.ai", provider: "xai", endpoint_group: "unknown" },
+  { host: "api.together.xyz", path: "/v1/chat/completions", provider: "together", endpoint_group: "chat" },
+  { host: "api.together.xyz", provider: "together", endpoint_group: "unknown" },
+  { host: "api.moonshot.cn", path: "/v1/chat/completions", provider: "moonshot", endpoint_group: "chat" },
+  { host: "api.moonshot.cn", provider: "moonshot", endpoint_group: "unknown" },
+  { host: "dashscope.aliyuncs.com", path: "*/chat/completions", path_template: "/compatible-mode/v1/chat/completions", provider: "dashscope", endpoint_group: "chat" },
+  { host: "dashscope.aliyuncs.com", provider: "dashscope", endpoint_group: "unknown" },
+  { host: "open.bigmodel.cn", path: "/api/paas/v4/chat/completions", provider: "zhipu", endpoint_group: "chat" },
+  { host: "open.bigmodel.cn", provider: "zhipu", endpoint_group: "unknown" },
+  { host: "api.cohere.com", path: "/v*/chat", path_template: "/:version/chat", provider: "cohere", endpoint_group: "chat" },
+  { host: "api.cohere.com", provider: "cohere", endpoint_group: "unknown" },
+  { host: "open.feishu.cn", path: "/open-apis/im/*", method: "POST", provider: "lark", endpoint_group: "message_send" },
+  { host: "open.feishu.cn", path: "/open-apis/im/*", provider: "lark", endpoint_group: "message_read" },
+  { host: "open.feishu.cn", path: "/open-apis/docx/*", provider: "lark", endpoint_group: "doc_read" },
+  { host: "open.feishu.cn", path: "/open-apis/auth/*", provider: "lark", endpoint_group: "auth" },
+  { host: "open.feishu.cn", provider: "lark", endpoint_group: "unknown" },
+  { host: "open.larksuite.com", path: "/open-apis/im/*", method: "POST", provider: "lark", endpoint_group: "message_send" },
+  { host: "open.larksuite.com", path: "/open-apis/im/*", provider: "lark", endpoint_group: "message_read" },
+  { host: "open.larksuite.com", provider: "lark", endpoint_group: "unknown" },
+  { host: "api.telegram.org", path: "/:bot/sendMessage", provider: "telegram", endpoint_group: "message_send" },
+  { host: "api.telegram.org", path: "/:bot/getUpdates", provider: "telegram", endpoint_group: "updates" },
+  { host: "api.telegram.org", provider: "telegram", endpoint_group: "unknown" },
+  { host: "discord.com", path: "/api/*", provider: "discord", endpoint_group: "api" },
+  { host: "slack.com", path: "/api/chat.postMessage", provider: "slack", endpoint_group: "message_send" },
+  { host: "slack.com", provider: "slack", endpoint_group: "unknown" },
+];
+
+function globToRegExp(glob, { segments = false } = {}) {
+  const body = glob
+    .split(/(\*|:[a-z_][a-z0-9_]*)/i)
+    .map((part) => {
+      if (part === "*") return ".*";
+      if (segments && part.startsWith(":") && part.length > 1) return "[^/]+";
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${body}$`, "i");
+}
+
+function compileRegExp(source, where, errors) {
+  try {
+    return new RegExp(source, "i");
+  } catch (err) {
+    errors.push(`${where}: invalid regex (${err.message})`);
+    return null;
+  }
+}
+
+function compileRule(rule, where, errors) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    errors.push(`${where}: expected an object`);
+    return null;
+  }
+  for (const field of ["provider", "endpoint_group"]) {
+    if (typeof rule[field] !== "string" || !rule[field].trim()) {
+      errors.push(`${where}: "${field}" must be a non-empty string`);
+      return null;
+    }
+  }
+  const stringOrAbsent = (field) => rule[field] == null || (typeof rule[field] === "string" && rule[field].trim() !== "");
+  const bad = ["host", "host_regex", "path", "path_regex", "path_template", "method"].find((field) => !stringOrAbsent(field));
+  if (bad) {
+    errors.push(`${where}: "${bad}" must be a non-empty string`);
+    return null;
+  }
+  if ((rule.host == null) === (rule.host_regex == null)) {
+    errors.push(`${where}: exactly one of "host" / "host_regex" is required`);
+    return null;
+  }
+  if (rule.path != null && rule.path_regex != null) {
+    errors.push(`${where}: use "path" or "path_regex", not both`);
+    return null;
+  }
+  if (rule.method != null && !/^[a-z]+$/i.test(rule.method)) {
+    errors.push(`${where}: "method" must be an HTTP method`);
+    return null;
+  }
+
+  const host = rule.host != null ? globToRegExp(rule.host.trim()) : compileRegExp(rule.host_regex, where, errors);
+  const path =
+    rule.path != null ? globToRegExp(rule.path.trim(), { segments: true }) : rule.path_regex != null ? compileRegExp(rule.path_regex, where, errors) : null;
+  if (!host || (rule.path_regex != null && !path)) return null;
+
+  return {
+    host,
+    path,
+    method: rule.method ? rule.method.toUpperCase() : null,
+    provider: rule.provider.trim().toLowerCase(),
+    endpoint_group: rule.endpoint_group.trim().toLowerCase(),
+    path_template: String(rule.path_template ?? rule.path ?? "/*").trim().toLowerCase(),
+  };
+}
+
+// Returns `{ rules, errors }`; override rules come first, invalid ones are reported and skipped.
+export function resolveEndpointGroupRules(overrides) {
+  const errors = [];
+  let extra = [];
+  if (overrides != null) {
+    if (Array.isArray(overrides)) {
+      extra = overrides.map((rule, i) => compileRule(rule, `rule ${i}`, errors)).filter(Boolean);
+    } else {
+      errors.push("endpoint group rules must be a JSON array of rules");
+    }
+  }
+  const defaults = DEFAULT_ENDPOINT_GROUP_RULES.map((rule, i) => compileRule(rule, `default rule ${i}`, errors));
+  return { rules: [...extra, ...defaults], errors };
+}
+
+export function parseEndpointGroupRules(text) {
+  if (text == null || String(text).trim() === "") return resolveEndpointGroupRules(null);
+  try {
+    return resolveEndpointGroupRules(JSON.parse(text));
+  } catch (err) {
+    return { rules: resolveEndpointGroupRules(null).rules, errors: [`endpoint group rules are not valid JSON: ${err.message}`] };
+  }
+}
+
+// `path` may be a raw path or a path template; the query string is ignored.
+export function matchEndpointGroupRule(rules, { host, method, path }) {
+  const h = String(host || "").trim().toLowerCase();
+  if (!h) return null;
+  const m = String(method || "").trim().toUpperCase();
+  const p = String(path || "/").split(/[?#]/)[0] || "/";
+  return rules.find((rule) => rule.host.test(h) && (!rule.method || rule.method === m) && (!rule.path || rule.path.test(p))) ?? null;
+}
+
+// Final labels for one API call: explicit labels win, missing / other / unknown ones come from the rules.
+export function resolveEndpointGroup(rules, { provider, endpoint_group, host, method, path_template }) {
+  const explicitProvider = String(provider || "").trim().toLowerCase();
+  const explicitGroup = String(endpoint_group || "").trim().toLowerCase();
+  const needsRule = UNKNOWN_LABELS.has(explicitProvider) || UNKNOWN_LABELS.has(explicitGroup);
+  const rule = needsRule ? matchEndpointGroupRule(rules, { host, method, path: path_template }) : null;
+  return {
+    provider: UNKNOWN_LABELS.has(explicitProvider) ? (rule?.provider ?? "unknown") : explicitProvider,
+    endpoint_group: UNKNOWN_LABELS.has(explicitGroup) ? (rule?.endpoint_group ?? "unknown") : explicitGroup,
+    rule,
+  };
+}
+
+// Hosts whose calls still resolve to an unknown provider, most calls first; path templates are sampled
+// so a new rule can be written from the report.
+export function reportUnmappedHosts(events, rules, { sampleLimit = 5 } = {}) {
+  const byHost = new Map();
+  for (const ev of Array.isArray(events) ? events : []) {
+    if (resolveEndpointGroup(rules, ev ?? {}).provider !== "unknown") continue;
+    const host = String(ev?.host || "").trim().toLowerCase() || "(no host)";
+    const entry = byHost.get(host) ?? { host, calls: 0, methods: new Set(), path_templates: new Set() };
+    entry.calls += 1;
+    if (ev?.method) entry.methods.add(String(ev.method).toUpperCase());
+    if (ev?.path_template && entry.path_templates.size < sampleLimit) entry.path_templates.add(String(ev.path_template));
+    byHost.set(host, entry);
+  }
+  return [...byHost.values()]
+    .sort((a, b) => b.calls - a.calls || a.host.localeCompare(b.host))
+    .map((x) => ({ host: x.host, calls: x.calls, methods: [...x.methods].sort(), path_templates: [...x.path_templates] }));
+}
@@ -0,0 +1,118 @@
+// Error message -> fingerprint template. Quoted strings are masked on the whole message first (they
+// may contain spaces), then the message is split into whitespace tokens and each token is matched
+// against the token rules in order; `key=value` tokens are masked on the value side only.
+// Rules are plain objects so callers can pass their own list:
+//   { name, pattern, token }              span rule, applied with String.replace on the whole message
+//   { name, match, token, keep? }         token rule, `match` is tested against the token core
+//                                          (surrounding punctuation stripped); `keep(core, prev)` can veto it
+
+const STATUS_CONTEXT = /^(http|status|code|statuscode|status_code)[:=]?$/i;
+
+export const SPAN_MASK_RULES = [
+  { name: "quoted", pattern: /(^|[\s=:(\[,])(["'`])(?:(?!\2).){0,200}?\2(?=$|[\s,.;:)\]])/g, token: "$1<str>" },
+];
+
+export const TOKEN_MASK_RULES = [
+  { name: "uuid", match: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, token: "<uuid>" },
+  { name: "ipv4", match: /^(?:\d{1,3}\.){3}\d{1,3}(?::\d{1,5})?$/, token: "<ip>" },
+  { name: "ipv6", match: /^\[?(?=[0-9a-f:]*\d)(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}\]?(?::\d{1,5})?$/i, token: "<ip>" },
+  { name: "path", match: /^(?:~|\.{1,2})?(?:\/[\w.@%+-]+){2,}\/?$|^[a-z]:\\[^\s]*$/i, token: "<path>" },
+  { name: "duration", match: /^(?:\d+(?:\.\d+)?(?:ns|us|µs|ms|s|sec|secs|m|min|mins|h|hr|hrs|d))+$/i, token: "<duration>" },
+  { name: "host_port", match: /^[a-z][a-z0-9.-]*:\d{2,5}$/i, token: (core) => `${core.slice(0, core.lastIndexOf(":"))}:<port>` },
+  { name: "hex", match: /^(?:0x)?(?=[0-9a-f]*\d)[0-9a-f]{8,}$/i, token: "<hex>" },
+  {
+    name: "number",
+    match: /^[-+]?\d+(?:\.\d+)?%?$/,
+    token: "<num>",
+    // keep HTTP status codes: "status 429" and "status 500" are different errors
+    keep: (core, prev) => /^[1-5]\d\d$/.test(core) && STATUS_CONTEXT.test(prev),
+  },
+  { name: "short_id", match: /^(?=(?:[^\d]*\d){2})(?=(?:[^a-z]*[a-z]){2})[a-z0-9_-]{6,}$/i, token: "<id>" },
+];
+
+const EDGE_PUNCTUATION = /^([([{<"'`]*)(.*?)([)\]}>"'`,.;:!?]*)$/;
+
+function maskCore(core, prev, rules) {
+  if (!core) return core;
+  for (const rule of rules) {
+    if (!rule.match.test(core)) continue;
+    if (rule.keep && rule.keep(core, prev)) return core;
+    return typeof rule.token === "function" ? rule.token(core) : rule.token;
+  }
+  const eq = core.indexOf("=");
+  if (eq > 0 && eq < core.length - 1) {
+    return `${core.slice(0, eq + 1)}${maskCore(core.slice(eq + 1), core.slice(0, eq + 1), rules)}`;
+  }
+  return core;
+}
+
+export function tokenizeMessage(message) {
+  return String(message || "").split(/\s+/).filter(Boolean);
+}
+
+export function createFingerprintNormalizer({ spanRules = SPAN_MASK_RULES, tokenRules = TOKEN_MASK_RULES, maxLength = 180 } = {}) {
+  return function normalizeFingerprint(message) {
+    let text = String(message || "unknown");
+    for (const rule of spanRules) text = text.replace(rule.pattern, rule.token);
+
+    const out = [];
+    let prev = "";
+    for (const token of tokenizeMessage(text)) {
+      // whole-token match first so bracketed forms like `[fe80::1]:443` are not split at the bracket
+      if (tokenRules.some((rule) => rule.match.test(token))) {
+        out.push(maskCore(token, prev, tokenRules));
+        prev = token;
+        continue;
+      }
+      const [, lead, core, trail] = token.match(EDGE_PUNCTUATION);
+      out.push(`${lead}${maskCore(core, prev, tokenRules)}${trail}`);
+      prev = core;
+    }
+    return (out.join(" ") || "unknown").slice(0, maxLength);
+  };
+}
+
+// Positional token similarity between two templates of the same length (share of equal tokens).
+export function templateSimilarity(a, b) {
+  const left = tokenizeMessage(a);
+  const right = tokenizeMessage(b);
+  if (left.length === 0 || left.length !== right.length) return 0;
+  let same = 0;
+  for (let i = 0; i < left.length; i += 1) {
+    if (left[i] === right[i] || left[i] === "<*>" || right[i] === "<*>") same += 1;
+  }
+  return same / left.length;
+}
+
+function mergeTemplates(a, b) {
+  const left = tokenizeMessage(a);
+  const right = tokenizeMessage(b);
+  return left.map((token, i) => (token === right[i] ? token : "<*>")).join(" ");
+}
+
+// Greedy clustering of near-duplicate templates: items are visited by count (desc) and join the
+// first cluster whose template is at least `threshold` similar; differing positions become `<*>`.
+// Count fields are summed and first/last seen widened; other fields come from the largest member.
+const SUMMED_FIELDS = ["count", "count_1h", "count_24h", "total"];
+
+export function clusterFingerprints(items, { threshold = 0.8 } = {}) {
+  const clusters = [];
+  const sorted = [...(Array.isArray(items) ? items : [])].sort((a, b) => Number(b.count || 0) - Number(a.count || 0));
+  for (const item of sorted) {
+    const fingerprint = String(item.fingerprint || "");
+    const target = clusters.find((c) => templateSimilarity(c.fingerprint, fingerprint) >= threshold);
+    if (!target) {
+      clusters.push({ ...item, fingerprint, members: [fingerprint] });
+      continue;
+    }
+    target.fingerprint = mergeTemplates(target.fingerprint, fingerprint);
+    target.members.push(fingerprint);
+    for (const field of SUMMED_FIELDS) {
+      if (typeof item[field] === "number") target[field] = Number(target[field] || 0) + item[field];
+    }
+    if (item.first_seen && (!target.first_seen || item.first_seen < target.first_seen)) target.first_seen = item.first_seen;
+    if (item.last_seen && (!target.last_seen || item.last_seen > target.last_seen)) target.last_seen = item.last_seen;
+    if (item.severity === "critical") target.severity = "critical";
+  }
+  return clusters;
+}
@@ -0,0 +1,214 @@
+import crypto from "node:crypto";
+import { clusterFingerprints } from "./error-fingerprint.mjs";
+
+// Persistent error fingerprint store. Each probe run feeds the channel log lines it fetched; lines
+// already ingested are skipped through a time cursor plus a small set of recent line keys (logs from
+// different channels are not strictly ordered, so lines up to CURSOR_OVERLAP_MS behind the cursor are
+// still accepted when their key is new).
+//
+// Per fingerprint the store keeps hourly count buckets (48h, enough for 24h-over-24h growth), plus a
+// first_seen / last_seen / total that survive bucket pruning. Window counts are pro-rated from the
+// hourly buckets, so "last 1h" has hour resolution, not line resolution.
+//
+// Version 2 keys fingerprints by the tokenizing normalizer (error-fingerprint.mjs). Version 1 stores,
+// keyed by the older regex normalizer, are re-keyed from each record's sample on the first ingest.
+
+export const ERROR_STORE_VERSION = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const BUCKET_RETENTION_MS = 48 * HOUR_MS;
+const FINGERPRINT_RETENTION_MS = 30 * 24 * HOUR_MS;
+const MAX_FINGERPRINTS = 1000;
+const CURSOR_OVERLAP_MS = 5 * 60 * 1000;
+const SAMPLE_MAX_CHARS = 300;
+
+export function emptyErrorStore() {
+  return { version: ERROR_STORE_VERSION, cursor: { last_ts_ms: null, recent_keys: {} }, fingerprints: {} };
+}
+
+function mergeRecords(into, record) {
+  if (!into) return { ...record, buckets: { ...record.buckets } };
+  const buckets = { ...into.buckets };
+  for (const [start, count] of Object.entries(record.buckets || {})) buckets[start] = (buckets[start] || 0) + count;
+  const later = record.last_seen_ms > into.last_seen_ms ? record : into;
+  return {
+    severity: into.severity === "critical" || record.severity === "critical" ? "critical" : "warn",
+    level: into.level === "error" || record.level === "error" ? "error" : later.level,
+    sample: later.sample,
+    first_seen_ms: Math.min(into.first_seen_ms, record.first_seen_ms),
+    last_seen_ms: later.last_seen_ms,
+    total: Number(into.total || 0) + Number(record.total || 0),
+    buckets,
+  };
+}
+
+// Re-derives version 1 fingerprints from their samples; records that now share a template merge.
+function migrateStoreV1(store, normalize) {
+  const fingerprints = {};
+  for (const record of Object.values(store.fingerprints && typeof store.fingerprints === "object" ? store.fingerprints : {})) {
+    if (!record || typeof record !== "object") continue;
+    const fingerprint = normalize(String(record.sample || ""));
+    fingerprints[fingerprint] = mergeRecords(fingerprints[fingerprint], record);
+  }
+  return { ...store, version: ERROR_STORE_VERSION, fingerprints };
+}
+
+// Without `normalize` an older store cannot be re-keyed and is treated as empty.
+function normalizeStore(store, normalize = null) {
+  if (store?.version === 1 && normalize) store = migrateStoreV1(store, normalize);
+  if (!store || typeof store !== "object" || store.version !== ERROR_STORE_VERSION) return emptyErrorStore();
+  const lastTs = Number(store.cursor?.last_ts_ms);
+  return {
+    version: ERROR_STORE_VERSION,
+    cursor: {
+      last_ts_ms: Number.isFinite(lastTs) ? lastTs : null,
+      recent_keys: store.cursor?.recent_keys && typeof store.cursor.recent_keys === "object" ? { ...store.cursor.recent_keys } : {},
+    },
+    fingerprints: store.fingerprints && typeof store.fingerprints === "object" ? { ...store.fingerprints } : {},
+  };
+}
+
+function lineKey(line, tsMs, message) {
+  return crypto.createHash("sha1").update(`${tsMs}|${line?.channel || ""}|${line?.level || ""}|${message}`).digest("hex").slice(0, 16);
+}
+
+function hourStart(tsMs) {
+  return Math.floor(tsMs / HOUR_MS) * HOUR_MS;
+}
+
+// `normalize(message)` -> fingerprint, `isCritical(message)` -> boolean; both come from the probe so
+// the store does not own the fingerprint rules.
+export function ingestErrorLines(store, lines, { nowMs = Date.now(), normalize, isCritical = () => false } = {}) {
+  const next = normalizeStore(store, normalize);
+  const { cursor } = next;
+  const stats = { ingested: 0, duplicates: 0, untimed: 0 };
+  let maxTs = cursor.last_ts_ms;
+
+  for (const line of Array.isArray(lines) ? lines : []) {
+    const level = String(line?.level || "").toLowerCase();
+    if (level !== "error" && level !== "warn") continue;
+
+    const tsMs = Date.parse(String(line?.time || ""));
+    if (!Number.isFinite(tsMs)) {
+      stats.untimed += 1;
+      continue;
+    }
+    const message = String(line?.message || line?.raw || "");
+    const key = lineKey(line, tsMs, message);
+    if ((cursor.last_ts_ms != null && tsMs < cursor.last_ts_ms - CURSOR_OVERLAP_MS) || cursor.recent_keys[key] != null) {
+      stats.duplicates += 1;
+      continue;
+    }
+    cursor.recent_keys[key] = tsMs;
+    if (maxTs == null || tsMs > maxTs) maxTs = tsMs;
+
+    const fingerprint = normalize(message);
+    const critical = isCritical(message);
+    const prev = next.fingerprints[fingerprint];
+    const record = prev
+      ? { ...prev, buckets: { ...prev.buckets } }
+      : { severity: "warn", level, sample: message.slice(0, SAMPLE_MAX_CHARS), first_seen_ms: tsMs, last_seen_ms: tsMs, total: 0, buckets: {} };
+    if (critical) record.severity = "critical";
+    if (level === "error") record.level = "error";
+    record.first_seen_ms = Math.min(record.first_seen_ms, tsMs);
+    if (tsMs >= record.last_seen_ms) {
+      record.last_seen_ms = tsMs;
+      record.sample = message.slice(0, SAMPLE_MAX_CHARS);
+    }
+    record.total += 1;
+    const bucket = String(hourStart(tsMs));
+    record.buckets[bucket] = (record.buckets[bucket] || 0) + 1;
+    next.fingerprints[fingerprint] = record;
+    stats.ingested += 1;
+  }
+
+  cursor.last_ts_ms = maxTs;
+  if (maxTs != null) {
+    for (const [key, ts] of Object.entries(cursor.recent_keys)) {
+      if (ts < maxTs - CURSOR_OVERLAP_MS) delete cursor.recent_keys[key];
+    }
+  }
+
+  return { store: pruneErrorStore(next, nowMs), ...stats };
+}
+
+export function pruneErrorStore(store, nowMs) {
+  const next = normalizeStore(store);
+  const bucketCutoff = nowMs - BUCKET_RETENTION_MS;
+  const entries = [];
+  for (const [fingerprint, record] of Object.entries(next.fingerprints)) {
+    if (!record || record.last_seen_ms < nowMs - FINGERPRINT_RETENTION_MS) continue;
+    const buckets = {};
+    for (const [start, count] of Object.entries(record.buckets || {})) {
+      if (Number(start) + HOUR_MS > bucketCutoff) buckets[start] = count;
+    }
+    entries.push([fingerprint, { ...record, buckets }]);
+  }
+  entries.sort((a, b) => b[1].last_seen_ms - a[1].last_seen_ms);
+  next.fingerprints = Object.fromEntries(entries.slice(0, MAX_FINGERPRINTS));
+  return next;
+}
+
+// The current hour bucket only spans up to `nowMs`, so it is pro-rated over that partial span.
+export function windowCount(record, fromMs, toMs, nowMs = toMs) {
+  let total = 0;
+  for (const [start, count] of Object.entries(record?.buckets || {})) {
+    const bucketStart = Number(start);
+    const bucketEnd = Math.min(bucketStart + HOUR_MS, Math.max(nowMs, bucketStart));
+    if (bucketEnd <= bucketStart) {
+      if (bucketStart >= fromMs && bucketStart <= toMs) total += count;
+      continue;
+    }
+    const overlap = Math.min(toMs, bucketEnd) - Math.max(fromMs, bucketStart);
+    if (overlap > 0) total += count * (overlap / (bucketEnd - bucketStart));
+  }
+  return total;
+}
+
+// (current - previous) / previous; null when the fingerprint is new in the current window.
+function growthRate(current, previous) {
+  if (previous > 0) return Number(((current - previous) / previous).toFixed(3));
+  return current > 0 ? null : 0;
+}
+
+function describe(fingerprint, record, nowMs) {
+  const count1h = windowCount(record, nowMs - HOUR_MS, nowMs, nowMs);
+  const countPrev1h = windowCount(record, nowMs - 2 * HOUR_MS, nowMs - HOUR_MS, nowMs);
+  const count24h = windowCount(record, nowMs - 24 * HOUR_MS, nowMs, nowMs);
+  const countPrev24h = windowCount(record, nowMs - 48 * HOUR_MS, nowMs - 24 * HOUR_MS, nowMs);
+  return {
+    fingerprint,
+    severity: record.severity,
+    level: record.level,
+    sample: record.sample,
+    count: Math.round(count24h),
+    count_1h: Math.round(count1h),
+    count_24h: Math.round(count24h),
+    total: record.total,
+    first_seen: new Date(record.first_seen_ms).toISOString(),
+    last_seen: new Date(record.last_seen_ms).toISOString(),
+    growth_rate_1h: growthRate(count1h, countPrev1h),
+    growth_rate_24h: growthRate(count24h, countPrev24h),
+  };
+}
+
+// `clusterThreshold` > 0 merges near-duplicate templates before ranking (see clusterFingerprints);
+// merged items carry `members` and keep the growth rates of their largest member.
+export function summarizeErrorStore(store, nowMs, { limit = 10, activeWindowMs = HOUR_MS, clusterThreshold = 0 } = {}) {
+  const { fingerprints } = normalizeStore(store);
+  const described = Object.entries(fingerprints)
+    .map(([fingerprint, record]) => describe(fingerprint, record, nowMs))
+    .filter((x) => x.count_24h > 0);
+  const items = (clusterThreshold > 0 ? clusterFingerprints(described, { threshold: clusterThreshold }) : described).sort((a, b) => b.count_24h - a.count_24h || Date.parse(b.last_seen) - Date.parse(a.last_seen));
+  const isActive = (x) => nowMs - Date.parse(x.last_seen) <= activeWindowMs;
+  const critical = items.filter((x) => x.severity === "critical");
+
+  return {
+    errors_active_count: items.filter(isActive).length,
+    errors_critical_active_count: critical.filter(isActive).length,
+    error_top: items.slice(0, limit),
+    error_critical_top: critical.slice(0, limit),
+    error_fingerprints_tracked: Object.keys(fingerprints).length,
+    error_fingerprint_clusters_24h: clusterThreshold > 0 ? items.length : null,
+  };
+}
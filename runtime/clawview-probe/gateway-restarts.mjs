@@ -0,0 +1,200 @@
+// Gateway restart classifier. Restarts are detected from the probe's own samples, not from log text alone:
+//   - listener pid changed (or the same pid now has a newer process start) between two probe runs
+//   - the run was triggered by the gateway:startup hook event
+// Each detected restart is classified from the gateway log lines around it:
+//   - crash signature (oom, panic, uncaught, failed to start, ...)   -> unexpected
+//   - graceful shutdown / SIGTERM / restart requested                 -> planned
+//   - nothing conclusive                                              -> unknown
+// Crash lines that do not line up with any detected restart (e.g. the probe was not running at the time)
+// still count as unexpected restarts, so the old log-only behaviour is a lower bound.
+
+export const RESTART_HISTORY_VERSION = 1;
+export const RESTART_HISTORY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_RESTART_RECORDS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far around a restart log lines are considered to explain it.
+const CLASSIFY_LEAD_MS = 60 * 1000;
+const CLASSIFY_TRAIL_MS = 60 * 1000;
+const FIRST_SAMPLE_LOOKBACK_MS = 10 * 60 * 1000;
+// Crash lines this close to a detected restart belong to it.
+const LOG_MATCH_SLACK_MS = 5 * 60 * 1000;
+
+export const CRASH_SIGNATURES = [
+  { reason: "failed_to_start", pattern: /gateway failed to start/i },
+  { reason: "out_of_memory", pattern: /\boom\b|out of memory/i },
+  { reason: "panic", pattern: /\bpanic\b/i },
+  { reason: "uncaught_exception", pattern: /uncaught|unhandled (promise )?rejection/i },
+  { reason: "unexpected_restart", pattern: /unexpected restart/i },
+  { reason: "crash", pattern: /crash/i },
+];
+
+export const SHUTDOWN_SIGNATURES = [
+  { reason: "restart_requested", pattern: /restart(ing)? (requested|by user)|(config|update)\b.*\brestart(ing)?\b/i },
+  { reason: "sigterm", pattern: /\bSIGTERM\b/ },
+  { reason: "sigint", pattern: /\bSIGINT\b/ },
+  { reason: "graceful_shutdown", pattern: /graceful(ly)?\s+shut|shutting down|shutdown complete|gateway (is )?(stopping|stopped)/i },
+];
+
+export function emptyRestartHistory() {
+  return { version: RESTART_HISTORY_VERSION, last_sample: null, restarts: [] };
+}
+
+function normalizeHistory(history) {
+  if (!history || typeof history !== "object" || history.version !== RESTART_HISTORY_VERSION) return emptyRestartHistory();
+  return {
+    version: RESTART_HISTORY_VERSION,
+    last_sample: history.last_sample && Number.isFinite(Number(history.last_sample.ts_ms)) ? history.last_sample : null,
+    restarts: Array.isArray(history.restarts) ? history.restarts.filter((x) => x && Number.isFinite(Number(x.at_ms))) : [],
+  };
+}
+
+function entryText(entry) {
+  return `${entry?.message || ""} ${entry?.raw || ""}`.replace(/\s+/g, " ").trim();
+}
+
+function matchSignature(signatures, text) {
+  return signatures.find((s) => s.pattern.test(text)) || null;
+}
+
+function logSignals(logEntries, fromMs, toMs) {
+  const crashes = [];
+  const shutdowns = [];
+  for (const entry of Array.isArray(logEntries) ? logEntries : []) {
+    const ts = Date.parse(String(entry?.time || ""));
+    if (!Number.isFinite(ts) || ts < fromMs || ts > toMs) continue;
+    const text = entryText(entry);
+    const crash = matchSignature(CRASH_SIGNATURES, text);
+    if (crash) {
+      crashes.push({ ts, reason: crash.reason });
+      continue;
+    }
+    const shutdown = matchSignature(SHUTDOWN_SIGNATURES, text);
+    if (shutdown) shutdowns.push({ ts, reason: shutdown.reason });
+  }
+  return { crashes, shutdowns };
+}
+
+// A crash anywhere in the window wins over a shutdown line: supervisors often log SIGTERM while
+// tearing down a process that already crashed.
+export function classifyRestartWindow(logEntries, fromMs, toMs) {
+  const { crashes, shutdowns } = logSignals(logEntries, fromMs, toMs);
+  if (crashes.length > 0) {
+    const latest = crashes.reduce((a, b) => (b.ts > a.ts ? b : a));
+    return { category: "unexpected", reason: latest.reason, signals: [...new Set(crashes.map((x) => `log:${x.reason}`))] };
+  }
+  if (shutdowns.length > 0) {
+    const latest = shutdowns.reduce((a, b) => (b.ts > a.ts ? b : a));
+    return { category: "planned", reason: latest.reason, signals: [...new Set(shutdowns.map((x) => `log:${x.reason}`))] };
+  }
+  return { category: "unknown", reason: "no_shutdown_signal", signals: [] };
+}
+
+function detectRestart(prev, sample) {
+  const { ts_ms: ts, pid, started_ms: startedMs, startup } = sample;
+  const signals = [];
+  if (prev && prev.ts_ms < ts) {
+    if (pid != null && prev.pid != null && pid !== prev.pid) signals.push("pid_change");
+    else if (startedMs != null && prev.started_ms != null && startedMs > prev.started_ms + 1000) signals.push("process_start_change");
+  }
+  if (startup && (!prev || startedMs == null || startedMs > prev.ts_ms || signals.length > 0)) signals.push("startup_event");
+  if (signals.length === 0) return null;
+
+  const atMs = startedMs != null && startedMs <= ts && (!prev || startedMs > prev.ts_ms) ? startedMs : ts;
+  // After down samples the crash lies between the last up sample and the first down one.
+  const lastUpMs = prev ? Number(prev.up_ts_ms ?? prev.ts_ms) : null;
+  const fromMs = prev && lastUpMs < atMs ? lastUpMs - CLASSIFY_LEAD_MS : atMs - FIRST_SAMPLE_LOOKBACK_MS;
+  return { atMs, fromMs, signals };
+}
+
+// Feeds one probe sample ({ ts_ms, pid, started_ms, startup }) into the persisted history and
+// records a classified restart when one happened since the previous sample.
+export function applyRestartSample(history, sample, logEntries, { retentionMs = RESTART_HISTORY_RETENTION_MS } = {}) {
+  const next = normalizeHistory(history);
+  const ts = Number(sample?.ts_ms);
+  if (!Number.isFinite(ts)) return next;
+
+  const pid = Number(sample.pid) > 0 ? Number(sample.pid) : null;
+  const startedMs = Number.isFinite(Number(sample.started_ms)) && sample.started_ms !== null ? Number(sample.started_ms) : null;
+  const prev = next.last_sample;
+  if (prev && prev.ts_ms >= ts) return next;
+
+  let restarts = next.restarts;
+  const detected = detectRestart(prev, { ts_ms: ts, pid, started_ms: startedMs, startup: sample.startup === true });
+  if (detected && !restarts.some((x) => Math.abs(x.at_ms - detected.atMs) < 60 * 1000)) {
+    const verdict = classifyRestartWindow(logEntries, detected.fromMs, Math.min(ts, detected.atMs + CLASSIFY_TRAIL_MS));
+    restarts = [
+      ...restarts,
+      {
+        at_ms: detected.atMs,
+        category: verdict.category,
+        reason: verdict.reason,
+        pid_before: prev?.pid ?? null,
+        pid_after: pid,
+        signals: [...detected.signals, ...verdict.signals],
+      },
+    ];
+  }
+
+  // A down sample (no pid, no start time) keeps the last known process, so a respawn with a new pid after
+  // a crash still compares against the process that went away.
+  const down = pid == null && startedMs == null;
+  const lastSample = down && prev
+    ? { ts_ms: ts, pid: prev.pid, started_ms: prev.started_ms, up_ts_ms: prev.up_ts_ms ?? prev.ts_ms }
+    : { ts_ms: ts, pid, started_ms: startedMs, up_ts_ms: ts };
+  const cutoff = ts - retentionMs;
+  return {
+    version: RESTART_HISTORY_VERSION,
+    last_sample: lastSample,
+    restarts: restarts.filter((x) => x.at_ms > cutoff).slice(-MAX_RESTART_RECORDS),
+  };
+}
+
+function logOnlyCrashRestarts(logEntries, detected, fromMs, toMs) {
+  const seen = new Set();
+  const out = [];
+  for (const entry of Array.isArray(logEntries) ? logEntries : []) {
+    const ts = Date.parse(String(entry?.time || ""));
+    if (!Number.isFinite(ts) || ts < fromMs || ts > toMs) continue;
+    const text = entryText(entry);
+    const crash = matchSignature(CRASH_SIGNATURES, text);
+    if (!crash) continue;
+    if (detected.some((x) => Math.abs(x.at_ms - ts) <= LOG_MATCH_SLACK_MS)) continue;
+
+    const key = `${Math.floor(ts / 60000)}:${text.toLowerCase().replace(/\d+/g, "#").slice(0, 80)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ at_ms: ts, category: "unexpected", reason: crash.reason, pid_before: null, pid_after: null, signals: [`log:${crash.reason}`] });
+  }
+  return out;
+}
+
+export function summarizeRestarts(history, logEntries, nowMs, { limit = 20 } = {}) {
+  const { restarts } = normalizeHistory(history);
+  const fromMs = nowMs - DAY_MS;
+  const detected = restarts.filter((x) => x.at_ms >= fromMs && x.at_ms <= nowMs);
+  const all = [...detected, ...logOnlyCrashRestarts(logEntries, detected, fromMs, nowMs)].sort((a, b) => b.at_ms - a.at_ms);
+
+  const count = (category) => all.filter((x) => x.category === category).length;
+  const lastUnexpected = all.find((x) => x.category === "unexpected");
+  const last = all[0] || null;
+
+  return {
+    restart_total_24h: all.length,
+    restart_planned_24h: count("planned"),
+    restart_unexpected_count_24h: count("unexpected"),
+    restart_unknown_24h: count("unknown"),
+    restart_unexpected_recent_time: lastUnexpected ? new Date(lastUnexpected.at_ms).toISOString() : null,
+    last_restart_at: last ? new Date(last.at_ms).toISOString() : null,
+    last_restart_reason: last ? last.reason : null,
+    last_restart_category: last ? last.category : null,
+    restart_events_24h: all.slice(0, limit).map((x) => ({
+      at: new Date(x.at_ms).toISOString(),
+      category: x.category,
+      reason: x.reason,
+      pid_before: x.pid_before,
+      pid_after: x.pid_after,
+      signals: x.signals,
+    })),
+  };
+}
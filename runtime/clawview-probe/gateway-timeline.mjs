@@ -0,0 +1,135 @@
+// Persisted gateway up/down timeline. Each probe run contributes one sample:
+//   { ts_ms, up, up_since_ms, startup }
+// `up` is gateway_rpc_ok, `up_since_ms` is when the current listener process started (pid elapsed),
+// `startup` marks a run triggered by the gateway:startup hook event.
+//
+// Between two samples the state is derived, not guessed from wall-clock uptime:
+//   - same process on both sides          -> up
+//   - process restarted in between        -> down from the last up sample to the new process start
+//   - rpc failing on either side          -> down (from the earlier sample)
+// Time before the first sample is unknown, except that a live process proves `up` since its start.
+// Availability is up / (up + down) over the known part of a window; `coverage_ratio` says how much
+// of the window is known.
+
+export const TIMELINE_VERSION = 1;
+export const TIMELINE_RETENTION_MS = 31 * 24 * 60 * 60 * 1000;
+
+export const AVAILABILITY_WINDOWS = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+export function emptyTimeline() {
+  return { version: TIMELINE_VERSION, last_sample: null, intervals: [] };
+}
+
+function normalizeTimeline(timeline) {
+  if (!timeline || typeof timeline !== "object" || timeline.version !== TIMELINE_VERSION) return emptyTimeline();
+  return {
+    version: TIMELINE_VERSION,
+    last_sample: timeline.last_sample && Number.isFinite(Number(timeline.last_sample.ts_ms)) ? timeline.last_sample : null,
+    intervals: Array.isArray(timeline.intervals)
+      ? timeline.intervals.filter((x) => x && Number(x.end_ms) > Number(x.start_ms) && (x.state === "up" || x.state === "down"))
+      : [],
+  };
+}
+
+// Appends [startMs, endMs) with `state`, trimming anything already recorded after `startMs`
+// (a newer, better-informed sample wins) and merging with an adjacent interval of the same state.
+function pushInterval(intervals, state, startMs, endMs, extra = {}) {
+  if (!(endMs > startMs)) return intervals;
+  const kept = [];
+  for (const interval of intervals) {
+    if (interval.end_ms <= startMs) {
+      kept.push(interval);
+    } else if (interval.start_ms < startMs) {
+      kept.push({ ...interval, end_ms: startMs });
+    }
+  }
+
+  const last = kept[kept.length - 1];
+  if (last && last.state === state && last.end_ms === startMs && Boolean(last.inferred) === Boolean(extra.inferred)) {
+    last.end_ms = endMs;
+    return kept;
+  }
+  kept.push({ state, start_ms: startMs, end_ms: endMs, ...extra });
+  return kept;
+}
+
+export function applyGatewaySample(timeline, sample, { retentionMs = TIMELINE_RETENTION_MS } = {}) {
+  const next = normalizeTimeline(timeline);
+  const ts = Number(sample?.ts_ms);
+  if (!Number.isFinite(ts)) return next;
+
+  const up = sample.up === true;
+  let upSince = Number(sample.up_since_ms);
+  if (!Number.isFinite(upSince) || upSince > ts) upSince = up && sample.startup ? ts : null;
+
+  const prev = next.last_sample;
+  if (prev && prev.ts_ms >= ts) return next;
+  let intervals = next.intervals;
+
+  if (!prev) {
+    if (up && upSince != null) intervals = pushInterval(intervals, "up", upSince, ts);
+  } else if (!prev.up) {
+    const downUntil = up && upSince != null && upSince > prev.ts_ms ? upSince : ts;
+    intervals = pushInterval(intervals, "down", prev.ts_ms, downUntil);
+    if (up && downUntil < ts) intervals = pushInterval(intervals, "up", downUntil, ts);
+  } else if (!up) {
+    intervals = pushInterval(intervals, "down", prev.ts_ms, ts);
+  } else if (upSince != null && upSince > prev.ts_ms) {
+    // Restarted between samples: the old process was last seen at prev.ts_ms.
+    intervals = pushInterval(intervals, "down", prev.ts_ms, upSince, { inferred: true, reason: sample.startup ? "startup" : "restart" });
+    intervals = pushInterval(intervals, "up", upSince, ts);
+  } else {
+    intervals = pushInterval(intervals, "up", prev.ts_ms, ts);
+  }
+
+  const cutoff = ts - retentionMs;
+  intervals = intervals
+    .filter((x) => x.end_ms > cutoff)
+    .map((x) => (x.start_ms < cutoff ? { ...x, start_ms: cutoff } : x));
+
+  return {
+    version: TIMELINE_VERSION,
+    last_sample: { ts_ms: ts, up, up_since_ms: upSince },
+    intervals,
+  };
+}
+
+export function computeAvailability(timeline, nowMs, windowMs) {
+  const { intervals } = normalizeTimeline(timeline);
+  const startMs = nowMs - windowMs;
+  let upMs = 0;
+  let downMs = 0;
+  for (const interval of intervals) {
+    const overlap = Math.min(nowMs, interval.end_ms) - Math.max(startMs, interval.start_ms);
+    if (overlap <= 0) continue;
+    if (interval.state === "up") upMs += overlap;
+    else downMs += overlap;
+  }
+  const knownMs = upMs + downMs;
+  return {
+    ratio: knownMs > 0 ? upMs / knownMs : null,
+    up_sec: Math.round(upMs / 1000),
+    down_sec: Math.round(downMs / 1000),
+    coverage_ratio: Math.min(1, knownMs / windowMs),
+  };
+}
+
+export function listDowntimeIntervals(timeline, nowMs, windowMs, limit = 20) {
+  const { intervals } = normalizeTimeline(timeline);
+  const startMs = nowMs - windowMs;
+  return intervals
+    .filter((x) => x.state === "down" && x.end_ms > startMs)
+    .slice(-limit)
+    .reverse()
+    .map((x) => ({
+      start: new Date(x.start_ms).toISOString(),
+      end: new Date(x.end_ms).toISOString(),
+      duration_sec: Math.round((x.end_ms - x.start_ms) / 1000),
+      inferred: Boolean(x.inferred),
+      reason: x.reason || (x.inferred ? "restart" : "rpc_unreachable"),
+    }));
+}
@@ -0,0 +1,102 @@
+// Mergeable latency sketch (log-bucketed, DDSketch-style) for API P50/P95/P99.
+// A value v > 0 goes to bucket ceil(log_gamma(v)) with gamma = (1 + a) / (1 - a), so every quantile is
+// within relative accuracy `a` (default 1%) of a real sample. Sketches are plain JSON:
+//   { version, relative_accuracy, count, zero_count, sum, min, max, bins: { "<index>": count } }
+// Two sketches with the same accuracy merge by adding bucket counts, so the probe can ship per-bin
+// sketches and the dashboard can combine any set of bins without the raw events.
+
+export const LATENCY_SKETCH_VERSION = 1;
+export const DEFAULT_RELATIVE_ACCURACY = 0.01;
+export const LATENCY_QUANTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+// Below this (ms) a sample counts as zero; keeps bucket indexes bounded.
+const MIN_INDEXABLE_MS = 1e-3;
+
+function gammaOf(relativeAccuracy) {
+  return (1 + relativeAccuracy) / (1 - relativeAccuracy);
+}
+
+export function emptyLatencySketch(relativeAccuracy = DEFAULT_RELATIVE_ACCURACY) {
+  return { version: LATENCY_SKETCH_VERSION, relative_accuracy: relativeAccuracy, count: 0, zero_count: 0, sum: 0, min: null, max: null, bins: {} };
+}
+
+export function isLatencySketch(value) {
+  return (
+    value != null &&
+    typeof value === "object" &&
+    value.version === LATENCY_SKETCH_VERSION &&
+    Number(value.relative_accuracy) > 0 &&
+    Number(value.relative_accuracy) < 1 &&
+    Number.isFinite(Number(value.count)) &&
+    value.bins != null &&
+    typeof value.bins === "object"
+  );
+}
+
+// Mutates and returns `sketch`; non-numeric or negative samples are ignored.
+export function addLatency(sketch, valueMs) {
+  const value = Number(valueMs);
+  if (valueMs == null || !Number.isFinite(value) || value < 0) return sketch;
+  sketch.count += 1;
+  sketch.sum += value;
+  sketch.min = sketch.min == null ? value : Math.min(sketch.min, value);
+  sketch.max = sketch.max == null ? value : Math.max(sketch.max, value);
+  if (value < MIN_INDEXABLE_MS) {
+    sketch.zero_count += 1;
+    return sketch;
+  }
+  const index = Math.ceil(Math.log(value) / Math.log(gammaOf(sketch.relative_accuracy)));
+  sketch.bins[index] = (sketch.bins[index] || 0) + 1;
+  return sketch;
+}
+
+// Returns a new sketch; skips anything that is not a sketch. Mixing accuracies would break the
+// error bound, so that throws.
+export function mergeLatencySketches(sketches, relativeAccuracy = DEFAULT_RELATIVE_ACCURACY) {
+  const valid = (Array.isArray(sketches) ? sketches : []).filter(isLatencySketch);
+  const merged = emptyLatencySketch(valid[0]?.relative_accuracy ?? relativeAccuracy);
+  for (const sketch of valid) {
+    if (Number(sketch.relative_accuracy) !== merged.relative_accuracy) {
+      throw new RangeError(`cannot merge latency sketches with relative accuracy ${sketch.relative_accuracy} and ${merged.relative_accuracy}`);
+    }
+    if (!(Number(sketch.count) > 0)) continue;
+    merged.count += Number(sketch.count);
+    merged.zero_count += Number(sketch.zero_count) || 0;
+    merged.sum += Number(sketch.sum) || 0;
+    if (sketch.min != null) merged.min = merged.min == null ? Number(sketch.min) : Math.min(merged.min, Number(sketch.min));
+    if (sketch.max != null) merged.max = merged.max == null ? Number(sketch.max) : Math.max(merged.max, Number(sketch.max));
+    for (const [index, count] of Object.entries(sketch.bins)) {
+      merged.bins[index] = (merged.bins[index] || 0) + Number(count);
+    }
+  }
+  return merged;
+}
+
+// Value at quantile q (0..1), or null for an empty sketch. Clamped to the observed min/max.
+export function latencyQuantile(sketch, q) {
+  if (!isLatencySketch(sketch) || !(sketch.count > 0)) return null;
+  const rank = Math.min(1, Math.max(0, q)) * (sketch.count - 1);
+  if (rank < sketch.zero_count) return sketch.min ?? 0;
+
+  const gamma = gammaOf(sketch.relative_accuracy);
+  let seen = sketch.zero_count;
+  const indexes = Object.keys(sketch.bins).map(Number).sort((a, b) => a - b);
+  for (const index of indexes) {
+    seen += sketch.bins[index];
+    if (seen > rank) {
+      const value = (2 * gamma ** index) / (gamma + 1);
+      return Math.min(sketch.max ?? value, Math.max(sketch.min ?? value, value));
+    }
+  }
+  return sketch.max;
+}
+
+// { p50_ms, p95_ms, p99_ms, samples } rounded to 0.1 ms; nulls when there are no samples.
+export function summarizeLatency(sketch) {
+  const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+  const samples = isLatencySketch(sketch) ? sketch.count : 0;
+  return {
+    samples,
+    ...Object.fromEntries(Object.entries(LATENCY_QUANTILES).map(([name, q]) => [`${name}_ms`, round(latencyQuantile(sketch, q))])),
+  };
+}
@@ -0,0 +1,135 @@
+import { spawn } from "node:child_process";
+
+// Async subprocess runner for the probe. Every command has a timeout; on timeout the child (and its
+// process group, so `openclaw` helpers go too) gets SIGTERM, then SIGKILL after a grace period.
+// In-flight children are tracked so a run that hits its global deadline can kill them all.
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_KILL_GRACE_MS = 2000;
+const DEFAULT_MAX_BUFFER = 12 * 1024 * 1024;
+const STDERR_TAIL_CHARS = 2000;
+const useProcessGroup = process.platform !== "win32";
+
+const activeChildren = new Set();
+
+export class CommandTimeoutError extends Error {
+  constructor(file, args, timeoutMs) {
+    super(`${file} ${args.join(" ")} timed out after ${timeoutMs}ms`);
+    this.name = "CommandTimeoutError";
+    this.code = "ETIMEDOUT";
+    this.killed = true;
+  }
+}
+
+export class CommandExitError extends Error {
+  constructor(file, args, exitCode, signal, stderr) {
+    super(`${file} ${args.join(" ")} exited with ${signal || `code ${exitCode}`}${stderr ? `: ${stderr.trim().slice(-200)}` : ""}`);
+    this.name = "CommandExitError";
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+}
+
+export class ProbeDeadlineError extends Error {
+  constructor(deadlineMs, killed) {
+    super(`probe run exceeded its ${deadlineMs}ms deadline`);
+    this.name = "ProbeDeadlineError";
+    this.code = "EDEADLINE";
+    this.deadlineMs = deadlineMs;
+    this.killed = killed;
+  }
+}
+
+function signalChild(child, signal) {
+  try {
+    if (useProcessGroup && child.pid) process.kill(-child.pid, signal);
+    else child.kill(signal);
+  } catch {
+    // already gone
+  }
+}
+
+function terminate(child, graceMs) {
+  signalChild(child, "SIGTERM");
+  const timer = setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) signalChild(child, "SIGKILL");
+  }, graceMs);
+  timer.unref();
+}
+
+export function activeCommandCount() {
+  return activeChildren.size;
+}
+
+// Kills every in-flight command; returns how many were signalled.
+export function killActiveCommands({ graceMs = DEFAULT_KILL_GRACE_MS } = {}) {
+  const children = [...activeChildren];
+  for (const child of children) terminate(child, graceMs);
+  return children.length;
+}
+
+// Resolves with stdout (utf8). Rejects with CommandTimeoutError, CommandExitError (non-zero exit),
+// a spawn error (e.g. ENOENT) or ERR_CHILD_PROCESS_STDIO_MAXBUFFER when stdout outgrows `maxBuffer`.
+export function runCommand(file, args = [], { timeoutMs = DEFAULT_TIMEOUT_MS, maxBuffer = DEFAULT_MAX_BUFFER, killGraceMs = DEFAULT_KILL_GRACE_MS, env } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(file, args, { stdio: ["ignore", "pipe", "pipe"], detached: useProcessGroup, env: env ?? process.env });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    activeChildren.add(child);
+
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = "";
+    let failure = null;
+    let settled = false;
+
+    const fail = (err) => {
+      if (failure) return;
+      failure = err;
+      terminate(child, killGraceMs);
+    };
+    const timer = setTimeout(() => fail(new CommandTimeoutError(file, args, timeoutMs)), timeoutMs);
+
+    child.stdout.on("data", (chunk) => {
+      stdoutBytes += chunk.length;
+      if (stdoutBytes > maxBuffer) {
+        fail(Object.assign(new RangeError(`${file} stdout exceeded ${maxBuffer} bytes`), { code: "ERR_CHILD_PROCESS_STDIO_MAXBUFFER" }));
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString("utf8")).slice(-STDERR_TAIL_CHARS);
+    });
+
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      activeChildren.delete(child);
+      if (err) reject(err);
+      else resolve(value);
+    };
+    child.on("error", (err) => finish(failure || err));
+    child.on("close", (exitCode, signal) => {
+      if (failure) finish(failure);
+      else if (exitCode !== 0) finish(new CommandExitError(file, args, exitCode, signal, stderr));
+      else finish(null, Buffer.concat(stdout).toString("utf8"));
+    });
+  });
+}
+
+// Races `promise` against a run deadline; on expiry every in-flight command is killed and the
+// returned promise rejects with ProbeDeadlineError (the abandoned work is not awaited).
+export function withDeadline(promise, deadlineMs, { graceMs = DEFAULT_KILL_GRACE_MS } = {}) {
+  let timer = null;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ProbeDeadlineError(deadlineMs, killActiveCommands({ graceMs }))), deadlineMs);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,232 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+
+// Local OpenMetrics exporter for the latest probe snapshot (`probe.mjs --serve-metrics`).
+// Snapshot values are already windowed (24h / today / 5m), so everything is exported as a gauge.
+// Null snapshot fields are Gap and produce no sample rather than a misleading 0.
+
+const SNAPSHOT_FILE_PATTERN = /^snapshots-\d{4}-\d{2}-\d{2}\.jsonl$/;
+const SERVICE_STATUSES = ["running", "degraded", "down"];
+
+export const OPENMETRICS_CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+export const PROMETHEUS_TEXT_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export function readLatestSnapshot(dir) {
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(dir)
+      .filter((name) => SNAPSHOT_FILE_PATTERN.test(name))
+      .sort()
+      .reverse();
+  } catch {
+    return null;
+  }
+
+  for (const name of files) {
+    let lines = [];
+    try {
+      lines = fs.readFileSync(path.join(dir, name), "utf8").split(/\r?\n/).filter(Boolean);
+    } catch {
+      continue;
+    }
+    for (let i = lines.length - 1; i >= 0; i -= 1) {
+      try {
+        const row = JSON.parse(lines[i]);
+        if (row && typeof row === "object" && row.ts) return row;
+      } catch {
+        // partial or corrupt line; keep looking further up
+      }
+    }
+  }
+  return null;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === true) return "1";
+  if (value === false) return "0";
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function toNumber(value) {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function createFamilies() {
+  const families = new Map();
+  return {
+    add(name, help, labels, value) {
+      const n = toNumber(value);
+      if (n === null) return;
+      const family = families.get(name) ?? { help, samples: [] };
+      family.samples.push({ labels: labels || {}, value: n });
+      families.set(name, family);
+    },
+    render() {
+      const lines = [];
+      for (const [name, family] of families) {
+        lines.push(`# HELP ${name} ${family.help}`);
+        lines.push(`# TYPE ${name} gauge`);
+        for (const sample of family.samples) {
+          const labelText = Object.entries(sample.labels)
+            .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+            .join(",");
+          lines.push(`${name}${labelText ? `{${labelText}}` : ""} ${formatValue(sample.value)}`);
+        }
+      }
+      lines.push("# EOF");
+      return `${lines.join("\n")}\n`;
+    },
+  };
+}
+
+function stripProvider(group, provider) {
+  const text = String(group || "unknown");
+  const prefix = `${provider}/`;
+  return provider && text.startsWith(prefix) ? text.slice(prefix.length) : text;
+}
+
+export function renderOpenMetrics(snapshot, { nowMs = Date.now() } = {}) {
+  const m = createFamilies();
+  m.add("clawview_snapshot_available", "1 when a probe snapshot was found on disk.", {}, Boolean(snapshot));
+  if (!snapshot) return m.render();
+
+  const tsMs = Date.parse(String(snapshot.ts || ""));
+  if (Number.isFinite(tsMs)) {
+    m.add("clawview_snapshot_timestamp_seconds", "Unix time of the exported snapshot.", {}, tsMs / 1000);
+    m.add("clawview_snapshot_age_seconds", "Seconds since the exported snapshot was taken.", {}, Math.max(0, (nowMs - tsMs) / 1000));
+  }
+  m.add("clawview_probe_info", "Probe metadata.", { probe_version: snapshot.probe_version || "unknown", timezone: snapshot.timezone || "unknown" }, 1);
+
+  // Service
+  const status = String(snapshot.service_status_now || "");
+  if (SERVICE_STATUSES.includes(status)) {
+    for (const candidate of SERVICE_STATUSES) {
+      m.add("clawview_service_status", "Current service status (1 for the active state).", { status: candidate }, candidate === status);
+    }
+  }
+  const availability = snapshot.service_availability && typeof snapshot.service_availability === "object" ? snapshot.service_availability : {};
+  for (const window of ["24h", "7d", "30d"]) {
+    const ratio = availability[window]?.ratio ?? snapshot[`service_uptime_ratio_${window}`];
+    m.add("clawview_service_availability_ratio", "Gateway up / (up + down) over the known part of the window.", { window }, ratio);
+    m.add(
+      "clawview_service_availability_coverage_ratio",
+      "Share of the window covered by the gateway up/down timeline.",
+      { window },
+      availability[window]?.coverage_ratio,
+    );
+  }
+  m.add("clawview_service_uptime_seconds", "Seconds since the gateway listener process started.", {}, snapshot.service_uptime_sec);
+  m.add("clawview_openclaw_system_anomaly", "1 when OpenClaw itself looks unhealthy.", {}, snapshot.openclaw_system_anomaly);
+  m.add("clawview_pipeline_anomaly", "1 when the ClawView collection pipeline is degraded.", {}, snapshot.clawview_pipeline_anomaly);
+  const collectors = snapshot.collector_status && typeof snapshot.collector_status === "object" ? snapshot.collector_status : {};
+  for (const [collector, entry] of Object.entries(collectors)) {
+    m.add("clawview_collector_up", "1 when the probe collector finished without error or timeout.", { collector }, entry?.status === "ok");
+    m.add(
+      "clawview_collector_duration_seconds",
+      "Wall time of the probe collector in the last snapshot.",
+      { collector },
+      Number.isFinite(entry?.duration_ms) ? entry.duration_ms / 1000 : null,
+    );
+  }
+
+  // Cron
+  m.add("clawview_cron_jobs", "Configured cron jobs.", { state: "total" }, snapshot.cron_jobs_total);
+  m.add("clawview_cron_jobs", "Configured cron jobs.", { state: "enabled" }, snapshot.cron_jobs_enabled);
+  m.add("clawview_cron_runs_24h", "Cron runs across all jobs in the last 24h.", {}, snapshot.cron_runs_24h_total);
+  m.add(
+    "clawview_cron_runs_today",
+    "Cron runs across all jobs since local midnight.",
+    { timezone: snapshot.timezone || "unknown" },
+    snapshot.cron_runs_today_total ?? snapshot.cron_runs_today_tokyo_total,
+  );
+  for (const job of Array.isArray(snapshot.cron_top_jobs_24h) ? snapshot.cron_top_jobs_24h : []) {
+    m.add("clawview_cron_job_runs_24h", "Runs in the last 24h for the busiest jobs.", { job_id: job.job_id, job: job.job_name || job.job_id || "unknown" }, job.runs_24h);
+  }
+  for (const job of Array.isArray(snapshot.cron_storm_top5_5m) ? snapshot.cron_storm_top5_5m : []) {
+    m.add("clawview_cron_job_runs_5m", "Runs in the last 5m for the busiest jobs.", { job_id: job.job_id, job: job.job_name || job.job_id || "unknown" }, job.runs_5m);
+  }
+
+  // API
+  m.add("clawview_api_calls_24h", "Provider API calls in the last 24h.", {}, snapshot.api_call_total_24h);
+  m.add(
+    "clawview_api_calls_today",
+    "Provider API calls since local midnight.",
+    { timezone: snapshot.timezone || "unknown" },
+    snapshot.api_call_total_today ?? snapshot.api_call_total_today_tokyo,
+  );
+  m.add("clawview_api_error_ratio_24h", "Failed / total provider API calls in the last 24h.", {}, snapshot.api_error_rate_24h);
+  m.add("clawview_api_429_ratio_24h", "HTTP 429 / total provider API calls in the last 24h.", {}, snapshot.api_429_ratio_24h);
+  m.add("clawview_api_unknown_ratio_24h", "Calls with unknown provider or endpoint group in the last 24h.", {}, snapshot.api_unknown_rate_24h);
+  for (const [quantile, value] of [
+    ["0.5", snapshot.api_latency_p50_ms_24h],
+    ["0.95", snapshot.api_latency_p95_ms_24h],
+    ["0.99", snapshot.api_latency_p99_ms_24h],
+  ]) {
+    m.add("clawview_api_latency_ms_24h", "Provider API call latency percentiles over the last 24h (ms).", { quantile }, value);
+  }
+  for (const group of Array.isArray(snapshot.endpoint_group_top5_calls_24h) ? snapshot.endpoint_group_top5_calls_24h : []) {
+    const labels = { provider: group.provider || "unknown", endpoint_group: stripProvider(group.endpoint_group, group.provider) };
+    m.add("clawview_api_group_calls_24h", "Calls in the last 24h for the top endpoint groups.", labels, group.calls_24h);
+    m.add("clawview_api_group_failures_24h", "Failed calls in the last 24h for the top endpoint groups.", labels, group.failures_24h);
+    m.add("clawview_api_group_rate_limits_24h", "HTTP 429 calls in the last 24h for the top endpoint groups.", labels, group.rate_limits_24h);
+    m.add("clawview_api_group_latency_p95_ms_24h", "P95 latency in the last 24h for the top endpoint groups (ms).", labels, group.latency_p95_ms);
+  }
+
+  // Errors / restarts
+  m.add("clawview_errors_active", "Error fingerprints seen within the last hour.", {}, snapshot.errors_active_count);
+  m.add("clawview_errors_critical_active", "Critical system error fingerprints seen within the last hour.", {}, snapshot.errors_critical_active_count);
+  for (const [category, value] of [
+    ["planned", snapshot.restart_planned_24h],
+    ["unexpected", snapshot.restart_unexpected_count_24h],
+    ["unknown", snapshot.restart_unknown_24h],
+  ]) {
+    m.add("clawview_restarts_24h", "Gateway restarts in the last 24h by classification.", { category }, value);
+  }
+
+  // Data quality
+  m.add("clawview_data_freshness_delay_minutes", "Minutes between now and the newest gateway log line at probe time.", {}, snapshot.data_freshness_delay_min);
+  m.add("clawview_p0_core_coverage_ratio", "Share of P0 core fields the probe could populate.", {}, snapshot.p0_core_coverage_ratio);
+
+  return m.render();
+}
+
+// Serves `/metrics` from whatever snapshot is newest on disk at scrape time; the hook or probe loop
+// keeps writing snapshots, the exporter never collects on its own.
+export function startMetricsServer({ dir, port = 9464, host = "127.0.0.1", log = console.log } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || "/", "http://local");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+    if (url.pathname !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain; charset=utf-8" });
+      res.end("not found; scrape /metrics\n");
+      return;
+    }
+
+    const body = renderOpenMetrics(readLatestSnapshot(dir));
+    const wantsOpenMetrics = String(req.headers.accept || "").includes("application/openmetrics-text");
+    res.writeHead(200, { "content-type": wantsOpenMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_TEXT_CONTENT_TYPE });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+
+  server.listen(port, host, () => {
+    const address = server.address();
+    log(`[clawview-probe] metrics exporter listening on http://${host}:${address?.port ?? port}/metrics (dir=${dir})`);
+  });
+  return server;
+}
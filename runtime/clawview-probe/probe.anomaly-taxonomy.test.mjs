@@ -32,6 +32,16 @@ test('computeAnomalyFlags splits OpenClaw system and ClawView pipeline anomalies
   });
   assert.equal(pipelineOnly.openclaw_system_anomaly, false);
   assert.equal(pipelineOnly.clawview_pipeline_anomaly, true);
+
+  const collectorFailed = __test.computeAnomalyFlags({
+    serviceStatusNow: 'running',
+    restartUnexpectedCount24h: 0,
+    criticalSystemErrorActiveCount: 0,
+    skillCallsCollectionMode: 'fact-event-structured',
+    failedCollectors: ['cron'],
+  });
+  assert.equal(collectorFailed.openclaw_system_anomaly, false);
+  assert.equal(collectorFailed.clawview_pipeline_anomaly, true);
 });
 
 test('computeServiceStatusNow ignores generic warn/error noise but degrades on restart/critical', () => {
@@ -2,6 +2,7 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import { __test } from "./probe.mjs";
+import { zonedDayRangeMs } from "./timezone.mjs";
 
 test("normalizeApiFactEvent maps legacy other/others to unknown", () => {
   const normalized = __test.normalizeApiFactEvent({
@@ -96,3 +97,28 @@ test("computeApiMetricsFromFactEvents stays GAP when fact stream is not connecte
   assert.equal(metrics.api_unknown_rate_24h, null);
   assert.equal(metrics.endpoint_group_top5_calls_24h, null);
 });
+
+test("computeApiDailyRollups totals each group per business day for today and yesterday only", () => {
+  const nowMs = Date.parse("2026-02-28T12:00:00.000Z");
+  const event = (ts, overrides = {}) => ({ ts_ms: Date.parse(ts), provider: "lark", endpoint_group: "message_send", is_failure: false, is_429: false, ...overrides });
+  const events = [
+    event("2026-02-26T14:00:00.000Z"),
+    event("2026-02-27T02:00:00.000Z", { is_failure: true, is_429: true }),
+    event("2026-02-27T16:00:00.000Z"),
+    event("2026-02-28T11:00:00.000Z", { is_failure: true }),
+    event("2026-02-28T11:30:00.000Z", { provider: "openai", endpoint_group: "chat" }),
+  ];
+
+  const rollups = __test.computeApiDailyRollups(events, nowMs, zonedDayRangeMs(nowMs, "Asia/Tokyo"));
+
+  assert.deepEqual(
+    rollups.map((x) => [x.date, x.provider, x.endpoint_group, x.calls, x.successes, x.failures, x.rate_limits, x.last_error_at]),
+    [
+      ["2026-02-27", "lark", "message_send", 1, 0, 1, 1, "2026-02-27T02:00:00.000Z"],
+      ["2026-02-28", "lark", "message_send", 2, 1, 1, 0, "2026-02-28T11:00:00.000Z"],
+      ["2026-02-28", "openai", "chat", 1, 1, 0, 0, null],
+    ],
+  );
+  assert.equal(rollups[0].start_at, "2026-02-26T15:00:00.000Z");
+  assert.equal(__test.computeApiMetricsFromFactEvents([], nowMs, false).api_daily_rollups, null);
+});
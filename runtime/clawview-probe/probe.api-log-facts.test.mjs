@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractApiFactsFromLogs } from './api-log-facts.mjs';
+import { resolveEndpointGroupRules } from './endpoint-groups.mjs';
+import { __test } from './probe.mjs';
+
+const { rules } = resolveEndpointGroupRules(null);
+
+const record = (time, fields) => ({ type: 'log', time, subsystem: 'provider/http', message: 'request done', ...fields });
+
+test('provider calls in log records become whitelisted facts the probe accepts', () => {
+  const records = [
+    record('2026-02-28T10:00:00.000Z', { method: 'POST', url: 'https://api.openai.com/v1/chat/completions?api-version=2', status: 200, durationMs: 812.4, requestId: 'req_abc123' }),
+    record('2026-02-28T10:01:00.000Z', { 0: JSON.stringify({ request: { method: 'post', url: 'https://api.telegram.org/bot123456:SECRETSECRET/sendMessage' }, response: { status: 429 } }) }),
+    record('2026-02-28T10:02:00.000Z', { method: 'GET', host: 'internal.example.net', path: '/v2/things/42', error: 'ECONNRESET' }),
+    record('2026-02-28T10:03:00.000Z', { message: 'gateway ready' }),
+    record('2026-02-28T10:04:00.000Z', { method: 'GET', url: 'https://api.openai.com/v1/models' }),
+  ];
+
+  const result = extractApiFactsFromLogs(records, null, { rules });
+  assert.equal(result.facts.length, 3);
+  assert.equal(result.matched, 2);
+  assert.equal(result.unmapped, 1);
+  assert.deepEqual(result.unmapped_hosts, { 'internal.example.net': 1 });
+
+  const [chat, telegram, unknown] = result.facts;
+  assert.deepEqual(
+    { provider: chat.provider, endpoint_group: chat.endpoint_group, path_template: chat.path_template, status_code: chat.status_code, latency_ms: chat.latency_ms, is_failure: chat.is_failure },
+    { provider: 'openai', endpoint_group: 'chat', path_template: '/v1/chat/completions', status_code: 200, latency_ms: 812.4, is_failure: false },
+  );
+  // the bot token in the raw path is never carried over
+  assert.equal(telegram.path_template, '/:bot/sendmessage');
+  assert.ok(!JSON.stringify(result.facts).includes('SECRET'));
+  assert.deepEqual([telegram.is_429, telegram.is_failure], [true, true]);
+  assert.deepEqual([unknown.provider, unknown.endpoint_group, unknown.status_code, unknown.is_failure], ['unknown', 'unknown', null, true]);
+
+  for (const fact of result.facts) {
+    const normalized = __test.normalizeApiFactEvent(fact);
+    assert.equal(normalized.reason, 'ok', JSON.stringify(fact));
+  }
+  assert.equal(__test.normalizeApiFactEvent(chat).event.latency_ms, 812);
+});
+
+test('the cursor skips records already extracted, also across overlapping log windows', () => {
+  const first = [
+    record('2026-02-28T10:00:00.000Z', { method: 'POST', url: 'https://api.anthropic.com/v1/messages', status: 200 }),
+    record('2026-02-28T10:05:00.000Z', { method: 'POST', url: 'https://api.anthropic.com/v1/messages', status: 529 }),
+  ];
+  const run1 = extractApiFactsFromLogs(first, null, { rules });
+  assert.equal(run1.facts.length, 2);
+  assert.equal(run1.cursor.last_ts_ms, Date.parse('2026-02-28T10:05:00.000Z'));
+
+  const second = [
+    ...first,
+    record('2026-02-28T10:04:30.000Z', { method: 'POST', url: 'https://api.anthropic.com/v1/messages', status: 200 }),
+    record('2026-02-28T10:06:00.000Z', { method: 'POST', url: 'https://api.anthropic.com/v1/messages', status: 200 }),
+  ];
+  const run2 = extractApiFactsFromLogs(second, JSON.parse(JSON.stringify(run1.cursor)), { rules });
+  assert.deepEqual(run2.facts.map((f) => f.ts), ['2026-02-28T10:04:30.000Z', '2026-02-28T10:06:00.000Z']);
+  assert.equal(run2.duplicates, 2);
+  // keys far behind the new cursor are dropped; the time cursor still covers them
+  assert.ok(!Object.values(run2.cursor.recent_keys).includes(Date.parse('2026-02-28T10:00:00.000Z')));
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { __test } from './probe.mjs';
+
+test('runCollector records ok status and returns the collector value', async () => {
+  const statuses = {};
+  const value = await __test.runCollector(statuses, 'cron', async () => ({ cron_runs_24h_total: 3 }));
+  assert.deepEqual(value, { cron_runs_24h_total: 3 });
+  assert.equal(statuses.cron.status, 'ok');
+  assert.equal(statuses.cron.error_class, null);
+  assert.equal(typeof statuses.cron.duration_ms, 'number');
+});
+
+test('a throwing collector yields its Gap fallback instead of aborting', async () => {
+  const statuses = {};
+  const missingCli = Object.assign(new Error('spawn openclaw ENOENT'), { code: 'ENOENT' });
+  const value = await __test.runCollector(
+    statuses,
+    'errors',
+    () => {
+      throw missingCli;
+    },
+    { fallback: (err) => ({ errors_active_count: null, cause: err.code }) },
+  );
+  assert.deepEqual(value, { errors_active_count: null, cause: 'ENOENT' });
+  assert.deepEqual({ ...statuses.errors, duration_ms: 0 }, { status: 'failed', duration_ms: 0, error_class: 'ENOENT' });
+
+  await __test.runCollector(statuses, 'skills', () => JSON.parse('{'));
+  assert.equal(statuses.skills.status, 'failed');
+  assert.equal(statuses.skills.error_class, 'SyntaxError');
+});
+
+test('a collector that outlives its timeout is reported as timeout', async () => {
+  const statuses = {};
+  let release;
+  const hung = new Promise((resolve) => {
+    release = resolve;
+  });
+  const value = await __test.runCollector(statuses, 'logs', () => hung, { timeoutMs: 20, fallback: 'gap' });
+  release();
+  assert.equal(value, 'gap');
+  assert.equal(statuses.logs.status, 'timeout');
+  assert.equal(statuses.logs.error_class, 'CollectorTimeoutError');
+
+  const killed = Object.assign(new Error('Command failed'), { killed: true, signal: 'SIGTERM' });
+  await __test.runCollector(statuses, 'gateway', () => Promise.reject(killed));
+  assert.equal(statuses.gateway.status, 'timeout');
+});
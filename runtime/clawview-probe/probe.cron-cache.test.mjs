@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cachedCronEntries, emptyCronCache, planCronRefresh, updateCronCache } from './cron-cache.mjs';
+import { __test } from './probe.mjs';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const T0 = Date.parse('2026-02-28T12:00:00.000Z');
+
+const job = (id, lastRunAtMs) => ({ id, name: id, enabled: true, state: { lastRunAtMs } });
+const run = (runAtMs, status = 'ok') => ({ runAtMs, status });
+const ids = (jobs) => jobs.map((x) => x.id);
+
+test('only jobs whose lastRunAtMs moved are refreshed', () => {
+  const jobs = [job('a', T0 - 10 * MIN), job('b', T0 - 20 * MIN)];
+  const first = planCronRefresh(emptyCronCache(), jobs, T0);
+  assert.deepEqual(ids(first.refresh), ['a', 'b']);
+
+  const cache = updateCronCache(emptyCronCache(), jobs, { a: [run(T0 - 10 * MIN)], b: [run(T0 - 20 * MIN)] }, T0);
+  const nowMs = T0 + 5 * MIN;
+  const unchanged = planCronRefresh(cache, jobs, nowMs);
+  assert.deepEqual(ids(unchanged.refresh), []);
+  assert.deepEqual(ids(unchanged.cached), ['a', 'b']);
+
+  const moved = planCronRefresh(cache, [job('a', T0 + 2 * MIN), job('b', T0 - 20 * MIN), job('c', null)], nowMs);
+  assert.deepEqual(ids(moved.refresh), ['a', 'c']);
+  assert.deepEqual(ids(moved.cached), ['b']);
+});
+
+test('stale, running or unknown-lastRun entries are refreshed', () => {
+  const jobs = [job('a', T0 - MIN), job('b', T0 - MIN)];
+  const cache = updateCronCache(emptyCronCache(), jobs, { a: [run(T0 - MIN)], b: [run(T0 - MIN, 'running')] }, T0);
+  assert.deepEqual(ids(planCronRefresh(cache, jobs, T0 + MIN).refresh), ['b']);
+  assert.deepEqual(ids(planCronRefresh(cache, jobs, T0 + 7 * HOUR).refresh), ['a', 'b']);
+  assert.deepEqual(ids(planCronRefresh(cache, [{ id: 'a' }], T0 + MIN).refresh), ['a']);
+});
+
+test('disabled jobs are never planned, also when their cache entry is stale', () => {
+  const jobs = [job('a', T0 - MIN), { ...job('off', T0 - MIN), enabled: false }];
+  assert.deepEqual(ids(planCronRefresh(emptyCronCache(), jobs, T0).refresh), ['a']);
+
+  const cache = updateCronCache(emptyCronCache(), jobs, { a: [run(T0 - MIN)], off: [run(T0 - 2 * MIN)] }, T0);
+  const later = planCronRefresh(cache, jobs, T0 + 7 * HOUR);
+  assert.deepEqual(ids(later.refresh), ['a']);
+  assert.deepEqual(ids(later.cached), []);
+  assert.equal(cachedCronEntries(updateCronCache(cache, jobs, { a: [] }, T0 + 7 * HOUR), 'off').length, 1);
+});
+
+test('refreshes merge with cached runs and prune outside the retention window', () => {
+  const jobs = [job('a', T0)];
+  let cache = updateCronCache(emptyCronCache(), jobs, { a: [run(T0 - 30 * HOUR), run(T0 - 2 * HOUR), run(T0 - HOUR, 'running')] }, T0);
+  assert.equal(cachedCronEntries(cache, 'a').length, 2);
+
+  // a small --limit refresh only returns the newest runs; older in-window runs stay, running -> ok replaces
+  cache = updateCronCache(cache, [job('a', T0 + HOUR)], { a: [run(T0 - HOUR, 'ok'), run(T0 + HOUR)] }, T0 + HOUR);
+  assert.deepEqual(cachedCronEntries(cache, 'a'), [run(T0 - 2 * HOUR), run(T0 - HOUR, 'ok'), run(T0 + HOUR)]);
+
+  // the latest run survives retention so last_run_at stays known for idle jobs
+  cache = updateCronCache(cache, [job('a', T0 + HOUR)], { a: [] }, T0 + 48 * HOUR);
+  assert.deepEqual(cachedCronEntries(cache, 'a'), [run(T0 + HOUR)]);
+});
+
+test('jobs not fetched keep their cache entry and removed jobs are dropped', () => {
+  const cache = updateCronCache(emptyCronCache(), [job('a', T0), job('b', T0)], { a: [run(T0)], b: [run(T0)] }, T0);
+  const next = updateCronCache(cache, [job('a', T0)], {}, T0 + MIN);
+  assert.deepEqual(Object.keys(next.jobs), ['a']);
+  assert.equal(next.jobs.a.fetched_at_ms, T0);
+  assert.deepEqual(planCronRefresh({ version: 0, jobs: cache.jobs }, [job('a', T0)], T0).refresh.length, 1);
+});
+
+test('mapWithConcurrency keeps order and never exceeds the limit', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await __test.mapWithConcurrency([5, 1, 4, 2, 3, 0], 2, async (ms, i) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    inFlight -= 1;
+    return i * 10;
+  });
+  assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await __test.mapWithConcurrency([], 4, async () => 1), []);
+});
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { __test } from "./probe.mjs";
+
+const nowMs = Date.parse("2026-02-28T12:00:00.000Z");
+const todayRange = { startMs: Date.parse("2026-02-27T15:00:00.000Z"), endMs: Date.parse("2026-02-28T15:00:00.000Z") };
+
+test("computeCronJobDetail derives counts, last outcome and durations from run entries", () => {
+  const entries = [
+    { runAtMs: nowMs - 2 * 60 * 1000, status: "ok", durationMs: 1200 },
+    { runAtMs: nowMs - 60 * 60 * 1000, status: "error", error: "boom", durationMs: 3000 },
+    { runAtMs: nowMs - 20 * 60 * 60 * 1000, finishedAtMs: nowMs - 20 * 60 * 60 * 1000 + 600, status: "success" },
+    { runAtMs: nowMs - 30 * 60 * 60 * 1000, status: "ok", durationMs: 99999 },
+    { runAtMs: nowMs + 60 * 1000, status: "ok" },
+  ];
+  const detail = __test.computeCronJobDetail(
+    { id: "job-1", name: "digest", enabled: true, schedule: { kind: "cron", expr: "*/5 * * * *" }, prompt: "secret prompt" },
+    entries,
+    nowMs,
+    todayRange,
+  );
+
+  assert.deepEqual(detail, {
+    job_id: "job-1",
+    job_name: "digest",
+    enabled: true,
+    schedule: "*/5 * * * *",
+    runs_24h: 3,
+    runs_today: 3,
+    runs_5m: 1,
+    failures_24h: 1,
+    last_run_at: new Date(nowMs - 2 * 60 * 1000).toISOString(),
+    last_status: "ok",
+    last_duration_ms: 1200,
+    avg_duration_ms_24h: 1600,
+    max_duration_ms_24h: 3000,
+    threshold_level: "green",
+    threshold_rule: "cron_runs_24h",
+    threshold_value: null,
+  });
+});
+
+test("computeCronJobDetail applies the PRD 100/300 runs-per-24h levels unless overridden", () => {
+  const runs = (n) => Array.from({ length: n }, (_, i) => ({ runAtMs: nowMs - (i + 1) * 60 * 1000 }));
+  assert.equal(__test.computeCronJobDetail({ id: "a" }, runs(99), nowMs, todayRange).threshold_level, "green");
+  assert.equal(__test.computeCronJobDetail({ id: "a" }, runs(100), nowMs, todayRange).threshold_level, "yellow");
+  const red = __test.computeCronJobDetail({ id: "a" }, runs(300), nowMs, todayRange);
+  assert.equal(red.threshold_level, "red");
+  assert.equal(red.threshold_value, 300);
+
+  const overridden = __test.computeCronJobDetail({ id: "a" }, runs(60), nowMs, todayRange, { cron_runs_24h: { yellow: 50, red: 80 } });
+  assert.equal(overridden.threshold_level, "yellow");
+  assert.equal(overridden.threshold_value, 50);
+
+  const idle = __test.computeCronJobDetail({ id: "b", enabled: false }, [], nowMs, todayRange);
+  assert.equal(idle.enabled, false);
+  assert.equal(idle.last_run_at, null);
+  assert.equal(idle.last_status, null);
+  assert.equal(idle.avg_duration_ms_24h, null);
+});
+
+test("a job with more than 300 runs in 24h is fetched past the red threshold and turns red", async () => {
+  // 360 runs in the last 24h, newest first, as `openclaw cron runs` returns them
+  const all = Array.from({ length: 360 }, (_, i) => ({ runAtMs: nowMs - (i + 1) * 4 * 60 * 1000, status: "ok" }));
+  const calls = [];
+  const run = async (args) => {
+    calls.push(args);
+    return { entries: all.slice(0, Number(args[args.indexOf("--limit") + 1])) };
+  };
+
+  const entries = await __test.fetchCronRuns("storm", undefined, run);
+  assert.deepEqual(calls, [["cron", "runs", "--id", "storm", "--limit", "600"]]);
+  const detail = __test.computeCronJobDetail({ id: "storm" }, entries, nowMs, todayRange);
+  assert.equal(detail.runs_24h, 360);
+  assert.equal(detail.threshold_level, "red");
+
+  await __test.fetchCronRuns("storm", { cron_runs_24h: { yellow: 500, red: 1000 } }, run);
+  assert.equal(calls[1].at(-1), "2000");
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { matchEndpointGroupRule, parseEndpointGroupRules, reportUnmappedHosts, resolveEndpointGroup, resolveEndpointGroupRules } from './endpoint-groups.mjs';
+import { __test } from './probe.mjs';
+
+// Sample calls with the labels the built-in rules should give them; add a row when a provider is added.
+const CALLS = JSON.parse(fs.readFileSync(new URL('./fixtures/api-calls.json', import.meta.url), 'utf8'));
+const { rules, errors } = resolveEndpointGroupRules(null);
+
+test('built-in rules map the common providers; the unmapped-hosts report lists the rest', (t) => {
+  assert.deepEqual(errors, []);
+  for (const call of CALLS) {
+    const { provider, endpoint_group } = resolveEndpointGroup(rules, call);
+    assert.deepEqual([provider, endpoint_group], call.expect, `${call.method} ${call.host}${call.path_template}`);
+  }
+
+  const report = reportUnmappedHosts(CALLS, rules);
+  for (const entry of report) t.diagnostic(`unmapped host ${entry.host}: ${entry.calls} call(s), e.g. ${entry.path_templates.join(', ')}`);
+  assert.deepEqual(report, [
+    { host: 'llm.internal.example', calls: 2, methods: ['POST'], path_templates: ['/v1/chat/completions', '/v1/embeddings'] },
+    { host: 'localhost', calls: 1, methods: ['POST'], path_templates: ['/api/chat'] },
+  ]);
+});
+
+test('explicit labels win; missing, other and unknown labels are derived', () => {
+  const call = { host: 'api.anthropic.com', method: 'POST', path_template: '/v1/messages' };
+  assert.deepEqual(resolveEndpointGroup(rules, { ...call, provider: 'claude', endpoint_group: 'chat' }), { provider: 'claude', endpoint_group: 'chat', rule: null });
+  assert.equal(resolveEndpointGroup(rules, { ...call, provider: 'other', endpoint_group: '' }).provider, 'anthropic');
+  assert.equal(resolveEndpointGroup(rules, { ...call, provider: 'anthropic', endpoint_group: 'unknown' }).endpoint_group, 'messages');
+});
+
+test('override rules (glob and regex) come first; bad rules are reported and skipped', () => {
+  const parsed = parseEndpointGroupRules(
+    JSON.stringify([
+      { host: 'llm.internal.example', path: '/v1/chat/*', provider: 'vllm', endpoint_group: 'chat' },
+      { host_regex: '^api\\.openai\\.com$', path_regex: '^/v1/chat/', provider: 'openai', endpoint_group: 'chat_custom' },
+      { host: 'x', host_regex: 'x', provider: 'p', endpoint_group: 'g' },
+      { host: 'y', path_regex: '(', provider: 'p', endpoint_group: 'g' },
+      { host: 'z', provider: 'p' },
+    ]),
+  );
+  assert.equal(parsed.errors.length, 3);
+  assert.match(parsed.errors[0], /^rule 2: exactly one of "host" \/ "host_regex"/);
+  assert.match(parsed.errors[1], /^rule 3: invalid regex/);
+  assert.match(parsed.errors[2], /^rule 4: "endpoint_group"/);
+
+  assert.equal(matchEndpointGroupRule(parsed.rules, { host: 'llm.internal.example', method: 'POST', path: '/v1/chat/completions' }).provider, 'vllm');
+  assert.equal(matchEndpointGroupRule(parsed.rules, { host: 'api.openai.com', method: 'POST', path: '/v1/chat/completions' }).endpoint_group, 'chat_custom');
+  assert.deepEqual(reportUnmappedHosts(CALLS, parsed.rules).map((x) => x.host), ['llm.internal.example', 'localhost']);
+
+  assert.match(parseEndpointGroupRules('{nope').errors[0], /not valid JSON/);
+  assert.deepEqual(parseEndpointGroupRules('{}').errors, ['endpoint group rules must be a JSON array of rules']);
+});
+
+test('normalizeApiFactEvent derives the labels a fact leaves out', () => {
+  for (const call of CALLS) {
+    const { event } = __test.normalizeApiFactEvent({ ts: '2026-02-28T11:00:00.000Z', host: call.host, method: call.method, path_template: call.path_template, dedupe_key: 'k' });
+    assert.deepEqual([event.provider, event.endpoint_group], call.expect, call.host);
+  }
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { clusterFingerprints, createFingerprintNormalizer, templateSimilarity } from './error-fingerprint.mjs';
+
+const FIXTURE = JSON.parse(fs.readFileSync(new URL('./fixtures/channel-error-lines.json', import.meta.url), 'utf8'));
+
+// The normalizer the probe used before masking rules existed.
+function legacyNormalize(message) {
+  return String(message || 'unknown')
+    .replace(/\b\d{6,}\b/g, '<num>')
+    .replace(/[0-9a-f]{8,}/gi, '<hex>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 180);
+}
+
+function countBy(messages, normalize) {
+  const counts = new Map();
+  for (const message of messages) {
+    const fingerprint = normalize(message);
+    counts.set(fingerprint, (counts.get(fingerprint) || 0) + 1);
+  }
+  return counts;
+}
+
+test('masking rules collapse fixture messages that differ only by ids, addresses, paths, durations and quotes', () => {
+  const before = countBy(FIXTURE, legacyNormalize);
+  const after = countBy(FIXTURE, createFingerprintNormalizer());
+
+  assert.equal(FIXTURE.length, 24);
+  assert.equal(before.size, 24);
+  assert.equal(after.size, 12);
+
+  assert.equal(after.get('session <uuid> not found'), 3);
+  assert.equal(after.get('connect ECONNREFUSED <ip>'), 3);
+  assert.equal(after.get('ENOENT: no such file or directory, open <str>'), 3);
+  assert.equal(after.get('request to api.telegram.org timed out after <duration>'), 3);
+  assert.equal(after.get('user <str> is not allowed in channel general'), 2);
+  assert.equal(after.get('job <id> failed: exit code <num>'), 2);
+  assert.equal(after.get('listener bound to localhost:<port> closed'), 2);
+  // status codes are kept, so 429 and 500 stay apart
+  assert.equal(after.get('discord gateway status 429 retry in <duration>'), 2);
+  assert.equal(after.get('discord gateway status 500 retry in <duration>'), 1);
+});
+
+test('each masking rule can be used on its own', () => {
+  const normalize = createFingerprintNormalizer();
+  assert.equal(normalize('read /tmp/a/b.txt failed'), 'read <path> failed');
+  assert.equal(normalize('peer [fe80::1]:443 reset'), 'peer <ip> reset');
+  assert.equal(normalize('retry after 1m30s (attempt 4)'), 'retry after <duration> (attempt <num>)');
+  assert.equal(normalize('token=ab12cd34ef expired'), 'token=<hex> expired');
+  assert.equal(normalize("can't reach host"), "can't reach host");
+
+  const withoutQuotes = createFingerprintNormalizer({ spanRules: [] });
+  assert.equal(withoutQuotes('user "bob" denied'), 'user "bob" denied');
+});
+
+test('similarity clustering merges near-duplicate templates on top of masking', () => {
+  const normalize = createFingerprintNormalizer();
+  const items = [...countBy(FIXTURE, normalize)].map(([fingerprint, count]) => ({ fingerprint, count }));
+
+  const clusters = clusterFingerprints(items, { threshold: 0.8 });
+  assert.equal(items.length, 12);
+  assert.equal(clusters.length, 9);
+
+  const worker = clusters.find((c) => c.fingerprint === 'worker crashed while handling message from guild <*>');
+  assert.equal(worker.count, 3);
+  assert.equal(worker.members.length, 3);
+
+  // clustering is coarser than masking: at 0.8 the 429 and 500 variants merge as well
+  const discord = clusters.find((c) => c.fingerprint === 'discord gateway status <*> retry in <duration>');
+  assert.equal(discord.count, 3);
+
+  assert.equal(templateSimilarity('a b c', 'a b c d'), 0);
+  assert.equal(clusterFingerprints(items, { threshold: 1 }).length, 12);
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { emptyErrorStore, ingestErrorLines, summarizeErrorStore } from './error-store.mjs';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const T0 = Date.parse('2026-02-28T00:00:00.000Z');
+
+const options = (nowMs) => ({
+  nowMs,
+  normalize: (message) => message.replace(/\d+/g, '<n>'),
+  isCritical: (message) => /panic/.test(message),
+});
+
+function line(tsMs, message, level = 'error') {
+  return { time: new Date(tsMs).toISOString(), level, channel: 'discord', message };
+}
+
+test('first_seen and totals survive runs whose log window no longer reaches back', () => {
+  const first = ingestErrorLines(emptyErrorStore(), [line(T0, 'timeout after 30s'), line(T0 + MIN, 'timeout after 31s')], options(T0 + MIN));
+  assert.equal(first.ingested, 2);
+
+  // Second run: the fetched window overlaps the last line and adds two new ones.
+  const windowLines = [line(T0 + MIN, 'timeout after 31s'), line(T0 + 3 * HOUR, 'timeout after 32s'), line(T0 + 3 * HOUR, 'timeout after 32s')];
+  const second = ingestErrorLines(first.store, windowLines, options(T0 + 3 * HOUR));
+  assert.equal(second.ingested, 1);
+  assert.equal(second.duplicates, 2);
+
+  const summary = summarizeErrorStore(second.store, T0 + 3 * HOUR);
+  const [top] = summary.error_top;
+  assert.equal(top.fingerprint, 'timeout after <n>s');
+  assert.equal(top.total, 3);
+  assert.equal(top.first_seen, new Date(T0).toISOString());
+  assert.equal(top.last_seen, new Date(T0 + 3 * HOUR).toISOString());
+  assert.equal(summary.errors_active_count, 1);
+});
+
+test('lines older than the cursor overlap are not counted again', () => {
+  const first = ingestErrorLines(emptyErrorStore(), [line(T0 + HOUR, 'boom')], options(T0 + HOUR));
+  const second = ingestErrorLines(first.store, [line(T0, 'late line')], options(T0 + HOUR));
+  assert.equal(second.ingested, 0);
+  assert.equal(second.duplicates, 1);
+  assert.equal(summarizeErrorStore(second.store, T0 + HOUR).error_top.length, 1);
+});
+
+test('growth rates compare the last hour and day with the window before', () => {
+  const lines = [];
+  for (let i = 0; i < 4; i += 1) lines.push(line(T0 + 22 * HOUR + i * MIN, `rate limited #${i}`, 'warn'));
+  for (let i = 0; i < 12; i += 1) lines.push(line(T0 + 23 * HOUR + i * MIN, `rate limited #${i}`, 'warn'));
+  lines.push(line(T0 + 23 * HOUR + 30 * MIN, 'panic in worker 7'));
+
+  const { store } = ingestErrorLines(emptyErrorStore(), lines, options(T0 + 24 * HOUR));
+  const summary = summarizeErrorStore(store, T0 + 24 * HOUR);
+  const rateLimited = summary.error_top.find((x) => x.fingerprint === 'rate limited #<n>');
+  assert.equal(rateLimited.count_1h, 12);
+  assert.equal(rateLimited.count_24h, 16);
+  assert.equal(rateLimited.growth_rate_1h, 2);
+  assert.equal(rateLimited.growth_rate_24h, null, 'nothing in the previous 24h');
+  assert.equal(rateLimited.severity, 'warn');
+
+  assert.deepEqual(summary.error_critical_top.map((x) => x.fingerprint), ['panic in worker <n>']);
+  assert.equal(summary.errors_critical_active_count, 1);
+});
+
+test('buckets older than 48h are pruned but the fingerprint keeps its first_seen', () => {
+  const { store } = ingestErrorLines(emptyErrorStore(), [line(T0, 'disk full'), line(T0 + 50 * HOUR, 'disk full')], options(T0 + 50 * HOUR));
+  const record = store.fingerprints['disk full'];
+  assert.deepEqual(Object.keys(record.buckets), [String(T0 + 50 * HOUR)]);
+  assert.equal(record.total, 2);
+  assert.equal(summarizeErrorStore(store, T0 + 50 * HOUR).error_top[0].first_seen, new Date(T0).toISOString());
+});
+
+test('clusterThreshold merges near-duplicate fingerprints before ranking', () => {
+  const lines = ['general', 'random', 'support'].map((guild, i) => line(T0 + i * MIN, `worker crashed in guild ${guild}`));
+  const { store } = ingestErrorLines(emptyErrorStore(), lines, options(T0 + 10 * MIN));
+
+  assert.equal(summarizeErrorStore(store, T0 + 10 * MIN).error_top.length, 3);
+  const clustered = summarizeErrorStore(store, T0 + 10 * MIN, { clusterThreshold: 0.8 });
+  assert.equal(clustered.error_top.length, 1);
+  assert.equal(clustered.error_top[0].fingerprint, 'worker crashed in guild <*>');
+  assert.equal(clustered.error_top[0].count_24h, 3);
+  assert.equal(clustered.error_top[0].first_seen, new Date(T0).toISOString());
+  assert.equal(clustered.error_fingerprint_clusters_24h, 1);
+});
+
+test('a version 1 store is re-keyed with the current normalizer and merged, keeping its cursor', () => {
+  const v1 = {
+    version: 1,
+    cursor: { last_ts_ms: T0 + 2 * HOUR, recent_keys: {} },
+    fingerprints: {
+      'timeout after 30s': { severity: 'warn', level: 'warn', sample: 'timeout after 30s', first_seen_ms: T0 + HOUR, last_seen_ms: T0 + HOUR, total: 2, buckets: { [T0 + HOUR]: 2 } },
+      'timeout after 31s': { severity: 'critical', level: 'error', sample: 'timeout after 31s', first_seen_ms: T0, last_seen_ms: T0 + 2 * HOUR, total: 3, buckets: { [T0]: 1, [T0 + HOUR]: 1, [T0 + 2 * HOUR]: 1 } },
+    },
+  };
+
+  const { store, ingested } = ingestErrorLines(v1, [line(T0 + HOUR, 'timeout after 29s'), line(T0 + 3 * HOUR, 'timeout after 33s')], options(T0 + 3 * HOUR));
+  assert.equal(store.version, 2);
+  assert.equal(ingested, 1);
+  assert.deepEqual(Object.keys(store.fingerprints), ['timeout after <n>s']);
+
+  const record = store.fingerprints['timeout after <n>s'];
+  assert.deepEqual(
+    { severity: record.severity, level: record.level, first_seen_ms: record.first_seen_ms, last_seen_ms: record.last_seen_ms, total: record.total },
+    { severity: 'critical', level: 'error', first_seen_ms: T0, last_seen_ms: T0 + 3 * HOUR, total: 6 },
+  );
+  assert.deepEqual(record.buckets, { [T0]: 1, [T0 + HOUR]: 3, [T0 + 2 * HOUR]: 1, [T0 + 3 * HOUR]: 1 });
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CommandExitError, CommandTimeoutError, ProbeDeadlineError, activeCommandCount, runCommand, withDeadline } from './probe-exec.mjs';
+
+const node = process.execPath;
+const HANG = 'setInterval(() => {}, 1000)';
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForExit(pid, timeoutMs = 3000) {
+  const started = Date.now();
+  while (isAlive(pid) && Date.now() - started < timeoutMs) await new Promise((resolve) => setTimeout(resolve, 25));
+  return !isAlive(pid);
+}
+
+test('runCommand resolves with stdout and rejects non-zero exits with stderr context', async () => {
+  assert.equal(await runCommand(node, ['-e', 'process.stdout.write(JSON.stringify({ ok: true }))']), '{"ok":true}');
+
+  await assert.rejects(runCommand(node, ['-e', 'console.error("boom"); process.exit(3)']), (err) => {
+    assert.ok(err instanceof CommandExitError);
+    assert.equal(err.exitCode, 3);
+    assert.match(err.message, /boom/);
+    return true;
+  });
+  await assert.rejects(runCommand('clawview-missing-binary-for-test', []), { code: 'ENOENT' });
+  assert.equal(activeCommandCount(), 0);
+});
+
+test('runCommand kills a hung command and its process group on timeout', async () => {
+  // the child starts a grandchild (like openclaw helpers) and hangs; both must be gone after the timeout
+  const pidFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'clawview-exec-')), 'grandchild.pid');
+  const script = `const { spawn } = require("node:child_process");
+    const grandchild = spawn(process.execPath, ["-e", ${JSON.stringify(HANG)}], { stdio: "ignore" });
+    require("node:fs").writeFileSync(${JSON.stringify(pidFile)}, String(grandchild.pid));
+    ${HANG}`;
+  const started = Date.now();
+  await assert.rejects(runCommand(node, ['-e', script], { timeoutMs: 500, killGraceMs: 200 }), (err) => {
+    assert.ok(err instanceof CommandTimeoutError);
+    assert.equal(err.code, 'ETIMEDOUT');
+    return true;
+  });
+  assert.ok(Date.now() - started < 2500);
+  assert.equal(activeCommandCount(), 0);
+
+  const grandchildPid = Number(fs.readFileSync(pidFile, 'utf8'));
+  assert.ok(grandchildPid > 0);
+  assert.equal(await waitForExit(grandchildPid), true);
+});
+
+test('runCommand escalates to SIGKILL when SIGTERM is ignored', async () => {
+  const script = `process.on("SIGTERM", () => {}); process.stdout.write(String(process.pid)); ${HANG}`;
+  const started = Date.now();
+  await assert.rejects(runCommand(node, ['-e', script], { timeoutMs: 300, killGraceMs: 200 }), CommandTimeoutError);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('runCommand stops reading once stdout outgrows maxBuffer', async () => {
+  await assert.rejects(
+    runCommand(node, ['-e', `process.stdout.write("x".repeat(4096)); ${HANG}`], { maxBuffer: 1024, timeoutMs: 5000 }),
+    { code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' },
+  );
+});
+
+test('withDeadline abandons a stuck run and kills its in-flight commands', async () => {
+  const run = (async () => {
+    await runCommand(node, ['-e', HANG], { timeoutMs: 60 * 1000, killGraceMs: 200 });
+    return 'finished';
+  })();
+  run.catch(() => {});
+  await assert.rejects(withDeadline(run, 200, { graceMs: 200 }), (err) => {
+    assert.ok(err instanceof ProbeDeadlineError);
+    assert.equal(err.killed, 1);
+    return true;
+  });
+  // the killed command settles its own promise, so nothing is left running
+  await assert.rejects(run);
+  assert.equal(activeCommandCount(), 0);
+
+  assert.equal(await withDeadline(Promise.resolve('fast'), 1000), 'fast');
+});
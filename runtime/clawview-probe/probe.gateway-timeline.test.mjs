@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AVAILABILITY_WINDOWS,
+  applyGatewaySample,
+  computeAvailability,
+  emptyTimeline,
+  listDowntimeIntervals,
+} from './gateway-timeline.mjs';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const T0 = Date.parse('2026-02-28T00:00:00.000Z');
+
+function replay(samples) {
+  return samples.reduce((timeline, sample) => applyGatewaySample(timeline, sample), emptyTimeline());
+}
+
+test('a restart two hours ago with seconds of downtime keeps 24h availability near 100%', () => {
+  const bootMs = T0 - 3 * 24 * HOUR;
+  const restartMs = T0 + 22 * HOUR + 4 * 1000;
+  const samples = [];
+  for (let ts = T0; ts < T0 + 22 * HOUR; ts += 5 * MIN) samples.push({ ts_ms: ts, up: true, up_since_ms: bootMs });
+  const lastBeforeRestart = samples[samples.length - 1].ts_ms;
+  samples.push({ ts_ms: restartMs, up: true, up_since_ms: restartMs, startup: true });
+  for (let ts = restartMs + 5 * MIN; ts <= T0 + 24 * HOUR; ts += 5 * MIN) samples.push({ ts_ms: ts, up: true, up_since_ms: restartMs });
+
+  const timeline = replay(samples);
+  const nowMs = samples[samples.length - 1].ts_ms;
+  const day = computeAvailability(timeline, nowMs, AVAILABILITY_WINDOWS['24h']);
+
+  // Only the gap between the last sample of the old process and the new process start counts as down,
+  // not the 22h the new process has not been running.
+  assert.equal(day.down_sec, Math.round((restartMs - lastBeforeRestart) / 1000));
+  assert.ok(day.ratio > 0.99, `ratio ${day.ratio}`);
+  assert.equal(day.coverage_ratio, 1);
+
+  const [downtime] = listDowntimeIntervals(timeline, nowMs, AVAILABILITY_WINDOWS['30d']);
+  assert.equal(downtime.inferred, true);
+  assert.equal(downtime.reason, 'startup');
+  assert.equal(downtime.end, new Date(restartMs).toISOString());
+});
+
+test('rpc failures are counted as down from the last sample until the gateway answers again', () => {
+  const bootMs = T0 - HOUR;
+  const timeline = replay([
+    { ts_ms: T0, up: true, up_since_ms: bootMs },
+    { ts_ms: T0 + 10 * MIN, up: false },
+    { ts_ms: T0 + 20 * MIN, up: false },
+    { ts_ms: T0 + 30 * MIN, up: true, up_since_ms: T0 + 25 * MIN },
+  ]);
+
+  const nowMs = T0 + 30 * MIN;
+  const availability = computeAvailability(timeline, nowMs, AVAILABILITY_WINDOWS['24h']);
+  // up: boot..T0 (60m) + 25m..30m (5m); down: T0..25m (25m)
+  assert.equal(availability.up_sec, 65 * 60);
+  assert.equal(availability.down_sec, 25 * 60);
+  assert.equal(availability.ratio, 65 / 90);
+
+  const intervals = listDowntimeIntervals(timeline, nowMs, AVAILABILITY_WINDOWS['24h']);
+  assert.equal(intervals.length, 1);
+  assert.equal(intervals[0].reason, 'rpc_unreachable');
+  assert.equal(intervals[0].duration_sec, 25 * 60);
+  assert.equal(intervals[0].inferred, false);
+});
+
+test('time before the first sample is unknown and lowers coverage, not availability', () => {
+  const timeline = replay([{ ts_ms: T0, up: false }, { ts_ms: T0 + HOUR, up: false }]);
+  const availability = computeAvailability(timeline, T0 + HOUR, AVAILABILITY_WINDOWS['24h']);
+  assert.equal(availability.ratio, 0);
+  assert.equal(availability.coverage_ratio, 1 / 24);
+
+  const empty = computeAvailability(emptyTimeline(), T0, AVAILABILITY_WINDOWS['7d']);
+  assert.equal(empty.ratio, null);
+  assert.equal(empty.coverage_ratio, 0);
+});
+
+test('out-of-order samples do not rewrite history and old intervals are pruned', () => {
+  const bootMs = T0 - HOUR;
+  let timeline = replay([
+    { ts_ms: T0, up: true, up_since_ms: bootMs },
+    { ts_ms: T0 + 10 * MIN, up: false },
+  ]);
+  timeline = applyGatewaySample(timeline, { ts_ms: T0 + 5 * MIN, up: true, up_since_ms: bootMs });
+  assert.equal(computeAvailability(timeline, T0 + 10 * MIN, HOUR * 2).down_sec, 10 * 60);
+
+  timeline = applyGatewaySample(timeline, { ts_ms: T0 + 40 * 24 * HOUR, up: true, up_since_ms: T0 + 39 * 24 * HOUR });
+  assert.ok(timeline.intervals.every((x) => x.end_ms > T0 + 9 * 24 * HOUR));
+  assert.deepEqual(listDowntimeIntervals(timeline, T0 + 40 * 24 * HOUR, AVAILABILITY_WINDOWS['30d'])[0].reason, 'rpc_unreachable');
+});
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { addLatency, emptyLatencySketch, latencyQuantile, mergeLatencySketches, summarizeLatency } from './latency-sketch.mjs';
+import { __test } from './probe.mjs';
+
+// deterministic long-tailed sample: mostly fast calls, a slow tail
+function samples(n, seed = 7) {
+  let x = seed;
+  const out = [];
+  for (let i = 0; i < n; i += 1) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    const u = x / 2147483648;
+    out.push(u < 0.9 ? 20 + u * 200 : 500 + u * 4000);
+  }
+  return out;
+}
+
+function exactQuantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(q * (sorted.length - 1))];
+}
+
+test('quantiles stay within the relative accuracy of the exact value', () => {
+  const values = samples(5000);
+  const sketch = emptyLatencySketch();
+  for (const v of values) addLatency(sketch, v);
+
+  for (const q of [0.5, 0.95, 0.99]) {
+    const exact = exactQuantile(values, q);
+    assert.ok(Math.abs(latencyQuantile(sketch, q) - exact) <= exact * 0.01 + 1e-9, `q=${q}`);
+  }
+  assert.equal(sketch.count, 5000);
+  assert.ok(Object.keys(sketch.bins).length < 600, 'bounded size, not one entry per sample');
+});
+
+test('merged sketches answer like one sketch over all samples, also after a JSON round trip', () => {
+  const values = samples(3000, 11);
+  const whole = emptyLatencySketch();
+  const parts = [emptyLatencySketch(), emptyLatencySketch(), emptyLatencySketch()];
+  values.forEach((v, i) => {
+    addLatency(whole, v);
+    addLatency(parts[i % 3], v);
+  });
+
+  const merged = mergeLatencySketches(parts.map((x) => JSON.parse(JSON.stringify(x))));
+  assert.deepEqual(summarizeLatency(merged), summarizeLatency(whole));
+  assert.equal(merged.count, 3000);
+
+  assert.throws(() => mergeLatencySketches([emptyLatencySketch(0.01), emptyLatencySketch(0.02)]), RangeError);
+  assert.deepEqual(summarizeLatency(mergeLatencySketches([null, {}])), { samples: 0, p50_ms: null, p95_ms: null, p99_ms: null });
+});
+
+test('zero and invalid samples', () => {
+  const sketch = emptyLatencySketch();
+  for (const v of [0, 0, 0, 10, null, -5, Number.NaN]) addLatency(sketch, v);
+  assert.equal(sketch.count, 4);
+  assert.equal(latencyQuantile(sketch, 0.5), 0);
+  assert.equal(latencyQuantile(sketch, 1), 10);
+});
+
+test('API metrics carry 24h, per-group and per-bin latency percentiles', () => {
+  const nowMs = Date.parse('2026-02-28T12:00:00.000Z');
+  const event = (minutesAgo, group, latencyMs) => ({
+    ts_ms: nowMs - minutesAgo * 60 * 1000,
+    provider: 'lark',
+    endpoint_group: group,
+    latency_ms: latencyMs,
+    is_failure: false,
+    is_429: false,
+  });
+  const events = [
+    ...Array.from({ length: 90 }, (_, i) => event(10 + i, 'message_send', 100)),
+    ...Array.from({ length: 10 }, (_, i) => event(5 + i / 10, 'message_send', 2000)),
+    event(20 * 60, 'doc_read', 40),
+    event(30, 'doc_read', null),
+  ];
+
+  const metrics = __test.computeApiMetricsFromFactEvents(events, nowMs, true);
+  assert.equal(metrics.api_latency_samples_24h, 101);
+  assert.ok(Math.abs(metrics.api_latency_p50_ms_24h - 100) <= 1);
+  assert.ok(Math.abs(metrics.api_latency_p99_ms_24h - 2000) <= 20);
+  assert.equal(metrics.api_latency_series_24h.length, 10);
+  assert.equal(metrics.api_latency_series_24h[1].samples, 1);
+  assert.equal(metrics.api_latency_series_24h[9].sketch.count, 100);
+  assert.equal(
+    mergeLatencySketches(metrics.api_latency_series_24h.map((x) => x.sketch)).count,
+    metrics.api_latency_samples_24h,
+  );
+
+  const [send, read] = metrics.endpoint_group_top5_calls_24h;
+  assert.equal(send.endpoint_group, 'lark/message_send');
+  assert.ok(Math.abs(send.latency_p50_ms - 100) <= 1);
+  assert.ok(Math.abs(send.latency_p95_ms - 2000) <= 20);
+  assert.equal(read.calls_24h, 2);
+  assert.equal(read.latency_p50_ms, 40);
+
+  const offline = __test.computeApiMetricsFromFactEvents([], nowMs, false);
+  assert.equal(offline.api_latency_p95_ms_24h, null);
+  assert.equal(offline.api_latency_series_24h, null);
+});
+
+test('facts without latency_ms stay unknown instead of counting as 0 ms', () => {
+  const { event } = __test.normalizeApiFactEvent({
+    ts: '2026-02-28T11:00:00.000Z',
+    provider: 'lark',
+    endpoint_group: 'message_send',
+    method: 'POST',
+    host: 'open.feishu.cn',
+    path_template: '/open-apis/im/v1/messages',
+    status_code: 200,
+    dedupe_key: 'no-latency',
+  });
+  assert.equal(event.latency_ms, null);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { readLatestSnapshot, renderOpenMetrics, startMetricsServer } from './probe-metrics.mjs';
+
+const SNAPSHOT = {
+  ts: '2026-02-28T12:00:00.000Z',
+  timezone: 'Asia/Tokyo',
+  probe_version: 'v1.3',
+  service_status_now: 'degraded',
+  service_uptime_ratio_24h: 0.5,
+  cron_runs_24h_total: 120,
+  cron_top_jobs_24h: [{ job_id: 'j1', job_name: 'daily "digest"', runs_24h: 110 }, { job_id: 'j2', runs_24h: 9 }],
+  cron_storm_top5_5m: [{ job_id: 'j2', runs_5m: 3 }],
+  api_call_total_24h: 40,
+  api_error_rate_24h: 0.1,
+  api_429_ratio_24h: null,
+  api_latency_p50_ms_24h: 120,
+  api_latency_p95_ms_24h: 840.5,
+  api_latency_p99_ms_24h: null,
+  endpoint_group_top5_calls_24h: [
+    { provider: 'telegram', endpoint_group: 'telegram/message_send', calls_24h: 30, failures_24h: 3, rate_limits_24h: 1, latency_p95_ms: 610 },
+  ],
+  errors_active_count: 2,
+  errors_critical_active_count: 1,
+  restart_unexpected_count_24h: 1,
+  data_freshness_delay_min: 3,
+  p0_core_coverage_ratio: 0.9,
+  collector_status: {
+    cron: { status: 'ok', duration_ms: 1500, error_class: null },
+    logs: { status: 'timeout', duration_ms: 60000, error_class: 'CollectorTimeoutError' },
+  },
+};
+
+test('renderOpenMetrics exports snapshot gauges with provider/group/job labels', () => {
+  const text = renderOpenMetrics(SNAPSHOT, { nowMs: Date.parse('2026-02-28T12:01:00.000Z') });
+  const lines = text.trim().split('\n');
+
+  assert.equal(lines.at(-1), '# EOF');
+  assert.ok(lines.includes('clawview_service_status{status="degraded"} 1'));
+  assert.ok(lines.includes('clawview_service_status{status="running"} 0'));
+  assert.ok(lines.includes('clawview_snapshot_age_seconds 60'));
+  assert.ok(lines.includes('clawview_cron_job_runs_24h{job_id="j1",job="daily \\"digest\\""} 110'));
+  // a job without a name is labelled by its id, never "undefined"
+  assert.ok(lines.includes('clawview_cron_job_runs_24h{job_id="j2",job="j2"} 9'));
+  assert.ok(lines.includes('clawview_cron_job_runs_5m{job_id="j2",job="j2"} 3'));
+  assert.equal(text.includes('"undefined"'), false);
+  assert.ok(lines.includes('clawview_api_group_calls_24h{provider="telegram",endpoint_group="message_send"} 30'));
+  assert.ok(lines.includes('clawview_api_error_ratio_24h 0.1'));
+  assert.ok(lines.includes('clawview_api_latency_ms_24h{quantile="0.95"} 840.5'));
+  assert.ok(lines.includes('clawview_api_group_latency_p95_ms_24h{provider="telegram",endpoint_group="message_send"} 610'));
+  assert.equal(lines.some((line) => line.startsWith('clawview_api_latency_ms_24h{quantile="0.99"}')), false);
+  assert.ok(lines.includes('clawview_errors_critical_active 1'));
+  assert.ok(lines.includes('clawview_restarts_24h{category="unexpected"} 1'));
+  assert.equal(lines.some((line) => line.startsWith('clawview_restarts_unexpected_24h')), false);
+  assert.ok(lines.includes('clawview_p0_core_coverage_ratio 0.9'));
+  assert.ok(lines.includes('clawview_collector_up{collector="cron"} 1'));
+  assert.ok(lines.includes('clawview_collector_up{collector="logs"} 0'));
+  assert.ok(lines.includes('clawview_collector_duration_seconds{collector="cron"} 1.5'));
+
+  // Gap fields produce no sample instead of a fake zero.
+  assert.equal(lines.some((line) => line.startsWith('clawview_api_429_ratio_24h')), false);
+});
+
+test('renderOpenMetrics reports a missing snapshot explicitly', () => {
+  assert.equal(renderOpenMetrics(null), '# HELP clawview_snapshot_available 1 when a probe snapshot was found on disk.\n# TYPE clawview_snapshot_available gauge\nclawview_snapshot_available 0\n# EOF\n');
+});
+
+test('metrics server serves the newest snapshot line from disk', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawview-metrics-'));
+  fs.writeFileSync(path.join(dir, 'snapshots-2026-02-27.jsonl'), `${JSON.stringify({ ...SNAPSHOT, ts: '2026-02-27T12:00:00.000Z' })}\n`);
+  fs.writeFileSync(path.join(dir, 'snapshots-2026-02-28.jsonl'), `${JSON.stringify(SNAPSHOT)}\n{"ts":"2026-02-28T12:0`);
+  assert.equal(readLatestSnapshot(dir).ts, SNAPSHOT.ts);
+
+  const server = startMetricsServer({ dir, port: 0, log: () => {} });
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const { port } = server.address();
+    const res = await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { accept: 'application/openmetrics-text' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/openmetrics-text/);
+    assert.match(await res.text(), /clawview_cron_runs_24h 120/);
+
+    const missing = await fetch(`http://127.0.0.1:${port}/nope`);
+    assert.equal(missing.status, 404);
+    await missing.text();
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -2,9 +2,27 @@
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
-import { execFileSync } from "node:child_process";
 import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
+import {
+  AVAILABILITY_WINDOWS,
+  applyGatewaySample,
+  computeAvailability,
+  listDowntimeIntervals,
+} from "./gateway-timeline.mjs";
+import { cachedCronEntries, planCronRefresh, updateCronCache } from "./cron-cache.mjs";
+import { createFingerprintNormalizer } from "./error-fingerprint.mjs";
+import { addLatency, emptyLatencySketch, mergeLatencySketches, summarizeLatency } from "./latency-sketch.mjs";
+import { ingestErrorLines, summarizeErrorStore } from "./error-store.mjs";
+import { applyRestartSample, summarizeRestarts } from "./gateway-restarts.mjs";
+import { ProbeDeadlineError, runCommand, withDeadline } from "./probe-exec.mjs";
+import { extractApiFactsFromLogs } from "./api-log-facts.mjs";
+import { parseEndpointGroupRules, reportUnmappedHosts, resolveEndpointGroup, resolveEndpointGroupRules } from "./endpoint-groups.mjs";
+import { DEFAULT_DAILY_RETENTION_DAYS, DEFAULT_RAW_RETENTION_MS, compactSnapshotDir } from "./snapshot-compaction.mjs";
+import { startMetricsServer } from "./probe-metrics.mjs";
+import { acquireRunLock, lockSkippedResult } from "./run-lock.mjs";
+import { DEFAULT_THRESHOLDS, evaluateThreshold, parseThresholdOverrides, worstEvaluation } from "./thresholds.mjs";
+import { resolveTimeZone, zonedDayRangeMs } from "./timezone.mjs";
 
 const argv = process.argv.slice(2);
 
@@ -28,10 +46,32 @@ const runReportPath = path.join(outDir, `report-${dayTag}.json`);
 const lockPath = path.join(outDir, "probe.lock");
 const apiFactsPath = path.join(outDir, "api-facts.jsonl");
 const apiEventsPath = path.join(outDir, "api-events.jsonl");
+const apiCursorPath = path.join(outDir, "api-cursor.json");
+const endpointGroupsPath = path.join(outDir, "endpoint-groups.json");
 const apiEventRetentionMs = 48 * 60 * 60 * 1000;
+const API_LATENCY_BINS = 10;
 const skillCursorPath = path.join(outDir, "skill-cursor.json");
 const skillEventsPath = path.join(outDir, "skill-events.jsonl");
 const skillEventRetentionMs = 48 * 60 * 60 * 1000;
+const gatewayTimelinePath = path.join(outDir, "gateway-timeline.json");
+const gatewayRestartsPath = path.join(outDir, "gateway-restarts.json");
+const errorStorePath = path.join(outDir, "error-fingerprints.json");
+const thresholdsPath = path.join(outDir, "thresholds.json");
+const cronCachePath = path.join(outDir, "cron-runs-cache.json");
+// 0 (default) keeps one entry per fingerprint; e.g. 0.8 merges templates sharing >= 80% of their tokens.
+const errorClusterThreshold = Math.min(1, Math.max(0, Number(process.env.CLAWVIEW_PROBE_ERROR_CLUSTER_THRESHOLD || 0) || 0));
+const triggerEvent = argValue("--trigger-event", "");
+const collectorTimeoutMs = Math.max(1000, Number(process.env.CLAWVIEW_PROBE_COLLECTOR_TIMEOUT_MS || 60000) || 60000);
+const cronRunsConcurrency = Math.max(1, Math.floor(Number(process.env.CLAWVIEW_PROBE_CRON_CONCURRENCY || 4)) || 4);
+// Per subprocess (killed on expiry) and per snapshot run (in-flight subprocesses killed, run abandoned).
+const commandTimeoutMs = Math.max(1000, Number(process.env.CLAWVIEW_PROBE_COMMAND_TIMEOUT_MS || 30000) || 30000);
+const runDeadlineMs = Math.max(1000, Number(process.env.CLAWVIEW_PROBE_RUN_DEADLINE_MS || 240000) || 240000);
+// Raw snapshots-*.jsonl are folded into daily-*.json once their day is over and pruned after this window;
+// daily files are kept forever unless CLAWVIEW_PROBE_DAILY_RETENTION_DAYS is set.
+const snapshotRetentionMs = Math.max(0, Number(process.env.CLAWVIEW_PROBE_SNAPSHOT_RETENTION_MS || DEFAULT_RAW_RETENTION_MS) || DEFAULT_RAW_RETENTION_MS);
+const dailyRetentionDays = Math.max(0, Math.floor(Number(process.env.CLAWVIEW_PROBE_DAILY_RETENTION_DAYS || DEFAULT_DAILY_RETENTION_DAYS) || 0));
+// IANA zone for every "today" window; an unknown zone falls back to Asia/Tokyo and is reported in the snapshot.
+const businessTimeZone = resolveTimeZone(argValue("--timezone", process.env.CLAWVIEW_TIMEZONE));
 
 const API_EVENT_ALLOWED_FIELDS = [
   "ts",
@@ -92,19 +132,68 @@ function extractJsonPayload(text) {
   return JSON.parse(lines.slice(start).join("\n"));
 }
 
-function runOpenclawJson(args) {
-  const stdout = execFileSync("openclaw", args, {
-    encoding: "utf8",
-    stdio: ["ignore", "pipe", "pipe"],
+async function runOpenclawJson(args) {
+  const stdout = await runCommand("openclaw", args, {
+    timeoutMs: commandTimeoutMs,
     maxBuffer: 12 * 1024 * 1024,
   });
   return extractJsonPayload(stdout);
 }
 
-function runOpenclawJsonLines(args) {
-  const stdout = execFileSync("openclaw", args, {
-    encoding: "utf8",
-    stdio: ["ignore", "pipe", "pipe"],
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep the input order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+class CollectorTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`collector ${name} timed out after ${timeoutMs}ms`);
+    this.name = "CollectorTimeoutError";
+  }
+}
+
+function collectorErrorClass(err) {
+  if (typeof err?.code === "string" && err.code) return err.code;
+  return String(err?.name || "Error");
+}
+
+// Runs one collector in isolation and records `statuses[name] = { status, duration_ms, error_class }`
+// (`ok | failed | timeout`). A failing collector returns `fallback` (Gap fields) instead of aborting
+// the snapshot; `fallback` may be a function of the error.
+async function runCollector(statuses, name, fn, { fallback = null, timeoutMs = collectorTimeoutMs } = {}) {
+  const started = Date.now();
+  let timer = null;
+  try {
+    const value = await Promise.race([
+      Promise.resolve().then(fn),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new CollectorTimeoutError(name, timeoutMs)), timeoutMs);
+      }),
+    ]);
+    statuses[name] = { status: "ok", duration_ms: Date.now() - started, error_class: null };
+    return value;
+  } catch (err) {
+    const timedOut = err instanceof CollectorTimeoutError || err?.code === "ETIMEDOUT" || err?.killed === true;
+    statuses[name] = { status: timedOut ? "timeout" : "failed", duration_ms: Date.now() - started, error_class: collectorErrorClass(err) };
+    return typeof fallback === "function" ? fallback(err) : fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runOpenclawJsonLines(args) {
+  const stdout = await runCommand("openclaw", args, {
+    timeoutMs: commandTimeoutMs,
     maxBuffer: 24 * 1024 * 1024,
   });
   return stdout
@@ -161,27 +250,11 @@ function hashText(text) {
   return crypto.createHash("sha1").update(String(text)).digest("hex");
 }
 
-function tokyoDayRangeMs(reference = Date.now()) {
-  const tokyo = new Date(new Date(reference).toLocaleString("en-US", { timeZone: "Asia/Tokyo" }));
-  const startTokyo = new Date(tokyo);
-  startTokyo.setHours(0, 0, 0, 0);
-  const endTokyo = new Date(startTokyo);
-  endTokyo.setDate(endTokyo.getDate() + 1);
-  const offsetMs = tokyo.getTime() - reference;
-  return {
-    startMs: startTokyo.getTime() - offsetMs,
-    endMs: endTokyo.getTime() - offsetMs,
-  };
+function businessDayRangeMs(reference = Date.now()) {
+  return zonedDayRangeMs(reference, businessTimeZone.timezone);
 }
 
-function normalizeErrorFingerprint(message) {
-  return String(message || "unknown")
-    .replace(/\b\d{6,}\b/g, "<num>")
-    .replace(/[0-9a-f]{8,}/gi, "<hex>")
-    .replace(/\s+/g, " ")
-    .trim()
-    .slice(0, 180);
-}
+const normalizeErrorFingerprint = createFingerprintNormalizer();
 
 function oneLine(text = "") {
   return String(text).replace(/\s+/g, " ").trim();
@@ -260,15 +333,12 @@ function parseElapsedToSec(text) {
   return day * 86400 + hh * 3600 + mm * 60 + ss;
 }
 
-function getPidElapsedSeconds(pid) {
+async function getPidElapsedSeconds(pid) {
   if (!Number.isFinite(pid) || pid <= 0) return null;
 
   // Try Linux keyword first
   try {
-    const out = execFileSync("ps", ["-p", String(pid), "-o", "etimes="], {
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "ignore"],
-    });
+    const out = await runCommand("ps", ["-p", String(pid), "-o", "etimes="], { timeoutMs: 5000 });
     const sec = parseElapsedToSec(out);
     if (sec != null) return sec;
   } catch {
@@ -277,10 +347,7 @@ function getPidElapsedSeconds(pid) {
 
   // macOS fallback
   try {
-    const out = execFileSync("ps", ["-p", String(pid), "-o", "etime="], {
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "ignore"],
-    });
+    const out = await runCommand("ps", ["-p", String(pid), "-o", "etime="], { timeoutMs: 5000 });
     const sec = parseElapsedToSec(out);
     return sec;
   } catch {
@@ -288,179 +355,284 @@ function getPidElapsedSeconds(pid) {
   }
 }
 
-function collectGatewayRuntime(nowMs) {
-  try {
-    const status = runOpenclawJson(["gateway", "status", "--json"]);
-    const listener = Array.isArray(status?.port?.listeners) ? status.port.listeners[0] : null;
-    const listenerPid = Number(listener?.pid || 0);
-    const uptimeSec = getPidElapsedSeconds(listenerPid);
-    const ratio24h = uptimeSec == null ? null : Math.min(1, uptimeSec / (24 * 60 * 60));
+async function collectGatewayRuntime(nowMs) {
+  const status = await runOpenclawJson(["gateway", "status", "--json"]);
+  const listener = Array.isArray(status?.port?.listeners) ? status.port.listeners[0] : null;
+  const listenerPid = Number(listener?.pid || 0);
+  const uptimeSec = await getPidElapsedSeconds(listenerPid);
 
-    return {
-      gateway_rpc_ok: Boolean(status?.rpc?.ok),
-      gateway_listener_pid: Number.isFinite(listenerPid) && listenerPid > 0 ? listenerPid : null,
-      service_uptime_sec: uptimeSec,
-      service_uptime_ratio_24h: ratio24h,
-      gateway_runtime_status: status?.service?.runtime?.status ?? null,
-      gateway_runtime_state: status?.service?.runtime?.state ?? null,
-      gateway_port_status: status?.port?.status ?? null,
-      gateway_port_busy: status?.port?.status === "busy",
-      collected_at_ms: nowMs,
-    };
+  return {
+    gateway_rpc_ok: Boolean(status?.rpc?.ok),
+    gateway_listener_pid: Number.isFinite(listenerPid) && listenerPid > 0 ? listenerPid : null,
+    service_uptime_sec: uptimeSec,
+    gateway_runtime_status: status?.service?.runtime?.status ?? null,
+    gateway_runtime_state: status?.service?.runtime?.state ?? null,
+    gateway_port_status: status?.port?.status ?? null,
+    gateway_port_busy: status?.port?.status === "busy",
+    collected_at_ms: nowMs,
+  };
+}
+
+// `openclaw gateway status` failing is treated as the gateway being unreachable, as before.
+function gatewayUnreachableRuntime(nowMs) {
+  return {
+    gateway_rpc_ok: false,
+    gateway_listener_pid: null,
+    service_uptime_sec: null,
+    gateway_runtime_status: null,
+    gateway_runtime_state: null,
+    gateway_port_status: null,
+    gateway_port_busy: false,
+    collected_at_ms: nowMs,
+  };
+}
+
+// Feeds this run's gateway sample into gateway-timeline.json and derives real availability from it,
+// instead of treating listener pid age as uptime (a restart 2h ago is not 8% uptime).
+function collectGatewayAvailability(gateway, nowMs) {
+  const timeline = applyGatewaySample(safeReadJson(gatewayTimelinePath, null), {
+    ts_ms: nowMs,
+    up: gateway.gateway_rpc_ok === true,
+    up_since_ms: gateway.service_uptime_sec == null ? null : nowMs - gateway.service_uptime_sec * 1000,
+    startup: triggerEvent === "gateway:startup",
+  });
+  try {
+    writeJsonAtomic(gatewayTimelinePath, timeline);
   } catch {
-    return {
-      gateway_rpc_ok: false,
-      gateway_listener_pid: null,
-      service_uptime_sec: null,
-      service_uptime_ratio_24h: null,
-      gateway_runtime_status: null,
-      gateway_runtime_state: null,
-      gateway_port_status: null,
-      gateway_port_busy: false,
-      collected_at_ms: nowMs,
-    };
+    // keep the in-memory result; next run retries the write
+  }
+
+  const availability = {};
+  for (const [label, windowMs] of Object.entries(AVAILABILITY_WINDOWS)) {
+    availability[label] = computeAvailability(timeline, nowMs, windowMs);
   }
+
+  return {
+    service_uptime_ratio_24h: availability["24h"].ratio,
+    service_uptime_ratio_7d: availability["7d"].ratio,
+    service_uptime_ratio_30d: availability["30d"].ratio,
+    service_availability: availability,
+    service_downtime_intervals_30d: listDowntimeIntervals(timeline, nowMs, AVAILABILITY_WINDOWS["30d"]),
+  };
 }
 
-function collectCronMetrics(nowMs) {
-  const list = runOpenclawJson(["cron", "list", "--all", "--json"]);
-  const jobs = Array.isArray(list?.jobs) ? list.jobs : [];
-  const enabledJobs = jobs.filter((job) => job?.enabled !== false);
+const CRON_JOB_DETAIL_FIELDS = [
+  "job_id",
+  "job_name",
+  "enabled",
+  "schedule",
+  "runs_24h",
+  "runs_today",
+  "runs_5m",
+  "failures_24h",
+  "last_run_at",
+  "last_status",
+  "last_duration_ms",
+  "avg_duration_ms_24h",
+  "max_duration_ms_24h",
+  "threshold_level",
+  "threshold_rule",
+  "threshold_value",
+];
+
+function cronRunTs(entry) {
+  const ts = Number(entry?.runAtMs ?? entry?.ts ?? 0);
+  return Number.isFinite(ts) && ts > 0 ? ts : null;
+}
+
+function cronRunStatus(entry) {
+  const raw = String(entry?.status ?? entry?.outcome ?? entry?.result ?? "").trim().toLowerCase();
+  if (["ok", "success", "succeeded", "completed", "done"].includes(raw)) return "ok";
+  if (["error", "failed", "failure", "timeout", "timed_out"].includes(raw)) return "error";
+  if (["skipped", "skip", "cancelled", "canceled"].includes(raw)) return "skipped";
+  if (raw === "running" || raw === "started") return "running";
+  if (entry?.error) return "error";
+  return "unknown";
+}
+
+function cronRunDurationMs(entry) {
+  const direct = Number(entry?.durationMs ?? entry?.duration_ms);
+  if (Number.isFinite(direct) && direct >= 0) return direct;
+  const startMs = cronRunTs(entry);
+  const endMs = Number(entry?.finishedAtMs ?? entry?.endedAtMs);
+  return startMs != null && Number.isFinite(endMs) && endMs >= startMs ? endMs - startMs : null;
+}
 
+function cronScheduleText(job) {
+  const schedule = job?.schedule;
+  if (typeof schedule === "string") return schedule;
+  if (schedule && typeof schedule === "object") {
+    const text = schedule.expr ?? schedule.cron ?? schedule.every ?? schedule.at ?? null;
+    if (text != null) return String(text);
+  }
+  return typeof job?.cron === "string" ? job.cron : null;
+}
+
+// One whitelisted detail row per job, built from its `openclaw cron runs` entries.
+function computeCronJobDetail(job, entries, nowMs, todayRange = businessDayRangeMs(nowMs), thresholds = DEFAULT_THRESHOLDS) {
   const last24hStart = nowMs - 24 * 60 * 60 * 1000;
   const last5mStart = nowMs - 5 * 60 * 1000;
-  const tokyoRange = tokyoDayRangeMs(nowMs);
-
   let runs24h = 0;
-  let runsTokyoToday = 0;
-  let maxSingleJob24h = 0;
+  let runsToday = 0;
+  let runs5m = 0;
+  let failures24h = 0;
+  const durations24h = [];
+  let last = null;
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const ts = cronRunTs(entry);
+    if (ts == null || ts > nowMs) continue;
+    if (!last || ts > last.ts) last = { ts, entry };
+    if (ts >= last5mStart) runs5m += 1;
+    if (ts >= todayRange.startMs && ts < todayRange.endMs) runsToday += 1;
+    if (ts < last24hStart) continue;
+    runs24h += 1;
+    if (cronRunStatus(entry) === "error") failures24h += 1;
+    const duration = cronRunDurationMs(entry);
+    if (duration != null) durations24h.push(duration);
+  }
 
-  const perJob24h = [];
-  const perJob5m = [];
+  const risk = evaluateThreshold("cron_runs_24h", runs24h, thresholds);
+  const detail = {
+    job_id: String(job?.id),
+    job_name: String(job?.name || job?.id || "unknown"),
+    enabled: job?.enabled !== false,
+    schedule: cronScheduleText(job),
+    runs_24h: runs24h,
+    runs_today: runsToday,
+    runs_5m: runs5m,
+    failures_24h: failures24h,
+    last_run_at: last ? new Date(last.ts).toISOString() : null,
+    last_status: last ? cronRunStatus(last.entry) : null,
+    last_duration_ms: last ? cronRunDurationMs(last.entry) : null,
+    avg_duration_ms_24h: durations24h.length ? Math.round(durations24h.reduce((a, b) => a + b, 0) / durations24h.length) : null,
+    max_duration_ms_24h: durations24h.length ? Math.max(...durations24h) : null,
+    threshold_level: risk.level,
+    threshold_rule: risk.rule,
+    threshold_value: risk.threshold,
+  };
+  return Object.fromEntries(CRON_JOB_DETAIL_FIELDS.map((key) => [key, detail[key]]));
+}
 
-  for (const job of enabledJobs) {
-    const id = job?.id;
-    if (!id) continue;
+// The `--limit` must reach past the red cron_runs_24h threshold, or a storming job would be capped
+// below it and never turn red; twice the threshold keeps room for the 24h count above it.
+function cronRunsLimit(thresholds = DEFAULT_THRESHOLDS) {
+  const red = Number((thresholds?.cron_runs_24h ?? DEFAULT_THRESHOLDS.cron_runs_24h).red);
+  return Math.max(200, Number.isFinite(red) ? Math.ceil(red * 2) : 0);
+}
 
-    let runs;
-    try {
-      runs = runOpenclawJson(["cron", "runs", "--id", String(id), "--limit", "200"]);
-    } catch {
-      continue;
-    }
+async function fetchCronRuns(jobId, thresholds = DEFAULT_THRESHOLDS, run = runOpenclawJson) {
+  const runs = await run(["cron", "runs", "--id", String(jobId), "--limit", String(cronRunsLimit(thresholds))]);
+  return Array.isArray(runs?.entries) ? runs.entries : [];
+}
 
-    const entries = Array.isArray(runs?.entries) ? runs.entries : [];
-    let job24h = 0;
-    let job5m = 0;
+// `openclaw cron runs` is only called for jobs whose lastRunAtMs moved since the previous probe
+// (see cron-cache.mjs); the others reuse cron-runs-cache.json. Calls run with bounded concurrency.
+async function collectCronMetrics(nowMs, thresholds = DEFAULT_THRESHOLDS, { concurrency = cronRunsConcurrency } = {}) {
+  const list = await runOpenclawJson(["cron", "list", "--all", "--json"]);
+  const jobs = Array.isArray(list?.jobs) ? list.jobs : [];
+  const enabledJobs = jobs.filter((job) => job?.enabled !== false);
+  const todayRange = businessDayRangeMs(nowMs);
 
-    for (const entry of entries) {
-      const ts = Number(entry?.runAtMs ?? entry?.ts ?? 0);
-      if (!Number.isFinite(ts) || ts <= 0) continue;
-      if (ts >= last24hStart && ts <= nowMs) {
-        runs24h += 1;
-        job24h += 1;
-      }
-      if (ts >= last5mStart && ts <= nowMs) {
-        job5m += 1;
-      }
-      if (ts >= tokyoRange.startMs && ts < tokyoRange.endMs) {
-        runsTokyoToday += 1;
-      }
+  const cache = safeReadJson(cronCachePath, null);
+  const plan = planCronRefresh(cache, enabledJobs, nowMs);
+  const fetched = {};
+  const failed = new Set();
+  await mapWithConcurrency(plan.refresh, concurrency, async (job) => {
+    try {
+      fetched[String(job.id)] = await fetchCronRuns(job.id, thresholds);
+    } catch {
+      failed.add(String(job.id));
     }
+  });
+  const nextCache = updateCronCache(cache, jobs, fetched, nowMs);
+  try {
+    writeJsonAtomic(cronCachePath, nextCache);
+  } catch {
+    // keep the in-memory result; next run refreshes again
+  }
 
-    if (job24h > maxSingleJob24h) {
-      maxSingleJob24h = job24h;
-    }
+  let runs24h = 0;
+  let runsToday = 0;
+  let maxSingleJob24h = 0;
+  const details = [];
 
-    const name = String(job?.name || job?.id || "unknown");
-    perJob24h.push({ job_id: String(id), job_name: name, runs_24h: job24h });
-    perJob5m.push({ job_id: String(id), job_name: name, runs_5m: job5m });
+  for (const job of jobs) {
+    const id = job?.id;
+    if (!id) continue;
+    // A failed refresh falls back to the previous cache entry; without one the job is skipped as before.
+    if (failed.has(String(id)) && !nextCache.jobs[String(id)]) continue;
+
+    const detail = computeCronJobDetail(job, cachedCronEntries(nextCache, id), nowMs, todayRange, thresholds);
+    details.push(detail);
+    // Totals keep their original scope: enabled jobs only.
+    if (!detail.enabled) continue;
+    runs24h += detail.runs_24h;
+    runsToday += detail.runs_today;
+    maxSingleJob24h = Math.max(maxSingleJob24h, detail.runs_24h);
   }
 
-  const cronTop5_24h = perJob24h
+  const enabledDetails = details.filter((x) => x.enabled);
+  const cronTop5_24h = enabledDetails
     .filter((x) => x.runs_24h > 0)
     .sort((a, b) => b.runs_24h - a.runs_24h)
-    .slice(0, 5);
-
-  const cronStormTop5_5m = perJob5m
+    .slice(0, 5)
+    .map((x) => ({
+      job_id: x.job_id,
+      job_name: x.job_name,
+      runs_24h: x.runs_24h,
+      risk_level: x.threshold_level,
+      risk_rule: x.threshold_rule,
+      risk_threshold: x.threshold_value,
+    }));
+
+  const cronStormTop5_5m = enabledDetails
     .filter((x) => x.runs_5m > 0)
     .sort((a, b) => b.runs_5m - a.runs_5m)
-    .slice(0, 5);
+    .slice(0, 5)
+    .map((x) => ({ job_id: x.job_id, job_name: x.job_name, runs_5m: x.runs_5m }));
 
   return {
     cron_jobs_total: jobs.length,
     cron_jobs_enabled: enabledJobs.length,
     cron_runs_24h_total: runs24h,
-    cron_runs_today_tokyo_total: runsTokyoToday,
+    cron_runs_today_total: runsToday,
     cron_max_single_job_24h: maxSingleJob24h,
     cron_top_jobs_24h: cronTop5_24h,
     cron_storm_top5_5m: cronStormTop5_5m,
+    cron_runs_refreshed: plan.refresh.length - failed.size,
+    cron_runs_cached: plan.cached.length,
+    cron_runs_failed: failed.size,
+    // Risk-sorted: threshold level first, then 24h runs.
+    cron_jobs_detail: details.sort(
+      (a, b) => ["red", "yellow", "green"].indexOf(a.threshold_level) - ["red", "yellow", "green"].indexOf(b.threshold_level) || b.runs_24h - a.runs_24h,
+    ),
   };
 }
 
-function collectErrorMetrics() {
-  const logs = runOpenclawJson(["channels", "logs", "--channel", "all", "--json", "--lines", "800"]);
+async function collectErrorMetrics(nowMs) {
+  const logs = await runOpenclawJson(["channels", "logs", "--channel", "all", "--json", "--lines", "800"]);
   const lines = Array.isArray(logs?.lines) ? logs.lines : [];
 
-  const byFp = new Map();
-  const byCriticalFp = new Map();
-  const nowMs = Date.now();
-  const activeWindowMs = 60 * 60 * 1000;
-
-  for (const line of lines) {
-    const level = String(line?.level || "").toLowerCase();
-    if (level !== "error" && level !== "warn") continue;
-
-    const msg = String(line?.message || line?.raw || "");
-    const fp = normalizeErrorFingerprint(msg);
-    const tsMs = Date.parse(String(line?.time || ""));
-    const record = byFp.get(fp) ?? { count: 0, first_seen: null, last_seen: null };
-    record.count += 1;
-    if (Number.isFinite(tsMs)) {
-      if (!record.first_seen || tsMs < Date.parse(record.first_seen)) record.first_seen = new Date(tsMs).toISOString();
-      if (!record.last_seen || tsMs > Date.parse(record.last_seen)) record.last_seen = new Date(tsMs).toISOString();
-    }
-    byFp.set(fp, record);
-
-    if (isCriticalSystemErrorMessage(msg)) {
-      const critical = byCriticalFp.get(fp) ?? { count: 0, first_seen: null, last_seen: null };
-      critical.count += 1;
-      if (Number.isFinite(tsMs)) {
-        if (!critical.first_seen || tsMs < Date.parse(critical.first_seen)) critical.first_seen = new Date(tsMs).toISOString();
-        if (!critical.last_seen || tsMs > Date.parse(critical.last_seen)) critical.last_seen = new Date(tsMs).toISOString();
-      }
-      byCriticalFp.set(fp, critical);
-    }
+  // The fetched lines only cover the latest window; counts, first_seen and growth come from the
+  // persisted fingerprint store so they survive across runs.
+  const { store, ingested, duplicates, untimed } = ingestErrorLines(safeReadJson(errorStorePath, null), lines, {
+    nowMs,
+    normalize: normalizeErrorFingerprint,
+    isCritical: isCriticalSystemErrorMessage,
+  });
+  try {
+    writeJsonAtomic(errorStorePath, store);
+  } catch {
+    // keep the in-memory result; next run re-reads the same window and the cursor dedupes it
   }
 
-  const top = [...byFp.entries()]
-    .map(([fingerprint, v]) => ({ fingerprint, ...v }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
-
-  const criticalTop = [...byCriticalFp.entries()]
-    .map(([fingerprint, v]) => ({ fingerprint, ...v }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
-
-  const activeCount = top.filter((item) => {
-    if (!item.last_seen) return false;
-    const ts = Date.parse(item.last_seen);
-    return Number.isFinite(ts) && nowMs - ts <= activeWindowMs;
-  }).length;
-
-  const criticalActiveCount = criticalTop.filter((item) => {
-    if (!item.last_seen) return false;
-    const ts = Date.parse(item.last_seen);
-    return Number.isFinite(ts) && nowMs - ts <= activeWindowMs;
-  }).length;
-
   return {
-    errors_active_count: activeCount,
-    errors_critical_active_count: criticalActiveCount,
-    error_top: top,
-    error_critical_top: criticalTop,
+    ...summarizeErrorStore(store, nowMs, { clusterThreshold: errorClusterThreshold }),
     error_log_window_lines: lines.length,
+    error_log_lines_ingested: ingested,
+    error_log_lines_duplicate: duplicates,
+    error_log_lines_untimed: untimed,
   };
 }
 
@@ -470,8 +642,8 @@ function containsSensitiveApiFactValue(value = "") {
   return API_FACT_SENSITIVE_PATTERNS.some((pattern) => pattern.test(text));
 }
 
-function collectLogsContext() {
-  const lines = runOpenclawJsonLines(["logs", "--json", "--limit", "5000", "--max-bytes", "1000000"]);
+async function collectLogsContext() {
+  const lines = await runOpenclawJsonLines(["logs", "--json", "--limit", "5000", "--max-bytes", "1000000"]);
   const entries = lines.filter((x) => x?.type === "log");
   const latestTs = entries
     .map((x) => Date.parse(String(x?.time || "")))
@@ -692,7 +864,7 @@ function buildSessionSkillResultIndex(filePath, knownSkillNameMap) {
   return byToolCallId;
 }
 
-function collectSkillUsageMetrics(nowMs, options = {}) {
+async function collectSkillUsageMetrics(nowMs, options = {}) {
   const knownSkillNameMap = new Map();
   for (const skillName of Array.isArray(options?.knownSkillNames) ? options.knownSkillNames : []) {
     const normalized = String(skillName || "").trim();
@@ -700,7 +872,7 @@ function collectSkillUsageMetrics(nowMs, options = {}) {
     knownSkillNameMap.set(normalized.toLowerCase(), normalized);
   }
 
-  const baseLogEntries = Array.isArray(options?.logEntries) ? options.logEntries : collectLogsContext().log_entries;
+  const baseLogEntries = Array.isArray(options?.logEntries) ? options.logEntries : (await collectLogsContext()).log_entries;
   const runtimeEmbeddedEntries = readEmbeddedLogEntriesFromRuntime(nowMs);
   const logEntries = [...baseLogEntries, ...runtimeEmbeddedEntries];
   const runToSession = new Map();
@@ -732,7 +904,7 @@ function collectSkillUsageMetrics(nowMs, options = {}) {
 
   const sessionsById = new Map();
   try {
-    const sessionsPayload = runOpenclawJson(["sessions", "--all-agents", "--json"]);
+    const sessionsPayload = await runOpenclawJson(["sessions", "--all-agents", "--json"]);
     const sessions = Array.isArray(sessionsPayload?.sessions) ? sessionsPayload.sessions : [];
     for (const session of sessions) {
       const sessionId = String(session?.sessionId || "").trim().toLowerCase();
@@ -897,7 +1069,10 @@ function sanitizeApiFactFields(raw) {
   return out;
 }
 
-function normalizeApiFactEvent(raw) {
+const DEFAULT_ENDPOINT_GROUP_RULES = resolveEndpointGroupRules(null).rules;
+
+// `rules` fill in provider / endpoint_group when a fact leaves them out or labels them other/unknown.
+function normalizeApiFactEvent(raw, rules = DEFAULT_ENDPOINT_GROUP_RULES) {
   if (!raw || typeof raw !== "object") {
     return { event: null, reason: "invalid" };
   }
@@ -920,19 +1095,21 @@ function normalizeApiFactEvent(raw) {
     return { event: null, reason: "invalid" };
   }
 
-  const providerRaw = String(sanitized.provider || "").trim().toLowerCase();
   const method = String(sanitized.method || "").trim().toUpperCase();
   const host = String(sanitized.host || "").trim().toLowerCase();
   const pathTemplate = String(sanitized.path_template || "").trim().toLowerCase();
-  const endpointGroupRaw = String(sanitized.endpoint_group || "").trim().toLowerCase();
   const dedupeKey = String(sanitized.dedupe_key || "").trim();
-  const provider = providerRaw === "other" || providerRaw === "others" ? "unknown" : providerRaw;
-  const endpointGroup =
-    endpointGroupRaw === "other" || endpointGroupRaw === "others" ? "unknown" : endpointGroupRaw;
 
-  if (!provider || !method || !host || !pathTemplate || !endpointGroup || !dedupeKey) {
+  if (!method || !host || !pathTemplate || !dedupeKey) {
     return { event: null, reason: "invalid" };
   }
+  const { provider, endpoint_group: endpointGroup } = resolveEndpointGroup(rules, {
+    provider: sanitized.provider,
+    endpoint_group: sanitized.endpoint_group,
+    host,
+    method,
+    path_template: pathTemplate,
+  });
 
   if (
     containsSensitiveApiFactValue(provider) ||
@@ -955,7 +1132,7 @@ function normalizeApiFactEvent(raw) {
   const latencyMs =
     typeof sanitized.latency_ms === "number" && Number.isFinite(sanitized.latency_ms)
       ? Math.max(0, Math.round(sanitized.latency_ms))
-      : 0;
+      : null;
 
   const is429 = sanitized.is_429 === true;
   const isFailure =
@@ -991,7 +1168,7 @@ function normalizeApiFactEvent(raw) {
   };
 }
 
-function loadApiFactEvents(nowMs) {
+function loadApiFactEvents(nowMs, rules = DEFAULT_ENDPOINT_GROUP_RULES) {
   const retainedFrom = nowMs - apiEventRetentionMs;
   const upperBound = nowMs + 60_000;
 
@@ -1002,7 +1179,7 @@ function loadApiFactEvents(nowMs) {
   const dedupedByKey = new Map();
 
   for (const raw of rawFacts) {
-    const normalized = normalizeApiFactEvent(raw);
+    const normalized = normalizeApiFactEvent(raw, rules);
     if (!normalized.event) {
       if (normalized.reason === "sensitive") sensitiveDropped += 1;
       else invalidDropped += 1;
@@ -1047,9 +1224,13 @@ function loadApiFactEvents(nowMs) {
   };
 }
 
-function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats = {}) {
+function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats = {}, todayRange = businessDayRangeMs(nowMs)) {
   const last24hStart = nowMs - 24 * 60 * 60 * 1000;
-  const tokyo = tokyoDayRangeMs(nowMs);
+  // Latency sketches per trend bin (same 10 bins as the dashboard series) and per group; the 24h
+  // figures are the merge of the bins.
+  const latencyBins = Array.from({ length: API_LATENCY_BINS }, () => emptyLatencySketch());
+  const latencyBinMs = (24 * 60 * 60 * 1000) / API_LATENCY_BINS;
+  const latencyByGroup = new Map();
 
   let total24h = 0;
   let totalToday = 0;
@@ -1065,7 +1246,7 @@ function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats =
     if (!Number.isFinite(ts)) continue;
 
     const in24h = ts >= last24hStart && ts <= nowMs;
-    const inToday = ts >= tokyo.startMs && ts < tokyo.endMs;
+    const inToday = ts >= todayRange.startMs && ts < todayRange.endMs;
     if (!in24h && !inToday) continue;
 
     const key = `${ev.provider}/${ev.endpoint_group}`;
@@ -1073,7 +1254,7 @@ function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats =
       provider: ev.provider,
       endpoint_group: key,
       calls_24h: 0,
-      calls_today_tokyo: 0,
+      calls_today: 0,
       failures_24h: 0,
       rate_limits_24h: 0,
     };
@@ -1081,6 +1262,11 @@ function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats =
     if (in24h) {
       total24h += 1;
       g.calls_24h += 1;
+      if (ev.latency_ms != null) {
+        addLatency(latencyBins[Math.min(API_LATENCY_BINS - 1, Math.floor((ts - last24hStart) / latencyBinMs))], ev.latency_ms);
+        if (!latencyByGroup.has(key)) latencyByGroup.set(key, emptyLatencySketch());
+        addLatency(latencyByGroup.get(key), ev.latency_ms);
+      }
 
       if (ev.provider === "unknown" || ev.endpoint_group === "unknown") {
         unknown24h += 1;
@@ -1102,84 +1288,158 @@ function computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, stats =
 
     if (inToday) {
       totalToday += 1;
-      g.calls_today_tokyo += 1;
+      g.calls_today += 1;
     }
 
     byGroup.set(key, g);
   }
 
-  const groupTop5 = [...byGroup.values()].sort((a, b) => b.calls_24h - a.calls_24h).slice(0, 5);
+  const groupTop5 = [...byGroup.values()]
+    .sort((a, b) => b.calls_24h - a.calls_24h)
+    .slice(0, 5)
+    .map((g) => {
+      const latency = summarizeLatency(latencyByGroup.get(g.endpoint_group));
+      return { ...g, latency_p50_ms: latency.p50_ms, latency_p95_ms: latency.p95_ms, latency_p99_ms: latency.p99_ms };
+    });
   const hasEventStore = sourceConnected;
+  const latency24h = summarizeLatency(mergeLatencySketches(latencyBins));
   const latestTs = events.length > 0 ? Number(events[events.length - 1]?.ts_ms || 0) : null;
 
   return {
     api_metrics_available: hasEventStore,
     api_call_total_24h: hasEventStore ? total24h : null,
-    api_call_total_today_tokyo: hasEventStore ? totalToday : null,
+    api_call_total_today: hasEventStore ? totalToday : null,
     api_success_total_24h: hasEventStore ? success24h : null,
     api_failure_total_24h: hasEventStore ? failed24h : null,
     api_rate_limit_total_24h: hasEventStore ? rateLimited24h : null,
     api_error_rate_24h: hasEventStore && total24h > 0 ? failed24h / total24h : hasEventStore ? 0 : null,
     api_429_ratio_24h: hasEventStore && total24h > 0 ? rateLimited24h / total24h : hasEventStore ? 0 : null,
     api_unknown_rate_24h: hasEventStore && total24h > 0 ? unknown24h / total24h : hasEventStore ? 0 : null,
+    api_latency_samples_24h: hasEventStore ? latency24h.samples : null,
+    api_latency_p50_ms_24h: hasEventStore ? latency24h.p50_ms : null,
+    api_latency_p95_ms_24h: hasEventStore ? latency24h.p95_ms : null,
+    api_latency_p99_ms_24h: hasEventStore ? latency24h.p99_ms : null,
+    // Each bin keeps its sketch so readers can merge any range of bins.
+    api_latency_series_24h: hasEventStore
+      ? latencyBins.map((sketch, i) => ({ ts: new Date(last24hStart + i * latencyBinMs).toISOString(), ...summarizeLatency(sketch), sketch }))
+      : null,
     endpoint_group_top5_calls_24h: hasEventStore ? groupTop5 : null,
+    api_daily_rollups: hasEventStore ? computeApiDailyRollups(events, nowMs, todayRange) : null,
     api_recent_error_time: recentErrorTs ? new Date(recentErrorTs).toISOString() : null,
     api_collection_mode: hasEventStore ? "fact-event-structured" : "fact-only-not-connected",
-    api_events_new_since_last: null,
+    api_events_new_since_last: stats.newSinceLast ?? null,
     api_events_retained: events.length,
     api_cursor_ts_ms: Number.isFinite(latestTs) ? latestTs : null,
     api_events_valid_fact_total: Number(stats.validFactCount || 0),
     api_events_sensitive_dropped: Number(stats.sensitiveDropped || 0),
     api_events_invalid_dropped: Number(stats.invalidDropped || 0),
+    api_log_calls_matched: stats.logMatched ?? null,
+    api_log_calls_unmapped: stats.logUnmapped ?? null,
+    endpoint_group_rules_source: stats.rulesSource ?? null,
+    endpoint_group_rule_errors: stats.ruleErrors ?? [],
   };
 }
 
-function collectApiMetrics(nowMs) {
-  const { events, sourceConnected, validFactCount, sensitiveDropped, invalidDropped } = loadApiFactEvents(nowMs);
+// Per provider + endpoint_group totals for each business day the retained events fully cover: today
+// (still open) and yesterday. Ingest upserts them by (date, provider, endpoint_group), so the newest
+// snapshot's figures replace the older ones and the API detail page can sum days into 7d/30d.
+function computeApiDailyRollups(events, nowMs, todayRange = businessDayRangeMs(nowMs)) {
+  const yesterday = zonedDayRangeMs(todayRange.startMs - 1, todayRange.timezone);
+  const days = [yesterday, todayRange].filter((day) => day.startMs >= nowMs - apiEventRetentionMs || day === todayRange);
+  const byKey = new Map();
+
+  for (const ev of events) {
+    const ts = Number(ev.ts_ms || 0);
+    const day = days.find((d) => ts >= d.startMs && ts < d.endMs);
+    if (!day) continue;
+
+    const key = `${day.date}|${ev.provider}|${ev.endpoint_group}`;
+    const row = byKey.get(key) ?? {
+      date: day.date,
+      timezone: day.timezone,
+      start_at: new Date(day.startMs).toISOString(),
+      provider: ev.provider,
+      endpoint_group: ev.endpoint_group,
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      rate_limits: 0,
+      last_error_at: null,
+    };
+    row.calls += 1;
+    if (ev.is_failure) {
+      row.failures += 1;
+      const at = new Date(ts).toISOString();
+      if (!row.last_error_at || at > row.last_error_at) row.last_error_at = at;
+    } else {
+      row.successes += 1;
+    }
+    if (ev.is_429) row.rate_limits += 1;
+    byKey.set(key, row);
+  }
+
+  return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date) || b.calls - a.calls);
+}
+
+// CLAWVIEW_ENDPOINT_GROUPS (JSON) wins over <out-dir>/endpoint-groups.json; both are tried before the built-in rules.
+function loadEndpointGroupRules() {
+  let text = process.env.CLAWVIEW_ENDPOINT_GROUPS;
+  let source = "env";
+  if (text == null || text.trim() === "") {
+    source = "file";
+    try {
+      text = fs.readFileSync(endpointGroupsPath, "utf8");
+    } catch {
+      return { ...parseEndpointGroupRules(""), source: "default" };
+    }
+  }
+  return { ...parseEndpointGroupRules(text), source };
+}
+
+// Provider calls in the gateway logs become api-facts.jsonl rows, next to any hand-fed facts; the
+// cursor keeps a record from being appended twice, loadApiFactEvents() still dedupes by dedupe_key.
+function ingestApiLogFacts(logEntries, rules) {
+  const result = extractApiFactsFromLogs(logEntries, safeReadJson(apiCursorPath, null), { rules });
+  appendJsonl(apiFactsPath, result.facts);
+  writeJsonAtomic(apiCursorPath, result.cursor);
+  return result;
+}
+
+function collectApiMetrics(nowMs, logEntries = []) {
+  const { rules, errors, source } = loadEndpointGroupRules();
+  const fromLogs = ingestApiLogFacts(logEntries, rules);
+  const { events, sourceConnected, validFactCount, sensitiveDropped, invalidDropped } = loadApiFactEvents(nowMs, rules);
   return computeApiMetricsFromFactEvents(events, nowMs, sourceConnected, {
     validFactCount,
     sensitiveDropped,
     invalidDropped,
+    newSinceLast: fromLogs.facts.length,
+    logMatched: fromLogs.matched,
+    logUnmapped: fromLogs.unmapped,
+    rulesSource: source,
+    ruleErrors: errors,
   });
 }
 
-function collectRestartMetrics(logEntries, nowMs) {
-  const last24hStart = nowMs - 24 * 60 * 60 * 1000;
-  const patterns = [
-    /gateway failed to start/i,
-    /\boom\b/i,
-    /out of memory/i,
-    /\bpanic\b/i,
-    /uncaught/i,
-    /crash/i,
-    /unexpected restart/i,
-  ];
-
-  const seen = new Set();
-  let count = 0;
-  let recentTs = null;
-
-  for (const entry of logEntries) {
-    const ts = Date.parse(String(entry?.time || ""));
-    if (!Number.isFinite(ts) || ts < last24hStart || ts > nowMs) continue;
-
-    const msg = oneLine(`${entry?.message || ""} ${entry?.raw || ""}`);
-    if (!patterns.some((p) => p.test(msg))) continue;
-
-    const minuteBucket = Math.floor(ts / 60000);
-    const fp = normalizeErrorFingerprint(msg).slice(0, 80);
-    const key = `${minuteBucket}:${fp}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-
-    count += 1;
-    if (!recentTs || ts > recentTs) recentTs = ts;
+// Restarts are detected from listener pid / process start changes between probe runs and the
+// gateway:startup trigger, then classified from the log lines around them (see gateway-restarts.mjs).
+function collectRestartMetrics(gateway, logEntries, nowMs) {
+  const history = applyRestartSample(
+    safeReadJson(gatewayRestartsPath, null),
+    {
+      ts_ms: nowMs,
+      pid: gateway.gateway_listener_pid,
+      started_ms: gateway.service_uptime_sec == null ? null : nowMs - gateway.service_uptime_sec * 1000,
+      startup: triggerEvent === "gateway:startup",
+    },
+    logEntries,
+  );
+  try {
+    writeJsonAtomic(gatewayRestartsPath, history);
+  } catch {
+    // keep the in-memory result; next run retries the write
   }
-
-  return {
-    restart_unexpected_count_24h: count,
-    restart_unexpected_recent_time: recentTs ? new Date(recentTs).toISOString() : null,
-  };
+  return summarizeRestarts(history, logEntries, nowMs);
 }
 
 function toCoverageValue(v) {
@@ -1207,19 +1467,83 @@ function computeAnomalyFlags(params) {
   const restartUnexpectedCount24h = Number(params?.restartUnexpectedCount24h || 0);
   const criticalSystemErrorActiveCount = Number(params?.criticalSystemErrorActiveCount || 0);
   const skillCallsCollectionMode = String(params?.skillCallsCollectionMode || "").trim();
+  const failedCollectors = Array.isArray(params?.failedCollectors) ? params.failedCollectors : [];
 
   return {
     openclaw_system_anomaly:
       serviceStatusNow === "down" ||
       (Number.isFinite(restartUnexpectedCount24h) && restartUnexpectedCount24h > 0) ||
       (Number.isFinite(criticalSystemErrorActiveCount) && criticalSystemErrorActiveCount > 0),
-    clawview_pipeline_anomaly: skillCallsCollectionMode !== "fact-event-structured",
+    clawview_pipeline_anomaly: skillCallsCollectionMode !== "fact-event-structured" || failedCollectors.length > 0,
   };
 }
 
-function collectSnapshot() {
+// CLAWVIEW_THRESHOLDS (JSON) wins over <out-dir>/thresholds.json; bad entries fall back to the PRD defaults.
+function loadRiskThresholds() {
+  let text = process.env.CLAWVIEW_THRESHOLDS;
+  let source = "env";
+  if (text == null || text.trim() === "") {
+    source = "file";
+    try {
+      text = fs.readFileSync(thresholdsPath, "utf8");
+    } catch {
+      return { ...parseThresholdOverrides(""), source: "default" };
+    }
+  }
+  return { ...parseThresholdOverrides(text), source };
+}
+
+// Fields a collector contributes to the snapshot; they are set to null (Gap) when the collector fails.
+const COLLECTOR_GAP_FIELDS = {
+  availability: ["service_uptime_ratio_24h", "service_uptime_ratio_7d", "service_uptime_ratio_30d", "service_availability", "service_downtime_intervals_30d"],
+  cron: [
+    "cron_jobs_total",
+    "cron_jobs_enabled",
+    "cron_runs_24h_total",
+    "cron_runs_today_total",
+    "cron_max_single_job_24h",
+    "cron_top_jobs_24h",
+    "cron_storm_top5_5m",
+    "cron_runs_refreshed",
+    "cron_runs_cached",
+    "cron_runs_failed",
+    "cron_jobs_detail",
+  ],
+  errors: [
+    "errors_active_count",
+    "errors_critical_active_count",
+    "error_top",
+    "error_critical_top",
+    "error_fingerprints_tracked",
+    "error_fingerprint_clusters_24h",
+    "error_log_window_lines",
+    "error_log_lines_ingested",
+    "error_log_lines_duplicate",
+    "error_log_lines_untimed",
+  ],
+  restarts: [
+    "restart_total_24h",
+    "restart_planned_24h",
+    "restart_unexpected_count_24h",
+    "restart_unknown_24h",
+    "restart_unexpected_recent_time",
+    "last_restart_at",
+    "last_restart_reason",
+    "last_restart_category",
+    "restart_events_24h",
+  ],
+  skill_usage: ["skills_top_24h_inferred", "skill_calls_total_24h", "skill_calls_files_scanned", "skill_calls_retained_24h"],
+};
+
+function collectorGap(name) {
+  return Object.fromEntries(COLLECTOR_GAP_FIELDS[name].map((key) => [key, null]));
+}
+
+async function collectSnapshot() {
   const nowMs = Date.now();
-  const skills = runOpenclawJson(["skills", "list", "--json"]);
+  const collectorStatus = {};
+  const risk = loadRiskThresholds();
+  const skills = await runCollector(collectorStatus, "skills", () => runOpenclawJson(["skills", "list", "--json"]));
 
   let cfg = {};
   const cfgPath = path.join(os.homedir(), ".openclaw", "openclaw.json");
@@ -1229,14 +1553,31 @@ function collectSnapshot() {
     cfg = {};
   }
 
-  const gateway = collectGatewayRuntime(nowMs);
-  const cron = collectCronMetrics(nowMs);
-  const errors = collectErrorMetrics();
-  const logsCtx = collectLogsContext();
-  const api = collectApiMetrics(nowMs);
-  const restarts = collectRestartMetrics(logsCtx.log_entries, nowMs);
+  const gateway = await runCollector(collectorStatus, "gateway", () => collectGatewayRuntime(nowMs), {
+    fallback: () => gatewayUnreachableRuntime(nowMs),
+  });
+  const availability = await runCollector(collectorStatus, "availability", () => collectGatewayAvailability(gateway, nowMs), {
+    fallback: () => collectorGap("availability"),
+  });
+  const cron = await runCollector(collectorStatus, "cron", () => collectCronMetrics(nowMs, risk.thresholds), {
+    fallback: () => collectorGap("cron"),
+  });
+  const errors = await runCollector(collectorStatus, "errors", () => collectErrorMetrics(nowMs), {
+    fallback: () => collectorGap("errors"),
+  });
+  const logsCtx = await runCollector(collectorStatus, "logs", () => collectLogsContext(), {
+    fallback: () => ({ log_entries: [], latest_log_ts_ms: null, total_entries: 0 }),
+  });
+  // Without the fact stream the API fields stay Gap, same as "not connected".
+  const api = await runCollector(collectorStatus, "api", () => collectApiMetrics(nowMs, logsCtx.log_entries), {
+    fallback: () => computeApiMetricsFromFactEvents([], nowMs, false),
+  });
+  const restarts = await runCollector(collectorStatus, "restarts", () => collectRestartMetrics(gateway, logsCtx.log_entries, nowMs), {
+    fallback: () => collectorGap("restarts"),
+  });
 
-  const skillItems = Array.isArray(skills?.skills) ? skills.skills : [];
+  const skillsKnown = Array.isArray(skills?.skills);
+  const skillItems = skillsKnown ? skills.skills : [];
   const skillsComponents = skillItems.map((x) => ({
     name: String(x?.name || "--"),
     source: String(x?.source || "unknown"),
@@ -1245,10 +1586,16 @@ function collectSnapshot() {
   }));
   const skillsHealthy = skillsComponents.filter((x) => x.eligible && !x.disabled).length;
   const knownSkillNames = new Set(skillsComponents.map((x) => x.name));
-  const skillUsage = collectSkillUsageMetrics(nowMs, {
-    logEntries: logsCtx.log_entries,
-    knownSkillNames: [...knownSkillNames],
-  });
+  const skillUsage = await runCollector(
+    collectorStatus,
+    "skill_usage",
+    () =>
+      collectSkillUsageMetrics(nowMs, {
+        logEntries: logsCtx.log_entries,
+        knownSkillNames: [...knownSkillNames],
+      }),
+    { fallback: () => ({ ...collectorGap("skill_usage"), skill_calls_collection_mode: "collector-failed" }) },
+  );
   const skillTopReal = (Array.isArray(skillUsage?.skills_top_24h_inferred) ? skillUsage.skills_top_24h_inferred : [])
     .filter((x) => knownSkillNames.has(String(x?.name || '')))
     .slice(0, 10)
@@ -1260,16 +1607,18 @@ function collectSnapshot() {
     restartUnexpectedCount24h: restarts.restart_unexpected_count_24h,
     criticalSystemErrorActiveCount: errors.errors_critical_active_count,
   });
+  const failedCollectors = Object.keys(collectorStatus).filter((name) => collectorStatus[name].status !== "ok");
   const dataFreshnessDelayMin = logsCtx.latest_log_ts_ms == null ? null : Math.max(0, Math.round((nowMs - logsCtx.latest_log_ts_ms) / 60000));
   const anomalyFlags = computeAnomalyFlags({
     serviceStatusNow,
     restartUnexpectedCount24h: restarts.restart_unexpected_count_24h,
     criticalSystemErrorActiveCount: errors.errors_critical_active_count,
     skillCallsCollectionMode: skillUsage.skill_calls_collection_mode,
+    failedCollectors,
   });
 
   const p0core = {
-    service_uptime_ratio_24h: gateway.service_uptime_ratio_24h,
+    service_uptime_ratio_24h: availability.service_uptime_ratio_24h,
     service_status_now: serviceStatusNow,
     trigger_total_24h: cron.cron_runs_24h_total,
     trigger_storm_task_top5_5m: cron.cron_storm_top5_5m,
@@ -1282,17 +1631,25 @@ function collectSnapshot() {
     data_freshness_delay_min: dataFreshnessDelayMin,
   };
 
+  const riskEvaluations = {
+    cron_runs_24h: worstEvaluation((cron.cron_jobs_detail || []).map((x) => evaluateThreshold("cron_runs_24h", x.runs_24h, risk.thresholds)))
+      ?? evaluateThreshold("cron_runs_24h", null, risk.thresholds),
+    api_429_ratio_24h: evaluateThreshold("api_429_ratio_24h", api.api_429_ratio_24h, risk.thresholds),
+    restart_unexpected_24h: evaluateThreshold("restart_unexpected_24h", restarts.restart_unexpected_count_24h, risk.thresholds),
+  };
+
   const p0Filled = Object.values(p0core).filter(toCoverageValue).length;
   const p0Total = Object.keys(p0core).length;
   const p0CoverageRatio = p0Total > 0 ? p0Filled / p0Total : 0;
 
   const snapshot = {
     ts: new Date(nowMs).toISOString(),
-    timezone: "Asia/Tokyo",
+    timezone: businessTimeZone.timezone,
+    timezone_errors: businessTimeZone.error ? [businessTimeZone.error] : [],
 
     // Base inventory
-    skills_total: skillsComponents.length,
-    healthy_skills: skillsHealthy,
+    skills_total: skillsKnown ? skillsComponents.length : null,
+    healthy_skills: skillsKnown ? skillsHealthy : null,
     skills_components: skillsComponents,
     skills_top_24h: skillsTop24h,
     skill_calls_total_24h: skillUsage.skill_calls_total_24h,
@@ -1307,8 +1664,9 @@ function collectSnapshot() {
     service_status_now: serviceStatusNow,
     openclaw_system_anomaly: anomalyFlags.openclaw_system_anomaly,
     clawview_pipeline_anomaly: anomalyFlags.clawview_pipeline_anomaly,
+    clawview_pipeline_failed_collectors: failedCollectors,
     service_uptime_sec: gateway.service_uptime_sec,
-    service_uptime_ratio_24h: gateway.service_uptime_ratio_24h,
+    ...availability,
 
     // Cron
     ...cron,
@@ -1320,19 +1678,34 @@ function collectSnapshot() {
     ...errors,
     ...restarts,
 
+    // Risk levels (shared thresholds.mjs rules)
+    risk_evaluations: riskEvaluations,
+    risk_thresholds_source: risk.source,
+    risk_threshold_errors: risk.errors,
+
     // Data quality
     data_freshness_delay_min: dataFreshnessDelayMin,
     p0_core_coverage_ratio: p0CoverageRatio,
     p0_core_filled: p0Filled,
     p0_core_total: p0Total,
 
+    // Collector health: status / duration / error class per collector, and wall time for the whole snapshot
+    collector_status: collectorStatus,
+    probe_duration_ms: Date.now() - nowMs,
+
     probe_version: "v1.3",
     probe_notes: [
-      "API metrics consume structured provider API fact events only",
+      "API metrics consume structured provider API fact events only (api-facts.jsonl, plus provider calls extracted from gateway logs)",
       "Skill Top24h uses fact-only source; no inferred usage when facts are unavailable",
       "service_status_now is based on gateway RPC + unexpected restart + critical system errors (not generic warn/error noise)",
       "When API fact stream is not connected, API metrics explicitly stay Gap",
       "p0_core_coverage_ratio is computed from probe-populated core fields",
+      "error fingerprints are accumulated in error-fingerprints.json (hourly buckets, cursor-deduped); error_top is the 24h top-N from that store",
+      "restarts are detected from listener pid changes + gateway:startup and classified planned/unexpected/unknown from nearby log lines",
+      "risk_evaluations use the shared PRD thresholds (thresholds.mjs), overridable via CLAWVIEW_THRESHOLDS or thresholds.json",
+      "cron runs are re-fetched only for jobs whose lastRunAtMs changed (cron-runs-cache.json)",
+      "collectors run in isolation: a failed or timed-out collector leaves its fields Gap, is listed in collector_status and flags clawview_pipeline_anomaly",
+      "service_uptime_ratio_* come from the persisted gateway up/down timeline (gateway-timeline.json), over its known coverage",
     ],
   };
 
@@ -1343,10 +1716,32 @@ function collectSnapshot() {
   };
 }
 
+// One snapshot run under the global deadline: a stuck run rejects with ProbeDeadlineError after its
+// in-flight subprocesses are killed, so callers can release the lock and exit instead of hanging.
+function collectSnapshotWithinDeadline(deadlineMs = runDeadlineMs) {
+  return withDeadline(collectSnapshot(), deadlineMs);
+}
+
+function reportDeadline(err) {
+  console.error(
+    JSON.stringify({ ok: false, reason: "deadline_exceeded", deadline_ms: err.deadlineMs, killed_commands: err.killed, out_dir: outDir }),
+  );
+}
+
 function appendSnapshot(snapshot) {
   fs.appendFileSync(snapshotPath, `${JSON.stringify(snapshot)}\n`, "utf8");
 }
 
+// Runs after every snapshot; a failure is reported but never costs the snapshot itself.
+function compactSnapshots(nowMs = Date.now()) {
+  try {
+    return compactSnapshotDir(outDir, { nowMs, rawRetentionMs: snapshotRetentionMs, dailyRetentionDays });
+  } catch (err) {
+    console.error(`[clawview-probe] snapshot compaction failed: ${String(err?.message || err)}`);
+    return { error: String(err?.message || err) };
+  }
+}
+
 function readSnapshots(filePath) {
   if (!fs.existsSync(filePath)) return [];
   const text = fs.readFileSync(filePath, "utf8");
@@ -1390,6 +1785,11 @@ function summarize(filePath = snapshotPath) {
     .map((r) => Number(r.p0_core_coverage_ratio))
     .filter((n) => Number.isFinite(n));
 
+  const files = fs.existsSync(outDir) ? fs.readdirSync(outDir) : [];
+  const bytesOf = (names) => names.reduce((sum, name) => sum + fs.statSync(path.join(outDir, name)).size, 0);
+  const rawFiles = files.filter((name) => /^snapshots-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name));
+  const dailyFiles = files.filter((name) => /^daily-\d{4}-\d{2}-\d{2}\.json$/.test(name));
+
   const report = {
     generated_at: new Date().toISOString(),
     file: filePath,
@@ -1399,6 +1799,14 @@ function summarize(filePath = snapshotPath) {
     estimated_daily_bytes: dailyEstimateBytes,
     retention_estimate: retention,
     p0_coverage_avg: p0Coverage.length ? Number((p0Coverage.reduce((a, b) => a + b, 0) / p0Coverage.length).toFixed(4)) : null,
+    storage: {
+      raw_retention_ms: snapshotRetentionMs,
+      daily_retention_days: dailyRetentionDays,
+      raw_files: rawFiles.length,
+      raw_bytes: bytesOf(rawFiles),
+      daily_files: dailyFiles.length,
+      daily_bytes: bytesOf(dailyFiles),
+    },
     note: "A/B/C are quick raw-estimate placeholders; final policy can map to chosen retention tiers.",
   };
 
@@ -1406,48 +1814,38 @@ function summarize(filePath = snapshotPath) {
   return report;
 }
 
-function lockAlive() {
-  if (!fs.existsSync(lockPath)) return false;
-  try {
-    const pid = Number(fs.readFileSync(lockPath, "utf8").trim());
-    if (!Number.isFinite(pid) || pid <= 0) return false;
-    process.kill(pid, 0);
-    return true;
-  } catch {
-    return false;
+// probe.lock is shared by --once (hook-triggered) and the loop mode, so overlapping runs never race on
+// the cursor / event files; see run-lock.mjs for the stale-lock rules.
+async function acquireProbeLock(command, staleAfterMs) {
+  const attempt = await acquireRunLock(lockPath, { command, staleAfterMs });
+  if (!attempt.acquired) {
+    console.log(JSON.stringify(lockSkippedResult(lockPath, attempt)));
+    return null;
   }
-}
-
-function writeLock() {
-  fs.writeFileSync(lockPath, String(process.pid), "utf8");
-}
-
-function clearLock() {
-  try {
-    if (fs.existsSync(lockPath)) fs.unlinkSync(lockPath);
-  } catch {
-    // ignore
+  if (attempt.recovered) {
+    console.error(`[clawview-probe] recovered stale lock: ${JSON.stringify(attempt.recovered)}`);
   }
+  return attempt;
 }
 
 async function runLoop() {
   ensureDir();
-  if (lockAlive()) {
-    console.log(`[clawview-probe] already running; lock=${lockPath}`);
-    return;
-  }
-  writeLock();
-
   const started = Date.now();
   const durationMs = Math.max(1, durationMin) * 60 * 1000;
   const intervalMs = Math.max(1, intervalMin) * 60 * 1000;
 
+  // The heartbeat is refreshed every iteration, so the lock only goes stale after a missed interval.
+  const lock = await acquireProbeLock("probe --loop", intervalMs + runDeadlineMs + 60 * 1000);
+  if (!lock) return;
+
   console.log(`[clawview-probe] started: outDir=${outDir}, interval=${intervalMin}m, duration=${durationMin}m`);
 
   try {
     while (Date.now() - started <= durationMs) {
-      const snapshot = collectSnapshot();
+      lock.refresh();
+      const snapshot = await collectSnapshotWithinDeadline();
       appendSnapshot(snapshot);
+      compactSnapshots();
       console.log(
         `[clawview-probe] snapshot: ts=${snapshot.ts}, bytes=${snapshot.snapshot_bytes}, p0=${snapshot.p0_core_coverage_ratio?.toFixed?.(2) ?? "n/a"}, cron24h=${snapshot.cron_runs_24h_total}, api24h=${snapshot.api_call_total_24h ?? "na"}, errors=${snapshot.errors_active_count}`,
       );
@@ -1457,12 +1855,12 @@ async function runLoop() {
     const report = summarize(snapshotPath);
     console.log(`[clawview-probe] done: samples=${report.samples}, avg=${report.snapshot_bytes_avg}B, p95=${report.snapshot_bytes_p95}B, daily≈${report.estimated_daily_bytes}B`);
   } finally {
-    clearLock();
+    lock.release();
   }
 }
 
 function printUsage() {
-  console.log(`ClawView local probe\n\nUsage:\n  node probe.mjs --once\n  node probe.mjs --summarize\n  node probe.mjs [--interval-min 5] [--duration-min 15] [--out-dir <dir>]\n`);
+  console.log(`ClawView local probe\n\nUsage:\n  node probe.mjs --once [--trigger-event gateway:startup]\n  node probe.mjs --summarize\n  node probe.mjs --compact\n  node probe.mjs --unmapped-hosts\n  node probe.mjs --serve-metrics [--port 9464] [--host 127.0.0.1]\n  node probe.mjs [--interval-min 5] [--duration-min 15] [--out-dir <dir>] [--timezone <IANA zone>]\n\nEnv:\n  CLAWVIEW_PROBE_SNAPSHOT_RETENTION_MS (default 172800000; raw snapshots-*.jsonl, pruned once folded into daily-*.json)\n  CLAWVIEW_PROBE_DAILY_RETENTION_DAYS (default 0 = keep daily-*.json forever)\n`);
 }
 
 export const __test = {
@@ -1473,9 +1871,14 @@ export const __test = {
   sanitizeApiFactFields,
   normalizeApiFactEvent,
   computeApiMetricsFromFactEvents,
+  computeApiDailyRollups,
   computeServiceStatusNow,
   computeAnomalyFlags,
+  runCollector,
   isCriticalSystemErrorMessage,
+  computeCronJobDetail,
+  fetchCronRuns,
+  mapWithConcurrency,
 };
 
 async function main() {
@@ -1487,19 +1890,66 @@ async function main() {
   ensureDir();
 
   if (hasFlag("--once")) {
-    const snapshot = collectSnapshot();
-    appendSnapshot(snapshot);
+    const lock = await acquireProbeLock("probe --once", runDeadlineMs + 60 * 1000);
+    if (!lock) process.exit(0);
+    let snapshot;
+    try {
+      snapshot = await collectSnapshotWithinDeadline();
+      appendSnapshot(snapshot);
+      compactSnapshots();
+    } catch (err) {
+      // release before process.exit: a `finally` would not run
+      lock.release();
+      if (!(err instanceof ProbeDeadlineError)) throw err;
+      reportDeadline(err);
+      process.exit(1);
+    }
+    lock.release();
     console.log(JSON.stringify(snapshot, null, 2));
     process.exit(0);
   }
 
+  if (hasFlag("--serve-metrics")) {
+    startMetricsServer({
+      dir: outDir,
+      port: Number(argValue("--port", "9464")),
+      host: argValue("--host", "127.0.0.1"),
+    });
+    return;
+  }
+
+  // Which hosts in the retained facts no endpoint group rule maps; read-only, so no lock.
+  if (hasFlag("--unmapped-hosts")) {
+    const { rules, errors, source } = loadEndpointGroupRules();
+    const facts = readJsonl(apiFactsPath);
+    const unmapped = reportUnmappedHosts(facts, rules);
+    console.log(JSON.stringify({ rules_source: source, rule_errors: errors, facts: facts.length, unmapped_hosts: unmapped }, null, 2));
+    process.exit(0);
+  }
+
+  if (hasFlag("--compact")) {
+    const lock = await acquireProbeLock("probe --compact", 60 * 1000);
+    if (!lock) process.exit(0);
+    const result = compactSnapshots();
+    lock.release();
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.error ? 1 : 0);
+  }
+
   if (hasFlag("--summarize")) {
     const report = summarize(snapshotPath);
     console.log(JSON.stringify(report, null, 2));
     process.exit(0);
   }
 
-  await runLoop();
+  try {
+    await runLoop();
+  } catch (err) {
+    if (!(err instanceof ProbeDeadlineError)) throw err;
+    // runLoop's finally has already released probe.lock; abandoned collectors must not keep the process alive.
+    reportDeadline(err);
+    process.exit(1);
+  }
 }
 
 const entryPath = process.argv[1] ? path.resolve(process.argv[1]) : "";
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyRestartSample, classifyRestartWindow, emptyRestartHistory, summarizeRestarts } from './gateway-restarts.mjs';
+
+const MIN = 60 * 1000;
+const T0 = Date.parse('2026-02-28T00:00:00.000Z');
+
+function log(tsMs, message) {
+  return { type: 'log', time: new Date(tsMs).toISOString(), message };
+}
+
+function sample(tsMs, pid, startedMs, extra = {}) {
+  return { ts_ms: tsMs, pid, started_ms: startedMs, ...extra };
+}
+
+test('pid change after a graceful shutdown is a planned restart', () => {
+  const logs = [log(T0 + 7 * MIN, 'received SIGTERM, shutting down gateway'), log(T0 + 8 * MIN, 'gateway listening on :18789')];
+  let history = applyRestartSample(emptyRestartHistory(), sample(T0, 100, T0 - 60 * MIN), logs);
+  history = applyRestartSample(history, sample(T0 + 10 * MIN, 200, T0 + 8 * MIN, { startup: true }), logs);
+
+  const summary = summarizeRestarts(history, logs, T0 + 10 * MIN);
+  assert.equal(summary.restart_total_24h, 1);
+  assert.equal(summary.restart_planned_24h, 1);
+  assert.equal(summary.restart_unexpected_count_24h, 0);
+  assert.equal(summary.last_restart_at, new Date(T0 + 8 * MIN).toISOString());
+  assert.equal(summary.last_restart_category, 'planned');
+  assert.equal(summary.last_restart_reason, 'sigterm');
+  assert.deepEqual(summary.restart_events_24h[0].signals, ['pid_change', 'startup_event', 'log:sigterm']);
+  assert.equal(summary.restart_events_24h[0].pid_before, 100);
+  assert.equal(summary.restart_events_24h[0].pid_after, 200);
+});
+
+test('crash signatures win over shutdown lines and make the restart unexpected', () => {
+  const logs = [log(T0 + 5 * MIN, 'FATAL ERROR: JavaScript heap out of memory'), log(T0 + 5 * MIN + 1000, 'SIGTERM')];
+  let history = applyRestartSample(emptyRestartHistory(), sample(T0, 100, T0 - 60 * MIN), logs);
+  history = applyRestartSample(history, sample(T0 + 10 * MIN, 300, T0 + 6 * MIN), logs);
+
+  const summary = summarizeRestarts(history, logs, T0 + 10 * MIN);
+  assert.equal(summary.restart_unexpected_count_24h, 1);
+  assert.equal(summary.restart_total_24h, 1, 'the crash line belongs to the detected restart, not a second one');
+  assert.equal(summary.last_restart_reason, 'out_of_memory');
+  assert.equal(summary.restart_unexpected_recent_time, new Date(T0 + 6 * MIN).toISOString());
+});
+
+test('a crash seen as down before the respawn still counts as an unexpected restart', () => {
+  const logs = [log(T0 + 4 * MIN, 'uncaughtException: segmentation fault, gateway crashed')];
+  let history = applyRestartSample(emptyRestartHistory(), sample(T0, 100, T0 - 60 * MIN), logs);
+  history = applyRestartSample(history, sample(T0 + 5 * MIN, null, null), logs);
+  history = applyRestartSample(history, sample(T0 + 10 * MIN, 200, T0 + 9 * MIN), logs);
+
+  assert.equal(history.restarts.length, 1);
+  assert.deepEqual([history.restarts[0].pid_before, history.restarts[0].pid_after], [100, 200]);
+  assert.equal(history.restarts[0].at_ms, T0 + 9 * MIN);
+  assert.equal(summarizeRestarts(history, logs, T0 + 10 * MIN).restart_unexpected_count_24h, 1);
+});
+
+test('a restart with no explaining log lines is unknown, and a steady pid is not a restart', () => {
+  let history = applyRestartSample(emptyRestartHistory(), sample(T0, 100, T0 - 60 * MIN), []);
+  history = applyRestartSample(history, sample(T0 + 5 * MIN, 100, T0 - 60 * MIN), []);
+  assert.equal(history.restarts.length, 0);
+
+  history = applyRestartSample(history, sample(T0 + 10 * MIN, 400, T0 + 9 * MIN), []);
+  history = applyRestartSample(history, sample(T0 + 15 * MIN, 400, T0 + 9 * MIN), []);
+  const summary = summarizeRestarts(history, [], T0 + 15 * MIN);
+  assert.equal(summary.restart_unknown_24h, 1);
+  assert.equal(summary.last_restart_reason, 'no_shutdown_signal');
+});
+
+test('crash lines without a detected restart still count as unexpected restarts', () => {
+  const logs = [
+    log(T0 - 3 * 60 * MIN, 'gateway failed to start: port in use'),
+    log(T0 - 3 * 60 * MIN + 2000, 'gateway failed to start: port in use'),
+    log(T0 - 30 * MIN, 'Unhandled promise rejection in channel worker'),
+    log(T0 - 26 * 60 * MIN, 'panic: outside the 24h window'),
+  ];
+  const history = applyRestartSample(emptyRestartHistory(), sample(T0, 100, T0 - 48 * 60 * MIN), logs);
+  const summary = summarizeRestarts(history, logs, T0);
+  assert.equal(summary.restart_total_24h, 2);
+  assert.equal(summary.restart_unexpected_count_24h, 2);
+  assert.equal(summary.last_restart_reason, 'uncaught_exception');
+  assert.equal(summary.restart_events_24h[1].reason, 'failed_to_start');
+});
+
+test('classifyRestartWindow only looks at lines inside the window', () => {
+  const logs = [log(T0, 'graceful shutdown requested'), log(T0 + 10 * MIN, 'crash in worker')];
+  assert.equal(classifyRestartWindow(logs, T0 - MIN, T0 + MIN).category, 'planned');
+  assert.equal(classifyRestartWindow(logs, T0 - MIN, T0 + 11 * MIN).category, 'unexpected');
+  assert.equal(classifyRestartWindow(logs, T0 + MIN, T0 + 2 * MIN).category, 'unknown');
+});
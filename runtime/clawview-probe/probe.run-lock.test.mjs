@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import { acquireRunLock, inspectLock, lockSkippedResult, readLockFile } from './run-lock.mjs';
+
+function tmpLockPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'clawview-lock-')), 'probe.lock');
+}
+
+// pid of a process that has already exited (and been reaped)
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+const startOf = (ms) => async () => ms;
+
+test('a live holder makes the second run skip with a structured result', async () => {
+  const lockPath = tmpLockPath();
+  const first = await acquireRunLock(lockPath, { command: 'probe --once' });
+  assert.equal(first.acquired, true);
+  const info = readLockFile(lockPath);
+  assert.equal(info.pid, process.pid);
+  assert.equal(info.hostname, os.hostname());
+  assert.ok(Date.parse(info.process_started_at) <= Date.now());
+
+  const second = await acquireRunLock(lockPath, { command: 'sync-outbound --once', processStartMs: startOf(Date.parse(info.process_started_at)) });
+  assert.equal(second.acquired, false);
+  assert.deepEqual(lockSkippedResult(lockPath, second), {
+    ok: true,
+    skipped: true,
+    reason: 'skipped: another run in progress',
+    lock: { path: lockPath, pid: process.pid, hostname: os.hostname(), command: 'probe --once', started_at: info.started_at, heartbeat_at: info.heartbeat_at },
+  });
+
+  first.release();
+  assert.equal(fs.existsSync(lockPath), false);
+  const third = await acquireRunLock(lockPath);
+  assert.equal(third.acquired, true);
+  third.release();
+});
+
+test('stale locks are recovered: dead pid, reused pid, expired heartbeat, legacy and garbage files', async () => {
+  const nowMs = Date.now();
+  const base = { hostname: os.hostname(), started_at: new Date(nowMs).toISOString(), heartbeat_at: new Date(nowMs).toISOString(), stale_after_ms: 60000 };
+
+  assert.deepEqual(await inspectLock({ ...base, pid: deadPid() }, { nowMs }), { stale: true, reason: 'pid_not_running' });
+  // our own pid, but recorded as started an hour before the process that now owns it
+  const reused = { ...base, pid: process.pid, process_started_at: new Date(nowMs - 3600 * 1000).toISOString() };
+  assert.deepEqual(await inspectLock(reused, { nowMs, processStartMs: startOf(nowMs - 1000) }), { stale: true, reason: 'pid_reused' });
+  assert.deepEqual(await inspectLock({ ...reused, process_started_at: new Date(nowMs - 1000).toISOString() }, { nowMs, processStartMs: startOf(nowMs - 1000) }), {
+    stale: false,
+    reason: 'held',
+  });
+  assert.deepEqual(await inspectLock({ ...base, pid: process.pid }, { nowMs: nowMs + 61000 }), { stale: true, reason: 'expired' });
+  // another host's pid is never checked locally; only its heartbeat can expire
+  assert.deepEqual(await inspectLock({ ...base, pid: deadPid(), hostname: 'other-host' }, { nowMs }), { stale: false, reason: 'held_remote' });
+
+  const lockPath = tmpLockPath();
+  fs.writeFileSync(lockPath, String(deadPid()));
+  const legacy = await acquireRunLock(lockPath, { command: 'probe --loop' });
+  assert.equal(legacy.acquired, true);
+  assert.equal(legacy.recovered.reason, 'pid_not_running');
+  assert.equal(readLockFile(lockPath).command, 'probe --loop');
+  legacy.release();
+
+  fs.writeFileSync(lockPath, 'not a pid');
+  const garbage = await acquireRunLock(lockPath);
+  assert.equal(garbage.recovered.reason, 'unreadable');
+  garbage.release();
+});
+
+test('refresh bumps the heartbeat and release never removes a lock taken over by another run', async () => {
+  const lockPath = tmpLockPath();
+  const nowMs = Date.now();
+  const first = await acquireRunLock(lockPath, { staleAfterMs: 1000, nowMs });
+  assert.equal(first.refresh(nowMs + 500), true);
+  assert.equal(readLockFile(lockPath).heartbeat_at, new Date(nowMs + 500).toISOString());
+
+  // first stops heartbeating; a later run takes over the expired lock
+  const second = await acquireRunLock(lockPath, { nowMs: nowMs + 5000 });
+  assert.equal(second.acquired, true);
+  assert.equal(second.recovered.reason, 'expired');
+
+  first.release();
+  assert.equal(first.refresh(), false);
+  assert.equal(fs.existsSync(lockPath), true);
+  second.release();
+  assert.equal(fs.existsSync(lockPath), false);
+});
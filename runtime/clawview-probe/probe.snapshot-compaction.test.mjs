@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { compactSnapshotDay, compactSnapshotDir } from './snapshot-compaction.mjs';
+
+const HOUR = 60 * 60 * 1000;
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'clawview-compaction-'));
+}
+
+function writeRaw(dir, date, snapshots) {
+  fs.writeFileSync(path.join(dir, `snapshots-${date}.jsonl`), snapshots.map((x) => `${JSON.stringify(x)}\n`).join(''), 'utf8');
+}
+
+test('a day folds into min/max/avg/last per numeric field and peak-merged top lists', () => {
+  const daily = compactSnapshotDay('2026-02-27', [
+    { ts: '2026-02-27T00:05:00.000Z', api_error_rate_24h: 0.1, errors_active_count: 2, skills_top_24h: [{ name: 'a', calls_24h: 5 }] },
+    { ts: '2026-02-27T12:00:00.000Z', api_error_rate_24h: null, errors_active_count: 6, skills_top_24h: [{ name: 'a', calls_24h: 9 }, { name: 'b', calls_24h: 7 }] },
+    { ts: '2026-02-27T23:55:00.000Z', api_error_rate_24h: 0.3, errors_active_count: 1, skills_top_24h: [{ name: 'a', calls_24h: 4 }] },
+  ]);
+
+  assert.equal(daily.samples, 3);
+  assert.equal(daily.first_ts, '2026-02-27T00:05:00.000Z');
+  assert.equal(daily.last_ts, '2026-02-27T23:55:00.000Z');
+  assert.deepEqual(daily.fields.errors_active_count, { min: 1, max: 6, avg: 3, last: 1, samples: 3 });
+  assert.deepEqual(daily.fields.api_error_rate_24h, { min: 0.1, max: 0.3, avg: 0.2, last: 0.3, samples: 2 });
+  assert.equal(daily.fields.cron_runs_24h_total, undefined);
+  assert.deepEqual(daily.top_lists.skills_top_24h, [{ name: 'a', calls_24h: 9 }, { name: 'b', calls_24h: 7 }]);
+  assert.deepEqual(daily.top_lists.error_top, []);
+});
+
+test('finished days are compacted once, rebuilt when they grow, and today is left alone', () => {
+  const dir = tmpDir();
+  try {
+    writeRaw(dir, '2026-02-27', [{ ts: '2026-02-27T10:00:00.000Z', errors_active_count: 1 }]);
+    writeRaw(dir, '2026-02-28', [{ ts: '2026-02-28T01:00:00.000Z', errors_active_count: 4 }]);
+    const nowMs = Date.parse('2026-02-28T06:00:00.000Z');
+
+    const first = compactSnapshotDir(dir, { nowMs });
+    assert.deepEqual(first.compacted, ['2026-02-27']);
+    assert.deepEqual(first.daily_files, ['daily-2026-02-27.json']);
+    assert.deepEqual(first.pruned_raw, []);
+
+    assert.deepEqual(compactSnapshotDir(dir, { nowMs }).compacted, []);
+
+    // a loop run that started before midnight appends to the previous day's file
+    fs.appendFileSync(path.join(dir, 'snapshots-2026-02-27.jsonl'), `${JSON.stringify({ ts: '2026-02-28T00:01:00.000Z', errors_active_count: 3 })}\n`);
+    assert.deepEqual(compactSnapshotDir(dir, { nowMs }).compacted, ['2026-02-27']);
+    const daily = JSON.parse(fs.readFileSync(path.join(dir, 'daily-2026-02-27.json'), 'utf8'));
+    assert.deepEqual(daily.fields.errors_active_count, { min: 1, max: 3, avg: 2, last: 3, samples: 2 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('raw files are pruned after the raw window, daily files only with a daily retention', () => {
+  const dir = tmpDir();
+  try {
+    writeRaw(dir, '2026-02-20', [{ ts: '2026-02-20T10:00:00.000Z', errors_active_count: 1 }]);
+    writeRaw(dir, '2026-02-26', [{ ts: '2026-02-26T10:00:00.000Z', errors_active_count: 2 }]);
+    writeRaw(dir, '2026-02-27', [{ ts: '2026-02-27T10:00:00.000Z', errors_active_count: 3 }]);
+    // 2026-02-26 ended 47h ago, 2026-02-27 ended 23h ago
+    const nowMs = Date.parse('2026-02-28T23:00:00.000Z');
+
+    const result = compactSnapshotDir(dir, { nowMs });
+    assert.deepEqual(result.pruned_raw, ['snapshots-2026-02-20.jsonl']);
+    assert.deepEqual(result.raw_files, ['snapshots-2026-02-26.jsonl', 'snapshots-2026-02-27.jsonl']);
+    assert.equal(result.daily_files.length, 3);
+
+    const later = compactSnapshotDir(dir, { nowMs: nowMs + 2 * HOUR, dailyRetentionDays: 7 });
+    assert.deepEqual(later.pruned_raw, ['snapshots-2026-02-26.jsonl']);
+    assert.deepEqual(later.pruned_daily, ['daily-2026-02-20.json']);
+    assert.deepEqual(later.daily_files, ['daily-2026-02-26.json', 'daily-2026-02-27.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
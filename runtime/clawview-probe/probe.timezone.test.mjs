@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_TIMEZONE, resolveTimeZone, zonedDateParts, zonedDayRangeMs } from './timezone.mjs';
+import { __test } from './probe.mjs';
+
+const HOUR = 60 * 60 * 1000;
+const iso = (ms) => new Date(ms).toISOString();
+
+test('day ranges follow the zone, including 23h and 25h DST days', () => {
+  const tokyo = zonedDayRangeMs(Date.parse('2026-02-28T12:00:00.000Z'), 'Asia/Tokyo');
+  assert.deepEqual([iso(tokyo.startMs), iso(tokyo.endMs), tokyo.date], ['2026-02-27T15:00:00.000Z', '2026-02-28T15:00:00.000Z', '2026-02-28']);
+
+  const springForward = zonedDayRangeMs(Date.parse('2026-03-08T12:00:00.000Z'), 'America/New_York');
+  assert.deepEqual([iso(springForward.startMs), iso(springForward.endMs)], ['2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+  assert.equal(springForward.endMs - springForward.startMs, 23 * HOUR);
+
+  const fallBack = zonedDayRangeMs(Date.parse('2026-11-01T12:00:00.000Z'), 'America/New_York');
+  assert.equal(fallBack.endMs - fallBack.startMs, 25 * HOUR);
+
+  // Santiago skips 00:00-01:00 on its DST day: the day starts at 01:00 local (-03:00)
+  const skippedMidnight = zonedDayRangeMs(Date.parse('2026-09-06T12:00:00.000Z'), 'America/Santiago');
+  assert.equal(iso(skippedMidnight.startMs), '2026-09-06T04:00:00.000Z');
+  assert.equal(zonedDateParts(skippedMidnight.startMs, 'America/Santiago').hour, 1);
+
+  // an instant just before local midnight still belongs to the previous local day
+  assert.equal(zonedDayRangeMs(Date.parse('2026-03-09T03:59:00.000Z'), 'America/New_York').date, '2026-03-08');
+});
+
+test('resolveTimeZone canonicalises IANA names and falls back on unknown zones', () => {
+  assert.deepEqual(resolveTimeZone(undefined), { timezone: DEFAULT_TIMEZONE, error: null });
+  assert.deepEqual(resolveTimeZone(' Europe/Berlin '), { timezone: 'Europe/Berlin', error: null });
+  assert.equal(resolveTimeZone('Mars/Olympus').timezone, DEFAULT_TIMEZONE);
+  assert.match(resolveTimeZone('Mars/Olympus').error, /unknown IANA timezone/);
+});
+
+test('today counts use the supplied business day, not Tokyo', () => {
+  const nowMs = Date.parse('2026-03-08T20:00:00.000Z');
+  const event = (ts) => ({ ts_ms: Date.parse(ts), provider: 'openai', endpoint_group: 'chat', is_failure: false, is_429: false });
+  const events = [event('2026-03-08T04:30:00.000Z'), event('2026-03-08T05:30:00.000Z'), event('2026-03-08T19:00:00.000Z')];
+
+  const newYork = __test.computeApiMetricsFromFactEvents(events, nowMs, true, {}, zonedDayRangeMs(nowMs, 'America/New_York'));
+  assert.equal(newYork.api_call_total_24h, 3);
+  assert.equal(newYork.api_call_total_today, 2);
+  assert.equal(newYork.endpoint_group_top5_calls_24h[0].calls_today, 2);
+
+  const tokyo = __test.computeApiMetricsFromFactEvents(events, nowMs, true, {}, zonedDayRangeMs(nowMs, 'Asia/Tokyo'));
+  assert.equal(tokyo.api_call_total_today, 1);
+});
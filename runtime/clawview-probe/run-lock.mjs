@@ -0,0 +1,187 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+
+import { runCommand } from "./probe-exec.mjs";
+
+// Single-flight lock shared by `probe.mjs` (--once and loop mode) and `sync-outbound.mjs`.
+// The lock file records who holds it: { pid, hostname, process_started_at, started_at, heartbeat_at,
+// stale_after_ms, command, token }. It is created with O_EXCL, so two runs never both win.
+// A held lock is taken over only when it is provably stale:
+//   - unreadable / no pid                                         -> unreadable
+//   - heartbeat older than the holder's own stale_after_ms          -> expired (any host)
+//   - same host and the pid is gone                                 -> pid_not_running
+//   - same host, pid alive but started at another time than recorded -> pid_reused
+// Old plain-pid lock files are read as { pid } with the file mtime as heartbeat.
+
+export const DEFAULT_STALE_AFTER_MS = 10 * 60 * 1000;
+const START_TIME_TOLERANCE_MS = 5000;
+
+export function currentProcessStartMs(nowMs = Date.now()) {
+  return Math.round(nowMs - process.uptime() * 1000);
+}
+
+// `ps -o lstart=` has one-second resolution and works on Linux and macOS; null when unknown.
+export async function defaultProcessStartMs(pid) {
+  try {
+    const out = await runCommand("ps", ["-p", String(pid), "-o", "lstart="], { timeoutMs: 5000, env: { ...process.env, LC_ALL: "C", TZ: "UTC" } });
+    const ms = out.trim() ? Date.parse(`${out.trim()} UTC`) : NaN;
+    return Number.isFinite(ms) ? ms : null;
+  } catch {
+    return null;
+  }
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err?.code === "EPERM";
+  }
+}
+
+export function readLockFile(lockPath) {
+  let text;
+  let stat;
+  try {
+    text = fs.readFileSync(lockPath, "utf8");
+    stat = fs.statSync(lockPath);
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    return { unreadable: true };
+  }
+  let info = null;
+  try {
+    info = JSON.parse(text);
+  } catch {
+    // not JSON: legacy plain-pid file (or garbage, which then has no valid pid)
+  }
+  if (!info || typeof info !== "object") info = { pid: Number(text.trim()) };
+  if (info.heartbeat_at == null) info.heartbeat_at = stat.mtime.toISOString();
+  return info;
+}
+
+export async function inspectLock(info, { nowMs = Date.now(), hostname = os.hostname(), processStartMs = defaultProcessStartMs } = {}) {
+  const pid = Number(info?.pid);
+  if (!info || info.unreadable || !Number.isInteger(pid) || pid <= 0) return { stale: true, reason: "unreadable" };
+
+  const heartbeatMs = Date.parse(String(info.heartbeat_at || ""));
+  const staleAfterMs = Number(info.stale_after_ms) > 0 ? Number(info.stale_after_ms) : DEFAULT_STALE_AFTER_MS;
+  if (Number.isFinite(heartbeatMs) && nowMs - heartbeatMs > staleAfterMs) return { stale: true, reason: "expired" };
+
+  // A pid from another host says nothing about this one; only the heartbeat can expire it.
+  if (info.hostname && info.hostname !== hostname) return { stale: false, reason: "held_remote" };
+  if (!pidAlive(pid)) return { stale: true, reason: "pid_not_running" };
+
+  const recordedStartMs = Date.parse(String(info.process_started_at || ""));
+  if (Number.isFinite(recordedStartMs)) {
+    const actualStartMs = await processStartMs(pid);
+    if (actualStartMs != null && Math.abs(actualStartMs - recordedStartMs) > START_TIME_TOLERANCE_MS) return { stale: true, reason: "pid_reused" };
+  }
+  return { stale: false, reason: "held" };
+}
+
+function lockPublicInfo(info) {
+  if (!info) return null;
+  return {
+    pid: Number.isFinite(Number(info.pid)) ? Number(info.pid) : null,
+    hostname: info.hostname ?? null,
+    command: info.command ?? null,
+    started_at: info.started_at ?? null,
+    heartbeat_at: info.heartbeat_at ?? null,
+  };
+}
+
+function tryCreate(lockPath, info) {
+  try {
+    const fd = fs.openSync(lockPath, "wx");
+    try {
+      fs.writeSync(fd, JSON.stringify(info) + "\n");
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (err) {
+    if (err?.code === "EEXIST") return false;
+    throw err;
+  }
+}
+
+// Resolves `{ acquired: true, lock, recovered, refresh(), release() }` or
+// `{ acquired: false, holder, reason }`. `recovered` describes a stale lock that was taken over.
+export async function acquireRunLock(
+  lockPath,
+  { command = "probe", staleAfterMs = DEFAULT_STALE_AFTER_MS, nowMs = Date.now(), hostname = os.hostname(), pid = process.pid, processStartMs = defaultProcessStartMs } = {},
+) {
+  const startedAt = new Date(nowMs).toISOString();
+  const info = {
+    pid,
+    hostname,
+    command,
+    process_started_at: new Date(pid === process.pid ? currentProcessStartMs(nowMs) : nowMs).toISOString(),
+    started_at: startedAt,
+    heartbeat_at: startedAt,
+    stale_after_ms: staleAfterMs,
+    token: crypto.randomUUID(),
+  };
+
+  let recovered = null;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    if (tryCreate(lockPath, info)) return lockHandle(lockPath, info, recovered);
+
+    const holder = readLockFile(lockPath);
+    if (!holder) continue; // released between our create and read
+    const verdict = await inspectLock(holder, { nowMs, hostname, processStartMs });
+    if (!verdict.stale) return { acquired: false, holder: lockPublicInfo(holder), reason: "another run in progress" };
+
+    // Move the stale file aside instead of unlinking it, so two runs recovering the same stale lock
+    // cannot delete each other's fresh lock: only one rename succeeds, the other sees EEXIST next.
+    const aside = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+    try {
+      fs.renameSync(lockPath, aside);
+      fs.rmSync(aside, { force: true });
+      recovered = { ...lockPublicInfo(holder), reason: verdict.reason };
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+    }
+  }
+  const holder = readLockFile(lockPath);
+  return { acquired: false, holder: lockPublicInfo(holder), reason: "another run in progress" };
+}
+
+function lockHandle(lockPath, info, recovered) {
+  const owned = () => readLockFile(lockPath)?.token === info.token;
+  return {
+    acquired: true,
+    lock: lockPublicInfo(info),
+    recovered,
+    // Long-running holders (loop mode) bump the heartbeat so they do not expire.
+    refresh(nowMs = Date.now()) {
+      if (!owned()) return false;
+      info.heartbeat_at = new Date(nowMs).toISOString();
+      const tmp = `${lockPath}.${info.token}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(info) + "\n", "utf8");
+      fs.renameSync(tmp, lockPath);
+      return true;
+    },
+    release() {
+      try {
+        if (owned()) fs.unlinkSync(lockPath);
+      } catch {
+        // ignore
+      }
+    },
+  };
+}
+
+// Structured result printed by a run that found the lock held.
+export function lockSkippedResult(lockPath, attempt) {
+  return {
+    ok: true,
+    skipped: true,
+    reason: `skipped: ${attempt.reason}`,
+    lock: { path: lockPath, ...attempt.holder },
+  };
+}
@@ -0,0 +1,194 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Daily compaction of the raw snapshot files (PRD: raw snapshots 48h, daily compressed snapshots long term).
+// Each finished `snapshots-YYYY-MM-DD.jsonl` (UTC day, as written by the probe) folds into one
+// `daily-YYYY-MM-DD.json`:
+//   { version, date, generated_at, source: { file, bytes }, samples, first_ts, last_ts,
+//     fields: { <numeric field>: { min, max, avg, last, samples } }, top_lists: { <list>: [...] } }
+// A daily file is rebuilt when its raw file has grown since (a loop run that started before midnight keeps
+// appending to the previous day's file). Raw files are pruned once compacted and older than the raw
+// retention; daily files are kept forever unless a daily retention is set.
+
+export const DAILY_SNAPSHOT_VERSION = 1;
+export const DEFAULT_RAW_RETENTION_MS = 48 * 60 * 60 * 1000;
+// 0 keeps daily files forever.
+export const DEFAULT_DAILY_RETENTION_DAYS = 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RAW_FILE_PATTERN = /^snapshots-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAILY_FILE_PATTERN = /^daily-(\d{4}-\d{2}-\d{2})\.json$/;
+const TOP_LIST_LIMIT = 10;
+
+// Numeric P0 fields (and their close companions) summarised per day.
+export const DAILY_NUMERIC_FIELDS = [
+  "service_uptime_ratio_24h",
+  "cron_runs_24h_total",
+  "cron_runs_today_total",
+  "api_call_total_24h",
+  "api_call_total_today",
+  "api_error_rate_24h",
+  "api_429_ratio_24h",
+  "api_unknown_rate_24h",
+  "api_latency_p95_ms_24h",
+  "restart_unexpected_count_24h",
+  "errors_active_count",
+  "skill_calls_total_24h",
+  "data_freshness_delay_min",
+  "p0_core_coverage_ratio",
+  "snapshot_bytes",
+];
+
+// Top lists merged per day: an entry keeps the highest value any snapshot reported for it. The lists are
+// rolling windows, so adding them up across snapshots would count the same calls many times.
+export const DAILY_TOP_LISTS = {
+  cron_top_jobs_24h: { key: (x) => x?.job_id ?? x?.job_name, value: "runs_24h" },
+  cron_storm_top5_5m: { key: (x) => x?.job_id ?? x?.job_name, value: "runs_5m" },
+  endpoint_group_top5_calls_24h: { key: (x) => x?.endpoint_group, value: "calls_24h" },
+  skills_top_24h: { key: (x) => x?.name, value: "calls_24h" },
+  error_top: { key: (x) => x?.fingerprint, value: "count_24h" },
+};
+
+function summarizeField(values) {
+  const numbers = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (numbers.length === 0) return null;
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    min: Math.min(...numbers),
+    max: Math.max(...numbers),
+    avg: round(numbers.reduce((a, b) => a + b, 0) / numbers.length),
+    last: numbers[numbers.length - 1],
+    samples: numbers.length,
+  };
+}
+
+function mergeTopList(lists, { key, value }) {
+  const byKey = new Map();
+  for (const list of lists) {
+    for (const item of Array.isArray(list) ? list : []) {
+      const id = key(item);
+      const n = Number(item?.[value]);
+      if (id == null || !Number.isFinite(n)) continue;
+      const previous = byKey.get(String(id));
+      // later snapshots refresh the descriptive fields (names, risk), the peak value is kept
+      byKey.set(String(id), { ...item, [value]: Math.max(n, previous ? Number(previous[value]) : n) });
+    }
+  }
+  return [...byKey.values()].sort((a, b) => b[value] - a[value]).slice(0, TOP_LIST_LIMIT);
+}
+
+// Folds one day's snapshots (oldest first) into the daily record.
+export function compactSnapshotDay(date, snapshots, { source = null, nowMs = Date.now() } = {}) {
+  const rows = (Array.isArray(snapshots) ? snapshots : []).filter((x) => x && typeof x === "object");
+  const fields = {};
+  for (const field of DAILY_NUMERIC_FIELDS) {
+    const summary = summarizeField(rows.map((x) => x[field]));
+    if (summary) fields[field] = summary;
+  }
+  const topLists = {};
+  for (const [name, rule] of Object.entries(DAILY_TOP_LISTS)) {
+    topLists[name] = mergeTopList(rows.map((x) => x[name]), rule);
+  }
+
+  return {
+    version: DAILY_SNAPSHOT_VERSION,
+    date,
+    generated_at: new Date(nowMs).toISOString(),
+    source,
+    samples: rows.length,
+    first_ts: rows[0]?.ts ?? null,
+    last_ts: rows[rows.length - 1]?.ts ?? null,
+    timezone: rows[rows.length - 1]?.timezone ?? null,
+    fields,
+    top_lists: topLists,
+  };
+}
+
+function readJsonlRows(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function readDaily(filePath) {
+  try {
+    const daily = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return daily?.version === DAILY_SNAPSHOT_VERSION ? daily : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJsonAtomic(filePath, value) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+function listFiles(dir, pattern) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .map((name) => ({ name, date: pattern.exec(name)?.[1] }))
+      .filter((x) => x.date)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch {
+    return [];
+  }
+}
+
+const dayEndMs = (date) => Date.parse(`${date}T00:00:00.000Z`) + DAY_MS;
+
+// Compacts every finished raw day in `dir`, then applies the retention windows. Returns what was done:
+// { compacted: [date], pruned_raw: [file], pruned_daily: [file], raw_files, daily_files }.
+export function compactSnapshotDir(dir, { nowMs = Date.now(), rawRetentionMs = DEFAULT_RAW_RETENTION_MS, dailyRetentionDays = DEFAULT_DAILY_RETENTION_DAYS } = {}) {
+  const today = new Date(nowMs).toISOString().slice(0, 10);
+  const compacted = [];
+  const prunedRaw = [];
+  const prunedDaily = [];
+
+  for (const { name, date } of listFiles(dir, RAW_FILE_PATTERN)) {
+    if (date >= today) continue;
+    const rawPath = path.join(dir, name);
+    const dailyPath = path.join(dir, `daily-${date}.json`);
+    const bytes = fs.statSync(rawPath).size;
+
+    const existing = readDaily(dailyPath);
+    if (existing?.source?.bytes !== bytes) {
+      writeJsonAtomic(dailyPath, compactSnapshotDay(date, readJsonlRows(rawPath), { source: { file: name, bytes }, nowMs }));
+      compacted.push(date);
+    }
+
+    // Only a compacted day is pruned, so a failed compaction never loses the raw data.
+    if (nowMs - dayEndMs(date) >= rawRetentionMs) {
+      fs.rmSync(rawPath, { force: true });
+      prunedRaw.push(name);
+    }
+  }
+
+  if (dailyRetentionDays > 0) {
+    for (const { name, date } of listFiles(dir, DAILY_FILE_PATTERN)) {
+      if (nowMs - dayEndMs(date) >= dailyRetentionDays * DAY_MS) {
+        fs.rmSync(path.join(dir, name), { force: true });
+        prunedDaily.push(name);
+      }
+    }
+  }
+
+  return {
+    compacted,
+    pruned_raw: prunedRaw,
+    pruned_daily: prunedDaily,
+    raw_files: listFiles(dir, RAW_FILE_PATTERN).map((x) => x.name),
+    daily_files: listFiles(dir, DAILY_FILE_PATTERN).map((x) => x.name),
+  };
+}
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { __test } from "./sync-outbound.mjs";
+
+function writeConfig(value) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawview-sync-config-"));
+  const file = path.join(dir, "sync-config.json");
+  fs.writeFileSync(file, typeof value === "string" ? value : JSON.stringify(value));
+  return file;
+}
+
+test("resolveSyncConfig fills unset env vars from sync-config.json, env first", () => {
+  const file = writeConfig({
+    syncUrl: "https://example.insforge.app/functions/clawview-ingest",
+    apiKey: "from-config",
+    batchSize: 50,
+    gzip: true,
+  });
+
+  const { values, sources, errors } = __test.resolveSyncConfig({ CLAWVIEW_SYNC_API_KEY: "from-env" }, file);
+  assert.deepEqual(errors, []);
+  assert.equal(values.CLAWVIEW_SYNC_URL, "https://example.insforge.app/functions/clawview-ingest");
+  assert.equal(values.CLAWVIEW_SYNC_API_KEY, "from-env");
+  assert.equal(values.CLAWVIEW_SYNC_BATCH_SIZE, "50");
+  assert.equal(values.CLAWVIEW_SYNC_GZIP, "1");
+  assert.equal(sources.apiKey, "env");
+  assert.equal(sources.syncUrl, "config");
+});
+
+test("resolveSyncConfig reports every invalid or unknown key with its source", () => {
+  const file = writeConfig({ syncUrl: "ftp://nope", batchSize: "many", tenantId: "has space", syncURL: "typo", timezone: "Mars/Base" });
+
+  const { errors } = __test.resolveSyncConfig({ CLAWVIEW_SYNC_DRAIN: "yes" }, file);
+  assert.equal(errors.length, 6);
+  assert.ok(errors.some((e) => e.includes('unknown key "syncURL"')));
+  assert.ok(errors.some((e) => e.includes('"syncUrl" must be an absolute http(s) URL')));
+  assert.ok(errors.some((e) => e.includes('"batchSize" must be a non-negative integer')));
+  assert.ok(errors.some((e) => e.includes('"timezone" must be an IANA timezone')));
+  assert.ok(errors.some((e) => e.startsWith("CLAWVIEW_SYNC_DRAIN:")));
+});
+
+test("resolveSyncConfig only requires the file when --config names it", () => {
+  const missing = path.join(os.tmpdir(), "clawview-sync-config-missing", "sync-config.json");
+  assert.deepEqual(__test.resolveSyncConfig({}, missing).errors, []);
+  assert.equal(__test.resolveSyncConfig({}, missing, { required: true }).errors.length, 1);
+
+  assert.match(__test.resolveSyncConfig({}, writeConfig("{ not json")).errors[0], /invalid JSON/);
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { __test } from "./sync-outbound.mjs";
+
+const NOW_MS = Date.parse("2026-02-28T12:00:00.000Z");
+const HOUR_MS = 60 * 60 * 1000;
+const SYNC_SCRIPT = fileURLToPath(new URL("./sync-outbound.mjs", import.meta.url));
+
+function ev(tsMs, key) {
+  return { ts: new Date(tsMs).toISOString(), ts_ms: tsMs, dedupe_key: key };
+}
+
+test("selectUnsentApiEvents pages through a backlog without skipping same-ms events", () => {
+  const events = [ev(1000, "a"), ev(1000, "b"), ev(2000, "c"), ev(3000, "d"), ev(3000, "e")];
+
+  let cursor = { api_last_ts_ms: 0, api_last_keys: [] };
+  const pages = [];
+  for (;;) {
+    const { unsent, nextCursor } = __test.selectUnsentApiEvents(events, cursor, 2);
+    if (unsent.length === 0) break;
+    pages.push(unsent.map((e) => e.dedupe_key));
+    cursor = nextCursor;
+  }
+
+  assert.deepEqual(pages, [["a", "b"], ["c", "d"], ["e"]]);
+  assert.equal(__test.selectUnsentApiEvents(events, cursor, Infinity).unsent.length, 0);
+});
+
+test("findPruneRisk flags unsynced events close to the 48h probe retention", () => {
+  const old = ev(NOW_MS - 45 * HOUR_MS, "old");
+  const fresh = ev(NOW_MS - 2 * HOUR_MS, "fresh");
+
+  const risk = __test.findPruneRisk([old, fresh], NOW_MS);
+  assert.equal(risk.count, 1);
+  assert.equal(risk.oldest_ts, old.ts);
+  assert.equal(risk.prune_at, new Date(old.ts_ms + 48 * HOUR_MS).toISOString());
+
+  assert.equal(__test.findPruneRisk([fresh], NOW_MS), null);
+});
+
+test("an event with a sensitive value is dead-lettered and the sink drains past it", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawview-sync-poison-"));
+  try {
+    const poison = { ...ev(NOW_MS - 2000, "poison"), request_id: "token=abcdef1234567890" };
+    const events = [ev(NOW_MS - 3000, "good-1"), poison, ev(NOW_MS - 1000, "good-2")];
+    fs.writeFileSync(path.join(dir, "api-events.jsonl"), events.map((e) => `${JSON.stringify(e)}\n`).join(""));
+    fs.writeFileSync(path.join(dir, "sync-config.json"), JSON.stringify({ sinks: [{ name: "local", type: "file", path: "export.jsonl" }] }));
+    const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith("CLAWVIEW_")));
+    const run = () => {
+      const res = spawnSync(process.execPath, [SYNC_SCRIPT, "--once", "--out-dir", dir], { env, encoding: "utf8", timeout: 30_000 });
+      assert.equal(res.status, 0, res.stderr);
+      return JSON.parse(res.stdout).sinks[0];
+    };
+
+    const first = run();
+    assert.equal(first.error, undefined);
+    assert.equal(first.api_events_sent, 2);
+    assert.equal(first.api_events_rejected, 1);
+    assert.equal(first.drain.caught_up, true);
+    assert.equal(first.cursor.api_last_ts_ms, NOW_MS - 1000);
+
+    const exported = fs.readFileSync(path.join(dir, "export.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(exported.map((line) => line.item.dedupe_key), ["good-1", "good-2"]);
+    const deadLetter = fs.readFileSync(path.join(dir, "sync-dead-letter.local.jsonl"), "utf8");
+    assert.equal(JSON.parse(deadLetter).dedupe_key, "poison");
+    assert.ok(!deadLetter.includes("abcdef1234567890"));
+
+    const second = run();
+    assert.deepEqual([second.api_events_sent, second.api_events_rejected], [0, 0]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -3,6 +3,11 @@ import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
 import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { acquireRunLock, lockSkippedResult } from "./run-lock.mjs";
+import { DEFAULT_KEY_ID } from "./sync-signature.mjs";
+import { buildEnvelope, createSink, encodeJson, parseRetryAfterMs, validateSinkDefs } from "./sync-sinks.mjs";
+import { isValidTimeZone } from "./timezone.mjs";
 
 const argv = process.argv.slice(2);
 
@@ -17,17 +22,154 @@ function argValue(flag, fallback) {
 }
 
 const outDir = argValue("--out-dir", path.join(os.homedir(), ".openclaw", "clawview-probe"));
-const dayTag = new Date().toISOString().slice(0, 10);
 const apiEventsPath = path.join(outDir, "api-events.jsonl");
-const snapshotsPath = path.join(outDir, `snapshots-${dayTag}.jsonl`);
-const syncCursorPath = path.join(outDir, "sync-cursor.json");
+const syncLockPath = path.join(outDir, "sync.lock");
+
+const configPath = argValue("--config", path.join(outDir, "sync-config.json"));
+const dryRun = hasFlag("--dry-run");
+
+// sync-config.json keys and the env vars they stand in for. Env always wins, so the hook's
+// buildChildEnv() and a hand-run `node sync-outbound.mjs --once` resolve the same settings.
+const CONFIG_FIELDS = [
+  { key: "syncUrl", env: "CLAWVIEW_SYNC_URL", type: "url" },
+  { key: "apiKey", env: "CLAWVIEW_SYNC_API_KEY", type: "string" },
+  { key: "hmacSecret", env: "CLAWVIEW_SYNC_HMAC_SECRET", type: "string" },
+  { key: "hmacKeyId", env: "CLAWVIEW_SYNC_HMAC_KEY_ID", type: "label" },
+  { key: "tenantId", env: "CLAWVIEW_TENANT_ID", type: "label" },
+  { key: "projectId", env: "CLAWVIEW_PROJECT_ID", type: "label" },
+  { key: "batchSize", env: "CLAWVIEW_SYNC_BATCH_SIZE", type: "integer" },
+  { key: "snapshotBatchSize", env: "CLAWVIEW_SYNC_SNAPSHOT_BATCH_SIZE", type: "integer" },
+  { key: "maxAttempts", env: "CLAWVIEW_SYNC_MAX_ATTEMPTS", type: "integer" },
+  { key: "backoffBaseMs", env: "CLAWVIEW_SYNC_BACKOFF_BASE_MS", type: "integer" },
+  { key: "backoffMaxMs", env: "CLAWVIEW_SYNC_BACKOFF_MAX_MS", type: "integer" },
+  { key: "outboxMax", env: "CLAWVIEW_SYNC_OUTBOX_MAX", type: "integer" },
+  { key: "drain", env: "CLAWVIEW_SYNC_DRAIN", type: "boolean" },
+  { key: "drainMaxMs", env: "CLAWVIEW_SYNC_DRAIN_MAX_MS", type: "integer" },
+  { key: "drainMaxBytes", env: "CLAWVIEW_SYNC_DRAIN_MAX_BYTES", type: "integer" },
+  { key: "gzip", env: "CLAWVIEW_SYNC_GZIP", type: "boolean" },
+  { key: "maxRequestBytes", env: "CLAWVIEW_SYNC_MAX_REQUEST_BYTES", type: "integer" },
+  { key: "pruneWarnMs", env: "CLAWVIEW_SYNC_PRUNE_WARN_MS", type: "integer" },
+  // Not used by the sync itself: the hook hands it to probe.mjs as its business timezone.
+  { key: "timezone", env: "CLAWVIEW_TIMEZONE", type: "timezone" },
+];
+
+function validateConfigValue(field, value) {
+  switch (field.type) {
+    case "url": {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch {
+        return "must be an absolute http(s) URL";
+      }
+      return url.protocol === "https:" || url.protocol === "http:" ? null : "must be an absolute http(s) URL";
+    }
+    case "label":
+      return /^[a-z0-9._-]{1,64}$/i.test(String(value)) ? null : "must match [a-z0-9._-]{1,64}";
+    case "integer":
+      return /^\d+$/.test(String(value).trim()) ? null : "must be a non-negative integer";
+    case "boolean":
+      return typeof value === "boolean" || ["0", "1"].includes(String(value)) ? null : 'must be true/false or "0"/"1"';
+    case "timezone":
+      return isValidTimeZone(String(value)) ? null : 'must be an IANA timezone such as "Europe/Berlin"';
+    default:
+      return typeof value === "string" ? null : "must be a string";
+  }
+}
+
+function toEnvValue(field, value) {
+  if (field.type === "boolean") return value === true || String(value) === "1" ? "1" : "0";
+  return String(value).trim();
+}
+
+// Returns `{ values, sources, errors }`: `values` is keyed by env var name, `sources` says where
+// each value came from (env|config), `errors` lists every problem with a path-prefixed message.
+function resolveSyncConfig(env, filePath, { required = false } = {}) {
+  const errors = [];
+  let fileConfig = {};
+
+  let raw = null;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (required || err?.code !== "ENOENT") errors.push(`${filePath}: cannot read (${err?.code || err?.message || err})`);
+  }
+  if (raw != null) {
+    try {
+      fileConfig = JSON.parse(raw);
+    } catch (err) {
+      errors.push(`${filePath}: invalid JSON (${err?.message || err})`);
+    }
+    if (!fileConfig || typeof fileConfig !== "object" || Array.isArray(fileConfig)) {
+      errors.push(`${filePath}: top level must be a JSON object`);
+      fileConfig = {};
+    }
+  }
+
+  const known = new Set([...CONFIG_FIELDS.map((field) => field.key), "sinks"]);
+  for (const key of Object.keys(fileConfig)) {
+    if (!known.has(key)) errors.push(`${filePath}: unknown key "${key}"`);
+  }
+
+  const values = {};
+  const sources = {};
+  for (const field of CONFIG_FIELDS) {
+    const envValue = env[field.env];
+    if (envValue != null && envValue !== "") {
+      const problem = validateConfigValue(field, envValue);
+      if (problem) errors.push(`${field.env}: ${problem} (got ${JSON.stringify(envValue)})`);
+      values[field.env] = String(envValue);
+      sources[field.key] = "env";
+      continue;
+    }
+
+    const fileValue = fileConfig[field.key];
+    if (fileValue == null || fileValue === "") continue;
+    const problem = validateConfigValue(field, fileValue);
+    if (problem) {
+      errors.push(`${filePath}: "${field.key}" ${problem} (got ${JSON.stringify(fileValue)})`);
+      continue;
+    }
+    values[field.env] = toEnvValue(field, fileValue);
+    sources[field.key] = "config";
+  }
+
+  const sinkErrors = validateSinkDefs(fileConfig.sinks);
+  errors.push(...sinkErrors.map((error) => `${filePath}: ${error}`));
+  const sinks = Array.isArray(fileConfig.sinks) && sinkErrors.length === 0 ? fileConfig.sinks : null;
+
+  return { values, sources, sinks, errors };
+}
 
-const syncUrl = process.env.CLAWVIEW_SYNC_URL || "";
-const syncApiKey = process.env.CLAWVIEW_SYNC_API_KEY || "";
-const syncHmacSecret = process.env.CLAWVIEW_SYNC_HMAC_SECRET || "";
-const tenantId = process.env.CLAWVIEW_TENANT_ID || "default";
-const projectId = process.env.CLAWVIEW_PROJECT_ID || "openclaw";
-const batchSize = Math.max(1, Number(process.env.CLAWVIEW_SYNC_BATCH_SIZE || "200"));
+const syncConfig = resolveSyncConfig(process.env, configPath, { required: hasFlag("--config") });
+const settings = syncConfig.values;
+
+const syncUrl = settings.CLAWVIEW_SYNC_URL || "";
+const syncApiKey = settings.CLAWVIEW_SYNC_API_KEY || "";
+const syncHmacSecret = settings.CLAWVIEW_SYNC_HMAC_SECRET || "";
+const syncHmacKeyId = settings.CLAWVIEW_SYNC_HMAC_KEY_ID || DEFAULT_KEY_ID;
+const tenantId = settings.CLAWVIEW_TENANT_ID || "default";
+const projectId = settings.CLAWVIEW_PROJECT_ID || "openclaw";
+const batchSize = Math.max(1, Number(settings.CLAWVIEW_SYNC_BATCH_SIZE || "200"));
+const snapshotBatchSize = Math.max(1, Number(settings.CLAWVIEW_SYNC_SNAPSHOT_BATCH_SIZE || "20"));
+const maxAttempts = Math.max(1, Number(settings.CLAWVIEW_SYNC_MAX_ATTEMPTS || "8"));
+const backoffBaseMs = Math.max(1000, Number(settings.CLAWVIEW_SYNC_BACKOFF_BASE_MS || "30000"));
+const backoffMaxMs = Math.max(backoffBaseMs, Number(settings.CLAWVIEW_SYNC_BACKOFF_MAX_MS || String(60 * 60 * 1000)));
+const outboxMaxEntries = Math.max(1, Number(settings.CLAWVIEW_SYNC_OUTBOX_MAX || "500"));
+const drainEnabled = (settings.CLAWVIEW_SYNC_DRAIN ?? "1") !== "0";
+const drainMaxMs = Math.max(1000, Number(settings.CLAWVIEW_SYNC_DRAIN_MAX_MS || "60000"));
+const drainMaxBytes = Math.max(1024, Number(settings.CLAWVIEW_SYNC_DRAIN_MAX_BYTES || String(5 * 1024 * 1024)));
+const gzipEnabled = settings.CLAWVIEW_SYNC_GZIP === "1";
+const maxRequestBytes = Math.max(4096, Number(settings.CLAWVIEW_SYNC_MAX_REQUEST_BYTES || String(1024 * 1024)));
+const pruneWarnMs = Math.max(0, Number(settings.CLAWVIEW_SYNC_PRUNE_WARN_MS || String(6 * 60 * 60 * 1000)));
+
+// Mirrors apiEventRetentionMs in probe.mjs: older events are pruned from api-events.jsonl.
+const API_EVENT_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+// Rejections that will fail the same way on every retry go straight to the dead-letter file.
+const POISON_HTTP_STATUSES = new Set([400, 413, 422]);
+
+const SNAPSHOT_FILE_PATTERN = /^snapshots-\d{4}-\d{2}-\d{2}\.jsonl$/;
 
 const ALLOWED_API_EVENT_FIELDS = [
   "ts",
@@ -57,20 +199,43 @@ const ALLOWED_SNAPSHOT_FIELDS = [
   "service_status_now",
   "openclaw_system_anomaly",
   "clawview_pipeline_anomaly",
+  "clawview_pipeline_failed_collectors",
+  "collector_status",
   "service_uptime_ratio_24h",
+  "service_uptime_ratio_7d",
+  "service_uptime_ratio_30d",
+  "service_downtime_intervals_30d",
   "cron_runs_24h_total",
+  "cron_runs_today_total",
   "cron_runs_today_tokyo_total",
   "cron_storm_top5_5m",
+  "cron_top_jobs_24h",
+  "cron_jobs_detail",
   "api_call_total_24h",
+  "api_call_total_today",
   "api_call_total_today_tokyo",
   "api_error_rate_24h",
   "api_429_ratio_24h",
   "api_unknown_rate_24h",
+  "api_latency_samples_24h",
+  "api_latency_p50_ms_24h",
+  "api_latency_p95_ms_24h",
+  "api_latency_p99_ms_24h",
+  "api_latency_series_24h",
   "endpoint_group_top5_calls_24h",
+  "api_daily_rollups",
   "errors_active_count",
+  "restart_total_24h",
+  "restart_planned_24h",
   "restart_unexpected_count_24h",
+  "restart_unknown_24h",
+  "last_restart_at",
+  "last_restart_reason",
+  "last_restart_category",
+  "restart_events_24h",
   "data_freshness_delay_min",
   "p0_core_coverage_ratio",
+  "risk_evaluations",
   "probe_version",
   "api_collection_mode",
   "api_events_new_since_last",
@@ -121,9 +286,9 @@ function readJsonl(filePath) {
     .filter(Boolean);
 }
 
-function signBody(bodyText) {
-  if (!syncHmacSecret) return "";
-  return crypto.createHmac("sha256", syncHmacSecret).update(bodyText).digest("hex");
+function appendJsonl(filePath, rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return;
+  fs.appendFileSync(filePath, rows.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
 }
 
 function pickAllowedFields(input, allowedKeys) {
@@ -138,17 +303,38 @@ function pickAllowedFields(input, allowedKeys) {
 
 function sanitizeApiEvent(ev) {
   const out = pickAllowedFields(ev, ALLOWED_API_EVENT_FIELDS);
-  if (API_FACT_SENSITIVE_PATTERNS.some((pattern) => pattern.test(JSON.stringify(out)))) {
-    throw new Error("api event contains sensitive payload pattern");
-  }
+  if (API_FACT_SENSITIVE_PATTERNS.some((pattern) => pattern.test(JSON.stringify(out)))) return null;
   return out;
 }
 
+// Splits a page of API events into whitelisted items and dead-letter records for events that still
+// carry a sensitive pattern. The record keeps only the event's identity, never the offending values,
+// and the cursor moves past it like any sent event so one bad line cannot stall the sink.
+function sanitizeApiEvents(events, nowMs) {
+  const items = [];
+  const rejected = [];
+  for (const ev of events) {
+    const sanitized = sanitizeApiEvent(ev);
+    if (sanitized) {
+      items.push(sanitized);
+      continue;
+    }
+    rejected.push({
+      kind: "api_event",
+      dedupe_key: String(ev?.dedupe_key || ""),
+      ts: ev?.ts ?? null,
+      dead_lettered_at: new Date(nowMs).toISOString(),
+      dead_letter_reason: "sensitive_payload",
+    });
+  }
+  return { items, rejected };
+}
+
 function sanitizeSnapshot(snap) {
   return pickAllowedFields(snap, ALLOWED_SNAPSHOT_FIELDS);
 }
 
-function selectUnsentApiEvents(allEvents, cursor) {
+function selectUnsentApiEvents(allEvents, cursor, limit = batchSize) {
   const lastTs = Number(cursor?.api_last_ts_ms || 0);
   const lastKeys = new Set(Array.isArray(cursor?.api_last_keys) ? cursor.api_last_keys : []);
 
@@ -175,7 +361,7 @@ function selectUnsentApiEvents(allEvents, cursor) {
       maxTsKeys.add(key);
     }
 
-    if (unsent.length >= batchSize) break;
+    if (unsent.length >= limit) break;
   }
 
   return {
@@ -187,116 +373,586 @@ function selectUnsentApiEvents(allEvents, cursor) {
   };
 }
 
-async function postPayload(kind, payload) {
-  if (!syncUrl) {
-    return { ok: false, skipped: true, reason: "CLAWVIEW_SYNC_URL not set" };
+function listSnapshotFiles(dir) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((name) => SNAPSHOT_FILE_PATTERN.test(name))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// Reads complete lines after `offset`. A trailing line without "\n" is still being written by the
+// probe and is left for the next run.
+function readJsonlTail(filePath, offset) {
+  let buf;
+  try {
+    buf = fs.readFileSync(filePath);
+  } catch {
+    return { rows: [], size: 0, restarted: false };
+  }
+
+  const restarted = offset > buf.length;
+  let pos = restarted ? 0 : offset;
+  const rows = [];
+  while (pos < buf.length) {
+    const nl = buf.indexOf(0x0a, pos);
+    if (nl < 0) break;
+    const line = buf.subarray(pos, nl).toString("utf8").trim();
+    pos = nl + 1;
+    let value = null;
+    if (line) {
+      try {
+        value = JSON.parse(line);
+      } catch {
+        value = null;
+      }
+    }
+    rows.push({ value, endOffset: pos });
+  }
+  return { rows, size: buf.length, restarted };
+}
+
+// Collects every snapshot line not yet queued, across all daily files, oldest file first.
+// `skippedOffsets` covers lines that need no upload (blank/corrupt, or already sent under the
+// pre-offset `snapshot_last_ts` cursor) so the caller can advance past them right away.
+function selectUnsentSnapshots(dir, cursor) {
+  const migrating = !cursor?.snapshot_files || typeof cursor.snapshot_files !== "object";
+  const fileCursor = migrating ? {} : cursor.snapshot_files;
+  const legacyLastTs = migrating ? String(cursor?.snapshot_last_ts || "") : "";
+  const items = [];
+  const skippedOffsets = {};
+
+  for (const name of listSnapshotFiles(dir)) {
+    const known = Object.prototype.hasOwnProperty.call(fileCursor, name);
+    const offset = known ? Math.max(0, Number(fileCursor[name]) || 0) : 0;
+    const { rows } = readJsonlTail(path.join(dir, name), offset);
+
+    for (const { value, endOffset } of rows) {
+      const ts = String(value?.ts || "");
+      const alreadySent = !known && legacyLastTs && ts && ts <= legacyLastTs;
+      if (!value || !ts || alreadySent) {
+        if (items.every((item) => item.file !== name)) skippedOffsets[name] = endOffset;
+        continue;
+      }
+      items.push({ file: name, endOffset, snapshot: value });
+    }
+  }
+
+  return { items, skippedOffsets };
+}
+
+function advanceSnapshotCursor(cursor, items) {
+  const files = { ...(cursor.snapshot_files || {}) };
+  let lastTs = String(cursor.snapshot_last_ts || "");
+  for (const item of items) {
+    files[item.file] = Math.max(Number(files[item.file] || 0), item.endOffset);
+    const ts = String(item.snapshot?.ts || "");
+    if (ts > lastTs) lastTs = ts;
   }
+  return { ...cursor, snapshot_files: files, snapshot_last_ts: lastTs };
+}
+
+function pruneSnapshotCursor(cursor, dir) {
+  if (!cursor.snapshot_files) return cursor;
+  const existing = new Set(listSnapshotFiles(dir));
+  const files = {};
+  for (const [name, offset] of Object.entries(cursor.snapshot_files || {})) {
+    if (existing.has(name)) files[name] = offset;
+  }
+  return { ...cursor, snapshot_files: files };
+}
+
+function computeBackoffMs(attempts, random = Math.random) {
+  const exp = Math.min(backoffMaxMs, backoffBaseMs * 2 ** Math.max(0, attempts - 1));
+  // "Equal jitter": keep at least half the delay so retries still spread out under load.
+  return Math.round(exp / 2 + random() * (exp / 2));
+}
+
+function encodeEnvelope(kind, payload, { gzip = gzipEnabled, nowMs = Date.now() } = {}) {
+  return encodeJson(buildEnvelope(kind, payload, { tenantId, projectId, nowMs }), gzip);
+}
+
+// Halves `payload.items` until every part encodes under `maxBytes`. A single item that is still
+// too large is returned as-is (flagged `oversized`) and left to the backend to accept or 413.
+function splitPayload(kind, payload, maxBytes = maxRequestBytes, measure = (k, p) => encodeEnvelope(k, p).sentBytes) {
+  const items = Array.isArray(payload?.items) ? payload.items : null;
+  if (measure(kind, payload) <= maxBytes) return [{ payload, oversized: false }];
+  if (!items || items.length <= 1) return [{ payload, oversized: true }];
+
+  const mid = Math.ceil(items.length / 2);
+  return [items.slice(0, mid), items.slice(mid)].flatMap((part) =>
+    splitPayload(kind, { ...payload, items: part, count: part.length }, maxBytes, measure),
+  );
+}
+
+// Sinks without configured state keep the pre-sink file names, so the implicit insforge sink
+// (and an explicit sink named "default") continues from an existing cursor and outbox.
+function sinkStatePaths(name) {
+  const suffix = name === "default" ? "" : `.${name}`;
+  return {
+    cursorPath: path.join(outDir, `sync-cursor${suffix}.json`),
+    outboxPath: path.join(outDir, `sync-outbox${suffix}.json`),
+    deadLetterPath: path.join(outDir, `sync-dead-letter${suffix}.jsonl`),
+  };
+}
+
+function resolveSinks(config = syncConfig) {
+  const defs = config.sinks && config.sinks.length > 0 ? config.sinks : [{ name: "default", type: "insforge" }];
+  return defs.map((def) =>
+    createSink(def, {
+      tenantId,
+      projectId,
+      outDir,
+      defaults: {
+        url: syncUrl,
+        apiKey: syncApiKey,
+        hmacSecret: syncHmacSecret,
+        hmacKeyId: syncHmacKeyId,
+        gzip: gzipEnabled,
+        maxRequestBytes,
+      },
+    }),
+  );
+}
+
+function readOutbox(outboxPath) {
+  const entries = readJson(outboxPath, []);
+  return Array.isArray(entries) ? entries.filter((e) => e && typeof e === "object" && e.kind) : [];
+}
 
-  const bodyObj = {
+function createOutboxEntry(kind, payload, nowMs) {
+  return {
+    id: crypto.randomUUID(),
     kind,
-    tenant_id: tenantId,
-    project_id: projectId,
-    generated_at: new Date().toISOString(),
     payload,
+    attempts: 0,
+    created_at_ms: nowMs,
+    next_attempt_at_ms: nowMs,
+    last_error: null,
+    last_status: null,
   };
+}
 
-  const bodyText = JSON.stringify(bodyObj);
-  const headers = {
-    "content-type": "application/json",
-  };
+function enforceOutboxLimit(entries, nowMs) {
+  if (entries.length <= outboxMaxEntries) return { kept: entries, overflow: [] };
+  const overflow = entries.slice(0, entries.length - outboxMaxEntries).map((entry) => ({
+    ...entry,
+    dead_lettered_at: new Date(nowMs).toISOString(),
+    dead_letter_reason: "outbox_overflow",
+  }));
+  return { kept: entries.slice(-outboxMaxEntries), overflow };
+}
 
-  if (syncApiKey) {
-    headers["authorization"] = `Bearer ${syncApiKey}`;
-  }
+// Delivers entries oldest-first. The first retryable failure, or an older entry still backing off,
+// stops the flush: the backend is most likely unavailable, and keeping order avoids newer batches
+// (or snapshots) overtaking an older API batch.
+async function flushOutbox(entries, { post, nowMs = Date.now(), random = Math.random } = {}) {
+  const remaining = [];
+  const delivered = [];
+  const deadLettered = [];
+  let blocked = false;
+
+  for (const entry of entries) {
+    if (blocked || Number(entry.next_attempt_at_ms || 0) > nowMs) {
+      remaining.push(entry);
+      blocked = true;
+      continue;
+    }
 
-  const sig = signBody(bodyText);
-  if (sig) {
-    headers["x-clawview-signature"] = sig;
-  }
+    const res = await post(entry);
+    if (res.ok) {
+      delivered.push(entry);
+      continue;
+    }
 
-  const res = await fetch(syncUrl, {
-    method: "POST",
-    headers,
-    body: bodyText,
-  });
+    const attempts = Number(entry.attempts || 0) + 1;
+    const failed = { ...entry, attempts, last_error: res.error || res.reason || "unknown", last_status: res.status ?? null };
+
+    if (POISON_HTTP_STATUSES.has(res.status) || attempts >= maxAttempts) {
+      deadLettered.push({
+        ...failed,
+        dead_lettered_at: new Date(nowMs).toISOString(),
+        dead_letter_reason: POISON_HTTP_STATUSES.has(res.status) ? "rejected" : "max_attempts",
+      });
+      continue;
+    }
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`sync failed: HTTP ${res.status} ${res.statusText} ${text.slice(0, 200)}`);
+    const delayMs = res.retryAfterMs != null ? Math.max(res.retryAfterMs, 1000) : computeBackoffMs(attempts, random);
+    remaining.push({ ...failed, next_attempt_at_ms: nowMs + delayMs });
+    blocked = true;
   }
 
-  return { ok: true };
+  return { remaining, delivered, deadLettered, blocked };
 }
 
-async function runOnce() {
-  ensureDir();
+function findPruneRisk(unsentEvents, nowMs) {
+  const pruneAtFloorMs = nowMs - API_EVENT_RETENTION_MS;
+  const riskCutoffMs = pruneAtFloorMs + pruneWarnMs;
+  const atRisk = unsentEvents.filter((ev) => Number(ev?.ts_ms || 0) < riskCutoffMs);
+  if (atRisk.length === 0) return null;
+  const oldestTs = Math.min(...atRisk.map((ev) => Number(ev.ts_ms || 0)));
+  return {
+    count: atRisk.length,
+    oldest_ts: new Date(oldestTs).toISOString(),
+    prune_at: new Date(oldestTs + API_EVENT_RETENTION_MS).toISOString(),
+  };
+}
+
+function summarizeOutbox(entries, nowMs) {
+  const oldest = entries.reduce((min, e) => Math.min(min, Number(e.created_at_ms || nowMs)), nowMs);
+  const nextAttempt = entries.reduce((min, e) => Math.min(min, Number(e.next_attempt_at_ms || Infinity)), Infinity);
+  return {
+    depth: entries.length,
+    api_events_pending: entries
+      .filter((e) => e.kind === "api_events")
+      .reduce((sum, e) => sum + (Array.isArray(e.payload?.items) ? e.payload.items.length : 0), 0),
+    snapshots_pending: entries
+      .filter((e) => e.kind === "snapshot")
+      .reduce((sum, e) => sum + (Array.isArray(e.payload?.items) ? e.payload.items.length : 1), 0),
+    oldest_age_sec: entries.length > 0 ? Math.round((nowMs - oldest) / 1000) : 0,
+    next_attempt_at: Number.isFinite(nextAttempt) ? new Date(nextAttempt).toISOString() : null,
+  };
+}
+
+function payloadBytes(payload) {
+  return Buffer.byteLength(JSON.stringify(payload), "utf8");
+}
+
+// Dry-run view of one request: the whitelisted body exactly as the sink would encode it, plus the
+// header names that would accompany it (values never printed, they may carry secrets).
+function describeRequest(sink, entry, source) {
+  const described = sink.describe(entry);
+  return {
+    source,
+    kind: entry.kind,
+    items: Array.isArray(entry.payload?.items) ? entry.payload.items.length : 1,
+    encoding: described.encoding,
+    raw_bytes: described.rawBytes,
+    sent_bytes: described.sentBytes,
+    headers: described.headers,
+    body: described.body,
+  };
+}
 
-  const cursor = readJson(syncCursorPath, {
+// Runs the queue/drain cycle for one sink against its own cursor and outbox, so a slow or failing
+// sink only stalls itself.
+async function runSink(sink, allApiEvents) {
+  const { cursorPath, outboxPath, deadLetterPath } = sinkStatePaths(sink.name);
+  const startedMs = Date.now();
+
+  const cursor = readJson(cursorPath, {
     api_last_ts_ms: 0,
     api_last_keys: [],
     snapshot_last_ts: "",
+    snapshot_files: {},
   });
+  let outbox = readOutbox(outboxPath);
+  const queuedIds = new Set(outbox.map((entry) => entry.id));
+  let nextCursor = pruneSnapshotCursor(cursor, outDir);
+
+  let apiEnqueued = 0;
+  let apiRejected = 0;
+  let snapshotsEnqueued = 0;
+  let apiBatches = 0;
+  let snapshotBatches = 0;
+  let pendingSnapshots = [];
+  let bytesEnqueued = 0;
+  let batches = 0;
+  let stopReason = null;
+  const delivered = [];
+  const deadLettered = [];
+  const transfer = {
+    gzip: sink.gzip,
+    max_request_bytes: Number.isFinite(sink.maxRequestBytes) ? sink.maxRequestBytes : null,
+    requests: 0,
+    bytes_raw: 0,
+    bytes_sent: 0,
+    split_batches: 0,
+  };
+  let oversizedItems = 0;
+
+  const enqueue = (kind, payload) => {
+    const parts = splitPayload(kind, payload, sink.maxRequestBytes, (k, p) => sink.encode(k, p).sentBytes);
+    if (parts.length > 1) transfer.split_batches += 1;
+    for (const part of parts) {
+      if (part.oversized) oversizedItems += 1;
+      outbox.push(createOutboxEntry(kind, part.payload, Date.now()));
+    }
+  };
 
-  const allApiEvents = readJsonl(apiEventsPath);
-  const { unsent, nextCursor } = selectUnsentApiEvents(allApiEvents, cursor);
-  const sanitizedApiEvents = unsent.map(sanitizeApiEvent);
-
-  let sentApi = 0;
-  let apiDelivered = false;
-  if (sanitizedApiEvents.length > 0) {
-    const apiRes = await postPayload("api_events", {
-      items: sanitizedApiEvents,
-      count: sanitizedApiEvents.length,
-    });
-    if (apiRes.ok) {
-      sentApi = sanitizedApiEvents.length;
-      apiDelivered = true;
+  const post = async (entry) => {
+    const res = await sink.deliver(entry);
+    if (res.sentBytes != null) {
+      transfer.requests += 1;
+      transfer.bytes_raw += res.rawBytes;
+      transfer.bytes_sent += res.sentBytes;
     }
-  }
+    return res;
+  };
+
+  const persistAndFlush = async () => {
+    if (dryRun) return { remaining: outbox, delivered: [], deadLettered: [], blocked: false };
+
+    const limited = enforceOutboxLimit(outbox, Date.now());
+    deadLettered.push(...limited.overflow);
+
+    // Persist the queue before the cursor: a crash in between re-queues a batch at worst,
+    // which the ingest upsert (tenant/project/dedupe_key) absorbs.
+    writeJsonAtomic(outboxPath, limited.kept);
+    writeJsonAtomic(cursorPath, nextCursor);
+
+    const flush = sink.ready
+      ? await flushOutbox(limited.kept, { post, nowMs: Date.now() })
+      : { remaining: limited.kept, delivered: [], deadLettered: [], blocked: false };
+    outbox = flush.remaining;
+    delivered.push(...flush.delivered);
+    deadLettered.push(...flush.deadLettered);
+    writeJsonAtomic(outboxPath, outbox);
+    return flush;
+  };
+
+  if (sink.ready || dryRun) {
+    const snapshotSelection = selectUnsentSnapshots(outDir, nextCursor);
+    nextCursor.snapshot_files = { ...nextCursor.snapshot_files, ...snapshotSelection.skippedOffsets };
+    pendingSnapshots = snapshotSelection.items;
+
+    // Drain: snapshots first (small backlog, oldest first), then API events, until the cursors
+    // catch up or a budget/backend stop hits. Without drain, one batch of each kind per run.
+    for (;;) {
+      if (pendingSnapshots.length > 0 && (drainEnabled || snapshotBatches === 0)) {
+        const chunk = pendingSnapshots.slice(0, snapshotBatchSize);
+        const items = chunk.map((item) => sanitizeSnapshot(item.snapshot));
+        const payload = { items, count: items.length };
+        enqueue("snapshot", payload);
+        nextCursor = advanceSnapshotCursor(nextCursor, chunk);
+        pendingSnapshots = pendingSnapshots.slice(chunk.length);
+        snapshotsEnqueued += items.length;
+        bytesEnqueued += payloadBytes(payload);
+        snapshotBatches += 1;
+      } else {
+        if (!drainEnabled && apiBatches > 0) {
+          stopReason = "single_batch";
+          break;
+        }
+        const { unsent, nextCursor: apiCursor } = selectUnsentApiEvents(allApiEvents, nextCursor);
+        if (unsent.length === 0) {
+          if (batches === 0) await persistAndFlush();
+          if (!drainEnabled && pendingSnapshots.length > 0) stopReason = "single_batch";
+          break;
+        }
+
+        const { items, rejected } = sanitizeApiEvents(unsent, Date.now());
+        deadLettered.push(...rejected);
+        apiRejected += rejected.length;
+        Object.assign(nextCursor, apiCursor);
+        if (items.length > 0) {
+          const payload = { items, count: items.length };
+          enqueue("api_events", payload);
+          apiEnqueued += items.length;
+          bytesEnqueued += payloadBytes(payload);
+        }
+        apiBatches += 1;
+      }
+      batches += 1;
 
-  const snapshotRows = readJsonl(snapshotsPath);
-  let sentSnapshot = false;
-  if (snapshotRows.length > 0) {
-    const latest = snapshotRows[snapshotRows.length - 1];
-    const latestTs = String(latest?.ts || "");
-    if (latestTs && latestTs !== String(cursor.snapshot_last_ts || "")) {
-      const sanitizedSnapshot = sanitizeSnapshot(latest);
-      const snapRes = await postPayload("snapshot", sanitizedSnapshot);
-      if (snapRes.ok) {
-        cursor.snapshot_last_ts = latestTs;
-        sentSnapshot = true;
+      const flush = await persistAndFlush();
+      if (flush.blocked) {
+        stopReason = "backend_unavailable";
+        break;
+      }
+      if (Date.now() - startedMs >= drainMaxMs) {
+        stopReason = "time_budget";
+        break;
+      }
+      if (bytesEnqueued >= drainMaxBytes) {
+        stopReason = "byte_budget";
+        break;
       }
     }
+  } else {
+    await persistAndFlush();
+  }
+
+  if (dryRun) {
+    const requests = outbox.map((entry) => describeRequest(sink, entry, queuedIds.has(entry.id) ? "outbox" : "new"));
+    return {
+      name: sink.name,
+      type: sink.type,
+      target_set: sink.ready,
+      requests_total: requests.length,
+      bytes_raw: requests.reduce((sum, r) => sum + r.raw_bytes, 0),
+      bytes_sent: requests.reduce((sum, r) => sum + r.sent_bytes, 0),
+      stop_reason: stopReason,
+      requests,
+    };
+  }
+
+  appendJsonl(deadLetterPath, deadLettered);
+
+  const { unsent: remainingUnsent } = selectUnsentApiEvents(allApiEvents, nextCursor, Infinity);
+  const pruneRisk = findPruneRisk(remainingUnsent, Date.now());
+  const warnings = [];
+  if (pruneRisk) {
+    warnings.push(
+      `${pruneRisk.count} unsynced API events will be pruned by the probe starting ${pruneRisk.prune_at} (oldest ${pruneRisk.oldest_ts})`,
+    );
+  }
+  if (apiRejected > 0) {
+    warnings.push(`${apiRejected} API event(s) matched a sensitive pattern and were dead-lettered without sending`);
+  }
+  if (oversizedItems > 0) {
+    warnings.push(`${oversizedItems} queued item(s) exceed the ${sink.maxRequestBytes} byte request limit on their own`);
   }
 
-  const mergedCursor = {
-    ...cursor,
-    ...(apiDelivered ? nextCursor : {}),
+  return {
+    name: sink.name,
+    type: sink.type,
+    target_set: sink.ready,
+    api_events_enqueued: apiEnqueued,
+    api_events_sent: delivered
+      .filter((e) => e.kind === "api_events")
+      .reduce((sum, e) => sum + (Array.isArray(e.payload?.items) ? e.payload.items.length : 0), 0),
+    api_events_rejected: apiRejected,
+    snapshots_enqueued: snapshotsEnqueued,
+    snapshots_sent: delivered
+      .filter((e) => e.kind === "snapshot")
+      .reduce((sum, e) => sum + (Array.isArray(e.payload?.items) ? e.payload.items.length : 1), 0),
+    drain: {
+      enabled: drainEnabled,
+      batches,
+      bytes_enqueued: bytesEnqueued,
+      elapsed_ms: Date.now() - startedMs,
+      caught_up: remainingUnsent.length === 0 && pendingSnapshots.length === 0,
+      api_events_remaining: remainingUnsent.length,
+      snapshots_remaining: pendingSnapshots.length,
+      stop_reason: stopReason,
+      prune_risk: pruneRisk,
+    },
+    transfer,
+    queue: {
+      ...summarizeOutbox(outbox, Date.now()),
+      delivered_this_run: delivered.length,
+      dead_lettered_this_run: deadLettered.length,
+      last_error: outbox.find((e) => e.last_error)?.last_error ?? null,
+    },
+    warnings,
+    cursor: nextCursor,
   };
-  writeJsonAtomic(syncCursorPath, mergedCursor);
+}
+
+// Overlapping syncs would race on the cursors and outboxes; a dry run writes no state and takes no lock.
+async function runOnceLocked() {
+  if (dryRun) return runOnce();
+  ensureDir();
+  const lock = await acquireRunLock(syncLockPath, { command: "sync-outbound --once" });
+  if (!lock.acquired) {
+    console.log(JSON.stringify(lockSkippedResult(syncLockPath, lock)));
+    return;
+  }
+  if (lock.recovered) {
+    console.error(`[clawview-sync] recovered stale lock: ${JSON.stringify(lock.recovered)}`);
+  }
+  try {
+    await runOnce();
+  } finally {
+    lock.release();
+  }
+}
+
+async function runOnce() {
+  if (!dryRun) ensureDir();
+
+  const allApiEvents = readJsonl(apiEventsPath).sort((a, b) => Number(a?.ts_ms || 0) - Number(b?.ts_ms || 0));
+  const sinks = resolveSinks();
+  const results = await Promise.all(
+    sinks.map((sink) =>
+      runSink(sink, allApiEvents).catch((err) => ({
+        name: sink.name,
+        type: sink.type,
+        error: String(err?.message || err),
+        warnings: [`sink failed: ${String(err?.message || err)}`],
+      })),
+    ),
+  );
+
+  if (dryRun) {
+    console.log(
+      JSON.stringify(
+        {
+          mode: "dry-run",
+          sync_url_set: Boolean(syncUrl),
+          config: { path: configPath, sources: syncConfig.sources },
+          sinks: results,
+        },
+        null,
+        2,
+      ),
+    );
+    return;
+  }
+
+  const warnings = results.flatMap((r) => (r.warnings || []).map((warning) => `[${r.name}] ${warning}`));
+  for (const warning of warnings) {
+    console.error(`[clawview-sync] warning: ${warning}`);
+  }
 
   const result = {
     sync_url_set: Boolean(syncUrl),
     api_events_total: allApiEvents.length,
-    api_events_sent: sentApi,
-    snapshot_sent: sentSnapshot,
-    cursor: mergedCursor,
+    sinks: results,
+    warnings,
     mode: "whitelist+redaction",
   };
 
   console.log(JSON.stringify(result, null, 2));
 }
 
-(async () => {
+export const __test = {
+  resolveSyncConfig,
+  resolveSinks,
+  sinkStatePaths,
+  encodeEnvelope,
+  splitPayload,
+  readJsonlTail,
+  selectUnsentSnapshots,
+  advanceSnapshotCursor,
+  selectUnsentApiEvents,
+  sanitizeApiEvents,
+  findPruneRisk,
+  parseRetryAfterMs,
+  computeBackoffMs,
+  createOutboxEntry,
+  enforceOutboxLimit,
+  flushOutbox,
+  summarizeOutbox,
+};
+
+async function main() {
   if (hasFlag("--help") || hasFlag("-h")) {
-    console.log(`ClawView outbound sync\n\nUsage:\n  node sync-outbound.mjs --once [--out-dir <dir>]\n\nEnv:\n  CLAWVIEW_SYNC_URL (required to actually send)\n  CLAWVIEW_SYNC_API_KEY (optional bearer)\n  CLAWVIEW_SYNC_HMAC_SECRET (optional HMAC-SHA256)\n  CLAWVIEW_TENANT_ID / CLAWVIEW_PROJECT_ID (optional labels)\n  CLAWVIEW_SYNC_BATCH_SIZE (default 200)\n`);
+    console.log(`ClawView outbound sync\n\nUsage:\n  node sync-outbound.mjs --once [--out-dir <dir>] [--config <path>] [--dry-run]\n\nConfig:\n  --config defaults to <out-dir>/sync-config.json; env vars below take precedence over its keys.\n  --dry-run prints the whitelisted requests that would be sent; no network I/O, no state writes.\n  "sinks": [...] in the config fans out to insforge / webhook / otlp / file sinks, each with its own cursor and outbox.\n\nEnv:\n  CLAWVIEW_SYNC_URL (required to actually send)\n  CLAWVIEW_SYNC_API_KEY (optional bearer)\n  CLAWVIEW_SYNC_HMAC_SECRET (optional HMAC-SHA256, signs timestamp+nonce+body)\n  CLAWVIEW_SYNC_HMAC_KEY_ID (default "default"; selects the secret on the ingest side)\n  CLAWVIEW_TENANT_ID / CLAWVIEW_PROJECT_ID (optional labels)\n  CLAWVIEW_SYNC_BATCH_SIZE (default 200)\n  CLAWVIEW_SYNC_SNAPSHOT_BATCH_SIZE (default 20 snapshots per request)\n  CLAWVIEW_SYNC_GZIP (default 0; 1 sends content-encoding: gzip)\n  CLAWVIEW_SYNC_MAX_REQUEST_BYTES (default 1048576; larger batches are split)\n  CLAWVIEW_SYNC_MAX_ATTEMPTS (default 8, then dead-letter)\n  CLAWVIEW_SYNC_BACKOFF_BASE_MS / CLAWVIEW_SYNC_BACKOFF_MAX_MS (default 30000 / 3600000)\n  CLAWVIEW_SYNC_OUTBOX_MAX (default 500 queued batches)\n  CLAWVIEW_SYNC_DRAIN (default 1; 0 = one API batch per run)\n  CLAWVIEW_SYNC_DRAIN_MAX_MS / CLAWVIEW_SYNC_DRAIN_MAX_BYTES (default 60000 / 5242880 per run)\n  CLAWVIEW_SYNC_PRUNE_WARN_MS (default 21600000; warn when unsynced events near the 48h prune)\n`);
     process.exit(0);
   }
 
+  if (syncConfig.errors.length > 0) {
+    for (const error of syncConfig.errors) {
+      console.error(`[clawview-sync] config error: ${error}`);
+    }
+    process.exit(1);
+  }
+
   if (hasFlag("--once")) {
-    await runOnce();
+    await runOnceLocked();
     process.exit(0);
   }
 
-  await runOnce();
-})();
+  await runOnceLocked();
+}
+
+const entryPath = process.argv[1] ? path.resolve(process.argv[1]) : "";
+const selfPath = fileURLToPath(import.meta.url);
+if (entryPath === selfPath) {
+  main();
+}
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { __test } from "./sync-outbound.mjs";
+
+const NOW_MS = Date.parse("2026-02-28T12:00:00.000Z");
+
+function entry(kind, overrides = {}) {
+  return {
+    ...__test.createOutboxEntry(kind, kind === "api_events" ? { items: [{ dedupe_key: "a" }], count: 1 } : { ts: "t" }, NOW_MS - 1000),
+    ...overrides,
+  };
+}
+
+test("parseRetryAfterMs accepts delta-seconds and HTTP dates", () => {
+  assert.equal(__test.parseRetryAfterMs("120", NOW_MS), 120_000);
+  assert.equal(__test.parseRetryAfterMs(new Date(NOW_MS + 30_000).toUTCString(), NOW_MS), 30_000);
+  assert.equal(__test.parseRetryAfterMs("", NOW_MS), null);
+  assert.equal(__test.parseRetryAfterMs("soon", NOW_MS), null);
+});
+
+test("computeBackoffMs grows exponentially with bounded jitter", () => {
+  assert.equal(__test.computeBackoffMs(1, () => 0), 15_000);
+  assert.equal(__test.computeBackoffMs(1, () => 1), 30_000);
+  assert.equal(__test.computeBackoffMs(3, () => 1), 120_000);
+  assert.equal(__test.computeBackoffMs(30, () => 1), 60 * 60 * 1000);
+});
+
+test("flushOutbox keeps failed batches, honours Retry-After and stops at the first retryable failure", async () => {
+  const first = entry("api_events");
+  const second = entry("snapshot");
+  const calls = [];
+  const res = await __test.flushOutbox([first, second], {
+    nowMs: NOW_MS,
+    post: async (e) => {
+      calls.push(e.id);
+      return { ok: false, status: 429, retryAfterMs: 90_000, error: "HTTP 429" };
+    },
+  });
+
+  assert.deepEqual(calls, [first.id]);
+  assert.equal(res.delivered.length, 0);
+  assert.equal(res.remaining.length, 2);
+  assert.equal(res.remaining[0].attempts, 1);
+  assert.equal(res.remaining[0].next_attempt_at_ms, NOW_MS + 90_000);
+  assert.equal(res.remaining[1].attempts, 0);
+});
+
+test("flushOutbox does not send a later batch while an earlier one is backing off", async () => {
+  const notDue = entry("api_events", { next_attempt_at_ms: NOW_MS + 60_000, attempts: 2 });
+  const later = entry("api_events");
+  const posted = [];
+  const res = await __test.flushOutbox([notDue, later], {
+    nowMs: NOW_MS,
+    post: async (e) => {
+      posted.push(e.id);
+      return { ok: true, status: 200 };
+    },
+  });
+
+  assert.deepEqual(posted, []);
+  assert.equal(res.blocked, true);
+  assert.deepEqual(res.remaining.map((e) => e.id), [notDue.id, later.id]);
+
+  const due = await __test.flushOutbox(res.remaining, { nowMs: NOW_MS + 60_000, post: async () => ({ ok: true, status: 200 }) });
+  assert.deepEqual(due.delivered.map((e) => e.id), [notDue.id, later.id]);
+});
+
+test("flushOutbox moves poison and exhausted batches to dead-letter", async () => {
+  const poison = entry("api_events");
+  const exhausted = entry("api_events", { attempts: 7 });
+  const res = await __test.flushOutbox([poison, exhausted], {
+    nowMs: NOW_MS,
+    post: async (e) =>
+      e.id === poison.id
+        ? { ok: false, status: 400, error: "HTTP 400" }
+        : { ok: false, status: null, error: "network error: ECONNREFUSED" },
+  });
+
+  assert.equal(res.remaining.length, 0);
+  assert.deepEqual(
+    res.deadLettered.map((e) => e.dead_letter_reason),
+    ["rejected", "max_attempts"],
+  );
+  assert.equal(res.deadLettered[1].attempts, 8);
+});
+
+test("enforceOutboxLimit dead-letters the oldest overflow and summarizeOutbox reports depth", () => {
+  const entries = Array.from({ length: 502 }, () => entry("snapshot"));
+  const limited = __test.enforceOutboxLimit(entries, NOW_MS);
+  assert.equal(limited.kept.length, 500);
+  assert.equal(limited.overflow.length, 2);
+  assert.equal(limited.overflow[0].dead_letter_reason, "outbox_overflow");
+
+  const summary = __test.summarizeOutbox([entry("api_events"), entry("snapshot")], NOW_MS);
+  assert.equal(summary.depth, 2);
+  assert.equal(summary.api_events_pending, 1);
+  assert.equal(summary.snapshots_pending, 1);
+  assert.equal(summary.oldest_age_sec, 1);
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { __test } from "./sync-outbound.mjs";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "clawview-sync-snap-"));
+}
+
+function line(ts) {
+  return `${JSON.stringify({ ts, service_status_now: "running" })}\n`;
+}
+
+test("selectUnsentSnapshots picks up every unsent row across daily files", () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "snapshots-2026-02-27.jsonl"), line("2026-02-27T23:50:00.000Z") + line("2026-02-27T23:55:00.000Z"));
+  fs.writeFileSync(path.join(dir, "snapshots-2026-02-28.jsonl"), line("2026-02-28T00:00:00.000Z"));
+  fs.writeFileSync(path.join(dir, "api-events.jsonl"), line("ignored"));
+
+  const first = __test.selectUnsentSnapshots(dir, { snapshot_files: {} });
+  assert.deepEqual(
+    first.items.map((item) => item.snapshot.ts),
+    ["2026-02-27T23:50:00.000Z", "2026-02-27T23:55:00.000Z", "2026-02-28T00:00:00.000Z"],
+  );
+
+  const cursor = __test.advanceSnapshotCursor({ snapshot_files: {} }, first.items.slice(0, 2));
+  assert.equal(cursor.snapshot_last_ts, "2026-02-27T23:55:00.000Z");
+
+  // Rows appended between runs are picked up from the stored offsets.
+  fs.appendFileSync(path.join(dir, "snapshots-2026-02-27.jsonl"), line("2026-02-27T23:59:00.000Z"));
+  const second = __test.selectUnsentSnapshots(dir, cursor);
+  assert.deepEqual(
+    second.items.map((item) => item.snapshot.ts),
+    ["2026-02-27T23:59:00.000Z", "2026-02-28T00:00:00.000Z"],
+  );
+});
+
+test("selectUnsentSnapshots migrates the ts-only cursor and skips partial lines", () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "snapshots-2026-02-28.jsonl");
+  fs.writeFileSync(file, line("2026-02-28T00:00:00.000Z") + line("2026-02-28T00:05:00.000Z") + '{"ts":"2026-02-28T00:1');
+
+  const { items, skippedOffsets } = __test.selectUnsentSnapshots(dir, { snapshot_last_ts: "2026-02-28T00:00:00.000Z" });
+  assert.deepEqual(items.map((item) => item.snapshot.ts), ["2026-02-28T00:05:00.000Z"]);
+  assert.equal(skippedOffsets["snapshots-2026-02-28.jsonl"], Buffer.byteLength(line("2026-02-28T00:00:00.000Z")));
+  assert.equal(items[0].endOffset, Buffer.byteLength(line("2026-02-28T00:00:00.000Z") + line("2026-02-28T00:05:00.000Z")));
+});
+
+test("readJsonlTail restarts from the top when a file shrank under the cursor", () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "snapshots-2026-02-28.jsonl");
+  fs.writeFileSync(file, line("2026-02-28T00:00:00.000Z"));
+
+  const tail = __test.readJsonlTail(file, 10_000);
+  assert.equal(tail.restarted, true);
+  assert.equal(tail.rows.length, 1);
+});
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+
+import { __test } from "./sync-outbound.mjs";
+import { createMemoryNonceStore, signRequest, verifySignedRequest } from "./sync-signature.mjs";
+
+function items(n, filler = "x".repeat(200)) {
+  return Array.from({ length: n }, (_, i) => ({ dedupe_key: `k-${i}`, endpoint_group: filler }));
+}
+
+test("encodeEnvelope gzips the body and reports raw vs sent bytes", async () => {
+  const payload = { items: items(50), count: 50 };
+  const plain = __test.encodeEnvelope("api_events", payload, { gzip: false });
+  const gz = __test.encodeEnvelope("api_events", payload, { gzip: true });
+
+  assert.equal(plain.encoding, null);
+  assert.equal(plain.rawBytes, plain.sentBytes);
+  assert.equal(gz.encoding, "gzip");
+  assert.equal(gz.rawBytes, plain.rawBytes);
+  assert.ok(gz.sentBytes < gz.rawBytes / 5);
+  assert.equal(JSON.parse(zlib.gunzipSync(gz.body).toString("utf8")).payload.count, 50);
+
+  // The signature is over the compressed bytes, exactly as they go on the wire.
+  const headers = signRequest(gz.body, { secret: "s" });
+  const verified = await verifySignedRequest({
+    body: gz.body,
+    headers,
+    secrets: { default: "s" },
+    nonceStore: createMemoryNonceStore(),
+  });
+  assert.equal(verified.ok, true);
+});
+
+test("splitPayload halves batches until each part fits the request limit", () => {
+  const payload = { items: items(10), count: 10 };
+  const measure = (kind, p) => __test.encodeEnvelope(kind, p, { gzip: false }).sentBytes;
+  const limit = Math.ceil(measure("api_events", payload) / 3);
+
+  const parts = __test.splitPayload("api_events", payload, limit, measure);
+  assert.ok(parts.length >= 3);
+  assert.ok(parts.every((part) => !part.oversized && measure("api_events", part.payload) <= limit));
+  assert.deepEqual(
+    parts.flatMap((part) => part.payload.items.map((item) => item.dedupe_key)),
+    payload.items.map((item) => item.dedupe_key),
+  );
+  assert.ok(parts.every((part) => part.payload.count === part.payload.items.length));
+
+  const [single] = __test.splitPayload("api_events", { items: items(1, "y".repeat(5000)), count: 1 }, 1000, measure);
+  assert.equal(single.oversized, true);
+});
@@ -0,0 +1,131 @@
+import crypto from "node:crypto";
+
+// Shared by sync-outbound.mjs (signer) and the clawview-ingest function (verifier).
+//
+// Scheme v1:
+//   x-clawview-timestamp: unix seconds
+//   x-clawview-nonce:     random, single-use per key id
+//   x-clawview-key-id:    selects the secret (rotation)
+//   x-clawview-signature: v1=<hex hmac-sha256 over "v1:<timestamp>:<nonce>:" + raw body bytes>
+
+export const SIGNATURE_VERSION = "v1";
+export const DEFAULT_KEY_ID = "default";
+export const DEFAULT_TOLERANCE_SEC = 300;
+
+const NONCE_PATTERN = /^[a-z0-9_-]{16,128}$/i;
+const KEY_ID_PATTERN = /^[a-z0-9._-]{1,64}$/i;
+
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  if (body instanceof Uint8Array) return Buffer.from(body);
+  return Buffer.from(String(body ?? ""), "utf8");
+}
+
+function hmacHex(secret, version, timestamp, nonce, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${version}:${timestamp}:${nonce}:`)
+    .update(toBuffer(body))
+    .digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  if (left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+function readHeader(headers, name) {
+  if (!headers) return "";
+  if (typeof headers.get === "function") return String(headers.get(name) || "");
+  return String(headers[name] ?? headers[name.toLowerCase()] ?? "");
+}
+
+// Parse a secret ring from `kid:secret,kid2:secret2`. A bare value without `:` maps to `fallbackKeyId`.
+export function parseSecretRing(text, fallbackKeyId = DEFAULT_KEY_ID) {
+  const ring = new Map();
+  for (const part of String(text || "").split(",")) {
+    const entry = part.trim();
+    if (!entry) continue;
+    const idx = entry.indexOf(":");
+    const keyId = idx > 0 ? entry.slice(0, idx).trim() : fallbackKeyId;
+    const secret = idx > 0 ? entry.slice(idx + 1).trim() : entry;
+    if (keyId && secret) ring.set(keyId, secret);
+  }
+  return ring;
+}
+
+// Build signature headers for one outbound request body (string or bytes exactly as sent).
+export function signRequest(body, { secret, keyId = DEFAULT_KEY_ID, nowMs = Date.now(), nonce } = {}) {
+  if (!secret) return {};
+  const timestamp = String(Math.floor(nowMs / 1000));
+  const n = nonce || crypto.randomBytes(16).toString("hex");
+  return {
+    "x-clawview-timestamp": timestamp,
+    "x-clawview-nonce": n,
+    "x-clawview-key-id": keyId,
+    "x-clawview-signature": `${SIGNATURE_VERSION}=${hmacHex(secret, SIGNATURE_VERSION, timestamp, n, body)}`,
+  };
+}
+
+// In-process nonce store. Good enough for tests and single-instance verifiers; multi-instance
+// deployments should pass a shared store with the same `remember()` contract.
+export function createMemoryNonceStore() {
+  const seen = new Map();
+  return {
+    async remember(key, expiresAtMs, nowMs = Date.now()) {
+      for (const [k, exp] of seen) {
+        if (exp <= nowMs) seen.delete(k);
+      }
+      if (seen.has(key)) return false;
+      seen.set(key, expiresAtMs);
+      return true;
+    },
+  };
+}
+
+// Verify a signed request. `secrets` maps key id -> secret.
+// Returns `{ ok: true, keyId }` or `{ ok: false, reason }`; reasons are stable strings for logs/metrics.
+export async function verifySignedRequest({
+  body,
+  headers,
+  secrets,
+  nonceStore,
+  toleranceSec = DEFAULT_TOLERANCE_SEC,
+  nowMs = Date.now(),
+}) {
+  const signatureHeader = readHeader(headers, "x-clawview-signature").trim();
+  if (!signatureHeader) return { ok: false, reason: "missing_signature" };
+
+  const eq = signatureHeader.indexOf("=");
+  const version = eq > 0 ? signatureHeader.slice(0, eq) : "";
+  const signature = eq > 0 ? signatureHeader.slice(eq + 1).trim().toLowerCase() : "";
+  if (version !== SIGNATURE_VERSION || !signature) return { ok: false, reason: "unsupported_version" };
+
+  const keyId = readHeader(headers, "x-clawview-key-id").trim() || DEFAULT_KEY_ID;
+  if (!KEY_ID_PATTERN.test(keyId)) return { ok: false, reason: "unknown_key" };
+  const secret = secrets instanceof Map ? secrets.get(keyId) : secrets?.[keyId];
+  if (!secret) return { ok: false, reason: "unknown_key" };
+
+  const timestamp = readHeader(headers, "x-clawview-timestamp").trim();
+  const nonce = readHeader(headers, "x-clawview-nonce").trim();
+  if (!/^\d{1,12}$/.test(timestamp) || !NONCE_PATTERN.test(nonce)) {
+    return { ok: false, reason: "malformed_headers" };
+  }
+
+  const skewMs = Math.abs(nowMs - Number(timestamp) * 1000);
+  if (skewMs > toleranceSec * 1000) return { ok: false, reason: "stale_timestamp" };
+
+  const expected = hmacHex(secret, version, timestamp, nonce, body);
+  if (!safeEqual(expected, signature)) return { ok: false, reason: "bad_signature" };
+
+  // Only remember nonces of authentic requests so forged traffic cannot burn them.
+  if (nonceStore) {
+    const expiresAtMs = Number(timestamp) * 1000 + toleranceSec * 1000;
+    const fresh = await nonceStore.remember(`${keyId}:${nonce}`, expiresAtMs, nowMs);
+    if (!fresh) return { ok: false, reason: "replayed_nonce" };
+  }
+
+  return { ok: true, keyId };
+}
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createMemoryNonceStore,
+  parseSecretRing,
+  signRequest,
+  verifySignedRequest,
+} from "./sync-signature.mjs";
+
+const NOW_MS = Date.parse("2026-02-28T12:00:00.000Z");
+const BODY = JSON.stringify({ kind: "snapshot", payload: { ts: "2026-02-28T12:00:00.000Z" } });
+
+test("signRequest output verifies once and is rejected as replay afterwards", async () => {
+  const headers = signRequest(BODY, { secret: "s1", keyId: "k1", nowMs: NOW_MS });
+  assert.match(headers["x-clawview-signature"], /^v1=[0-9a-f]{64}$/);
+
+  const nonceStore = createMemoryNonceStore();
+  const secrets = parseSecretRing("k1:s1");
+  const first = await verifySignedRequest({ body: BODY, headers, secrets, nonceStore, nowMs: NOW_MS });
+  assert.deepEqual(first, { ok: true, keyId: "k1" });
+
+  const second = await verifySignedRequest({ body: BODY, headers, secrets, nonceStore, nowMs: NOW_MS + 1000 });
+  assert.deepEqual(second, { ok: false, reason: "replayed_nonce" });
+});
+
+test("verifySignedRequest rejects stale, tampered, unknown-key and legacy signatures", async () => {
+  const secrets = parseSecretRing("k1:s1");
+  const headers = signRequest(BODY, { secret: "s1", keyId: "k1", nowMs: NOW_MS });
+
+  const stale = await verifySignedRequest({ body: BODY, headers, secrets, nowMs: NOW_MS + 301 * 1000 });
+  assert.equal(stale.reason, "stale_timestamp");
+
+  const tampered = await verifySignedRequest({ body: `${BODY} `, headers, secrets, nowMs: NOW_MS });
+  assert.equal(tampered.reason, "bad_signature");
+
+  const unknownKey = await verifySignedRequest({
+    body: BODY,
+    headers: { ...headers, "x-clawview-key-id": "k9" },
+    secrets,
+    nowMs: NOW_MS,
+  });
+  assert.equal(unknownKey.reason, "unknown_key");
+
+  const legacy = await verifySignedRequest({
+    body: BODY,
+    headers: { "x-clawview-signature": "ab".repeat(32) },
+    secrets,
+    nowMs: NOW_MS,
+  });
+  assert.equal(legacy.reason, "unsupported_version");
+});
+
+test("parseSecretRing maps bare secrets to the fallback key id", () => {
+  const ring = parseSecretRing("plain-secret, k2:second", "default");
+  assert.equal(ring.get("default"), "plain-secret");
+  assert.equal(ring.get("k2"), "second");
+});
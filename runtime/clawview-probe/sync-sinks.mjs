@@ -0,0 +1,382 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { DEFAULT_KEY_ID, signRequest } from "./sync-signature.mjs";
+
+// Sink adapters for sync-outbound.mjs. Every sink receives the same whitelisted outbox entries
+// (`{ kind, payload: { items, count } }`) and answers with the delivery result shape used by
+// flushOutbox(): `{ ok, status, retryAfterMs, error, rawBytes, sentBytes }`.
+//
+//   insforge  signed envelope POST to the clawview-ingest function (the original single sink)
+//   webhook   envelope POST to any URL, headers rendered from a template
+//   otlp      OTLP/HTTP JSON metrics (`/v1/metrics`) derived from snapshots and API events
+//   file      one JSON line per item, rotated by size
+
+export const SINK_TYPES = new Set(["insforge", "webhook", "otlp", "file"]);
+
+const SINK_NAME_PATTERN = /^[a-z0-9._-]{1,64}$/i;
+const COMMON_SINK_KEYS = ["name", "type", "gzip", "maxRequestBytes"];
+const SINK_KEYS = {
+  insforge: ["url", "apiKey", "hmacSecret", "hmacKeyId"],
+  webhook: ["url", "headers"],
+  otlp: ["url", "headers"],
+  file: ["path", "maxBytes", "maxFiles"],
+};
+
+const DEFAULT_FILE_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_FILE_MAX_FILES = 5;
+
+// Numeric snapshot fields exported as OTLP gauges (`clawview.<field>`).
+const OTLP_SNAPSHOT_GAUGES = [
+  "service_uptime_ratio_24h",
+  "service_uptime_ratio_7d",
+  "service_uptime_ratio_30d",
+  "cron_runs_24h_total",
+  "api_call_total_24h",
+  "api_error_rate_24h",
+  "api_429_ratio_24h",
+  "api_unknown_rate_24h",
+  "errors_active_count",
+  "restart_total_24h",
+  "restart_planned_24h",
+  "restart_unexpected_count_24h",
+  "restart_unknown_24h",
+  "data_freshness_delay_min",
+  "p0_core_coverage_ratio",
+  "skills_total",
+  "healthy_skills",
+  "skill_calls_total_24h",
+  "cron_jobs_total",
+  "cron_jobs_enabled",
+];
+
+export function parseRetryAfterMs(value, nowMs = Date.now()) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const at = Date.parse(text);
+  return Number.isFinite(at) ? Math.max(0, at - nowMs) : null;
+}
+
+export function encodeJson(value, gzip = false) {
+  const raw = Buffer.from(JSON.stringify(value), "utf8");
+  const body = gzip ? zlib.gzipSync(raw) : raw;
+  return { body, encoding: gzip ? "gzip" : null, rawBytes: raw.length, sentBytes: body.length };
+}
+
+export function buildEnvelope(kind, payload, { tenantId, projectId, nowMs = Date.now() }) {
+  return {
+    kind,
+    tenant_id: tenantId,
+    project_id: projectId,
+    generated_at: new Date(nowMs).toISOString(),
+    payload,
+  };
+}
+
+// `{{kind}}`, `{{count}}`, `{{tenant_id}}`, `{{project_id}}` come from the batch; `{{env.NAME}}` reads
+// the environment so secrets can stay out of sync-config.json. Unknown placeholders render empty.
+export function renderHeaderTemplate(template, vars, env = process.env) {
+  const headers = {};
+  for (const [name, value] of Object.entries(template || {})) {
+    headers[name.toLowerCase()] = String(value).replace(/\{\{\s*([a-z0-9_.]+)\s*\}\}/gi, (_, key) => {
+      if (key.startsWith("env.")) return env[key.slice(4)] ?? "";
+      return vars[key] ?? "";
+    });
+  }
+  return headers;
+}
+
+function otlpAttributes(record) {
+  return Object.entries(record)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([key, value]) => ({ key, value: { stringValue: String(value) } }));
+}
+
+function toUnixNano(ms) {
+  return `${BigInt(Math.round(ms)) * 1000000n}`;
+}
+
+// Snapshots become one gauge data point per numeric field; API events are folded into delta sums
+// per provider/endpoint_group/status_code over the batch's time span.
+export function buildOtlpMetrics(kind, payload, { tenantId, projectId, nowMs = Date.now() }) {
+  const items = Array.isArray(payload?.items) ? payload.items : payload ? [payload] : [];
+  const metrics = [];
+
+  if (kind === "snapshot") {
+    for (const field of OTLP_SNAPSHOT_GAUGES) {
+      const dataPoints = items
+        .filter((item) => typeof item?.[field] === "number" && Number.isFinite(item[field]))
+        .map((item) => ({
+          timeUnixNano: toUnixNano(Date.parse(item.ts) || nowMs),
+          asDouble: Number(item[field]),
+        }));
+      if (dataPoints.length > 0) metrics.push({ name: `clawview.${field}`, gauge: { dataPoints } });
+    }
+  } else if (kind === "api_events") {
+    const groups = new Map();
+    for (const item of items) {
+      const attrs = {
+        provider: item?.provider || "unknown",
+        endpoint_group: item?.endpoint_group || "unknown",
+        status_code: item?.status_code ?? "unknown",
+      };
+      const key = JSON.stringify(attrs);
+      const tsMs = Date.parse(item?.ts) || nowMs;
+      const group = groups.get(key) || { attrs, count: 0, latencyMs: 0, startMs: tsMs, endMs: tsMs };
+      group.count += 1;
+      group.latencyMs += Number(item?.latency_ms) || 0;
+      group.startMs = Math.min(group.startMs, tsMs);
+      group.endMs = Math.max(group.endMs, tsMs);
+      groups.set(key, group);
+    }
+
+    const sum = (valueOf, asInt) => ({
+      aggregationTemporality: 1,
+      isMonotonic: true,
+      dataPoints: [...groups.values()].map((group) => ({
+        attributes: otlpAttributes(group.attrs),
+        startTimeUnixNano: toUnixNano(group.startMs),
+        timeUnixNano: toUnixNano(group.endMs),
+        ...(asInt ? { asInt: String(valueOf(group)) } : { asDouble: valueOf(group) }),
+      })),
+    });
+    if (groups.size > 0) {
+      metrics.push({ name: "clawview.api.requests", unit: "1", sum: sum((g) => g.count, true) });
+      metrics.push({ name: "clawview.api.latency", unit: "ms", sum: sum((g) => g.latencyMs, false) });
+    }
+  }
+
+  return {
+    resourceMetrics: [
+      {
+        resource: {
+          attributes: otlpAttributes({
+            "service.name": "clawview",
+            "clawview.tenant_id": tenantId,
+            "clawview.project_id": projectId,
+          }),
+        },
+        scopeMetrics: [{ scope: { name: "clawview-sync" }, metrics }],
+      },
+    ],
+  };
+}
+
+async function postBody(url, encoded, headers) {
+  const sizes = { rawBytes: encoded.rawBytes, sentBytes: encoded.sentBytes };
+  let res;
+  try {
+    res = await fetch(url, { method: "POST", headers, body: encoded.body });
+  } catch (err) {
+    return { ok: false, status: null, retryAfterMs: null, error: `network error: ${String(err?.message || err)}`, ...sizes };
+  }
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    return {
+      ok: false,
+      status: res.status,
+      retryAfterMs: res.status === 429 || res.status === 503 ? parseRetryAfterMs(res.headers.get("retry-after")) : null,
+      error: `sync failed: HTTP ${res.status} ${res.statusText} ${text.slice(0, 200)}`.trim(),
+      ...sizes,
+    };
+  }
+
+  return { ok: true, status: res.status, ...sizes };
+}
+
+function rotateFile(filePath, maxFiles) {
+  for (let i = maxFiles - 1; i >= 1; i -= 1) {
+    const from = `${filePath}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${filePath}.${i + 1}`);
+  }
+  // The rename onto `.<maxFiles>` above drops the oldest file.
+  fs.renameSync(filePath, `${filePath}.1`);
+}
+
+// Appends `text` to `filePath`, rotating to `.1` ... `.<maxFiles>` first when it would outgrow `maxBytes`.
+export function appendRotating(filePath, text, { maxBytes = DEFAULT_FILE_MAX_BYTES, maxFiles = DEFAULT_FILE_MAX_FILES } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let size = 0;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch {
+    size = 0;
+  }
+  if (size > 0 && size + Buffer.byteLength(text, "utf8") > maxBytes) {
+    if (maxFiles > 0) rotateFile(filePath, maxFiles);
+    else fs.rmSync(filePath, { force: true });
+  }
+  fs.appendFileSync(filePath, text, "utf8");
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// Validates the `sinks` array of sync-config.json. Returns a list of `sinks[i]...` messages.
+export function validateSinkDefs(defs, label = "sinks") {
+  if (defs == null) return [];
+  if (!Array.isArray(defs)) return [`${label} must be an array`];
+
+  const errors = [];
+  const names = new Set();
+  defs.forEach((def, index) => {
+    const at = `${label}[${index}]`;
+    if (!def || typeof def !== "object" || Array.isArray(def)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!SINK_TYPES.has(def.type)) {
+      errors.push(`${at}.type must be one of ${[...SINK_TYPES].join(", ")} (got ${JSON.stringify(def.type)})`);
+      return;
+    }
+    if (!SINK_NAME_PATTERN.test(String(def.name || ""))) {
+      errors.push(`${at}.name must match [a-z0-9._-]{1,64}`);
+    } else if (names.has(def.name)) {
+      errors.push(`${at}.name "${def.name}" is used by another sink`);
+    }
+    names.add(def.name);
+
+    const allowed = new Set([...COMMON_SINK_KEYS, ...SINK_KEYS[def.type]]);
+    for (const key of Object.keys(def)) {
+      if (!allowed.has(key)) errors.push(`${at}: unknown key "${key}" for type ${def.type}`);
+    }
+
+    if ((def.type === "webhook" || def.type === "otlp") && !isHttpUrl(def.url)) {
+      errors.push(`${at}.url must be an absolute http(s) URL`);
+    }
+    if (def.type === "insforge" && def.url != null && !isHttpUrl(def.url)) {
+      errors.push(`${at}.url must be an absolute http(s) URL`);
+    }
+    if (def.type === "file" && (typeof def.path !== "string" || !def.path.trim())) {
+      errors.push(`${at}.path must be a non-empty string`);
+    }
+    if (def.headers != null) {
+      const ok = typeof def.headers === "object" && !Array.isArray(def.headers);
+      if (!ok || Object.values(def.headers).some((v) => typeof v !== "string")) {
+        errors.push(`${at}.headers must be an object of string templates`);
+      }
+    }
+    for (const key of ["maxRequestBytes", "maxBytes", "maxFiles"]) {
+      if (def[key] != null && !(Number.isInteger(def[key]) && def[key] >= 0)) {
+        errors.push(`${at}.${key} must be a non-negative integer`);
+      }
+    }
+    if (def.gzip != null && typeof def.gzip !== "boolean") errors.push(`${at}.gzip must be true or false`);
+  });
+  return errors;
+}
+
+function itemsOf(payload) {
+  return Array.isArray(payload?.items) ? payload.items : payload ? [payload] : [];
+}
+
+// Builds a sink from one validated definition. `ctx` carries the routing labels, the output dir
+// (relative file paths resolve against it) and the global CLAWVIEW_SYNC_* values the insforge
+// sink falls back to.
+export function createSink(def, ctx) {
+  const { tenantId, projectId, outDir, defaults = {}, env = process.env } = ctx;
+  const gzip = def.gzip ?? (def.type === "insforge" ? Boolean(defaults.gzip) : false);
+  const maxRequestBytes = Math.max(4096, Number(def.maxRequestBytes ?? defaults.maxRequestBytes ?? 1024 * 1024));
+  const base = { name: def.name, type: def.type, gzip, maxRequestBytes };
+
+  if (def.type === "file") {
+    const filePath = path.resolve(outDir, def.path);
+    const options = {
+      maxBytes: Math.max(1024, Number(def.maxBytes ?? DEFAULT_FILE_MAX_BYTES)),
+      maxFiles: Number(def.maxFiles ?? DEFAULT_FILE_MAX_FILES),
+    };
+    const encode = (kind, payload, { nowMs = Date.now() } = {}) => {
+      const syncedAt = new Date(nowMs).toISOString();
+      const lines = itemsOf(payload).map((item) =>
+        JSON.stringify({ kind, tenant_id: tenantId, project_id: projectId, synced_at: syncedAt, item }),
+      );
+      const text = lines.length > 0 ? `${lines.join("\n")}\n` : "";
+      const bytes = Buffer.byteLength(text, "utf8");
+      return { text, lines, encoding: null, rawBytes: bytes, sentBytes: bytes };
+    };
+    return {
+      ...base,
+      gzip: false,
+      maxRequestBytes: Infinity,
+      target: filePath,
+      ready: true,
+      encode,
+      async deliver(entry) {
+        const encoded = encode(entry.kind, entry.payload);
+        try {
+          appendRotating(filePath, encoded.text, options);
+        } catch (err) {
+          return { ok: false, status: null, retryAfterMs: null, error: `file sink: ${String(err?.message || err)}` };
+        }
+        return { ok: true, status: null, rawBytes: encoded.rawBytes, sentBytes: encoded.sentBytes };
+      },
+      describe(entry) {
+        const encoded = encode(entry.kind, entry.payload);
+        return {
+          encoding: null,
+          rawBytes: encoded.rawBytes,
+          sentBytes: encoded.sentBytes,
+          headers: [],
+          body: encoded.lines.map((line) => JSON.parse(line)),
+        };
+      },
+    };
+  }
+
+  const url = def.type === "insforge" ? def.url || defaults.url || "" : def.url;
+  const apiKey = def.type === "insforge" ? def.apiKey ?? defaults.apiKey ?? "" : "";
+  const hmacSecret = def.type === "insforge" ? def.hmacSecret ?? defaults.hmacSecret ?? "" : "";
+  const hmacKeyId = def.type === "insforge" ? def.hmacKeyId || defaults.hmacKeyId || DEFAULT_KEY_ID : "";
+
+  const bodyOf = (kind, payload, nowMs) =>
+    def.type === "otlp"
+      ? buildOtlpMetrics(kind, payload, { tenantId, projectId, nowMs })
+      : buildEnvelope(kind, payload, { tenantId, projectId, nowMs });
+
+  const encode = (kind, payload, { nowMs = Date.now() } = {}) => encodeJson(bodyOf(kind, payload, nowMs), gzip);
+
+  const headersFor = (kind, payload, encoded) => {
+    const headers = renderHeaderTemplate(
+      def.headers,
+      { kind, count: String(itemsOf(payload).length), tenant_id: tenantId, project_id: projectId },
+      env,
+    );
+    headers["content-type"] = "application/json";
+    if (encoded.encoding) headers["content-encoding"] = encoded.encoding;
+    if (apiKey) headers["authorization"] = `Bearer ${apiKey}`;
+    // Signed over the exact bytes on the wire, i.e. after compression.
+    Object.assign(headers, signRequest(encoded.body, { secret: hmacSecret, keyId: hmacKeyId }));
+    return headers;
+  };
+
+  return {
+    ...base,
+    target: url,
+    ready: Boolean(url),
+    encode,
+    async deliver(entry) {
+      if (!url) return { ok: false, skipped: true, reason: "sink url not set" };
+      const encoded = encode(entry.kind, entry.payload);
+      return postBody(url, encoded, headersFor(entry.kind, entry.payload, encoded));
+    },
+    describe(entry) {
+      const encoded = encode(entry.kind, entry.payload);
+      return {
+        encoding: encoded.encoding,
+        rawBytes: encoded.rawBytes,
+        sentBytes: encoded.sentBytes,
+        // Names only: values may carry secrets.
+        headers: Object.keys(headersFor(entry.kind, entry.payload, encoded)).sort(),
+        body: bodyOf(entry.kind, entry.payload, Date.now()),
+      };
+    },
+  };
+}
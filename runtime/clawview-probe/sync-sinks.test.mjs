@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { appendRotating, buildOtlpMetrics, createSink, renderHeaderTemplate, validateSinkDefs } from "./sync-sinks.mjs";
+
+const CTX = { tenantId: "default", projectId: "openclaw", outDir: os.tmpdir() };
+
+function apiEvent(overrides = {}) {
+  return {
+    ts: "2026-02-28T11:58:00.000Z",
+    provider: "telegram",
+    endpoint_group: "message_send",
+    status_code: 200,
+    latency_ms: 40,
+    dedupe_key: "k-1",
+    ...overrides,
+  };
+}
+
+test("renderHeaderTemplate fills batch fields and env placeholders", () => {
+  const headers = renderHeaderTemplate(
+    { "X-Token": "Bearer {{env.HOOK_TOKEN}}", "X-Batch": "{{kind}}/{{count}}", "X-Missing": "[{{nope}}]" },
+    { kind: "api_events", count: "3" },
+    { HOOK_TOKEN: "t-123" },
+  );
+  assert.deepEqual(headers, { "x-token": "Bearer t-123", "x-batch": "api_events/3", "x-missing": "[]" });
+});
+
+test("buildOtlpMetrics folds API events into delta sums per group", () => {
+  const body = buildOtlpMetrics(
+    "api_events",
+    {
+      items: [
+        apiEvent(),
+        apiEvent({ ts: "2026-02-28T11:59:00.000Z", latency_ms: 60, dedupe_key: "k-2" }),
+        apiEvent({ status_code: 429, dedupe_key: "k-3" }),
+      ],
+    },
+    CTX,
+  );
+
+  const [requests, latency] = body.resourceMetrics[0].scopeMetrics[0].metrics;
+  assert.equal(requests.name, "clawview.api.requests");
+  assert.equal(requests.sum.aggregationTemporality, 1);
+  assert.deepEqual(requests.sum.dataPoints.map((p) => p.asInt), ["2", "1"]);
+  assert.equal(requests.sum.dataPoints[0].timeUnixNano, `${Date.parse("2026-02-28T11:59:00.000Z")}000000`);
+  assert.equal(latency.sum.dataPoints[0].asDouble, 100);
+
+  const snapshot = buildOtlpMetrics("snapshot", { items: [{ ts: "2026-02-28T12:00:00.000Z", errors_active_count: 2 }] }, CTX);
+  const metrics = snapshot.resourceMetrics[0].scopeMetrics[0].metrics;
+  assert.deepEqual(metrics.map((m) => m.name), ["clawview.errors_active_count"]);
+});
+
+test("appendRotating keeps at most maxFiles rotated files", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawview-sink-file-"));
+  const file = path.join(dir, "out.jsonl");
+  const line = `${"x".repeat(99)}\n`;
+  for (let i = 0; i < 12; i += 1) appendRotating(file, line.repeat(3), { maxBytes: 1024, maxFiles: 2 });
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["out.jsonl", "out.jsonl.1", "out.jsonl.2"]);
+  assert.ok(fs.statSync(file).size <= 1024);
+});
+
+test("file sink writes one whitelisted item per line", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawview-sink-file-"));
+  const sink = createSink({ name: "local", type: "file", path: "export/clawview.jsonl" }, { ...CTX, outDir: dir });
+
+  const res = await sink.deliver({ kind: "api_events", payload: { items: [apiEvent(), apiEvent({ dedupe_key: "k-2" })] } });
+  assert.equal(res.ok, true);
+
+  const lines = fs.readFileSync(path.join(dir, "export", "clawview.jsonl"), "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepEqual(lines.map((l) => [l.kind, l.item.dedupe_key]), [["api_events", "k-1"], ["api_events", "k-2"]]);
+});
+
+test("validateSinkDefs reports type, name and per-type key problems", () => {
+  const errors = validateSinkDefs([
+    { name: "a", type: "webhook", url: "https://hooks.example/x", headers: { "X-Token": "{{env.T}}" } },
+    { name: "a", type: "file", path: "out.jsonl" },
+    { name: "b", type: "otlp" },
+    { name: "c", type: "kafka" },
+    { name: "d", type: "file", path: "x.jsonl", url: "https://nope" },
+  ]);
+  assert.deepEqual(errors, [
+    'sinks[1].name "a" is used by another sink',
+    "sinks[2].url must be an absolute http(s) URL",
+    'sinks[3].type must be one of insforge, webhook, otlp, file (got "kafka")',
+    'sinks[4]: unknown key "url" for type file',
+  ]);
+  assert.deepEqual(validateSinkDefs(undefined), []);
+});
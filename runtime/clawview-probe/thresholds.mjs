@@ -0,0 +1,91 @@
+// Shared risk thresholds (clawview-v1-fields.md §4), used by the probe and the dashboard function so
+// both colour the same value the same way. Levels are `green | yellow | red`; every evaluation carries
+// the rule id and the threshold that fired, so a red badge can always say why.
+//
+// Overrides are a JSON object keyed by rule id, e.g. {"cron_runs_24h":{"yellow":50}}; missing keys keep
+// the defaults. Probe: CLAWVIEW_THRESHOLDS env or <out-dir>/thresholds.json. Dashboard: CLAWVIEW_THRESHOLDS env.
+
+export const RISK_LEVELS = ["green", "yellow", "red"];
+
+export const DEFAULT_THRESHOLDS = {
+  cron_runs_24h: { yellow: 100, red: 300 },
+  api_429_ratio_24h: { yellow: 0.05, red: 0.15 },
+  restart_unexpected_24h: { yellow: 2, red: 5 },
+};
+
+export const THRESHOLD_RULES = {
+  cron_runs_24h: { label: "Runs of a single cron job in the last 24h", unit: "runs" },
+  api_429_ratio_24h: { label: "HTTP 429 share of provider API calls in the last 24h", unit: "ratio" },
+  restart_unexpected_24h: { label: "Unexpected gateway restarts in the last 24h", unit: "restarts" },
+};
+
+// Returns `{ thresholds, errors }`; invalid entries are reported and fall back to the defaults.
+export function resolveThresholds(overrides) {
+  const thresholds = Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([rule, levels]) => [rule, { ...levels }]));
+  const errors = [];
+  if (overrides == null) return { thresholds, errors };
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    return { thresholds, errors: ["thresholds must be a JSON object keyed by rule id"] };
+  }
+
+  for (const [rule, levels] of Object.entries(overrides)) {
+    if (!Object.hasOwn(DEFAULT_THRESHOLDS, rule)) {
+      errors.push(`unknown threshold rule "${rule}"`);
+      continue;
+    }
+    if (!levels || typeof levels !== "object" || Array.isArray(levels)) {
+      errors.push(`${rule}: expected an object with yellow/red`);
+      continue;
+    }
+    const next = { ...thresholds[rule] };
+    for (const [level, value] of Object.entries(levels)) {
+      if (level !== "yellow" && level !== "red") {
+        errors.push(`${rule}: unknown level "${level}"`);
+      } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        errors.push(`${rule}.${level}: must be a non-negative number (got ${JSON.stringify(value)})`);
+      } else {
+        next[level] = value;
+      }
+    }
+    if (next.yellow > next.red) {
+      errors.push(`${rule}: yellow (${next.yellow}) must not exceed red (${next.red})`);
+      continue;
+    }
+    thresholds[rule] = next;
+  }
+  return { thresholds, errors };
+}
+
+export function parseThresholdOverrides(text) {
+  if (text == null || String(text).trim() === "") return { thresholds: resolveThresholds(null).thresholds, errors: [] };
+  try {
+    return resolveThresholds(JSON.parse(String(text)));
+  } catch (err) {
+    return { thresholds: resolveThresholds(null).thresholds, errors: [`invalid thresholds JSON (${err?.message || err})`] };
+  }
+}
+
+// `{ rule, level, value, threshold, yellow, red }`; `threshold` is the bound that fired (null when green),
+// `level` is null when the value itself is unknown (Gap).
+export function evaluateThreshold(rule, value, thresholds = DEFAULT_THRESHOLDS) {
+  const levels = thresholds?.[rule] ?? DEFAULT_THRESHOLDS[rule];
+  if (!levels) throw new Error(`unknown threshold rule: ${rule}`);
+  const n = typeof value === "number" && Number.isFinite(value) ? value : null;
+  let level = null;
+  let threshold = null;
+  if (n != null) {
+    if (n >= levels.red) [level, threshold] = ["red", levels.red];
+    else if (n >= levels.yellow) [level, threshold] = ["yellow", levels.yellow];
+    else level = "green";
+  }
+  return { rule, level, value: n, threshold, yellow: levels.yellow, red: levels.red };
+}
+
+export function worstEvaluation(evaluations) {
+  let worst = null;
+  for (const evaluation of evaluations) {
+    if (!evaluation || evaluation.level == null) continue;
+    if (!worst || RISK_LEVELS.indexOf(evaluation.level) > RISK_LEVELS.indexOf(worst.level)) worst = evaluation;
+  }
+  return worst;
+}
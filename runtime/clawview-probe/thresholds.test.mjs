@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_THRESHOLDS, evaluateThreshold, parseThresholdOverrides, resolveThresholds, worstEvaluation } from "./thresholds.mjs";
+
+test("evaluateThreshold reports the level together with the rule and bound that fired", () => {
+  assert.deepEqual(evaluateThreshold("cron_runs_24h", 99), { rule: "cron_runs_24h", level: "green", value: 99, threshold: null, yellow: 100, red: 300 });
+  assert.equal(evaluateThreshold("cron_runs_24h", 100).threshold, 100);
+  assert.equal(evaluateThreshold("cron_runs_24h", 300).level, "red");
+
+  assert.equal(evaluateThreshold("api_429_ratio_24h", 0.049).level, "green");
+  assert.equal(evaluateThreshold("api_429_ratio_24h", 0.05).level, "yellow");
+  assert.equal(evaluateThreshold("api_429_ratio_24h", 0.15).level, "red");
+
+  assert.equal(evaluateThreshold("restart_unexpected_24h", 1).level, "green");
+  assert.equal(evaluateThreshold("restart_unexpected_24h", 2).level, "yellow");
+  assert.equal(evaluateThreshold("restart_unexpected_24h", 5).level, "red");
+
+  assert.equal(evaluateThreshold("api_429_ratio_24h", null).level, null, "Gap stays unknown, not green");
+  assert.throws(() => evaluateThreshold("nope", 1), /unknown threshold rule/);
+});
+
+test("overrides merge per level and invalid entries fall back to the defaults", () => {
+  const { thresholds, errors } = resolveThresholds({
+    cron_runs_24h: { yellow: 50 },
+    api_429_ratio_24h: { yellow: 0.5, red: 0.1 },
+    restart_unexpected_24h: { red: "five" },
+    storms: { yellow: 1 },
+  });
+  assert.deepEqual(thresholds.cron_runs_24h, { yellow: 50, red: 300 });
+  assert.deepEqual(thresholds.api_429_ratio_24h, DEFAULT_THRESHOLDS.api_429_ratio_24h);
+  assert.deepEqual(thresholds.restart_unexpected_24h, DEFAULT_THRESHOLDS.restart_unexpected_24h);
+  assert.equal(errors.length, 3);
+  assert.match(errors.join("\n"), /yellow \(0.5\) must not exceed red/);
+  assert.match(errors.join("\n"), /restart_unexpected_24h.red: must be a non-negative number/);
+  assert.match(errors.join("\n"), /unknown threshold rule "storms"/);
+
+  assert.deepEqual(parseThresholdOverrides("").thresholds, DEFAULT_THRESHOLDS);
+  assert.match(parseThresholdOverrides("{not json").errors[0], /invalid thresholds JSON/);
+  assert.equal(evaluateThreshold("cron_runs_24h", 60, thresholds).level, "yellow");
+});
+
+test("worstEvaluation picks the highest level and ignores Gap values", () => {
+  const worst = worstEvaluation([
+    evaluateThreshold("cron_runs_24h", 120),
+    evaluateThreshold("cron_runs_24h", null),
+    evaluateThreshold("cron_runs_24h", 310),
+  ]);
+  assert.equal(worst.level, "red");
+  assert.equal(worst.value, 310);
+  assert.equal(worstEvaluation([evaluateThreshold("cron_runs_24h", null)]), null);
+});
@@ -0,0 +1,86 @@
+// Business timezone for every "today" window (clawview-v1-fields.md §1). One IANA zone per install:
+// probe --timezone / CLAWVIEW_TIMEZONE, dashboard ?tz= / the snapshot's `timezone`.
+// Day boundaries come from Intl, so DST days are 23h or 25h long and a day that skips local midnight
+// starts at its first existing instant.
+
+export const DEFAULT_TIMEZONE = "Asia/Tokyo";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    formatterFor(value.trim());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns `{ timezone, error }`; an empty value is the default, an unknown zone falls back to it.
+export function resolveTimeZone(value, fallback = DEFAULT_TIMEZONE) {
+  if (value == null || String(value).trim() === "") return { timezone: fallback, error: null };
+  const zone = String(value).trim();
+  if (isValidTimeZone(zone)) return { timezone: formatterFor(zone).resolvedOptions().timeZone, error: null };
+  return { timezone: fallback, error: `unknown IANA timezone "${zone}"` };
+}
+
+// Wall-clock fields of `ms` in `timeZone`: { year, month (1-12), day, hour, minute, second }.
+export function zonedDateParts(ms, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(new Date(ms))) {
+    if (part.type !== "literal") parts[part.type] = Number(part.value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+const dateKey = ({ year, month, day }) => year * 10000 + month * 100 + day;
+
+// First instant whose local date is year-month-day. Offsets are within [-12h, +14h] and change on
+// whole minutes, so a binary search over that minute range finds it exactly.
+export function zonedDayStartMs(year, month, day, timeZone = DEFAULT_TIMEZONE) {
+  const target = dateKey({ year, month, day });
+  let lo = 0;
+  let hi = 26 * 60;
+  const base = Date.UTC(year, month - 1, day) - 14 * 60 * MINUTE_MS;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (dateKey(zonedDateParts(base + mid * MINUTE_MS, timeZone)) >= target) hi = mid;
+    else lo = mid + 1;
+  }
+  return base + lo * MINUTE_MS;
+}
+
+const isoDate = ({ year, month, day }) => `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+// The local day containing `reference`: { startMs, endMs (exclusive), date: "YYYY-MM-DD", timezone }.
+export function zonedDayRangeMs(reference = Date.now(), timeZone = DEFAULT_TIMEZONE) {
+  const today = zonedDateParts(reference, timeZone);
+  const next = new Date(Date.UTC(today.year, today.month - 1, today.day) + DAY_MS);
+  return {
+    startMs: zonedDayStartMs(today.year, today.month, today.day, timeZone),
+    endMs: zonedDayStartMs(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timeZone),
+    date: isoDate(today),
+    timezone: timeZone,
+  };
+}
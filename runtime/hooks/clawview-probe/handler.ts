@@ -23,9 +23,14 @@ type SyncConfig = {
   syncUrl?: string;
   apiKey?: string;
   hmacSecret?: string;
+  hmacKeyId?: string;
   tenantId?: string;
   projectId?: string;
   batchSize?: string | number;
+  gzip?: boolean | string;
+  maxRequestBytes?: string | number;
+  timezone?: string;
+  sinks?: Array<{ name?: string; type?: string }>;
 };
 
 const ENABLED = (process.env.CLAWVIEW_PROBE_ENABLED ?? "1") !== "0";
@@ -88,6 +93,9 @@ function buildChildEnv(syncConfig: SyncConfig): NodeJS.ProcessEnv {
   if (!env.CLAWVIEW_SYNC_HMAC_SECRET && syncConfig.hmacSecret) {
     env.CLAWVIEW_SYNC_HMAC_SECRET = String(syncConfig.hmacSecret);
   }
+  if (!env.CLAWVIEW_SYNC_HMAC_KEY_ID && syncConfig.hmacKeyId) {
+    env.CLAWVIEW_SYNC_HMAC_KEY_ID = String(syncConfig.hmacKeyId);
+  }
   if (!env.CLAWVIEW_TENANT_ID && syncConfig.tenantId) {
     env.CLAWVIEW_TENANT_ID = String(syncConfig.tenantId);
   }
@@ -97,6 +105,15 @@ function buildChildEnv(syncConfig: SyncConfig): NodeJS.ProcessEnv {
   if (!env.CLAWVIEW_SYNC_BATCH_SIZE && syncConfig.batchSize != null) {
     env.CLAWVIEW_SYNC_BATCH_SIZE = String(syncConfig.batchSize);
   }
+  if (!env.CLAWVIEW_SYNC_GZIP && syncConfig.gzip != null) {
+    env.CLAWVIEW_SYNC_GZIP = syncConfig.gzip === true || String(syncConfig.gzip) === "1" ? "1" : "0";
+  }
+  if (!env.CLAWVIEW_SYNC_MAX_REQUEST_BYTES && syncConfig.maxRequestBytes != null) {
+    env.CLAWVIEW_SYNC_MAX_REQUEST_BYTES = String(syncConfig.maxRequestBytes);
+  }
+  if (!env.CLAWVIEW_TIMEZONE && syncConfig.timezone) {
+    env.CLAWVIEW_TIMEZONE = String(syncConfig.timezone);
+  }
 
   return env;
 }
@@ -138,17 +155,19 @@ const handler = async (event: HookEvent) => {
     const syncConfig = readSyncConfig();
     const childEnv = buildChildEnv(syncConfig);
     const syncUrl = String(childEnv.CLAWVIEW_SYNC_URL ?? "").trim();
-    const canSync = SYNC_ENABLED && syncUrl.length > 0;
+    const sinkCount = Array.isArray(syncConfig.sinks) ? syncConfig.sinks.length : 0;
+    const canSync = SYNC_ENABLED && (syncUrl.length > 0 || sinkCount > 0);
 
     if (SYNC_ENABLED && !canSync) {
       event.context?.runtime?.log?.(
-        `[clawview-probe] sync requested but no CLAWVIEW_SYNC_URL found (env or ${SYNC_CONFIG_PATH}); falling back to probe-only`,
+        `[clawview-probe] sync requested but no CLAWVIEW_SYNC_URL or sinks found (env or ${SYNC_CONFIG_PATH}); falling back to probe-only`,
       );
     }
 
+    const probeCmd = `node ${JSON.stringify(PROBE_SCRIPT)} --once --out-dir ${JSON.stringify(OUT_DIR)} --trigger-event ${JSON.stringify(key)}`;
     const pipelineCmd = canSync
-      ? `node ${JSON.stringify(PROBE_SCRIPT)} --once --out-dir ${JSON.stringify(OUT_DIR)} && node ${JSON.stringify(SYNC_SCRIPT)} --once --out-dir ${JSON.stringify(OUT_DIR)}`
-      : `node ${JSON.stringify(PROBE_SCRIPT)} --once --out-dir ${JSON.stringify(OUT_DIR)}`;
+      ? `${probeCmd} && node ${JSON.stringify(SYNC_SCRIPT)} --once --out-dir ${JSON.stringify(OUT_DIR)}`
+      : probeCmd;
 
     const child = spawn("sh", ["-lc", pipelineCmd], {
       detached: true,
@@ -157,7 +176,11 @@ const handler = async (event: HookEvent) => {
     });
     child.unref();
 
-    const syncSource = process.env.CLAWVIEW_SYNC_URL ? "env" : syncConfig.syncUrl ? "config" : "none";
+    const syncSource = process.env.CLAWVIEW_SYNC_URL
+      ? "env"
+      : syncConfig.syncUrl || sinkCount > 0
+        ? "config"
+        : "none";
     event.context?.runtime?.log?.(
       `[clawview-probe] trigger accepted: event=${key}, pid=${child.pid ?? "?"}, debounceMs=${DEBOUNCE_MS}, sync=${canSync ? "on" : "off"}, syncSource=${syncSource}`,
     );
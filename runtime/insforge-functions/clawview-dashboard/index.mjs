@@ -1,5 +1,13 @@
+import { evaluateThreshold, parseThresholdOverrides } from '../../clawview-probe/thresholds.mjs';
+import { resolveTimeZone, zonedDayRangeMs } from '../../clawview-probe/timezone.mjs';
+import { DEFAULT_RELATIVE_ACCURACY, addLatency, emptyLatencySketch, isLatencySketch, mergeLatencySketches, summarizeLatency } from '../../clawview-probe/latency-sketch.mjs';
+import { parseEndpointGroupRules, resolveEndpointGroup, resolveEndpointGroupRules } from '../../clawview-probe/endpoint-groups.mjs';
+
 const SNAPSHOT_TABLE_CANDIDATES = ['clawview_snapshots', 'snapshots'];
 const API_EVENT_TABLE_CANDIDATES = ['clawview_api_events', 'api_events'];
+const API_ROLLUP_TABLE_CANDIDATES = ['clawview_api_daily_rollups', 'api_daily_rollups'];
+const API_ROLLUP_PAGE_SIZE = 1000;
+const API_ROLLUP_MAX_PAGES = 20;
 
 const GAP_NOTE = '数据未接入';
 
@@ -33,6 +41,83 @@ function toISOStringSafe(value) {
   return Number.isFinite(d.getTime()) ? d.toISOString() : null;
 }
 
+function loadThresholds() {
+  return parseThresholdOverrides(process.env.CLAWVIEW_THRESHOLDS);
+}
+
+function loadEndpointGroupRules() {
+  return parseEndpointGroupRules(process.env.CLAWVIEW_ENDPOINT_GROUPS);
+}
+
+const DEFAULT_ENDPOINT_GROUP_RULES = resolveEndpointGroupRules(null).rules;
+
+// Flattens a shared threshold evaluation into the `risk_*` fields the contract exposes next to a value.
+function riskFields(evaluation) {
+  return {
+    risk_level: evaluation.level || 'green',
+    risk_rule: evaluation.rule,
+    risk_threshold: evaluation.threshold,
+  };
+}
+
+// A broken CLAWVIEW_THRESHOLDS falls back to the defaults; say so instead of failing the read model.
+function withThresholdErrors(payload, errors) {
+  if (!errors.length) return payload;
+  return { ...payload, meta: { ...payload.meta, risk_threshold_errors: errors } };
+}
+
+// Same for CLAWVIEW_ENDPOINT_GROUPS: bad rules are skipped, the built-in rules still apply.
+function withEndpointGroupErrors(payload, errors) {
+  if (!errors.length) return payload;
+  return { ...payload, meta: { ...payload.meta, endpoint_group_rule_errors: errors } };
+}
+
+function withRisk(metricValue, evaluation) {
+  return metricValue.readiness === 'Gap' ? metricValue : { ...metricValue, risk: evaluation };
+}
+
+// Snapshots written before the timezone became configurable carry no zone (or Tokyo) and `_tokyo` field names.
+function snapshotTimeZone(snapshot) {
+  return resolveTimeZone(snapshot?.timezone).timezone;
+}
+
+function snapshotTodayValue(snapshot, field, legacyField) {
+  const value = snapshot?.[field] ?? snapshot?.[legacyField];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// `?tz=` wins, then the zone the probe counted in, then CLAWVIEW_TIMEZONE. Unknown zones are rejected.
+function resolveRequestTimeZone(requested, snapshot) {
+  if (requested != null && requested.trim() !== '') return resolveTimeZone(requested, null);
+  const { timezone } = resolveTimeZone(snapshot?.timezone ?? process.env.CLAWVIEW_TIMEZONE);
+  return { timezone, error: null };
+}
+
+function windowMeta(todayRange) {
+  return {
+    primary: 'rolling_24h',
+    secondary: 'today',
+    timezone: todayRange.timezone,
+    today: todayRange.date,
+    display: `Rolling 24h / ${todayRange.timezone} 当日`,
+  };
+}
+
+function cronRuns24hByJob(snapshot) {
+  const byJob = new Map();
+  const rows = [
+    ...(Array.isArray(snapshot?.cron_top_jobs_24h) ? snapshot.cron_top_jobs_24h : []),
+    ...(Array.isArray(snapshot?.cron_jobs_detail) ? snapshot.cron_jobs_detail : []),
+  ];
+  for (const row of rows) {
+    const runs = asNumber(row?.runs_24h, NaN);
+    if (!Number.isFinite(runs)) continue;
+    if (row?.job_id) byJob.set(`id:${row.job_id}`, runs);
+    if (row?.job_name) byJob.set(`name:${row.job_name}`, runs);
+  }
+  return byJob;
+}
+
 function getTopN(profile) {
   if (profile === 'mobile') return { skill: 5, cron: 3, api: 3 };
   return { skill: 6, cron: 5, api: 5 };
@@ -88,18 +173,21 @@ function normalizeSnapshotRow(row) {
   };
 }
 
-function normalizeApiEventRow(row) {
+// Provider / endpoint_group go through the shared endpoint group rules, as in the probe's normalizeApiFactEvent().
+function normalizeApiEventRow(row, rules = DEFAULT_ENDPOINT_GROUP_RULES) {
   if (!row || typeof row !== 'object') return null;
   const payload = row.payload && typeof row.payload === 'object' ? row.payload : row;
   const generatedAt = row.generated_at || row.generatedAt || payload.generated_at || payload.generatedAt || null;
   const ts = toISOStringSafe(payload.ts || generatedAt);
   if (!ts) return null;
 
-  const providerRaw = String(payload.provider || '').trim().toLowerCase();
-  const endpointRaw = String(payload.endpoint_group || payload.endpointGroup || '').trim().toLowerCase();
-  const provider = providerRaw === 'other' || providerRaw === 'others' ? 'unknown' : (providerRaw || 'unknown');
-  const endpointGroup =
-    endpointRaw === 'other' || endpointRaw === 'others' ? 'unknown' : (endpointRaw || 'unknown');
+  const { provider, endpoint_group: endpointGroup } = resolveEndpointGroup(rules, {
+    provider: payload.provider,
+    endpoint_group: payload.endpoint_group || payload.endpointGroup,
+    host: payload.host,
+    method: payload.method,
+    path_template: payload.path_template,
+  });
 
   const statusCode =
     typeof payload.status_code === 'number' && Number.isFinite(payload.status_code)
@@ -151,7 +239,7 @@ async function tryLoadLatestSnapshot(baseUrl, apiKey, tenantId, projectId) {
   return { table: null, row: null };
 }
 
-async function tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIso) {
+async function tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIso, rules) {
   for (const table of API_EVENT_TABLE_CANDIDATES) {
     const filter = joinFilter([
       `tenant_id=eq.${encodeURIComponent(tenantId)}`,
@@ -167,33 +255,134 @@ async function tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIs
     if (!res.ok) continue;
     if (!Array.isArray(res.body)) continue;
 
-    return { table, rows: res.body.map(normalizeApiEventRow).filter(Boolean) };
+    return { table, rows: res.body.map((row) => normalizeApiEventRow(row, rules)).filter(Boolean) };
   }
 
   return { table: null, rows: [] };
 }
 
+function normalizeGroupLabel(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  return raw === 'other' || raw === 'others' ? 'unknown' : (raw || 'unknown');
+}
+
+function normalizeApiRollupRow(row) {
+  if (!row || typeof row !== 'object') return null;
+  const payload = row.payload && typeof row.payload === 'object' ? row.payload : row;
+  const date = String(payload.date || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  return {
+    date,
+    provider: normalizeGroupLabel(payload.provider),
+    endpoint_group: normalizeGroupLabel(payload.endpoint_group),
+    calls: asNumber(payload.calls, 0),
+    successes: asNumber(payload.successes, 0),
+    failures: asNumber(payload.failures, 0),
+    rate_limits: asNumber(payload.rate_limits, 0),
+    last_error_at: payload.last_error_at ? toISOStringSafe(payload.last_error_at) : null,
+    snapshot_ts: String(payload.snapshot_ts || ''),
+  };
+}
+
+// Rollups are read newest first in pages until one comes back short, so a large install loses the
+// oldest days (not today) when it hits API_ROLLUP_MAX_PAGES; `partial` reports that. `generated_at` only
+// bounds the scan; the window itself is the rollup `date` from `fromDate` on.
+async function tryLoadApiRollups(baseUrl, apiKey, tenantId, projectId, { sinceIso, fromDate }) {
+  for (const table of API_ROLLUP_TABLE_CANDIDATES) {
+    const rows = [];
+    let connected = true;
+    let partial = false;
+    for (let page = 0; ; page += 1) {
+      if (page >= API_ROLLUP_MAX_PAGES) {
+        partial = true;
+        break;
+      }
+      const filter = joinFilter([
+        `tenant_id=eq.${encodeURIComponent(tenantId)}`,
+        `project_id=eq.${encodeURIComponent(projectId)}`,
+        `generated_at=gte.${encodeURIComponent(sinceIso)}`,
+        'order=generated_at.desc',
+        `limit=${API_ROLLUP_PAGE_SIZE}`,
+        `offset=${page * API_ROLLUP_PAGE_SIZE}`,
+        'select=*',
+      ]);
+      const url = `${baseUrl}/api/database/records/${table}?${filter}`;
+      const res = await fetchJson(url, apiKey);
+
+      if (!res.ok || !Array.isArray(res.body)) {
+        // A later page failing keeps what was read, marked partial.
+        if (page === 0) connected = false;
+        else partial = true;
+        break;
+      }
+      rows.push(...res.body);
+      if (res.body.length < API_ROLLUP_PAGE_SIZE) break;
+    }
+    if (!connected) continue;
+
+    return { table, rows: rows.map(normalizeApiRollupRow).filter((row) => row && row.date >= fromDate), partial };
+  }
+
+  return { table: null, rows: [], partial: false };
+}
+
 function buildApiTop(events, topN) {
   const grouped = new Map();
 
   for (const ev of events) {
-    const providerRaw = String(ev.provider || '').trim().toLowerCase();
-    const endpointRaw = String(ev.endpoint_group || '').trim().toLowerCase();
-    const provider = providerRaw === 'other' || providerRaw === 'others' ? 'unknown' : (providerRaw || 'unknown');
-    const endpoint = endpointRaw === 'other' || endpointRaw === 'others' ? 'unknown' : (endpointRaw || 'unknown');
-    const key = `${provider}/${endpoint}`;
-    grouped.set(key, (grouped.get(key) || 0) + 1);
+    const key = `${normalizeGroupLabel(ev.provider)}/${normalizeGroupLabel(ev.endpoint_group)}`;
+    const group = grouped.get(key) || { calls: 0, latency: emptyLatencySketch() };
+    group.calls += 1;
+    addLatency(group.latency, ev.latency_ms);
+    grouped.set(key, group);
   }
 
   return [...grouped.entries()]
-    .sort((a, b) => b[1] - a[1])
+    .sort((a, b) => b[1].calls - a[1].calls)
     .slice(0, topN)
-    .map(([name, calls_24h]) => ({ endpoint_group: name, calls_24h }));
+    .map(([name, group]) => {
+      const latency = summarizeLatency(group.latency);
+      return { endpoint_group: name, calls_24h: group.calls, latency_p50_ms: latency.p50_ms, latency_p95_ms: latency.p95_ms, latency_p99_ms: latency.p99_ms };
+    });
+}
+
+// Latency bins: the probe's per-bin sketches when the snapshot has them (they cover every event, not
+// just the rows loaded here), else sketches built from the loaded events. The 24h figures merge the bins.
+// Snapshot bins that ended before the window or use another relative accuracy (not mergeable) are dropped.
+function buildLatencyBins(snapshot, events, nowMs) {
+  const windowMs = 24 * 60 * 60 * 1000;
+  const step = windowMs / 10;
+  const fromSnapshot = Array.isArray(snapshot?.api_latency_series_24h)
+    ? snapshot.api_latency_series_24h.filter(
+        (bin) =>
+          isLatencySketch(bin?.sketch) &&
+          bin.sketch.relative_accuracy === DEFAULT_RELATIVE_ACCURACY &&
+          Date.parse(bin.ts) + step > nowMs - windowMs,
+      )
+    : [];
+  if (fromSnapshot.length > 0) return fromSnapshot.map((bin) => ({ ts: toISOStringSafe(bin.ts), sketch: bin.sketch }));
+
+  const bins = Array.from({ length: 10 }, (_, i) => ({ ts: new Date(nowMs - windowMs + i * step).toISOString(), sketch: emptyLatencySketch() }));
+  for (const ev of events) {
+    const ts = Date.parse(ev.ts);
+    if (!Number.isFinite(ts) || ts < nowMs - windowMs || ts > nowMs) continue;
+    addLatency(bins[Math.min(9, Math.floor((ts - (nowMs - windowMs)) / step))].sketch, ev.latency_ms);
+  }
+  return bins;
 }
 
-function buildDashboardContract({ snapshot, events, profile }) {
+function latencyMetric(value, connected) {
+  return connected && value != null ? metric('Derived', value, `${Math.round(value)} ms`) : metricGap();
+}
+
+function buildDashboardContract({ snapshot, events, profile, thresholds = loadThresholds().thresholds, timezone = snapshotTimeZone(snapshot) }) {
   const now = new Date();
   const nowIso = now.toISOString();
+  const todayRange = zonedDayRangeMs(now.getTime(), timezone);
+  // Probe "today" totals only apply when the probe counted in the requested zone.
+  const countedZone = snapshotTimeZone(snapshot);
+  const sameZone = countedZone === todayRange.timezone;
+  const otherZoneNote = `快照按 ${countedZone} 统计当日`;
   const topN = getTopN(profile);
 
   const skillComponents = Array.isArray(snapshot?.skills_components)
@@ -220,6 +409,13 @@ function buildDashboardContract({ snapshot, events, profile }) {
     typeof snapshot?.skill_calls_collection_mode === 'string' && snapshot.skill_calls_collection_mode.trim()
       ? snapshot.skill_calls_collection_mode
       : (skillTop.length > 0 ? 'fact-event-structured' : 'fact-only-not-connected');
+  // new Date(null) is the epoch, so a missing restart must stay null rather than go through toISOStringSafe.
+  const lastRestartAt = snapshot?.last_restart_at ? toISOStringSafe(snapshot.last_restart_at) : null;
+  const lastRestartReason = lastRestartAt && typeof snapshot?.last_restart_reason === 'string' ? snapshot.last_restart_reason : null;
+  const lastRestartCategory = typeof snapshot?.last_restart_category === 'string' ? snapshot.last_restart_category : null;
+  const lastRestartReasonDisplay = lastRestartReason
+    ? (lastRestartCategory ? `${lastRestartReason} (${lastRestartCategory})` : lastRestartReason)
+    : '--';
   const openclawSystemAnomaly =
     typeof snapshot?.openclaw_system_anomaly === 'boolean'
       ? snapshot.openclaw_system_anomaly
@@ -248,10 +444,15 @@ function buildDashboardContract({ snapshot, events, profile }) {
       : 'fact-only-not-connected';
   const apiFactConnected = apiCollectionMode === 'fact-event-structured';
   const apiTotal24h = events.length;
-  const apiTotalTokyoToday =
-    typeof snapshot?.api_call_total_today_tokyo === 'number'
-      ? asNumber(snapshot.api_call_total_today_tokyo, 0)
-      : apiTotal24h;
+  const apiTotalTodaySnapshot = sameZone ? snapshotTodayValue(snapshot, 'api_call_total_today', 'api_call_total_today_tokyo') : null;
+  // Otherwise count the loaded events (the last 24h) that fall inside the requested local day.
+  const apiTotalToday =
+    apiTotalTodaySnapshot ??
+    events.filter((e) => {
+      const ts = Date.parse(e.ts);
+      return ts >= todayRange.startMs && ts < todayRange.endMs;
+    }).length;
+  const cronRunsToday = sameZone ? asNumber(snapshotTodayValue(snapshot, 'cron_runs_today_total', 'cron_runs_today_tokyo_total'), 0) : null;
   const apiErr24h = events.filter((e) => e.is_failure).length;
   const api42924h = events.filter((e) => e.is_429).length;
   const apiUnknown24h = events.filter(
@@ -261,15 +462,30 @@ function buildDashboardContract({ snapshot, events, profile }) {
   const api429Ratio24h = apiTotal24h > 0 ? api42924h / apiTotal24h : 0;
   const apiUnknownRate24h = apiTotal24h > 0 ? apiUnknown24h / apiTotal24h : 0;
 
+  // Risk is always the PRD per-job 24h rule; the 5m storm list is coloured by each job's 24h runs.
+  const runs24hByJob = cronRuns24hByJob(snapshot);
   const cronStormTop = Array.isArray(snapshot?.cron_storm_top5_5m)
-    ? snapshot.cron_storm_top5_5m.map((x) => ({
+    ? snapshot.cron_storm_top5_5m.map((x) => {
+        const runs24h = runs24hByJob.get(`id:${x.job_id}`) ?? runs24hByJob.get(`name:${x.job_name}`) ?? null;
+        return {
+          task_name: x.job_name || x.task_name || '--',
+          count: asNumber(x.runs_5m, 0),
+          runs_24h: runs24h,
+          ...riskFields(evaluateThreshold('cron_runs_24h', runs24h, thresholds)),
+        };
+      })
+    : [];
+  const cronTopJobs24h = Array.isArray(snapshot?.cron_top_jobs_24h)
+    ? snapshot.cron_top_jobs_24h.slice(0, topN.cron).map((x) => ({
         task_name: x.job_name || x.task_name || '--',
-        count: asNumber(x.runs_5m, 0),
-        risk_level: asNumber(x.runs_5m, 0) >= 5 ? 'red' : asNumber(x.runs_5m, 0) >= 2 ? 'yellow' : 'green',
+        count: asNumber(x.runs_24h, 0),
+        ...riskFields(evaluateThreshold('cron_runs_24h', asNumber(x.runs_24h, 0), thresholds)),
       }))
-    : [];
+    : null;
 
   const endpointTop = buildApiTop(events, topN.api);
+  const latencyBins = buildLatencyBins(snapshot, events, now.getTime());
+  const latency24h = summarizeLatency(mergeLatencySketches(latencyBins.map((bin) => bin.sketch)));
 
   return {
     meta: {
@@ -278,31 +494,36 @@ function buildDashboardContract({ snapshot, events, profile }) {
       data_updated_at: snapshot?.ts || snapshot?.generated_at || nowIso,
       freshness_delay_min: metric('Derived', asNumber(snapshot?.data_freshness_delay_min, 0), `${asNumber(snapshot?.data_freshness_delay_min, 0)} 分钟`),
       integrity_status: metric('Derived', 'partial', '部分缺失'),
-      window: {
-        primary: 'rolling_24h',
-        secondary: 'tokyo_today',
-        timezone: 'Asia/Tokyo',
-        display: 'Rolling 24h / Tokyo 当日',
-      },
+      window: windowMeta(todayRange),
       p0_core_coverage_ratio: metric(
         'Derived',
         typeof snapshot?.p0_core_coverage_ratio === 'number' ? snapshot.p0_core_coverage_ratio : 0,
         `${((typeof snapshot?.p0_core_coverage_ratio === 'number' ? snapshot.p0_core_coverage_ratio : 0) * 100).toFixed(1)}%`,
       ),
       topn: topN,
+      risk_thresholds: thresholds,
     },
     health_overview: {
       service_status_now: metric('Ready', snapshot?.service_status_now || 'running', snapshot?.service_status_now || 'running'),
       service_uptime_ratio_24h: metric('Derived', asNumber(snapshot?.service_uptime_ratio_24h, 0), `${(asNumber(snapshot?.service_uptime_ratio_24h, 0) * 100).toFixed(1)}%`),
-      restart_unexpected_count_24h: metric('Derived', asNumber(snapshot?.restart_unexpected_count_24h, 0), String(asNumber(snapshot?.restart_unexpected_count_24h, 0))),
-      last_restart_at: metric('Derived', toISOStringSafe(snapshot?.last_restart_at), toISOStringSafe(snapshot?.last_restart_at) || '--'),
-      last_restart_reason: metric('Derived', snapshot?.last_restart_reason || null, snapshot?.last_restart_reason || '--'),
+      restart_total_24h: metric('Derived', asNumber(snapshot?.restart_total_24h, 0), String(asNumber(snapshot?.restart_total_24h, 0))),
+      restart_planned_24h: metric('Derived', asNumber(snapshot?.restart_planned_24h, 0), String(asNumber(snapshot?.restart_planned_24h, 0))),
+      restart_unexpected_count_24h: withRisk(
+        metric('Derived', asNumber(snapshot?.restart_unexpected_count_24h, 0), String(asNumber(snapshot?.restart_unexpected_count_24h, 0))),
+        evaluateThreshold('restart_unexpected_24h', asNumber(snapshot?.restart_unexpected_count_24h, 0), thresholds),
+      ),
+      restart_unknown_24h: metric('Derived', asNumber(snapshot?.restart_unknown_24h, 0), String(asNumber(snapshot?.restart_unknown_24h, 0))),
+      last_restart_at: metric('Derived', lastRestartAt, lastRestartAt || '--'),
+      last_restart_reason: metric('Derived', lastRestartReason, lastRestartReasonDisplay),
       active_error_count: metric('Derived', asNumber(snapshot?.errors_active_count, 0), String(asNumber(snapshot?.errors_active_count, 0))),
       openclaw_system_anomaly: openclawSystemAnomaly,
       clawview_pipeline_anomaly: clawviewPipelineAnomaly,
+      clawview_pipeline_failed_collectors: Array.isArray(snapshot?.clawview_pipeline_failed_collectors)
+        ? snapshot.clawview_pipeline_failed_collectors.map(String)
+        : [],
       api_429_ratio_24h:
         apiFactConnected
-          ? metric('Derived', api429Ratio24h, `${(api429Ratio24h * 100).toFixed(1)}%`)
+          ? withRisk(metric('Derived', api429Ratio24h, `${(api429Ratio24h * 100).toFixed(1)}%`), evaluateThreshold('api_429_ratio_24h', api429Ratio24h, thresholds))
           : metricGap(),
     },
     trends: {
@@ -319,6 +540,10 @@ function buildDashboardContract({ snapshot, events, profile }) {
         apiFactConnected
           ? { readiness: 'Derived', series: throttleSeries.map((value, i) => ({ ts: new Date(now.getTime() - (9 - i) * (24 * 60 * 60 * 1000) / 10).toISOString(), value })) }
           : { readiness: 'Gap', series: [], display: '--', note: GAP_NOTE },
+      api_latency_series_24h:
+        apiFactConnected && latency24h.samples > 0
+          ? { readiness: 'Derived', series: latencyBins.map((bin) => ({ ts: bin.ts, ...summarizeLatency(bin.sketch) })) }
+          : { readiness: 'Gap', series: [], display: '--', note: GAP_NOTE },
     },
     skill_summary: {
       total_skills:
@@ -333,7 +558,7 @@ function buildDashboardContract({ snapshot, events, profile }) {
         typeof snapshot?.skill_calls_total_24h === 'number'
           ? metric('Derived', asNumber(snapshot?.skill_calls_total_24h, 0), String(asNumber(snapshot?.skill_calls_total_24h, 0)))
           : metricGap(),
-      calls_tokyo_today: metricGap(),
+      calls_today: metricGap(),
       collection_mode: skillCollectionMode,
       top: skillTop,
     },
@@ -347,24 +572,33 @@ function buildDashboardContract({ snapshot, events, profile }) {
           ? metric('Derived', asNumber(snapshot?.cron_jobs_enabled, 0), String(asNumber(snapshot?.cron_jobs_enabled, 0)))
           : metricGap(),
       trigger_total_24h: metric('Derived', asNumber(snapshot?.cron_runs_24h_total, 0), String(asNumber(snapshot?.cron_runs_24h_total, 0))),
-      trigger_total_tokyo_today: metric('Derived', asNumber(snapshot?.cron_runs_today_tokyo_total, 0), String(asNumber(snapshot?.cron_runs_today_tokyo_total, 0))),
+      trigger_total_today:
+        cronRunsToday != null ? metric('Derived', cronRunsToday, String(cronRunsToday)) : metric('Gap', null, '--', otherZoneNote),
       trigger_storm_task_top5_5m: {
         readiness: cronStormTop.length ? 'Derived' : 'Gap',
         top: cronStormTop,
         ...(cronStormTop.length ? {} : { display: '--', note: GAP_NOTE }),
       },
+      top_jobs_24h: cronTopJobs24h
+        ? { readiness: 'Derived', top: cronTopJobs24h }
+        : { readiness: 'Gap', top: [], display: '--', note: GAP_NOTE },
     },
     api_summary: {
       api_call_total_24h:
         apiFactConnected ? metric('Derived', apiTotal24h, String(apiTotal24h)) : metricGap(),
-      api_call_total_tokyo_today:
-        apiFactConnected ? metric('Derived', apiTotalTokyoToday, String(apiTotalTokyoToday)) : metricGap(),
+      api_call_total_today:
+        apiFactConnected ? metric('Derived', apiTotalToday, String(apiTotalToday)) : metricGap(),
       api_error_rate_24h:
         apiFactConnected ? metric('Derived', apiErrorRate24h, `${(apiErrorRate24h * 100).toFixed(1)}%`) : metricGap(),
       api_429_ratio_24h:
-        apiFactConnected ? metric('Derived', api429Ratio24h, `${(api429Ratio24h * 100).toFixed(1)}%`) : metricGap(),
+        apiFactConnected
+          ? withRisk(metric('Derived', api429Ratio24h, `${(api429Ratio24h * 100).toFixed(1)}%`), evaluateThreshold('api_429_ratio_24h', api429Ratio24h, thresholds))
+          : metricGap(),
       api_unknown_rate_24h:
         apiFactConnected ? metric('Derived', apiUnknownRate24h, `${(apiUnknownRate24h * 100).toFixed(1)}%`) : metricGap(),
+      api_latency_p50_24h: latencyMetric(latency24h.p50_ms, apiFactConnected),
+      api_latency_p95_24h: latencyMetric(latency24h.p95_ms, apiFactConnected),
+      api_latency_p99_24h: latencyMetric(latency24h.p99_ms, apiFactConnected),
       endpoint_group_top:
         apiFactConnected
           ? { readiness: 'Derived', top: endpointTop }
@@ -374,6 +608,213 @@ function buildDashboardContract({ snapshot, events, profile }) {
   };
 }
 
+const CRON_RISK_ORDER = ['red', 'yellow', 'green'];
+const CRON_DETAIL_SORTS = {
+  risk: (a, b) => CRON_RISK_ORDER.indexOf(a.risk_level) - CRON_RISK_ORDER.indexOf(b.risk_level) || b.runs_24h - a.runs_24h,
+  runs_24h: (a, b) => b.runs_24h - a.runs_24h,
+  runs_today: (a, b) => (b.runs_today ?? -1) - (a.runs_today ?? -1),
+  last_run_at: (a, b) => String(b.last_run_at || '').localeCompare(String(a.last_run_at || '')),
+  name: (a, b) => a.task_name.localeCompare(b.task_name),
+};
+
+function nullableNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function normalizeCronJobDetail(x, thresholds, sameZone = true) {
+  const runs24h = asNumber(x?.runs_24h, 0);
+  return {
+    job_id: String(x?.job_id || ''),
+    task_name: String(x?.job_name || x?.task_name || x?.job_id || '--'),
+    enabled: x?.enabled !== false,
+    schedule: typeof x?.schedule === 'string' ? x.schedule : null,
+    runs_24h: runs24h,
+    runs_today: sameZone ? asNumber(x?.runs_today, 0) : null,
+    runs_5m: asNumber(x?.runs_5m, 0),
+    failures_24h: asNumber(x?.failures_24h, 0),
+    last_run_at: x?.last_run_at ? toISOStringSafe(x.last_run_at) : null,
+    last_status: typeof x?.last_status === 'string' ? x.last_status : null,
+    last_duration_ms: nullableNumber(x?.last_duration_ms),
+    avg_duration_ms_24h: nullableNumber(x?.avg_duration_ms_24h),
+    max_duration_ms_24h: nullableNumber(x?.max_duration_ms_24h),
+    ...riskFields(evaluateThreshold('cron_runs_24h', runs24h, thresholds)),
+  };
+}
+
+// Cron detail read model: every job from the latest snapshot's `cron_jobs_detail`.
+// `runs_today` was counted by the probe in its own zone; it is null when `timezone` asks for another one.
+function buildCronDetailContract({ snapshot, sort, thresholds = loadThresholds().thresholds, timezone = snapshotTimeZone(snapshot) }) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const todayRange = zonedDayRangeMs(now.getTime(), timezone);
+  const sameZone = snapshotTimeZone(snapshot) === todayRange.timezone;
+  const sortKey = Object.hasOwn(CRON_DETAIL_SORTS, sort) ? sort : 'risk';
+  const connected = Array.isArray(snapshot?.cron_jobs_detail);
+  const jobs = connected ? snapshot.cron_jobs_detail.map((x) => normalizeCronJobDetail(x, thresholds, sameZone)).filter((x) => x.job_id) : [];
+  jobs.sort(CRON_DETAIL_SORTS[sortKey]);
+  const count = (level) => jobs.filter((x) => x.risk_level === level).length;
+
+  return {
+    meta: {
+      contract_version: 'v1',
+      generated_at: nowIso,
+      data_updated_at: snapshot?.ts || snapshot?.generated_at || nowIso,
+      window: windowMeta(todayRange),
+      sort: sortKey,
+      risk_thresholds: { cron_runs_24h: thresholds.cron_runs_24h },
+    },
+    cron_summary: {
+      total_tasks: connected ? metric('Derived', jobs.length, String(jobs.length)) : metricGap(),
+      enabled_tasks: connected ? metric('Derived', jobs.filter((x) => x.enabled).length, String(jobs.filter((x) => x.enabled).length)) : metricGap(),
+      red_tasks: connected ? metric('Derived', count('red'), String(count('red'))) : metricGap(),
+      yellow_tasks: connected ? metric('Derived', count('yellow'), String(count('yellow'))) : metricGap(),
+    },
+    cron_jobs: connected
+      ? { readiness: 'Derived', items: jobs }
+      : { readiness: 'Gap', items: [], display: '--', note: GAP_NOTE },
+  };
+}
+
+const API_GROUP_WINDOWS = { '24h': 1, '7d': 7, '30d': 30 };
+const API_GROUP_SORTS = {
+  calls: (a, b) => b.calls - a.calls,
+  failures: (a, b) => b.failures - a.failures || b.calls - a.calls,
+  error_rate: (a, b) => (b.error_rate ?? -1) - (a.error_rate ?? -1) || b.calls - a.calls,
+  rate_limits: (a, b) => b.rate_limits - a.rate_limits || b.calls - a.calls,
+  last_error_at: (a, b) => String(b.last_error_at || '').localeCompare(String(a.last_error_at || '')) || b.calls - a.calls,
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+const API_GROUP_PAGE_SIZE = 20;
+const API_GROUP_MAX_PAGE_SIZE = 100;
+
+// "YYYY-MM-DD" shifted by whole days (calendar arithmetic, no zone involved).
+function shiftIsoDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function emptyApiGroup(provider, endpointGroup) {
+  return { provider, endpoint_group: endpointGroup, name: `${provider}/${endpointGroup}`, calls: 0, successes: 0, failures: 0, rate_limits: 0, last_error_at: null };
+}
+
+function addGroupCounts(grouped, provider, endpointGroup, counts) {
+  const key = `${provider}/${endpointGroup}`;
+  const group = grouped.get(key) || emptyApiGroup(provider, endpointGroup);
+  group.calls += counts.calls;
+  group.successes += counts.successes;
+  group.failures += counts.failures;
+  group.rate_limits += counts.rate_limits;
+  if (counts.last_error_at && (!group.last_error_at || counts.last_error_at > group.last_error_at)) group.last_error_at = counts.last_error_at;
+  grouped.set(key, group);
+}
+
+// Latest rollup per (date, provider, endpoint_group); the fallback table may lack the unique key.
+function dedupeRollups(rollups) {
+  const byKey = new Map();
+  for (const row of rollups) {
+    const key = `${row.date}|${row.provider}|${row.endpoint_group}`;
+    const previous = byKey.get(key);
+    if (!previous || row.snapshot_ts >= previous.snapshot_ts) byKey.set(key, row);
+  }
+  return [...byKey.values()];
+}
+
+// API detail read model: every provider + endpoint_group with success / failure / 429 counts, error rate
+// and last error for `window`, plus 7d / 30d call counts. `24h` is counted from the raw events; `7d` and
+// `30d` sum the daily rollups (business days of the probe's zone, today included).
+function buildApiGroupsContract({ snapshot, events, eventsConnected, rollups, rollupsConnected, rollupsPartial = false, window = '24h', sort, page, pageSize, timezone = snapshotTimeZone(snapshot) }) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const todayRange = zonedDayRangeMs(now.getTime(), timezone);
+  const countedToday = zonedDayRangeMs(now.getTime(), snapshotTimeZone(snapshot)).date;
+  const sortKey = Object.hasOwn(API_GROUP_SORTS, sort) ? sort : 'calls';
+  const size = Math.min(API_GROUP_MAX_PAGE_SIZE, positiveInt(pageSize, API_GROUP_PAGE_SIZE));
+
+  const days = dedupeRollups(rollups).filter((row) => row.date <= countedToday);
+  const rollupCalls = (windowDays) => {
+    const fromDate = shiftIsoDate(countedToday, -(windowDays - 1));
+    const calls = new Map();
+    for (const row of days) {
+      if (row.date < fromDate) continue;
+      const key = `${row.provider}/${row.endpoint_group}`;
+      calls.set(key, (calls.get(key) || 0) + row.calls);
+    }
+    return calls;
+  };
+
+  const grouped = new Map();
+  let connected;
+  if (window === '24h') {
+    connected = eventsConnected;
+    const sinceMs = now.getTime() - 24 * 60 * 60 * 1000;
+    for (const ev of events) {
+      const ts = Date.parse(ev.ts);
+      if (!Number.isFinite(ts) || ts < sinceMs) continue;
+      addGroupCounts(grouped, normalizeGroupLabel(ev.provider), normalizeGroupLabel(ev.endpoint_group), {
+        calls: 1,
+        successes: ev.is_failure ? 0 : 1,
+        failures: ev.is_failure ? 1 : 0,
+        rate_limits: ev.is_429 ? 1 : 0,
+        last_error_at: ev.is_failure ? toISOStringSafe(ev.ts) : null,
+      });
+    }
+  } else {
+    connected = rollupsConnected;
+    const fromDate = shiftIsoDate(countedToday, -(API_GROUP_WINDOWS[window] - 1));
+    for (const row of days) {
+      if (row.date >= fromDate) addGroupCounts(grouped, row.provider, row.endpoint_group, row);
+    }
+  }
+
+  const calls7d = rollupsConnected ? rollupCalls(7) : null;
+  const calls30d = rollupsConnected ? rollupCalls(30) : null;
+  const items = [...grouped.entries()].map(([key, group]) => ({
+    ...group,
+    error_rate: group.calls > 0 ? group.failures / group.calls : null,
+    rate_limit_ratio: group.calls > 0 ? group.rate_limits / group.calls : null,
+    calls_7d: calls7d ? calls7d.get(key) || 0 : null,
+    calls_30d: calls30d ? calls30d.get(key) || 0 : null,
+  }));
+  items.sort(API_GROUP_SORTS[sortKey]);
+
+  const pageCount = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(positiveInt(page, 1), pageCount);
+  const total = items.reduce((sum, x) => sum + x.calls, 0);
+  const failures = items.reduce((sum, x) => sum + x.failures, 0);
+  const rateLimits = items.reduce((sum, x) => sum + x.rate_limits, 0);
+  const lastErrorAt = items.reduce((latest, x) => (x.last_error_at && (!latest || x.last_error_at > latest) ? x.last_error_at : latest), null);
+
+  return {
+    meta: {
+      contract_version: 'v1',
+      generated_at: nowIso,
+      data_updated_at: snapshot?.ts || snapshot?.generated_at || nowIso,
+      window: { ...windowMeta(todayRange), selected: window },
+      sort: sortKey,
+      // 7d / 30d figures and calls_7d / calls_30d undercount when not every rollup row could be read.
+      integrity_status: rollupsConnected && rollupsPartial
+        ? metric('Derived', 'partial', '部分缺失', 'older daily rollups were not read')
+        : metric('Derived', 'complete', '完整'),
+    },
+    api_groups_summary: {
+      groups: connected ? metric('Derived', items.length, String(items.length)) : metricGap(),
+      calls: connected ? metric('Derived', total, total.toLocaleString('en-US')) : metricGap(),
+      failures: connected ? metric('Derived', failures, failures.toLocaleString('en-US')) : metricGap(),
+      rate_limits: connected ? metric('Derived', rateLimits, rateLimits.toLocaleString('en-US')) : metricGap(),
+      error_rate: connected && total > 0 ? metric('Derived', failures / total, `${((failures / total) * 100).toFixed(1)}%`) : metricGap(),
+      last_error_at: connected && lastErrorAt ? metric('Derived', lastErrorAt, lastErrorAt) : metricGap(),
+    },
+    api_groups: connected
+      ? { readiness: 'Derived', items: items.slice((current - 1) * size, current * size), total: items.length, page: current, page_size: size, page_count: pageCount }
+      : { readiness: 'Gap', items: [], total: 0, page: 1, page_size: size, page_count: 1, display: '--', note: GAP_NOTE },
+  };
+}
+
 async function coreHandle(requestLike) {
   const method = (requestLike.method || 'GET').toUpperCase();
   if (method !== 'GET') return json(405, { ok: false, error: 'Method not allowed' });
@@ -415,18 +856,68 @@ async function coreHandle(requestLike) {
   const projectId = url.searchParams.get('project_id') || process.env.CLAWVIEW_PROJECT_ID || 'openclaw';
   const sinceIso = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
+  const thresholdConfig = loadThresholds();
+  const endpointGroupConfig = loadEndpointGroupRules();
   const snapshotRes = await tryLoadLatestSnapshot(baseUrl, apiKey, tenantId, projectId);
-  const eventsRes = await tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIso);
+  const tz = resolveRequestTimeZone(url.searchParams.get('tz'), snapshotRes.row);
+  if (tz.error) return json(400, { ok: false, error: `Invalid tz: ${tz.error}` });
+  if (url.pathname.endsWith('/cron-jobs') || url.searchParams.get('view') === 'cron-jobs') {
+    const cronPayload = buildCronDetailContract({
+      snapshot: snapshotRes.row,
+      sort: url.searchParams.get('sort') || 'risk',
+      thresholds: thresholdConfig.thresholds,
+      timezone: tz.timezone,
+    });
+    return json(200, withThresholdErrors(cronPayload, thresholdConfig.errors));
+  }
+
+  if (url.pathname.endsWith('/api-groups') || url.searchParams.get('view') === 'api-groups') {
+    const window = url.searchParams.get('window') || '24h';
+    if (!Object.hasOwn(API_GROUP_WINDOWS, window)) return json(400, { ok: false, error: 'Invalid window: expected 24h, 7d or 30d' });
+    // Day starts of the last 30 business days lie within 31 days (+1 for DST and zone offsets).
+    const rollupSinceIso = new Date(Date.now() - 32 * 24 * 60 * 60 * 1000).toISOString();
+    const countedToday = zonedDayRangeMs(Date.now(), snapshotTimeZone(snapshotRes.row)).date;
+    const rollupsRes = await tryLoadApiRollups(baseUrl, apiKey, tenantId, projectId, {
+      sinceIso: rollupSinceIso,
+      fromDate: shiftIsoDate(countedToday, -(API_GROUP_WINDOWS['30d'] - 1)),
+    });
+    const groupEventsRes = window === '24h' ? await tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIso, endpointGroupConfig.rules) : { table: null, rows: [] };
+    const groupsPayload = buildApiGroupsContract({
+      snapshot: snapshotRes.row,
+      events: groupEventsRes.rows,
+      eventsConnected: Boolean(groupEventsRes.table),
+      rollups: rollupsRes.rows,
+      rollupsConnected: Boolean(rollupsRes.table),
+      rollupsPartial: rollupsRes.partial,
+      window,
+      sort: url.searchParams.get('sort') || 'calls',
+      page: url.searchParams.get('page'),
+      pageSize: url.searchParams.get('page_size'),
+      timezone: tz.timezone,
+    });
+    return json(200, withEndpointGroupErrors(withThresholdErrors(groupsPayload, thresholdConfig.errors), endpointGroupConfig.errors));
+  }
+
+  const eventsRes = await tryLoadRecentEvents(baseUrl, apiKey, tenantId, projectId, sinceIso, endpointGroupConfig.rules);
 
   const payload = buildDashboardContract({
     snapshot: snapshotRes.row,
     events: eventsRes.rows,
     profile,
+    thresholds: thresholdConfig.thresholds,
+    timezone: tz.timezone,
   });
 
-  return json(200, payload);
+  return json(200, withEndpointGroupErrors(withThresholdErrors(payload, thresholdConfig.errors), endpointGroupConfig.errors));
 }
 
+export const __test = {
+  coreHandle,
+  buildCronDetailContract,
+  buildApiGroupsContract,
+  normalizeApiEventRow,
+};
+
 function toWebResponse(result) {
   return new Response(JSON.stringify(result.body), {
     status: result.status,
@@ -0,0 +1,317 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { __test } from './index.mjs';
+import { addLatency, emptyLatencySketch } from '../../clawview-probe/latency-sketch.mjs';
+import { zonedDayRangeMs } from '../../clawview-probe/timezone.mjs';
+
+async function withSnapshot(snapshot, fn, events = [], rollups = []) {
+  const originalFetch = globalThis.fetch;
+  const originalEnv = { ...process.env };
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const table = new URL(url).pathname.split('/').pop();
+    const bodies = { clawview_snapshots: [{ generated_at: snapshot.ts, payload: snapshot }], clawview_api_events: events, clawview_api_daily_rollups: rollups };
+    const body = bodies[table] ?? [];
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  process.env.INSFORGE_BASE_URL = 'http://records.local';
+  process.env.INSFORGE_SERVICE_ROLE_KEY = 'service-role';
+  try {
+    await fn(requested);
+  } finally {
+    globalThis.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+}
+
+const SNAPSHOT = {
+  ts: '2026-02-28T12:00:00.000Z',
+  cron_jobs_detail: [
+    { job_id: 'quiet', job_name: 'quiet', enabled: true, runs_24h: 4, runs_today: 2, last_run_at: '2026-02-28T11:00:00.000Z', threshold_level: 'green' },
+    { job_id: 'storm', job_name: 'storm', enabled: true, runs_24h: 320, runs_today: 200, last_run_at: '2026-02-28T11:59:00.000Z', threshold_level: 'red' },
+    { job_id: 'busy', job_name: 'busy', enabled: false, runs_24h: 150, runs_today: 90, last_run_at: null, threshold_level: 'yellow' },
+  ],
+};
+
+test('cron-jobs endpoint lists every job risk-sorted with summary counts', async () => {
+  await withSnapshot(SNAPSHOT, async (requested) => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/cron-jobs'));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.cron_jobs.items.map((x) => x.job_id), ['storm', 'busy', 'quiet']);
+    assert.equal(res.body.cron_jobs.items[0].risk_level, 'red');
+    assert.equal(res.body.cron_jobs.items[1].last_run_at, null);
+    assert.equal(res.body.cron_summary.total_tasks.value, 3);
+    assert.equal(res.body.cron_summary.enabled_tasks.value, 2);
+    assert.equal(res.body.cron_summary.red_tasks.value, 1);
+    assert.equal(res.body.cron_summary.yellow_tasks.value, 1);
+    assert.ok(requested.every((url) => !url.includes('api_events')), 'cron detail does not load api events');
+  });
+});
+
+test('cron-jobs view honours sort and falls back to Gap without detail rows', async () => {
+  await withSnapshot(SNAPSHOT, async () => {
+    const res = await __test.coreHandle(new Request('http://local/functions/clawview-dashboard?view=cron-jobs&sort=last_run_at'));
+    assert.equal(res.body.meta.sort, 'last_run_at');
+    assert.deepEqual(res.body.cron_jobs.items.map((x) => x.job_id), ['storm', 'quiet', 'busy']);
+  });
+
+  await withSnapshot({ ts: '2026-02-28T12:00:00.000Z' }, async () => {
+    const res = await __test.coreHandle(new Request('http://local/functions/clawview-dashboard?view=cron-jobs&sort=bogus'));
+    assert.equal(res.body.meta.sort, 'risk');
+    assert.equal(res.body.cron_jobs.readiness, 'Gap');
+    assert.equal(res.body.cron_summary.total_tasks.readiness, 'Gap');
+  });
+});
+
+test('dashboard colours cron lists with the shared 24h rule and honours CLAWVIEW_THRESHOLDS', async () => {
+  const snapshot = {
+    ...SNAPSHOT,
+    cron_storm_top5_5m: [{ job_id: 'storm', job_name: 'storm', runs_5m: 9 }, { job_id: 'quiet', job_name: 'quiet', runs_5m: 3 }],
+    cron_top_jobs_24h: [{ job_id: 'storm', job_name: 'storm', runs_24h: 320 }, { job_id: 'quiet', job_name: 'quiet', runs_24h: 4 }],
+    restart_unexpected_count_24h: 2,
+  };
+
+  await withSnapshot(snapshot, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    const cron = res.body.cron_summary;
+    assert.deepEqual(cron.trigger_storm_task_top5_5m.top.map((x) => x.risk_level), ['red', 'green']);
+    assert.deepEqual(cron.top_jobs_24h.top[0], { task_name: 'storm', count: 320, risk_level: 'red', risk_rule: 'cron_runs_24h', risk_threshold: 300 });
+    assert.equal(res.body.health_overview.restart_unexpected_count_24h.risk.level, 'yellow');
+    assert.equal(res.body.meta.risk_thresholds.cron_runs_24h.red, 300);
+
+    process.env.CLAWVIEW_THRESHOLDS = JSON.stringify({ cron_runs_24h: { yellow: 2, red: 1000 }, bogus: {} });
+    const overridden = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.deepEqual(overridden.body.cron_summary.top_jobs_24h.top.map((x) => x.risk_level), ['yellow', 'yellow']);
+    assert.deepEqual(overridden.body.meta.risk_threshold_errors, ['unknown threshold rule "bogus"']);
+  });
+});
+
+test('dashboard counts "today" in the requested timezone and rejects unknown zones', async () => {
+  const snapshot = {
+    ...SNAPSHOT,
+    timezone: 'America/New_York',
+    api_collection_mode: 'fact-event-structured',
+    cron_runs_today_total: 7,
+    api_call_total_today: 12,
+  };
+
+  await withSnapshot(snapshot, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.equal(res.body.meta.window.timezone, 'America/New_York');
+    assert.equal(res.body.meta.window.secondary, 'today');
+    assert.equal(res.body.cron_summary.trigger_total_today.value, 7);
+    assert.equal(res.body.api_summary.api_call_total_today.value, 12);
+
+    // the probe counted in New York, so its totals cannot answer for Berlin
+    const berlin = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard?tz=Europe/Berlin'));
+    assert.equal(berlin.body.meta.window.timezone, 'Europe/Berlin');
+    assert.equal(berlin.body.meta.window.display, 'Rolling 24h / Europe/Berlin 当日');
+    assert.equal(berlin.body.cron_summary.trigger_total_today.readiness, 'Gap');
+    assert.equal(berlin.body.api_summary.api_call_total_today.value, 0);
+
+    const jobs = await __test.coreHandle(new Request('http://local/api/v1/clawview/cron-jobs?tz=Europe/Berlin&sort=runs_today'));
+    assert.ok(jobs.body.cron_jobs.items.every((x) => x.runs_today === null));
+
+    const bad = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard?tz=Mars/Olympus'));
+    assert.equal(bad.status, 400);
+  });
+
+  // snapshots from before the zone was configurable are Tokyo with `_tokyo` field names
+  await withSnapshot({ ...SNAPSHOT, cron_runs_today_tokyo_total: 5 }, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.equal(res.body.meta.window.timezone, 'Asia/Tokyo');
+    assert.equal(res.body.cron_summary.trigger_total_today.value, 5);
+  });
+});
+
+test('dashboard latency percentiles merge the probe bins, else come from loaded events', async () => {
+  const bin = (ts, values, accuracy) => ({ ts, sketch: values.reduce((sketch, v) => addLatency(sketch, v), emptyLatencySketch(accuracy)) });
+  const hoursAgo = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+  const snapshot = {
+    ts: hoursAgo(0),
+    api_collection_mode: 'fact-event-structured',
+    api_latency_series_24h: [
+      bin(hoursAgo(30), [9000]),
+      bin(hoursAgo(25), [100, 100, 100]),
+      bin(hoursAgo(3), [3000, 3000]),
+      bin(hoursAgo(1), [5, 5, 5, 5], 0.02),
+    ],
+  };
+
+  await withSnapshot(snapshot, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.ok(Math.abs(res.body.api_summary.api_latency_p50_24h.value - 100) <= 1);
+    assert.match(res.body.api_summary.api_latency_p50_24h.display, /^\d+ ms$/);
+    assert.ok(Math.abs(res.body.api_summary.api_latency_p99_24h.value - 3000) <= 30);
+    // the bin that ended 27h ago and the one with another accuracy are dropped, not merged
+    assert.deepEqual(res.body.trends.api_latency_series_24h.series.map((x) => x.samples), [3, 2]);
+  });
+
+  // a day-old snapshot: no bin reaches into the last 24h, so the loaded events are used instead
+  const stale = { ...snapshot, ts: hoursAgo(30), api_latency_series_24h: [bin(hoursAgo(50), [100]), bin(hoursAgo(28), [100])] };
+  await withSnapshot(stale, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.equal(res.body.trends.api_latency_series_24h.series.length, 10);
+    assert.ok(Math.abs(res.body.api_summary.api_latency_p50_24h.value - 60) <= 1);
+  }, [{ ts: hoursAgo(1), provider: 'lark', endpoint_group: 'message_send', latency_ms: 60, dedupe_key: 'k-stale' }]);
+
+  const nowIso = new Date().toISOString();
+  const events = [40, 60, 60, null].map((latency_ms, i) => ({ ts: nowIso, provider: 'lark', endpoint_group: 'message_send', latency_ms, dedupe_key: `k-${i}` }));
+  await withSnapshot({ ts: snapshot.ts, api_collection_mode: 'fact-event-structured' }, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.equal(res.body.trends.api_latency_series_24h.series.length, 10);
+    assert.ok(Math.abs(res.body.api_summary.api_latency_p99_24h.value - 60) <= 1);
+    assert.ok(Math.abs(res.body.api_summary.endpoint_group_top.top[0].latency_p50_ms - 60) <= 1);
+  }, events);
+
+  await withSnapshot({ ts: snapshot.ts }, async () => {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/dashboard'));
+    assert.equal(res.body.api_summary.api_latency_p95_24h.readiness, 'Gap');
+    assert.equal(res.body.trends.api_latency_series_24h.readiness, 'Gap');
+  });
+});
+
+test('api-groups lists every group for 24h from events and 7d/30d from daily rollups', async () => {
+  const nowMs = Date.now();
+  const today = zonedDayRangeMs(nowMs, 'Asia/Tokyo').date;
+  const daysAgo = (n) => new Date(Date.parse(`${today}T00:00:00.000Z`) - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rollup = (date, provider, endpoint_group, calls, failures = 0, extra = {}) => ({
+    payload: { date, provider, endpoint_group, calls, successes: calls - failures, failures, rate_limits: 0, last_error_at: null, snapshot_ts: '2026-02-28T12:00:00.000Z', ...extra },
+  });
+  const rollups = [
+    rollup(today, 'lark', 'message_send', 10, 1, { last_error_at: '2026-02-28T10:00:00.000Z' }),
+    rollup(daysAgo(3), 'lark', 'message_send', 20),
+    rollup(daysAgo(20), 'lark', 'message_send', 100),
+    rollup(daysAgo(20), 'openai', 'chat', 5, 5, { rate_limits: 5 }),
+    rollup(daysAgo(40), 'openai', 'chat', 999),
+  ];
+  const event = (minutesAgo, overrides = {}) => ({
+    ts: new Date(nowMs - minutesAgo * 60 * 1000).toISOString(),
+    provider: 'lark',
+    endpoint_group: 'message_send',
+    status_code: 200,
+    ...overrides,
+  });
+  const events = [event(5), event(10, { status_code: 429 }), event(60 * 30), event(3, { provider: 'openai', endpoint_group: 'chat', status_code: 500 })];
+
+  await withSnapshot({ ts: '2026-02-28T12:00:00.000Z' }, async () => {
+    const day = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups'));
+    assert.equal(day.status, 200);
+    assert.equal(day.body.meta.window.selected, '24h');
+    assert.deepEqual(day.body.api_groups.items.map((x) => [x.name, x.calls, x.failures, x.rate_limits]), [
+      ['lark/message_send', 2, 1, 1],
+      ['openai/chat', 1, 1, 0],
+    ]);
+    assert.equal(day.body.api_groups.items[0].calls_7d, 30);
+    assert.equal(day.body.api_groups.items[0].calls_30d, 130);
+    assert.equal(day.body.api_groups.items[1].error_rate, 1);
+    assert.equal(day.body.api_groups_summary.calls.value, 3);
+
+    const month = await __test.coreHandle(new Request('http://local/functions/clawview-dashboard?view=api-groups&window=30d&sort=failures'));
+    assert.deepEqual(month.body.api_groups.items.map((x) => [x.name, x.calls]), [['openai/chat', 5], ['lark/message_send', 130]]);
+    assert.equal(month.body.api_groups.items[1].last_error_at, '2026-02-28T10:00:00.000Z');
+
+    const paged = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=30d&page=2&page_size=1&sort=name'));
+    assert.deepEqual([paged.body.api_groups.page, paged.body.api_groups.page_count, paged.body.api_groups.total], [2, 2, 2]);
+    assert.equal(paged.body.api_groups.items[0].name, 'openai/chat');
+
+    const bad = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=1y'));
+    assert.equal(bad.status, 400);
+  }, events, rollups);
+});
+
+test('api-groups pages through rollups newest first and marks a capped read partial', async () => {
+  const today = zonedDayRangeMs(Date.now(), 'Asia/Tokyo').date;
+  const dayStart = (date) => new Date(Date.parse(`${date}T00:00:00.000+09:00`)).toISOString();
+  const daysAgo = (n) => new Date(Date.parse(`${today}T00:00:00.000Z`) - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rollup = (date, group) => ({ generated_at: dayStart(date), payload: { date, provider: 'lark', endpoint_group: group, calls: 1, successes: 1, failures: 0, rate_limits: 0, snapshot_ts: '2026-02-28T12:00:00.000Z' } });
+  // 2500 rows over 25 days (100 groups), plus today's and a row from before the 30-day window
+  const rollups = [rollup(today, 'today')];
+  for (let day = 1; day <= 25; day += 1) for (let g = 0; g < 100; g += 1) rollups.push(rollup(daysAgo(day), `g${g}`));
+  rollups.push(rollup(daysAgo(31), 'today'));
+
+  const originalFetch = globalThis.fetch;
+  const originalEnv = { ...process.env };
+  const offsets = [];
+  const serve = (rows) => async (url) => {
+    const parsed = new URL(url);
+    const table = parsed.pathname.split('/').pop();
+    if (table !== 'clawview_api_daily_rollups') return new Response(table === 'clawview_snapshots' ? '[]' : 'missing', { status: table === 'clawview_snapshots' ? 200 : 404 });
+    const offset = Number(parsed.searchParams.get('offset'));
+    offsets.push(offset);
+    assert.equal(parsed.searchParams.get('order'), 'generated_at.desc');
+    const sorted = [...rows].sort((a, b) => b.generated_at.localeCompare(a.generated_at));
+    return Response.json(sorted.slice(offset, offset + Number(parsed.searchParams.get('limit'))));
+  };
+  process.env.INSFORGE_BASE_URL = 'http://records.local';
+  process.env.INSFORGE_SERVICE_ROLE_KEY = 'service-role';
+  try {
+    globalThis.fetch = serve(rollups);
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=30d&sort=name&page_size=100'));
+    assert.deepEqual(offsets.slice(0, 3), [0, 1000, 2000]);
+    assert.equal(res.body.meta.integrity_status.value, 'complete');
+    assert.equal(res.body.api_groups.total, 101);
+    assert.equal(res.body.api_groups_summary.calls.value, 2501);
+    const last = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=30d&sort=name&page_size=100&page=2'));
+    assert.deepEqual(last.body.api_groups.items.map((x) => [x.name, x.calls_30d]), [['lark/today', 1]]);
+
+    // more rows than the read cap: the newest are kept, the result says it is partial
+    offsets.length = 0;
+    const many = [...rollups];
+    for (let g = 100; g < 800; g += 1) for (let day = 1; day <= 25; day += 1) many.push(rollup(daysAgo(day), `g${g}`));
+    globalThis.fetch = serve(many);
+    const capped = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=7d&sort=calls&page_size=1'));
+    assert.equal(offsets.length, 20);
+    assert.equal(capped.body.meta.integrity_status.value, 'partial');
+    assert.equal(capped.body.api_groups.total, 801);
+  } finally {
+    globalThis.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+});
+
+test('api-groups is Gap when the window has no source table', async () => {
+  const originalFetch = globalThis.fetch;
+  const originalEnv = { ...process.env };
+  globalThis.fetch = async (url) => {
+    const table = new URL(url).pathname.split('/').pop();
+    return table === 'clawview_snapshots' ? new Response('[]', { status: 200 }) : new Response('missing', { status: 404 });
+  };
+  process.env.INSFORGE_BASE_URL = 'http://records.local';
+  process.env.INSFORGE_SERVICE_ROLE_KEY = 'service-role';
+  try {
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups?window=7d'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.api_groups.readiness, 'Gap');
+    assert.equal(res.body.api_groups_summary.calls.readiness, 'Gap');
+  } finally {
+    globalThis.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+});
+
+test('event rows get provider / endpoint_group from the shared rules, like the probe facts', async () => {
+  const calls = JSON.parse(fs.readFileSync(new URL('../../clawview-probe/fixtures/api-calls.json', import.meta.url), 'utf8'));
+  for (const call of calls) {
+    const row = __test.normalizeApiEventRow({
+      generated_at: '2026-02-28T11:00:00.000Z',
+      payload: { host: call.host, method: call.method, path_template: call.path_template, endpoint_group: 'others' },
+    });
+    assert.deepEqual([row.provider, row.endpoint_group], call.expect, call.host);
+  }
+
+  const nowIso = new Date().toISOString();
+  const events = [
+    { ts: nowIso, host: 'llm.internal.example', method: 'POST', path_template: '/v1/chat/completions', status_code: 200 },
+    { ts: nowIso, host: 'api.anthropic.com', method: 'POST', path_template: '/v1/messages', provider: 'other', status_code: 200 },
+  ];
+  await withSnapshot({ ts: '2026-02-28T12:00:00.000Z' }, async () => {
+    process.env.CLAWVIEW_ENDPOINT_GROUPS = JSON.stringify([{ host: 'llm.internal.example', provider: 'vllm', endpoint_group: 'chat' }, { provider: 'broken' }]);
+    const res = await __test.coreHandle(new Request('http://local/api/v1/clawview/api-groups'));
+    assert.deepEqual(res.body.api_groups.items.map((x) => x.name).sort(), ['anthropic/messages', 'vllm/chat']);
+    assert.deepEqual(res.body.meta.endpoint_group_rule_errors, ['rule 1: "endpoint_group" must be a non-empty string']);
+  }, events);
+});
@@ -0,0 +1,557 @@
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+
+import {
+  DEFAULT_KEY_ID,
+  DEFAULT_TOLERANCE_SEC,
+  parseSecretRing,
+  verifySignedRequest,
+} from '../../clawview-probe/sync-signature.mjs';
+
+const SNAPSHOT_TABLE = 'clawview_snapshots';
+const API_EVENT_TABLE = 'clawview_api_events';
+const NONCE_TABLE = 'clawview_sync_nonces';
+const API_ROLLUP_TABLE = 'clawview_api_daily_rollups';
+const UPSERT_CONFLICT_KEYS = 'tenant_id,project_id,dedupe_key';
+const NONCE_CLEANUP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_BODY_BYTES = 8 * 1024 * 1024;
+
+const SUPPORTED_KINDS = new Set(['api_events', 'snapshot']);
+const LABEL_PATTERN = /^[a-z0-9._-]{1,64}$/i;
+
+// Must stay in sync with runtime/clawview-probe/sync-outbound.mjs.
+const ALLOWED_API_EVENT_FIELDS = [
+  'ts',
+  'provider',
+  'method',
+  'host',
+  'path_template',
+  'endpoint_group',
+  'status_code',
+  'latency_ms',
+  'is_429',
+  'is_failure',
+  'dedupe_key',
+  'request_id',
+];
+
+const API_FACT_SENSITIVE_PATTERNS = [
+  /\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/i,
+  /\bbearer\s+[a-z0-9._~+/=-]{8,}/i,
+  /\b(?:token|access_token|refresh_token|id_token|authorization|cookie|set-cookie)\b\s*[:=]\s*["']?[a-z0-9._~+/=-]{8,}/i,
+];
+
+const ALLOWED_SNAPSHOT_FIELDS = [
+  'ts',
+  'timezone',
+  'gateway_status',
+  'service_status_now',
+  'openclaw_system_anomaly',
+  'clawview_pipeline_anomaly',
+  'clawview_pipeline_failed_collectors',
+  'collector_status',
+  'service_uptime_ratio_24h',
+  'service_uptime_ratio_7d',
+  'service_uptime_ratio_30d',
+  'service_downtime_intervals_30d',
+  'cron_runs_24h_total',
+  'cron_runs_today_total',
+  'cron_runs_today_tokyo_total',
+  'cron_storm_top5_5m',
+  'cron_top_jobs_24h',
+  'cron_jobs_detail',
+  'api_call_total_24h',
+  'api_call_total_today',
+  'api_call_total_today_tokyo',
+  'api_error_rate_24h',
+  'api_429_ratio_24h',
+  'api_unknown_rate_24h',
+  'api_latency_samples_24h',
+  'api_latency_p50_ms_24h',
+  'api_latency_p95_ms_24h',
+  'api_latency_p99_ms_24h',
+  'api_latency_series_24h',
+  'endpoint_group_top5_calls_24h',
+  'api_daily_rollups',
+  'errors_active_count',
+  'restart_total_24h',
+  'restart_planned_24h',
+  'restart_unexpected_count_24h',
+  'restart_unknown_24h',
+  'last_restart_at',
+  'last_restart_reason',
+  'last_restart_category',
+  'restart_events_24h',
+  'data_freshness_delay_min',
+  'p0_core_coverage_ratio',
+  'risk_evaluations',
+  'probe_version',
+  'api_collection_mode',
+  'api_events_new_since_last',
+  'api_events_retained',
+  'skills_total',
+  'healthy_skills',
+  'skills_components',
+  'skills_top_24h',
+  'skill_calls_total_24h',
+  'skill_calls_collection_mode',
+  'skill_calls_files_scanned',
+  'skill_calls_retained_24h',
+  'cron_jobs_total',
+  'cron_jobs_enabled',
+];
+
+function json(status, body) {
+  return {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+    body,
+  };
+}
+
+function readHeader(requestLike, name) {
+  const headers = requestLike.headers;
+  if (!headers) return '';
+  if (typeof headers.get === 'function') return headers.get(name) || '';
+  return headers[name] || headers[name.toLowerCase()] || '';
+}
+
+async function readRawBody(requestLike) {
+  if (typeof requestLike.arrayBuffer === 'function') {
+    return Buffer.from(await requestLike.arrayBuffer());
+  }
+  if (Buffer.isBuffer(requestLike.rawBody)) return requestLike.rawBody;
+  if (typeof requestLike.rawBody === 'string') return Buffer.from(requestLike.rawBody, 'utf8');
+  if (Buffer.isBuffer(requestLike.body)) return requestLike.body;
+  if (typeof requestLike.body === 'string') return Buffer.from(requestLike.body, 'utf8');
+  // Pre-parsed bodies lose the exact signed bytes; re-serialize as a best effort.
+  if (requestLike.body && typeof requestLike.body === 'object') {
+    return Buffer.from(JSON.stringify(requestLike.body), 'utf8');
+  }
+  return Buffer.alloc(0);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  if (left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+function loadSecretRing() {
+  const ring = parseSecretRing(process.env.CLAWVIEW_SYNC_HMAC_SECRETS || '');
+  const single = process.env.CLAWVIEW_SYNC_HMAC_SECRET || '';
+  const singleKeyId = process.env.CLAWVIEW_SYNC_HMAC_KEY_ID || DEFAULT_KEY_ID;
+  if (single && !ring.has(singleKeyId)) ring.set(singleKeyId, single);
+  return ring;
+}
+
+let lastNonceCleanupMs = 0;
+
+// Nonces live in Postgres so replays are caught across function instances.
+// Insert without merge: a unique violation (409) means the nonce was already used.
+function createRecordsNonceStore(baseUrl, apiKey) {
+  const headers = {
+    authorization: `Bearer ${apiKey}`,
+    apikey: apiKey,
+    'content-type': 'application/json',
+  };
+
+  return {
+    async remember(key, expiresAtMs, nowMs = Date.now()) {
+      if (nowMs - lastNonceCleanupMs > NONCE_CLEANUP_INTERVAL_MS) {
+        lastNonceCleanupMs = nowMs;
+        const cutoff = encodeURIComponent(new Date(nowMs).toISOString());
+        await fetch(`${baseUrl}/api/database/records/${NONCE_TABLE}?expires_at=lt.${cutoff}`, {
+          method: 'DELETE',
+          headers,
+        }).catch(() => null);
+      }
+
+      const res = await fetch(`${baseUrl}/api/database/records/${NONCE_TABLE}`, {
+        method: 'POST',
+        headers: { ...headers, prefer: 'return=minimal' },
+        body: JSON.stringify([{ nonce_key: key, expires_at: new Date(expiresAtMs).toISOString() }]),
+      });
+      if (res.status === 409) return false;
+      if (!res.ok) throw new Error(`nonce store unavailable: HTTP ${res.status}`);
+      return true;
+    },
+  };
+}
+
+function pickAllowedFields(input, allowedKeys) {
+  const out = {};
+  for (const key of allowedKeys) {
+    if (Object.prototype.hasOwnProperty.call(input, key)) {
+      out[key] = input[key];
+    }
+  }
+  return out;
+}
+
+function containsSensitiveValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return API_FACT_SENSITIVE_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+function toISOStringSafe(value) {
+  const d = new Date(value);
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(String(text)).digest('hex');
+}
+
+function sanitizeApiEventItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { row: null, reason: 'invalid' };
+  }
+
+  const picked = pickAllowedFields(item, ALLOWED_API_EVENT_FIELDS);
+  if (containsSensitiveValue(picked)) {
+    return { row: null, reason: 'sensitive' };
+  }
+
+  const ts = toISOStringSafe(picked.ts);
+  const dedupeKey = String(picked.dedupe_key || '').trim();
+  if (!ts || !dedupeKey) {
+    return { row: null, reason: 'invalid' };
+  }
+
+  return {
+    row: {
+      dedupe_key: dedupeKey,
+      generated_at: ts,
+      payload: { ...picked, ts, dedupe_key: dedupeKey },
+    },
+    reason: 'ok',
+  };
+}
+
+function sanitizeSnapshotItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { row: null, reason: 'invalid' };
+  }
+
+  const picked = pickAllowedFields(item, ALLOWED_SNAPSHOT_FIELDS);
+  const ts = toISOStringSafe(picked.ts);
+  if (!ts) {
+    return { row: null, reason: 'invalid' };
+  }
+  if (containsSensitiveValue(picked)) {
+    return { row: null, reason: 'sensitive' };
+  }
+
+  return {
+    row: {
+      dedupe_key: hashText(`snapshot|${ts}`),
+      generated_at: ts,
+      payload: { ...picked, ts },
+    },
+    reason: 'ok',
+  };
+}
+
+const ROLLUP_COUNT_FIELDS = ['calls', 'successes', 'failures', 'rate_limits'];
+
+// One `api_daily_rollups` entry of a snapshot (probe computeApiDailyRollups) -> a rollup row keyed by
+// business date + group, so a newer snapshot overwrites the same day's figures. `source_ts` is the
+// snapshot ts the figures come from; an older snapshot never replaces a newer one (see upsertRollupRows).
+function sanitizeRollupItem(item, snapshotTs) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+  const date = String(item.date || '');
+  const startAt = toISOStringSafe(item.start_at);
+  const provider = String(item.provider || '').trim().toLowerCase();
+  const endpointGroup = String(item.endpoint_group || '').trim().toLowerCase();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !startAt || !provider || !endpointGroup) return null;
+  if (provider.length > 128 || endpointGroup.length > 128) return null;
+
+  const counts = {};
+  for (const field of ROLLUP_COUNT_FIELDS) {
+    const value = Number(item[field]);
+    if (!Number.isInteger(value) || value < 0) return null;
+    counts[field] = value;
+  }
+
+  return {
+    dedupe_key: hashText(`rollup|${date}|${provider}|${endpointGroup}`),
+    generated_at: startAt,
+    source_ts: snapshotTs,
+    payload: {
+      date,
+      timezone: typeof item.timezone === 'string' ? item.timezone : null,
+      start_at: startAt,
+      provider,
+      endpoint_group: endpointGroup,
+      ...counts,
+      last_error_at: item.last_error_at ? toISOStringSafe(item.last_error_at) : null,
+      snapshot_ts: snapshotTs,
+    },
+  };
+}
+
+function buildRollupRows(snapshotRows) {
+  const rowsByKey = new Map();
+  for (const snapshot of snapshotRows) {
+    const items = Array.isArray(snapshot.payload?.api_daily_rollups) ? snapshot.payload.api_daily_rollups : [];
+    for (const item of items) {
+      const row = sanitizeRollupItem(item, snapshot.payload.ts);
+      if (!row) continue;
+      const previous = rowsByKey.get(row.dedupe_key);
+      if (previous && Date.parse(previous.source_ts) > Date.parse(row.source_ts)) continue;
+      rowsByKey.set(row.dedupe_key, { tenant_id: snapshot.tenant_id, project_id: snapshot.project_id, ...row });
+    }
+  }
+  return [...rowsByKey.values()];
+}
+
+function envelopeItems(envelope) {
+  if (envelope.kind === 'api_events') {
+    return Array.isArray(envelope.payload?.items) ? envelope.payload.items : null;
+  }
+  if (envelope.kind === 'snapshot') {
+    if (Array.isArray(envelope.payload?.items)) return envelope.payload.items;
+    return envelope.payload && typeof envelope.payload === 'object' ? [envelope.payload] : null;
+  }
+  return null;
+}
+
+function buildRows(envelope) {
+  const items = envelopeItems(envelope);
+  if (!items) return null;
+
+  const sanitize = envelope.kind === 'api_events' ? sanitizeApiEventItem : sanitizeSnapshotItem;
+  const rowsByKey = new Map();
+  const rejected = [];
+
+  items.forEach((item, index) => {
+    const { row, reason } = sanitize(item);
+    if (!row) {
+      rejected.push({ index, reason });
+      return;
+    }
+    // Later duplicates inside one batch win, matching upsert semantics.
+    rowsByKey.set(row.dedupe_key, {
+      tenant_id: envelope.tenant_id,
+      project_id: envelope.project_id,
+      ...row,
+    });
+  });
+
+  return { received: items.length, rows: [...rowsByKey.values()], rejected };
+}
+
+async function upsertRows(baseUrl, apiKey, table, rows) {
+  if (rows.length === 0) return { ok: true, status: 204 };
+
+  const url = `${baseUrl}/api/database/records/${table}?on_conflict=${encodeURIComponent(UPSERT_CONFLICT_KEYS)}`;
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      authorization: `Bearer ${apiKey}`,
+      apikey: apiKey,
+      'content-type': 'application/json',
+      prefer: 'resolution=merge-duplicates,return=minimal',
+    },
+    body: JSON.stringify(rows),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    return { ok: false, status: res.status, error: text.slice(0, 200) };
+  }
+  return { ok: true, status: res.status };
+}
+
+// Drops rollup rows whose stored `source_ts` is newer, so a snapshot uploaded late (outbox retry,
+// replayed backlog) cannot roll a day back. Rows of one envelope share tenant/project. The schema's
+// update trigger enforces the same rule for writes racing between this read and the upsert.
+async function upsertRollupRows(baseUrl, apiKey, rows) {
+  if (rows.length === 0) return { ok: true, status: 204, upserted: 0, skipped: 0 };
+
+  const filter = [
+    `tenant_id=eq.${encodeURIComponent(rows[0].tenant_id)}`,
+    `project_id=eq.${encodeURIComponent(rows[0].project_id)}`,
+    `dedupe_key=in.(${rows.map((row) => encodeURIComponent(row.dedupe_key)).join(',')})`,
+    'select=dedupe_key,source_ts',
+  ].join('&');
+  const res = await fetch(`${baseUrl}/api/database/records/${API_ROLLUP_TABLE}?${filter}`, {
+    method: 'GET',
+    headers: { authorization: `Bearer ${apiKey}`, apikey: apiKey },
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    return { ok: false, status: res.status, error: text.slice(0, 200) };
+  }
+  const stored = await res.json().catch(() => []);
+  const storedTs = new Map((Array.isArray(stored) ? stored : []).map((row) => [row.dedupe_key, Date.parse(row.source_ts)]));
+
+  const fresh = rows.filter((row) => !(storedTs.get(row.dedupe_key) > Date.parse(row.source_ts)));
+  const write = await upsertRows(baseUrl, apiKey, API_ROLLUP_TABLE, fresh);
+  return { ...write, upserted: write.ok ? fresh.length : 0, skipped: rows.length - fresh.length };
+}
+
+// The signature covers the bytes as sent, so decoding happens after verification.
+// `maxOutputLength` caps the inflated size so a small gzip body cannot expand without bound.
+function decodeBody(rawBody, contentEncoding, maxBytes) {
+  const encoding = String(contentEncoding || '').trim().toLowerCase();
+  if (!encoding || encoding === 'identity') {
+    return rawBody.length > maxBytes ? { ok: false, status: 413 } : { ok: true, body: rawBody };
+  }
+  if (encoding !== 'gzip') return { ok: false, status: 415 };
+  try {
+    return { ok: true, body: zlib.gunzipSync(rawBody, { maxOutputLength: maxBytes }) };
+  } catch (err) {
+    if (err?.code === 'ERR_BUFFER_TOO_LARGE') return { ok: false, status: 413 };
+    return { ok: false, status: 400 };
+  }
+}
+
+async function coreHandle(requestLike) {
+  const method = (requestLike.method || 'GET').toUpperCase();
+  if (method !== 'POST') return json(405, { ok: false, error: 'Method not allowed' });
+
+  const expectedKey = process.env.CLAWVIEW_INGEST_API_KEY || process.env.CLAWVIEW_SYNC_API_KEY || '';
+  const secrets = loadSecretRing();
+  const toleranceSec = Math.max(
+    1,
+    Number(process.env.CLAWVIEW_SYNC_SIGNATURE_TOLERANCE_SEC || DEFAULT_TOLERANCE_SEC) || DEFAULT_TOLERANCE_SEC,
+  );
+
+  // Fail closed: without an ingest key or a signing secret anyone could write, and the caller's
+  // bearer is never used as the storage key.
+  if (!expectedKey && secrets.size === 0) {
+    return json(500, { ok: false, error: 'Ingest auth not configured: set CLAWVIEW_INGEST_API_KEY or CLAWVIEW_SYNC_HMAC_SECRET(S)' });
+  }
+  const dbKey = process.env.INSFORGE_SERVICE_ROLE_KEY || '';
+  if (!dbKey) {
+    return json(500, { ok: false, error: 'INSFORGE_SERVICE_ROLE_KEY not configured' });
+  }
+
+  const bearerMatch = String(readHeader(requestLike, 'authorization')).match(/^Bearer\s+(.+)$/i);
+  const bearer = bearerMatch ? bearerMatch[1].trim() : '';
+  if (expectedKey && !safeEqual(bearer, expectedKey)) {
+    return json(401, { ok: false, error: 'Invalid or missing bearer key' });
+  }
+
+  const url = new URL(requestLike.url || 'http://local');
+  const baseUrl =
+    process.env.INSFORGE_BASE_URL ||
+    process.env.CLAWVIEW_INSFORGE_BASE_URL ||
+    `${url.protocol}//${url.host}`;
+
+  const rawBody = await readRawBody(requestLike);
+  if (secrets.size > 0) {
+    let verified;
+    try {
+      verified = await verifySignedRequest({
+        body: rawBody,
+        headers: requestLike.headers,
+        secrets,
+        nonceStore: createRecordsNonceStore(baseUrl, dbKey),
+        toleranceSec,
+      });
+    } catch (err) {
+      return json(503, { ok: false, error: String(err?.message || err) });
+    }
+    if (!verified.ok) {
+      return json(401, { ok: false, error: `Signature rejected: ${verified.reason}` });
+    }
+  }
+
+  const maxBodyBytes = Math.max(
+    1024,
+    Number(process.env.CLAWVIEW_INGEST_MAX_BODY_BYTES || DEFAULT_MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES,
+  );
+  const decoded = decodeBody(rawBody, readHeader(requestLike, 'content-encoding'), maxBodyBytes);
+  if (!decoded.ok) {
+    const errors = {
+      413: `Decoded body exceeds ${maxBodyBytes} bytes`,
+      415: 'Unsupported content-encoding',
+      400: 'Body is not valid gzip',
+    };
+    return json(decoded.status, { ok: false, error: errors[decoded.status] });
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(decoded.body.toString('utf8'));
+  } catch {
+    return json(400, { ok: false, error: 'Body is not valid JSON' });
+  }
+
+  if (!envelope || typeof envelope !== 'object' || !SUPPORTED_KINDS.has(envelope.kind)) {
+    return json(400, { ok: false, error: 'Unsupported envelope kind' });
+  }
+  if (!LABEL_PATTERN.test(String(envelope.tenant_id || '')) || !LABEL_PATTERN.test(String(envelope.project_id || ''))) {
+    return json(400, { ok: false, error: 'Invalid tenant_id or project_id' });
+  }
+
+  const built = buildRows(envelope);
+  if (!built) return json(400, { ok: false, error: 'Envelope payload has no items' });
+
+  const table = envelope.kind === 'api_events' ? API_EVENT_TABLE : SNAPSHOT_TABLE;
+
+  const write = await upsertRows(baseUrl, dbKey, table, built.rows);
+  if (!write.ok) {
+    return json(502, {
+      ok: false,
+      error: `Upsert into ${table} failed: HTTP ${write.status} ${write.error || ''}`.trim(),
+    });
+  }
+
+  // Snapshots carry the probe's per-day API group totals; a failure here is retried with the whole
+  // batch, which both upserts absorb.
+  const rollupRows = envelope.kind === 'snapshot' ? buildRollupRows(built.rows) : [];
+  const rollupWrite = await upsertRollupRows(baseUrl, dbKey, rollupRows);
+  if (!rollupWrite.ok) {
+    return json(502, {
+      ok: false,
+      error: `Upsert into ${API_ROLLUP_TABLE} failed: HTTP ${rollupWrite.status} ${rollupWrite.error || ''}`.trim(),
+    });
+  }
+
+  return json(200, {
+    ok: true,
+    kind: envelope.kind,
+    table,
+    received: built.received,
+    accepted: built.received - built.rejected.length,
+    rejected: built.rejected.length,
+    upserted: built.rows.length,
+    rollups_upserted: rollupWrite.upserted,
+    rollups_skipped_stale: rollupWrite.skipped,
+    rejected_items: built.rejected,
+  });
+}
+
+function toWebResponse(result) {
+  return new Response(JSON.stringify(result.body), {
+    status: result.status,
+    headers: result.headers,
+  });
+}
+
+export const __test = {
+  coreHandle,
+  loadSecretRing,
+  decodeBody,
+  sanitizeApiEventItem,
+  sanitizeSnapshotItem,
+  buildRows,
+  buildRollupRows,
+};
+
+export default async function handler(req, res) {
+  const result = await coreHandle(req);
+
+  // Node/Express style
+  if (res && typeof res.status === 'function' && typeof res.json === 'function') {
+    return res.status(result.status).set(result.headers).json(result.body);
+  }
+
+  // Fetch API style
+  return toWebResponse(result);
+}
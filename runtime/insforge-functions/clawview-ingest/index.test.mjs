@@ -0,0 +1,319 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { __test } from './index.mjs';
+import { signRequest } from '../../clawview-probe/sync-signature.mjs';
+
+const API_KEY = 'test-ingest-key';
+const HMAC_SECRET = 'test-hmac-secret';
+
+// Minimal stand-in for the Insforge records API: upsert via on_conflict, plain insert -> 409 on duplicate,
+// reads filtered by `dedupe_key=in.(...)`.
+function createRecordsStandIn() {
+  const tables = new Map();
+  const fetchImpl = async (url, init) => {
+    const parsed = new URL(url);
+    const table = parsed.pathname.split('/').pop();
+    const store = tables.get(table) ?? new Map();
+    tables.set(table, store);
+    if (init.method === 'DELETE') return new Response(null, { status: 204 });
+    if (init.method === 'GET') {
+      const keys = (parsed.searchParams.get('dedupe_key') || '').replace(/^in\.\(|\)$/g, '').split(',');
+      return Response.json([...store.values()].filter((row) => keys.includes(row.dedupe_key)));
+    }
+
+    const conflictParam = parsed.searchParams.get('on_conflict');
+    const keyFields = conflictParam ? conflictParam.split(',') : ['nonce_key'];
+    const rows = JSON.parse(init.body);
+    for (const row of rows) {
+      const key = keyFields.map((k) => row[k]).join('|');
+      if (!conflictParam && store.has(key)) return new Response('duplicate key', { status: 409 });
+      store.set(key, row);
+    }
+    return new Response(null, { status: 201 });
+  };
+  return { tables, fetchImpl };
+}
+
+function buildRequest(envelope, { secret = HMAC_SECRET, key = API_KEY, nowMs, nonce, gzip = false } = {}) {
+  const text = JSON.stringify(envelope);
+  const body = gzip ? zlib.gzipSync(text) : text;
+  const headers = {
+    'content-type': 'application/json',
+    authorization: `Bearer ${key}`,
+    ...(gzip ? { 'content-encoding': 'gzip' } : {}),
+    ...signRequest(body, { secret, nowMs, nonce }),
+  };
+  return new Request('http://local/functions/clawview-ingest', { method: 'POST', headers, body });
+}
+
+function apiEvent(overrides = {}) {
+  return {
+    ts: '2026-02-28T11:58:00.000Z',
+    provider: 'telegram',
+    method: 'POST',
+    host: 'api.telegram.org',
+    path_template: '/bot:id/sendmessage',
+    endpoint_group: 'message_send',
+    status_code: 200,
+    latency_ms: 42,
+    is_429: false,
+    is_failure: false,
+    dedupe_key: 'k-1',
+    ...overrides,
+  };
+}
+
+async function withStandIn(fn) {
+  const standIn = createRecordsStandIn();
+  const originalFetch = globalThis.fetch;
+  const originalEnv = { ...process.env };
+  globalThis.fetch = standIn.fetchImpl;
+  process.env.INSFORGE_BASE_URL = 'http://records.local';
+  process.env.INSFORGE_SERVICE_ROLE_KEY = 'service-role';
+  process.env.CLAWVIEW_INGEST_API_KEY = API_KEY;
+  process.env.CLAWVIEW_SYNC_HMAC_SECRET = HMAC_SECRET;
+  try {
+    await fn(standIn);
+  } finally {
+    globalThis.fetch = originalFetch;
+    process.env = originalEnv;
+  }
+}
+
+test('ingest upserts api events and reports per-item accept/reject counts', async () => {
+  await withStandIn(async ({ tables }) => {
+    const envelope = {
+      kind: 'api_events',
+      tenant_id: 'default',
+      project_id: 'openclaw',
+      generated_at: '2026-02-28T12:00:00.000Z',
+      payload: {
+        items: [
+          apiEvent(),
+          apiEvent({ dedupe_key: 'k-2', request_id: 'Bearer sk-very-secret-token' }),
+          apiEvent({ dedupe_key: '' }),
+          apiEvent({ dedupe_key: 'k-3', body: 'dropped by whitelist' }),
+        ],
+      },
+    };
+
+    const res = await __test.coreHandle(buildRequest(envelope));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 2);
+    assert.equal(res.body.rejected, 2);
+    assert.deepEqual(res.body.rejected_items, [
+      { index: 1, reason: 'sensitive' },
+      { index: 2, reason: 'invalid' },
+    ]);
+
+    const stored = [...tables.get('clawview_api_events').values()];
+    assert.equal(stored.length, 2);
+    assert.equal(stored[1].payload.body, undefined);
+    assert.equal(stored[0].generated_at, '2026-02-28T11:58:00.000Z');
+
+    // Re-sending the same batch must not duplicate rows.
+    await __test.coreHandle(buildRequest(envelope));
+    assert.equal(tables.get('clawview_api_events').size, 2);
+  });
+});
+
+test('ingest stores whitelisted snapshot fields keyed by snapshot ts', async () => {
+  await withStandIn(async ({ tables }) => {
+    const envelope = {
+      kind: 'snapshot',
+      tenant_id: 'default',
+      project_id: 'openclaw',
+      payload: { ts: '2026-02-28T12:00:00.000Z', service_status_now: 'running', probe_notes: ['local only'] },
+    };
+
+    const res = await __test.coreHandle(buildRequest(envelope));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 1);
+
+    const [row] = [...tables.get('clawview_snapshots').values()];
+    assert.equal(row.payload.service_status_now, 'running');
+    assert.equal(row.payload.probe_notes, undefined);
+  });
+});
+
+test('snapshot api_daily_rollups land in the rollup table, newest snapshot per day and group wins', async () => {
+  await withStandIn(async ({ tables }) => {
+    const rollup = (overrides = {}) => ({
+      date: '2026-02-28',
+      timezone: 'Asia/Tokyo',
+      start_at: '2026-02-27T15:00:00.000Z',
+      provider: 'lark',
+      endpoint_group: 'message_send',
+      calls: 10,
+      successes: 9,
+      failures: 1,
+      rate_limits: 0,
+      last_error_at: '2026-02-28T01:00:00.000Z',
+      ...overrides,
+    });
+    const envelope = {
+      kind: 'snapshot',
+      tenant_id: 'default',
+      project_id: 'openclaw',
+      payload: {
+        items: [
+          { ts: '2026-02-28T12:00:00.000Z', api_daily_rollups: [rollup(), rollup({ endpoint_group: 'doc_read', calls: -1 })] },
+          { ts: '2026-02-28T12:05:00.000Z', api_daily_rollups: [rollup({ calls: 12, successes: 11 })] },
+        ],
+      },
+    };
+
+    const res = await __test.coreHandle(buildRequest(envelope));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rollups_upserted, 1);
+
+    const [row] = [...tables.get('clawview_api_daily_rollups').values()];
+    assert.equal(row.generated_at, '2026-02-27T15:00:00.000Z');
+    assert.equal(row.payload.calls, 12);
+    assert.equal(row.payload.snapshot_ts, '2026-02-28T12:05:00.000Z');
+
+    await __test.coreHandle(buildRequest(envelope));
+    assert.equal(tables.get('clawview_api_daily_rollups').size, 1);
+  });
+});
+
+test('an older snapshot uploaded after a newer one does not roll the day back', async () => {
+  await withStandIn(async ({ tables }) => {
+    const rollup = (calls) => ({
+      date: '2026-02-28',
+      start_at: '2026-02-27T15:00:00.000Z',
+      provider: 'lark',
+      endpoint_group: 'message_send',
+      calls,
+      successes: calls,
+      failures: 0,
+      rate_limits: 0,
+    });
+    const snapshot = (ts, calls) => ({ kind: 'snapshot', tenant_id: 'default', project_id: 'openclaw', payload: { ts, api_daily_rollups: [rollup(calls)] } });
+
+    const newer = await __test.coreHandle(buildRequest(snapshot('2026-02-28T12:05:00.000Z', 12)));
+    assert.equal(newer.body.rollups_upserted, 1);
+
+    // e.g. a batch that sat in the outbox during an outage
+    const older = await __test.coreHandle(buildRequest(snapshot('2026-02-28T12:00:00.000Z', 10)));
+    assert.equal(older.status, 200);
+    assert.deepEqual([older.body.rollups_upserted, older.body.rollups_skipped_stale], [0, 1]);
+    assert.equal(tables.get('clawview_snapshots').size, 2);
+
+    const [row] = [...tables.get('clawview_api_daily_rollups').values()];
+    assert.equal(row.source_ts, '2026-02-28T12:05:00.000Z');
+    assert.equal(row.payload.calls, 12);
+
+    const latest = await __test.coreHandle(buildRequest(snapshot('2026-02-28T12:10:00.000Z', 15)));
+    assert.equal(latest.body.rollups_upserted, 1);
+    assert.equal([...tables.get('clawview_api_daily_rollups').values()][0].payload.calls, 15);
+  });
+});
+
+test('ingest rejects bad bearer keys and signatures before touching storage', async () => {
+  await withStandIn(async ({ tables }) => {
+    const envelope = { kind: 'snapshot', tenant_id: 'default', project_id: 'openclaw', payload: { ts: '2026-02-28T12:00:00.000Z' } };
+
+    const badKey = await __test.coreHandle(buildRequest(envelope, { key: 'wrong' }));
+    assert.equal(badKey.status, 401);
+
+    const badSig = await __test.coreHandle(buildRequest(envelope, { secret: 'other-secret' }));
+    assert.equal(badSig.status, 401);
+
+    const unsigned = await __test.coreHandle(buildRequest(envelope, { secret: '' }));
+    assert.equal(unsigned.status, 401);
+
+    assert.equal(tables.size, 0);
+  });
+});
+
+test('ingest fails closed without auth config and never writes with the caller bearer', async () => {
+  await withStandIn(async (standIn) => {
+    const envelope = { kind: 'snapshot', tenant_id: 'default', project_id: 'openclaw', payload: { ts: '2026-02-28T12:00:00.000Z' } };
+    const authHeaders = [];
+    globalThis.fetch = async (url, init) => {
+      authHeaders.push(init.headers.authorization);
+      return standIn.fetchImpl(url, init);
+    };
+
+    delete process.env.CLAWVIEW_INGEST_API_KEY;
+    delete process.env.CLAWVIEW_SYNC_API_KEY;
+    delete process.env.CLAWVIEW_SYNC_HMAC_SECRET;
+    const open = await __test.coreHandle(buildRequest(envelope, { secret: '' }));
+    assert.equal(open.status, 500);
+
+    process.env.CLAWVIEW_SYNC_HMAC_SECRET = HMAC_SECRET;
+    delete process.env.INSFORGE_SERVICE_ROLE_KEY;
+    const noServiceKey = await __test.coreHandle(buildRequest(envelope));
+    assert.equal(noServiceKey.status, 500);
+    assert.equal(standIn.tables.size, 0);
+
+    // signing secret only: the signature authenticates, storage still uses the service role key
+    process.env.INSFORGE_SERVICE_ROLE_KEY = 'service-role';
+    const signed = await __test.coreHandle(buildRequest(envelope, { key: 'caller-key' }));
+    assert.equal(signed.status, 200);
+    assert.ok(authHeaders.length > 0);
+    assert.ok(authHeaders.every((header) => header === 'Bearer service-role'));
+  });
+});
+
+test('ingest rejects replayed nonces and stale timestamps', async () => {
+  await withStandIn(async ({ tables }) => {
+    const envelope = { kind: 'snapshot', tenant_id: 'default', project_id: 'openclaw', payload: { ts: '2026-02-28T12:00:00.000Z' } };
+    const nonce = 'replay-nonce-0000000001';
+
+    const first = await __test.coreHandle(buildRequest(envelope, { nonce }));
+    assert.equal(first.status, 200);
+
+    const replay = await __test.coreHandle(buildRequest(envelope, { nonce }));
+    assert.equal(replay.status, 401);
+    assert.match(replay.body.error, /replayed_nonce/);
+
+    const stale = await __test.coreHandle(buildRequest(envelope, { nowMs: Date.now() - 10 * 60 * 1000 }));
+    assert.equal(stale.status, 401);
+    assert.match(stale.body.error, /stale_timestamp/);
+
+    assert.equal(tables.get('clawview_snapshots').size, 1);
+  });
+});
+
+test('ingest accepts any key id from the secret ring during rotation', async () => {
+  await withStandIn(async () => {
+    process.env.CLAWVIEW_SYNC_HMAC_SECRETS = 'k2026a:old-secret,k2026b:new-secret';
+    const envelope = { kind: 'snapshot', tenant_id: 'default', project_id: 'openclaw', payload: { ts: '2026-02-28T12:00:00.000Z' } };
+
+    const body = JSON.stringify(envelope);
+    for (const [keyId, secret] of [['k2026a', 'old-secret'], ['k2026b', 'new-secret']]) {
+      const req = new Request('http://local/functions/clawview-ingest', {
+        method: 'POST',
+        headers: { authorization: `Bearer ${API_KEY}`, ...signRequest(body, { secret, keyId }) },
+        body,
+      });
+      const res = await __test.coreHandle(req);
+      assert.equal(res.status, 200, keyId);
+    }
+  });
+});
+
+test('ingest inflates gzip bodies after verifying the signature over compressed bytes', async () => {
+  await withStandIn(async ({ tables }) => {
+    const envelope = {
+      kind: 'snapshot',
+      tenant_id: 'default',
+      project_id: 'openclaw',
+      payload: { items: [{ ts: '2026-02-28T12:00:00.000Z' }, { ts: '2026-02-28T12:05:00.000Z' }] },
+    };
+
+    const res = await __test.coreHandle(buildRequest(envelope, { gzip: true }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 2);
+    assert.equal(tables.get('clawview_snapshots').size, 2);
+
+    process.env.CLAWVIEW_INGEST_MAX_BODY_BYTES = '1024';
+    const bomb = { ...envelope, payload: { ts: '2026-02-28T12:10:00.000Z', padding: 'a'.repeat(100_000) } };
+    const tooLarge = await __test.coreHandle(buildRequest(bomb, { gzip: true }));
+    assert.equal(tooLarge.status, 413);
+  });
+});
@@ -0,0 +1,74 @@
+-- ClawView ingest tables (Insforge Postgres).
+-- The unique key backs the ingest upsert (`on_conflict=tenant_id,project_id,dedupe_key`).
+
+create table if not exists clawview_snapshots (
+  id bigserial primary key,
+  tenant_id text not null,
+  project_id text not null,
+  dedupe_key text not null,
+  generated_at timestamptz not null,
+  payload jsonb not null,
+  ingested_at timestamptz not null default now(),
+  unique (tenant_id, project_id, dedupe_key)
+);
+
+create index if not exists clawview_snapshots_scope_generated_at_idx
+  on clawview_snapshots (tenant_id, project_id, generated_at desc);
+
+create table if not exists clawview_api_events (
+  id bigserial primary key,
+  tenant_id text not null,
+  project_id text not null,
+  dedupe_key text not null,
+  generated_at timestamptz not null,
+  payload jsonb not null,
+  ingested_at timestamptz not null default now(),
+  unique (tenant_id, project_id, dedupe_key)
+);
+
+create index if not exists clawview_api_events_scope_generated_at_idx
+  on clawview_api_events (tenant_id, project_id, generated_at desc);
+
+-- Replay protection: one row per accepted (key_id, nonce), kept until the signature window closes.
+create table if not exists clawview_sync_nonces (
+  nonce_key text primary key,
+  expires_at timestamptz not null
+);
+
+create index if not exists clawview_sync_nonces_expires_at_idx
+  on clawview_sync_nonces (expires_at);
+
+-- API detail rollups: one row per business date + provider + endpoint_group, taken from each snapshot's
+-- `api_daily_rollups` (dedupe_key hashes date|provider|endpoint_group; generated_at is the day start;
+-- source_ts is the snapshot ts the figures come from).
+create table if not exists clawview_api_daily_rollups (
+  id bigserial primary key,
+  tenant_id text not null,
+  project_id text not null,
+  dedupe_key text not null,
+  generated_at timestamptz not null,
+  source_ts timestamptz,
+  payload jsonb not null,
+  ingested_at timestamptz not null default now(),
+  unique (tenant_id, project_id, dedupe_key)
+);
+
+alter table clawview_api_daily_rollups add column if not exists source_ts timestamptz;
+
+-- An upsert from an older snapshot leaves the newer row in place (the function also skips it up front).
+create or replace function clawview_api_daily_rollups_keep_newest() returns trigger as $$
+begin
+  if old.source_ts is not null and (new.source_ts is null or new.source_ts < old.source_ts) then
+    return null;
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists clawview_api_daily_rollups_keep_newest on clawview_api_daily_rollups;
+create trigger clawview_api_daily_rollups_keep_newest
+  before update on clawview_api_daily_rollups
+  for each row execute function clawview_api_daily_rollups_keep_newest();
+
+create index if not exists clawview_api_daily_rollups_scope_generated_at_idx
+  on clawview_api_daily_rollups (tenant_id, project_id, generated_at desc);
@@ -1,13 +1,30 @@
 import { useEffect, useReducer, useState } from 'react';
 import { Block } from 'baseui/block';
 import { dashboardData } from './mock/dashboard';
-import { loadDashboardDataFromInsforge } from './services/dashboard-from-insforge';
-import type { RiskLevel } from './types/dashboard';
+import { loadApiGroupsFromInsforge, loadDashboardDataFromInsforge } from './services/dashboard-from-insforge';
+import type { ApiGroupSort, ApiGroupWindow, ApiGroupsData, RiskLevel } from './types/dashboard';
 
 type Profile = 'desktop' | 'tablet' | 'mobile';
+type Page = 'dashboard' | 'api-status';
 
 const NAV_ITEMS = ['DASHBOARD', 'TASK MONITOR', 'API STATUS', 'ERRORS', 'SETTINGS'];
 const TABS = ['HOME', 'SKILLS', 'APIS', 'ERRORS'];
+// Nav entries that have a page so far; the rest stay inert.
+const NAV_PAGES: Record<string, Page> = { DASHBOARD: 'dashboard', 'API STATUS': 'api-status' };
+const TAB_PAGES: Record<string, Page> = { HOME: 'dashboard', APIS: 'api-status' };
+const API_GROUP_WINDOWS: ApiGroupWindow[] = ['24h', '7d', '30d'];
+const API_GROUP_COLUMNS: Array<{ label: string; sort: ApiGroupSort | null }> = [
+  { label: 'GROUP', sort: 'name' },
+  { label: 'CALLS', sort: 'calls' },
+  { label: 'OK', sort: null },
+  { label: 'FAIL', sort: 'failures' },
+  { label: '429', sort: 'rate_limits' },
+  { label: 'ERR %', sort: 'error_rate' },
+  { label: 'LAST ERROR', sort: 'last_error_at' },
+  { label: '7D', sort: null },
+  { label: '30D', sort: null },
+];
+const API_GROUP_PAGE_SIZE = 20;
 const AXIS = ['-24h', '-18h', '-12h', '-6h', 'NOW'];
 
 function resolveProfile(): Profile {
@@ -41,6 +58,41 @@ function riskClass(risk: RiskLevel): string {
   return 'cv-risk cv-risk-green';
 }
 
+// "Asia/Tokyo" -> "TOKYO"
+function zoneCity(timeZone: string): string {
+  return (timeZone.split('/').pop() || timeZone).replace(/_/g, ' ').toUpperCase();
+}
+
+function zoneAbbreviation(timeZone: string): string {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(new Date());
+    return parts.find((part) => part.type === 'timeZoneName')?.value ?? timeZone;
+  } catch {
+    return timeZone;
+  }
+}
+
+// ISO timestamps are shown as "YYYY-MM-DD HH:mm" wall-clock time in the dashboard's business zone.
+function formatInZone(value: string | null, timeZone: string): string {
+  const ms = value ? Date.parse(value) : NaN;
+  if (!value || !Number.isFinite(ms)) return value || '--';
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatToParts(new Date(ms));
+    const part = (type: string) => parts.find((x) => x.type === type)?.value ?? '';
+    return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}`;
+  } catch {
+    return value;
+  }
+}
+
 interface ChartPoint {
   x: number;
   y: number;
@@ -144,7 +196,15 @@ function AxisRow() {
   );
 }
 
-function Sidebar({ compact }: { compact: boolean }) {
+function formatRate(value: number | null): string {
+  return value == null ? '--' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatCount(value: number | null): string {
+  return value == null ? '--' : value.toLocaleString();
+}
+
+function Sidebar({ compact, page, onNavigate }: { compact: boolean; page: Page; onNavigate: (page: Page) => void }) {
   return (
     <aside className={compact ? 'cv-sidebar cv-sidebar-compact' : 'cv-sidebar'}>
       <div className="cv-logo-row">
@@ -153,8 +213,12 @@ function Sidebar({ compact }: { compact: boolean }) {
       </div>
       {!compact ? <div className="cv-nav-label">// NAVIGATION</div> : null}
       <div className="cv-nav-list">
-        {NAV_ITEMS.map((item, idx) => (
-          <div key={item} className={idx === 0 ? 'cv-nav-item cv-nav-item-active' : 'cv-nav-item'}>
+        {NAV_ITEMS.map((item) => (
+          <div
+            key={item}
+            className={NAV_PAGES[item] === page ? 'cv-nav-item cv-nav-item-active' : 'cv-nav-item'}
+            onClick={NAV_PAGES[item] ? () => onNavigate(NAV_PAGES[item]) : undefined}
+          >
             <span className="cv-nav-icon" />
             {!compact ? <span>{item}</span> : null}
           </div>
@@ -164,19 +228,23 @@ function Sidebar({ compact }: { compact: boolean }) {
   );
 }
 
-function DesktopTopBar({ mobile }: { mobile: boolean }) {
+function DesktopTopBar({ mobile, title = '系统总览', subtitle = '// OPENCLAW 运行状态' }: { mobile: boolean; title?: string; subtitle?: string }) {
   return (
     <header className={mobile ? 'cv-topbar cv-topbar-mobile' : 'cv-topbar'}>
       <div className="cv-top-left">
-        <h1>系统总览</h1>
-        <p>// OPENCLAW 运行状态</p>
+        <h1>{title}</h1>
+        <p>{subtitle}</p>
       </div>
       <div className="cv-top-right">
         <span className="cv-live-pill">
           <span className="cv-live-dot" />
           {mobile ? 'LIVE' : '[RUNNING]'}
         </span>
-        {!mobile ? <span className="cv-time">TOKYO 00:00-23:59 JST</span> : null}
+        {!mobile ? (
+          <span className="cv-time">
+            {zoneCity(dashboardData.meta.timezone)} 00:00-23:59 {zoneAbbreviation(dashboardData.meta.timezone)}
+          </span>
+        ) : null}
       </div>
     </header>
   );
@@ -187,7 +255,7 @@ function DesktopDataQuality() {
     <section className="cv-card cv-quality-row">
       <div className="cv-meta-block">
         <span>数据更新时间</span>
-        <strong>{dashboardData.meta.dataUpdatedAt}</strong>
+        <strong>{formatInZone(dashboardData.meta.dataUpdatedAt, dashboardData.meta.timezone)}</strong>
       </div>
       <span className="cv-sep" />
       <div className="cv-meta-block">
@@ -202,7 +270,7 @@ function DesktopDataQuality() {
       <span className="cv-sep" />
       <div className="cv-meta-block">
         <span>最近重启时间</span>
-        <strong>{dashboardData.healthOverview.lastRestartAt.display}</strong>
+        <strong>{formatInZone(dashboardData.healthOverview.lastRestartAt.value, dashboardData.meta.timezone)}</strong>
       </div>
       <span className="cv-sep" />
       <div className="cv-meta-block">
@@ -310,7 +378,7 @@ function SkillCard({ mobile }: { mobile: boolean }) {
         <strong>{dashboardData.skillSummary.calls24h.display}</strong>
         <em>|</em>
         <span>今日</span>
-        <strong className="cv-muted2">{dashboardData.skillSummary.callsTokyoToday.display}</strong>
+        <strong className="cv-muted2">{dashboardData.skillSummary.callsToday.display}</strong>
       </div>
       <div className="cv-list-head">{mobile ? 'TOP 5 BY 24H CALLS' : '24h 调用 Top6'}</div>
       {top.length === 0 ? (
@@ -355,7 +423,7 @@ function CronCard({ mobile }: { mobile: boolean }) {
         <strong>{dashboardData.cronSummary.triggerTotal24h.display}</strong>
         <em>|</em>
         <span>今日</span>
-        <strong className="cv-muted2">{dashboardData.cronSummary.triggerTokyoToday.display}</strong>
+        <strong className="cv-muted2">{dashboardData.cronSummary.triggerToday.display}</strong>
       </div>
       <div className="cv-list-head">{mobile ? 'RISK TOP 3' : '风险 Top5'}</div>
       {top.length === 0 ? (
@@ -378,14 +446,14 @@ function CronCard({ mobile }: { mobile: boolean }) {
   );
 }
 
-function ApiCard({ mobile }: { mobile: boolean }) {
+function ApiCard({ mobile, onShowAll }: { mobile: boolean; onShowAll: () => void }) {
   const top = dashboardData.apiSummary.endpointTop.slice(0, mobile ? 3 : 5);
 
   return (
     <section className="cv-card cv-summary">
       <div className="cv-summary-head">
         <span>{mobile ? 'API SUMMARY' : 'API 摘要'}</span>
-        <span className="cv-link">查看全部 →</span>
+        <span className="cv-link" onClick={onShowAll}>查看全部 →</span>
       </div>
       <div className="cv-stats-2">
         <div>
@@ -403,7 +471,18 @@ function ApiCard({ mobile }: { mobile: boolean }) {
         <strong>{dashboardData.apiSummary.callTotal24h.display}</strong>
         <em>|</em>
         <span>今日</span>
-        <strong className="cv-muted2">{dashboardData.apiSummary.callTokyoToday.display}</strong>
+        <strong className="cv-muted2">{dashboardData.apiSummary.callToday.display}</strong>
+      </div>
+      <div className="cv-calls">
+        <span>LATENCY</span>
+        <span>P50</span>
+        <strong>{dashboardData.apiSummary.latencyP50.display}</strong>
+        <em>|</em>
+        <span>P95</span>
+        <strong>{dashboardData.apiSummary.latencyP95.display}</strong>
+        <em>|</em>
+        <span>P99</span>
+        <strong className="cv-warn">{dashboardData.apiSummary.latencyP99.display}</strong>
       </div>
       <div className="cv-list-head">{mobile ? 'TOP 3 BY 24H CALLS' : 'API 分组 Top5（24h）'}</div>
       {top.length === 0 ? (
@@ -417,6 +496,7 @@ function ApiCard({ mobile }: { mobile: boolean }) {
             <span>{item.name}</span>
             <div className="cv-tail">
               <strong>{item.calls24h > 0 ? item.calls24h.toLocaleString() : '--'}</strong>
+              {item.latencyP95Ms != null && !mobile ? <span className="cv-muted2">P95 {Math.round(item.latencyP95Ms)} ms</span> : null}
               {item.note ? (
                 <span className={idx === 0 ? 'cv-risk cv-risk-yellow' : 'cv-risk cv-risk-green'}>{item.note}</span>
               ) : null}
@@ -428,10 +508,150 @@ function ApiCard({ mobile }: { mobile: boolean }) {
   );
 }
 
-function DesktopLayout({ tablet }: { tablet: boolean }) {
+// API detail page: every provider + endpoint_group for the selected window, sortable and paged.
+function ApiStatusPage({ mobile }: { mobile: boolean }) {
+  const [range, setRange] = useState<ApiGroupWindow>('24h');
+  const [sort, setSort] = useState<ApiGroupSort>('calls');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState<ApiGroupsData | null>(null);
+  const timeZone = data?.timezone ?? dashboardData.meta.timezone;
+
+  useEffect(() => {
+    let disposed = false;
+
+    void (async () => {
+      try {
+        const next = await loadApiGroupsFromInsforge({ window: range, sort, page, pageSize: API_GROUP_PAGE_SIZE });
+        if (!disposed) setData(next);
+      } catch (error) {
+        console.error('[clawview] failed to load api groups', error);
+      }
+    })();
+
+    return () => {
+      disposed = true;
+    };
+  }, [range, sort, page]);
+
+  const selectRange = (next: ApiGroupWindow) => {
+    setRange(next);
+    setPage(1);
+  };
+  const selectSort = (next: ApiGroupSort) => {
+    setSort(next);
+    setPage(1);
+  };
+  const items = data?.items ?? [];
+
+  return (
+    <>
+      <section className="cv-card cv-quality-row">
+        {API_GROUP_WINDOWS.map((item) => (
+          <span key={item} className={item === range ? 'cv-chip cv-chip-active' : 'cv-chip'} onClick={() => selectRange(item)}>
+            {item.toUpperCase()}
+          </span>
+        ))}
+        <span className="cv-sep" />
+        <div className="cv-meta-block">
+          <span>调用</span>
+          <strong>{data?.summary.calls.display ?? '--'}</strong>
+        </div>
+        <span className="cv-sep" />
+        <div className="cv-meta-block">
+          <span>错误率</span>
+          <strong className="cv-warn">{data?.summary.errorRate.display ?? '--'}</strong>
+        </div>
+        <span className="cv-sep" />
+        <div className="cv-meta-block">
+          <span>限速（429）</span>
+          <strong className="cv-warn">{data?.summary.rateLimits.display ?? '--'}</strong>
+        </div>
+        <span className="cv-sep" />
+        <div className="cv-meta-block">
+          <span>最近错误时间</span>
+          <strong>{formatInZone(data?.summary.lastErrorAt.value ?? null, timeZone)}</strong>
+        </div>
+      </section>
+      <section className="cv-card cv-summary">
+        <div className="cv-summary-head">
+          <span>{mobile ? 'API GROUPS' : 'API 分组明细'}</span>
+          <span className="cv-mini">{data ? `${data.total} GROUPS` : '--'}</span>
+        </div>
+        <div className="cv-table-wrap">
+          <table className="cv-table">
+            <thead>
+              <tr>
+                {API_GROUP_COLUMNS.map((column) => (
+                  <th
+                    key={column.label}
+                    className={column.sort && column.sort === sort ? 'cv-th-active' : undefined}
+                    onClick={column.sort ? () => selectSort(column.sort as ApiGroupSort) : undefined}
+                  >
+                    {column.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {items.length === 0 ? (
+                <tr>
+                  <td colSpan={API_GROUP_COLUMNS.length}>数据接入中</td>
+                </tr>
+              ) : (
+                items.map((item) => (
+                  <tr key={item.name}>
+                    <td>{item.name}</td>
+                    <td>{formatCount(item.calls)}</td>
+                    <td>{formatCount(item.successes)}</td>
+                    <td className={item.failures > 0 ? 'cv-bad' : undefined}>{formatCount(item.failures)}</td>
+                    <td className={item.rateLimits > 0 ? 'cv-warn' : undefined}>{formatCount(item.rateLimits)}</td>
+                    <td>{formatRate(item.errorRate)}</td>
+                    <td>{formatInZone(item.lastErrorAt, timeZone)}</td>
+                    <td>{formatCount(item.calls7d)}</td>
+                    <td>{formatCount(item.calls30d)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="cv-pager">
+          <span className={page > 1 ? 'cv-link' : 'cv-muted2'} onClick={page > 1 ? () => setPage(page - 1) : undefined}>
+            ← PREV
+          </span>
+          <span className="cv-muted2">
+            {data?.page ?? page} / {data?.pageCount ?? 1}
+          </span>
+          <span
+            className={data && page < data.pageCount ? 'cv-link' : 'cv-muted2'}
+            onClick={data && page < data.pageCount ? () => setPage(page + 1) : undefined}
+          >
+            NEXT →
+          </span>
+        </div>
+      </section>
+    </>
+  );
+}
+
+function DesktopLayout({ tablet, page, onNavigate }: { tablet: boolean; page: Page; onNavigate: (page: Page) => void }) {
+  if (page === 'api-status') {
+    return (
+      <Block className="cv-shell">
+        <Sidebar compact={tablet} page={page} onNavigate={onNavigate} />
+        <main className="cv-main">
+          <DesktopTopBar mobile={false} title="API 状态" subtitle="// PROVIDER / ENDPOINT GROUP" />
+          <section className="cv-content cv-content-desktop">
+            <ApiStatusPage mobile={false} />
+          </section>
+        </main>
+      </Block>
+    );
+  }
+
   return (
     <Block className="cv-shell">
-      <Sidebar compact={tablet} />
+      <Sidebar compact={tablet} page={page} onNavigate={onNavigate} />
       <main className="cv-main">
         <DesktopTopBar mobile={false} />
         <section className="cv-content cv-content-desktop">
@@ -444,7 +664,7 @@ function DesktopLayout({ tablet }: { tablet: boolean }) {
           <div className={tablet ? 'cv-one' : 'cv-three'}>
             <SkillCard mobile={false} />
             <CronCard mobile={false} />
-            <ApiCard mobile={false} />
+            <ApiCard mobile={false} onShowAll={() => onNavigate('api-status')} />
           </div>
         </section>
       </main>
@@ -475,10 +695,10 @@ function MobileQuality() {
   return (
     <section className="cv-card cv-mobile-quality">
       <h3>数据质量与重启信息</h3>
-      <div><span>数据更新时间</span><strong>{dashboardData.meta.dataUpdatedAt}</strong></div>
+      <div><span>数据更新时间</span><strong>{formatInZone(dashboardData.meta.dataUpdatedAt, dashboardData.meta.timezone)}</strong></div>
       <div><span>数据完整性</span><strong className="cv-warn">{dashboardData.meta.integrityStatus.display}</strong></div>
-      <div><span>统计口径</span><strong className="cv-muted2">24h / Tokyo</strong></div>
-      <div><span>最近重启时间</span><strong>{dashboardData.healthOverview.lastRestartAt.display}</strong></div>
+      <div><span>统计口径</span><strong className="cv-muted2">24h / {zoneCity(dashboardData.meta.timezone)}</strong></div>
+      <div><span>最近重启时间</span><strong>{formatInZone(dashboardData.healthOverview.lastRestartAt.value, dashboardData.meta.timezone)}</strong></div>
       <div><span>最近重启原因</span><strong>{dashboardData.healthOverview.lastRestartReason.display}</strong></div>
     </section>
   );
@@ -524,11 +744,15 @@ function MobileApiTrend() {
   );
 }
 
-function MobileTabBar() {
+function MobileTabBar({ page, onNavigate }: { page: Page; onNavigate: (page: Page) => void }) {
   return (
     <footer className="cv-tabbar">
-      {TABS.map((tab, idx) => (
-        <div key={tab} className={idx === 0 ? 'cv-tab cv-tab-active' : 'cv-tab'}>
+      {TABS.map((tab) => (
+        <div
+          key={tab}
+          className={TAB_PAGES[tab] === page ? 'cv-tab cv-tab-active' : 'cv-tab'}
+          onClick={TAB_PAGES[tab] ? () => onNavigate(TAB_PAGES[tab]) : undefined}
+        >
           <span className="cv-tab-icon" />
           <span>{tab}</span>
         </div>
@@ -537,7 +761,19 @@ function MobileTabBar() {
   );
 }
 
-function MobileLayout() {
+function MobileLayout({ page, onNavigate }: { page: Page; onNavigate: (page: Page) => void }) {
+  if (page === 'api-status') {
+    return (
+      <Block className="cv-mobile-shell">
+        <DesktopTopBar mobile title="API 状态" subtitle="// API GROUPS" />
+        <section className="cv-content cv-content-mobile">
+          <ApiStatusPage mobile />
+        </section>
+        <MobileTabBar page={page} onNavigate={onNavigate} />
+      </Block>
+    );
+  }
+
   return (
     <Block className="cv-mobile-shell">
       <DesktopTopBar mobile />
@@ -548,15 +784,16 @@ function MobileLayout() {
         <MobileApiTrend />
         <SkillCard mobile />
         <CronCard mobile />
-        <ApiCard mobile />
+        <ApiCard mobile onShowAll={() => onNavigate('api-status')} />
       </section>
-      <MobileTabBar />
+      <MobileTabBar page={page} onNavigate={onNavigate} />
     </Block>
   );
 }
 
 function App() {
   const profile = useProfile();
+  const [page, setPage] = useState<Page>('dashboard');
   const [, forceRefresh] = useReducer((value: number) => value + 1, 0);
 
   useEffect(() => {
@@ -586,10 +823,10 @@ function App() {
   }, [forceRefresh]);
 
   if (profile === 'mobile') {
-    return <MobileLayout />;
+    return <MobileLayout page={page} onNavigate={setPage} />;
   }
 
-  return <DesktopLayout tablet={profile === 'tablet'} />;
+  return <DesktopLayout tablet={profile === 'tablet'} page={page} onNavigate={setPage} />;
 }
 
 export default App;
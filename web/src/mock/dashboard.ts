@@ -7,7 +7,8 @@ export const dashboardData: DashboardData = {
     dataUpdatedAt: '2026-02-27T09:28:00+09:00',
     freshnessDelayMin: { readiness: 'Derived', value: 2, display: '2 分钟' },
     integrityStatus: { readiness: 'Derived', value: 'partial', display: '部分缺失' },
-    windowDisplay: 'Rolling 24h / Tokyo 当日',
+    windowDisplay: 'Rolling 24h / Asia/Tokyo 当日',
+    timezone: 'Asia/Tokyo',
     p0CoreCoverageRatio: { readiness: 'Derived', value: 0.636, display: '63.6%' },
     topN: { skill: 6, cron: 5, api: 5 },
   },
@@ -30,7 +31,7 @@ export const dashboardData: DashboardData = {
     totalSkills: { readiness: 'Ready', value: 23, display: '23' },
     healthySkills: { readiness: 'Derived', value: 21, display: '21' },
     calls24h: { readiness: 'Derived', value: 4218, display: '4,218' },
-    callsTokyoToday: { readiness: 'Derived', value: 3102, display: '3,102' },
+    callsToday: { readiness: 'Derived', value: 3102, display: '3,102' },
     top: [
       { name: 'lark_channel_sync', calls24h: 1247 },
       { name: 'msg_reply_handler', calls24h: 892 },
@@ -44,7 +45,7 @@ export const dashboardData: DashboardData = {
     totalTasks: { readiness: 'Ready', value: 47, display: '47' },
     enabledTasks: { readiness: 'Ready', value: 38, display: '38' },
     triggerTotal24h: { readiness: 'Ready', value: 2104, display: '2,104' },
-    triggerTokyoToday: { readiness: 'Ready', value: 1847, display: '1,847' },
+    triggerToday: { readiness: 'Ready', value: 1847, display: '1,847' },
     riskTop: [
       { name: 'lark_sync_channel', count: 342, risk: 'red' },
       { name: 'msg_handler_main', count: 187, risk: 'yellow' },
@@ -55,10 +56,13 @@ export const dashboardData: DashboardData = {
   },
   apiSummary: {
     callTotal24h: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
-    callTokyoToday: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
+    callToday: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
     errorRate24h: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
     throttleRate24h: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
     unknownRate24h: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
+    latencyP50: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
+    latencyP95: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
+    latencyP99: { readiness: 'Gap', value: null, display: '--', note: '数据未接入' },
     endpointTop: [
       { name: '--', calls24h: 0, note: '数据未接入' },
       { name: '--', calls24h: 0, note: '数据未接入' },
@@ -1,9 +1,21 @@
-import type { DashboardData, MetricValue, Readiness, RiskLevel } from '../types/dashboard';
+import type {
+  ApiGroupItem,
+  ApiGroupSort,
+  ApiGroupWindow,
+  ApiGroupsData,
+  DashboardData,
+  MetricValue,
+  Readiness,
+  RiskLevel,
+} from '../types/dashboard';
 
 const baseUrl = import.meta.env.VITE_INSFORGE_BASE_URL as string | undefined;
 const anonKey = import.meta.env.VITE_INSFORGE_ANON_KEY as string | undefined;
+// Optional: without it the dashboard function uses the zone the probe counted "today" in.
+const timezone = import.meta.env.VITE_CLAWVIEW_TIMEZONE as string | undefined;
 
 const DASHBOARD_PATHS = ['/api/v1/clawview/dashboard', '/functions/clawview-dashboard'] as const;
+const API_GROUPS_PATHS = ['/api/v1/clawview/api-groups', '/functions/clawview-dashboard?view=api-groups'] as const;
 const GAP_NOTE = '数据未接入';
 
 type Dict = Record<string, unknown>;
@@ -139,9 +151,12 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
         .filter((x): x is { name: string; calls24h: number } => x !== null)
     : [];
 
-  const riskSourceMaybe = isObj(cron.trigger_storm_task_top5_5m)
-    ? (cron.trigger_storm_task_top5_5m as Dict).top
-    : cron.riskTop;
+  // Prefer the per-job 24h list (PRD 100/300 rule); older payloads only carry the 5m storm list.
+  const riskSourceMaybe = isObj(cron.top_jobs_24h) && (cron.top_jobs_24h as Dict).readiness !== 'Gap'
+    ? (cron.top_jobs_24h as Dict).top
+    : isObj(cron.trigger_storm_task_top5_5m)
+      ? (cron.trigger_storm_task_top5_5m as Dict).top
+      : cron.riskTop;
 
   const riskTop: Array<{ name: string; count: number; risk: RiskLevel }> = Array.isArray(riskSourceMaybe)
     ? riskSourceMaybe
@@ -160,18 +175,20 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
     ? (api.endpoint_group_top as Dict).top
     : api.endpointTop;
 
-  const endpointTop: Array<{ name: string; calls24h: number; note?: string }> = Array.isArray(endpointSourceMaybe)
+  const endpointTop: Array<{ name: string; calls24h: number; latencyP95Ms?: number; note?: string }> = Array.isArray(endpointSourceMaybe)
     ? endpointSourceMaybe
         .map((row) => {
           if (!isObj(row)) return null;
           const note = typeof row.note === 'string' ? row.note : undefined;
+          const latencyP95Ms = toNumberOrNull(row.latency_p95_ms ?? row.latencyP95Ms);
           return {
             name: readStr(row.endpoint_group ?? row.name, '--'),
             calls24h: readNum(row.calls_24h ?? row.calls24h, 0),
+            ...(latencyP95Ms != null ? { latencyP95Ms } : {}),
             ...(note ? { note } : {}),
           };
         })
-        .filter((x): x is { name: string; calls24h: number; note?: string } => x !== null)
+        .filter((x): x is { name: string; calls24h: number; latencyP95Ms?: number; note?: string } => x !== null)
     : [];
 
   return {
@@ -191,8 +208,9 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
       }, toIntegrity),
       windowDisplay: readStr(
         (isObj(meta.window) ? (meta.window as Dict).display : undefined) ?? meta.windowDisplay,
-        'Rolling 24h / Tokyo 当日',
+        'Rolling 24h / Asia/Tokyo 当日',
       ),
+      timezone: readStr((isObj(meta.window) ? (meta.window as Dict).timezone : undefined) ?? meta.timezone, 'Asia/Tokyo'),
       p0CoreCoverageRatio: parseMetric(meta.p0_core_coverage_ratio ?? meta.p0CoreCoverageRatio, {
         readiness: 'Derived',
         value: 0,
@@ -255,7 +273,7 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
         value: 0,
         display: '0',
       }, readNum),
-      callsTokyoToday: parseMetric(skill.calls_tokyo_today ?? skill.callsTokyoToday, {
+      callsToday: parseMetric(skill.calls_today ?? skill.calls_tokyo_today ?? skill.callsToday, {
         readiness: 'Derived',
         value: 0,
         display: '0',
@@ -278,7 +296,7 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
         value: 0,
         display: '0',
       }, readNum),
-      triggerTokyoToday: parseMetric(cron.trigger_total_tokyo_today ?? cron.triggerTokyoToday, {
+      triggerToday: parseMetric(cron.trigger_total_today ?? cron.trigger_total_tokyo_today ?? cron.triggerToday, {
         readiness: 'Ready',
         value: 0,
         display: '0',
@@ -287,22 +305,83 @@ function mapDashboardContract(raw: unknown): DashboardData | null {
     },
     apiSummary: {
       callTotal24h: parseMetric(api.api_call_total_24h ?? api.callTotal24h, metricGap(), toNumberOrNull),
-      callTokyoToday: parseMetric(api.api_call_total_tokyo_today ?? api.callTokyoToday, metricGap(), toNumberOrNull),
+      callToday: parseMetric(api.api_call_total_today ?? api.api_call_total_tokyo_today ?? api.callToday, metricGap(), toNumberOrNull),
       errorRate24h: parseMetric(api.api_error_rate_24h ?? api.errorRate24h, metricGap(), toNumberOrNull),
       throttleRate24h: parseMetric(api.api_429_ratio_24h ?? api.throttleRate24h, metricGap(), toNumberOrNull),
       unknownRate24h: parseMetric(api.api_unknown_rate_24h ?? api.unknownRate24h, metricGap(), toNumberOrNull),
+      latencyP50: parseMetric(api.api_latency_p50_24h ?? api.latencyP50, metricGap(), toNumberOrNull),
+      latencyP95: parseMetric(api.api_latency_p95_24h ?? api.latencyP95, metricGap(), toNumberOrNull),
+      latencyP99: parseMetric(api.api_latency_p99_24h ?? api.latencyP99, metricGap(), toNumberOrNull),
       endpointTop,
     },
   };
 }
 
-async function fetchDashboardByPath(path: string): Promise<DashboardData | null> {
+function toApiGroupWindow(v: unknown): ApiGroupWindow {
+  return v === '7d' || v === '30d' ? v : '24h';
+}
+
+function toApiGroupSort(v: unknown): ApiGroupSort {
+  return v === 'failures' || v === 'error_rate' || v === 'rate_limits' || v === 'last_error_at' || v === 'name' ? v : 'calls';
+}
+
+function mapApiGroupsContract(raw: unknown): ApiGroupsData | null {
+  if (!isObj(raw)) return null;
+
+  const meta = isObj(raw.meta) ? raw.meta : {};
+  const window = isObj(meta.window) ? meta.window : {};
+  const summary = isObj(raw.api_groups_summary) ? raw.api_groups_summary : {};
+  const groups = isObj(raw.api_groups) ? raw.api_groups : {};
+
+  const items: ApiGroupItem[] = Array.isArray(groups.items)
+    ? groups.items
+        .map((row) => {
+          if (!isObj(row)) return null;
+          return {
+            name: readStr(row.name, '--'),
+            provider: readStr(row.provider, 'unknown'),
+            endpointGroup: readStr(row.endpoint_group, 'unknown'),
+            calls: readNum(row.calls, 0),
+            successes: readNum(row.successes, 0),
+            failures: readNum(row.failures, 0),
+            rateLimits: readNum(row.rate_limits, 0),
+            errorRate: toNumberOrNull(row.error_rate),
+            lastErrorAt: toStringOrNull(row.last_error_at),
+            calls7d: toNumberOrNull(row.calls_7d),
+            calls30d: toNumberOrNull(row.calls_30d),
+          };
+        })
+        .filter((x): x is ApiGroupItem => x !== null)
+    : [];
+
+  return {
+    window: toApiGroupWindow(window.selected),
+    timezone: readStr(window.timezone, 'Asia/Tokyo'),
+    sort: toApiGroupSort(meta.sort),
+    summary: {
+      groups: parseMetric(summary.groups, metricGap(), toNumberOrNull),
+      calls: parseMetric(summary.calls, metricGap(), toNumberOrNull),
+      failures: parseMetric(summary.failures, metricGap(), toNumberOrNull),
+      rateLimits: parseMetric(summary.rate_limits, metricGap(), toNumberOrNull),
+      errorRate: parseMetric(summary.error_rate, metricGap(), toNumberOrNull),
+      lastErrorAt: parseMetric(summary.last_error_at, metricGap(), toStringOrNull),
+    },
+    readiness: normalizeReadiness(groups.readiness),
+    items,
+    total: readNum(groups.total, items.length),
+    page: readNum(groups.page, 1),
+    pageSize: readNum(groups.page_size, items.length),
+    pageCount: readNum(groups.page_count, 1),
+  };
+}
+
+// GET one read-model endpoint with the shared auth headers and `tz`; null when the backend is not configured.
+async function fetchContract(path: string, params: Record<string, string>): Promise<unknown> {
   if (!baseUrl || !anonKey) return null;
 
   const url = new URL(path, baseUrl);
-  url.searchParams.set('profile', pickProfile());
-  url.searchParams.set('tz', 'Asia/Tokyo');
-  url.searchParams.set('locale', 'zh-CN');
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  if (timezone) url.searchParams.set('tz', timezone);
 
   const res = await fetch(url.toString(), {
     method: 'GET',
@@ -314,10 +393,14 @@ async function fetchDashboardByPath(path: string): Promise<DashboardData | null>
   });
 
   if (!res.ok) {
-    throw new Error(`dashboard endpoint failed ${res.status} ${res.statusText}`);
+    throw new Error(`${url.pathname} endpoint failed ${res.status} ${res.statusText}`);
   }
 
-  const payload = (await res.json()) as unknown;
+  return (await res.json()) as unknown;
+}
+
+async function fetchDashboardByPath(path: string): Promise<DashboardData | null> {
+  const payload = await fetchContract(path, { profile: pickProfile(), locale: 'zh-CN' });
   return mapDashboardContract(payload);
 }
 
@@ -335,3 +418,31 @@ export async function loadDashboardDataFromInsforge(): Promise<DashboardData | n
 
   return null;
 }
+
+export interface ApiGroupsQuery {
+  window: ApiGroupWindow;
+  sort: ApiGroupSort;
+  page: number;
+  pageSize: number;
+}
+
+export async function loadApiGroupsFromInsforge(query: ApiGroupsQuery): Promise<ApiGroupsData | null> {
+  if (!baseUrl || !anonKey) return null;
+
+  for (const path of API_GROUPS_PATHS) {
+    try {
+      const raw = await fetchContract(path, {
+        window: query.window,
+        sort: query.sort,
+        page: String(query.page),
+        page_size: String(query.pageSize),
+      });
+      const mapped = mapApiGroupsContract(raw);
+      if (mapped) return mapped;
+    } catch {
+      // try next function path; the API STATUS page shows its empty state
+    }
+  }
+
+  return null;
+}
@@ -16,6 +16,7 @@ export interface DashboardData {
     freshnessDelayMin: MetricValue<number>;
     integrityStatus: MetricValue<'full' | 'partial' | 'delayed'>;
     windowDisplay: string;
+    timezone: string;
     p0CoreCoverageRatio: MetricValue<number>;
     topN: {
       skill: number;
@@ -42,22 +43,62 @@ export interface DashboardData {
     totalSkills: MetricValue<number>;
     healthySkills: MetricValue<number>;
     calls24h: MetricValue<number>;
-    callsTokyoToday: MetricValue<number>;
+    callsToday: MetricValue<number>;
     top: Array<{ name: string; calls24h: number }>;
   };
   cronSummary: {
     totalTasks: MetricValue<number>;
     enabledTasks: MetricValue<number>;
     triggerTotal24h: MetricValue<number>;
-    triggerTokyoToday: MetricValue<number>;
+    triggerToday: MetricValue<number>;
     riskTop: Array<{ name: string; count: number; risk: RiskLevel }>;
   };
   apiSummary: {
     callTotal24h: MetricValue<number | null>;
-    callTokyoToday: MetricValue<number | null>;
+    callToday: MetricValue<number | null>;
     errorRate24h: MetricValue<number | null>;
     throttleRate24h: MetricValue<number | null>;
     unknownRate24h: MetricValue<number | null>;
-    endpointTop: Array<{ name: string; calls24h: number; note?: string }>;
+    latencyP50: MetricValue<number | null>;
+    latencyP95: MetricValue<number | null>;
+    latencyP99: MetricValue<number | null>;
+    endpointTop: Array<{ name: string; calls24h: number; latencyP95Ms?: number; note?: string }>;
   };
 }
+
+export type ApiGroupWindow = '24h' | '7d' | '30d';
+export type ApiGroupSort = 'calls' | 'failures' | 'error_rate' | 'rate_limits' | 'last_error_at' | 'name';
+
+export interface ApiGroupItem {
+  name: string;
+  provider: string;
+  endpointGroup: string;
+  calls: number;
+  successes: number;
+  failures: number;
+  rateLimits: number;
+  errorRate: number | null;
+  lastErrorAt: string | null;
+  calls7d: number | null;
+  calls30d: number | null;
+}
+
+export interface ApiGroupsData {
+  window: ApiGroupWindow;
+  timezone: string;
+  sort: ApiGroupSort;
+  summary: {
+    groups: MetricValue<number | null>;
+    calls: MetricValue<number | null>;
+    failures: MetricValue<number | null>;
+    rateLimits: MetricValue<number | null>;
+    errorRate: MetricValue<number | null>;
+    lastErrorAt: MetricValue<string | null>;
+  };
+  readiness: Readiness;
+  items: ApiGroupItem[];
+  total: number;
+  page: number;
+  pageSize: number;
+  pageCount: number;
+}